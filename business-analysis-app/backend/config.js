@@ -0,0 +1,36 @@
+// business-analysis-app/backend/config.js
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TRACKER_CONFIG_PATH = path.join(__dirname, 'trackers.config.json');
+
+/**
+ * Replaces `${VAR}` placeholders in string values with environment variables,
+ * so tokens can stay out of the config file.
+ */
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) return value.map(interpolateEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, interpolateEnv(v)]));
+  }
+  return value;
+}
+
+/**
+ * Loads tracker connection settings. The file location can be overridden with
+ * TRACKER_CONFIG_PATH. A missing file simply means no trackers are configured.
+ * @returns {Object<string, object>} Tracker settings keyed by tracker name.
+ */
+function loadTrackerConfig() {
+  const configPath = process.env.TRACKER_CONFIG_PATH || DEFAULT_TRACKER_CONFIG_PATH;
+  if (!fs.existsSync(configPath)) return {};
+
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return interpolateEnv(raw.trackers || {});
+}
+
+module.exports = { loadTrackerConfig, interpolateEnv };
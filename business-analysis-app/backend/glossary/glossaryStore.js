@@ -0,0 +1,161 @@
+// business-analysis-app/backend/glossary/glossaryStore.js
+
+const path = require('path');
+const { createJsonFileStore, findRecord, recordMap } = require('../jsonFileStore');
+const { validateGlossaryTerm, normalizeTerm, parseGlossaryCsv } = require('../../shared/glossary');
+
+const DEFAULT_GLOSSARY_PATH = path.join(__dirname, '..', 'data', 'glossary.json');
+
+/**
+ * Raised for invalid glossary requests. `statusCode` is the status our API should answer with.
+ */
+class GlossaryError extends Error {
+  constructor(message, statusCode = 400, details = []) {
+    super(message);
+    this.name = 'GlossaryError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Builds the URL-safe ID of a term, e.g. "Purchase Order" -> "purchase-order".
+ */
+function termId(term) {
+  return normalizeTerm(term).replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Checks a term from a request and returns it with only the glossary fields.
+ */
+function toTerm(input) {
+  const errors = validateGlossaryTerm(input);
+  if (errors.length > 0) throw new GlossaryError('Invalid glossary term.', 400, errors);
+  const { term, definition = '', synonyms = [], forbidden = [] } = input;
+  return { term: term.trim(), definition: definition.trim(), synonyms: synonyms.map(s => s.trim()), forbidden: forbidden.map(f => f.trim()) };
+}
+
+/**
+ * Lists the spellings of a term: the term, its synonyms and its forbidden aliases.
+ */
+function spellings(entry) {
+  return [entry.term, ...entry.synonyms, ...entry.forbidden];
+}
+
+/**
+ * Creates a store that keeps the glossary in a JSON file. Only one server process should use
+ * the file (see createJsonFileStore).
+ * @param {{filePath?: string}} [options]
+ */
+function createGlossaryStore({ filePath = DEFAULT_GLOSSARY_PATH } = {}) {
+  const { load, mutate } = createJsonFileStore({ filePath, maps: ['terms'] });
+
+  // A spelling may belong to one term only, or the analyzer could not tell which term to suggest.
+  function findConflicts(terms, entry, ownId) {
+    const taken = new Map();
+    Object.values(terms)
+      .filter(other => other.id !== ownId)
+      .forEach(other => spellings(other).forEach(spelling => taken.set(normalizeTerm(spelling), other.term)));
+    return spellings(entry)
+      .filter(spelling => taken.has(normalizeTerm(spelling)))
+      .map(spelling => `'${spelling}' is already a spelling of the term '${taken.get(normalizeTerm(spelling))}'.`);
+  }
+
+  function checkConflicts(terms, entry, ownId) {
+    const [conflict] = findConflicts(terms, entry, ownId);
+    if (conflict) throw new GlossaryError(conflict, 409);
+  }
+
+  return {
+    /** @returns {Promise<object[]>} The glossary, sorted by term. */
+    async list() {
+      const { terms } = await load();
+      return Object.values(terms).sort((a, b) => a.term.localeCompare(b.term));
+    },
+
+    /** @returns {Promise<object|null>} One term, or null. */
+    async get(id) {
+      const { terms } = await load();
+      return findRecord(terms, id);
+    },
+
+    /**
+     * Adds a term to the glossary.
+     * @param {{term: string, definition?: string, synonyms?: string[], forbidden?: string[]}} input
+     * @returns {Promise<object>} The stored term, with its `id`.
+     */
+    async create(input) {
+      const entry = toTerm(input);
+      const id = termId(entry.term);
+      if (!id) throw new GlossaryError("'term' must contain a letter or digit.");
+      return mutate(({ terms }) => {
+        if (findRecord(terms, id)) throw new GlossaryError(`A term with the ID '${id}' already exists.`, 409);
+        checkConflicts(terms, entry, id);
+        const now = new Date().toISOString();
+        terms[id] = { id, ...entry, createdAt: now, updatedAt: now };
+        return terms[id];
+      });
+    },
+
+    /**
+     * Replaces a term. Its ID stays the same even if the term changes.
+     * @returns {Promise<object|null>} The updated term, or null if it does not exist.
+     */
+    async update(id, input) {
+      const entry = toTerm(input);
+      return mutate(({ terms }) => {
+        if (!findRecord(terms, id)) return null;
+        const existing = terms[id];
+        checkConflicts(terms, entry, id);
+        terms[id] = { ...existing, ...entry, updatedAt: new Date().toISOString() };
+        return terms[id];
+      });
+    },
+
+    /** @returns {Promise<boolean>} Whether the term existed. */
+    async delete(id) {
+      return mutate(({ terms }) => {
+        if (!findRecord(terms, id)) return false;
+        delete terms[id];
+        return true;
+      });
+    },
+
+    /**
+     * Imports terms from CSV (see parseGlossaryCsv). A row replaces the term with the same ID;
+     * with `replace`, the CSV replaces the whole glossary. Nothing is imported if any row is
+     * invalid or conflicts with another term.
+     * @param {string} csvText
+     * @param {{replace?: boolean}} [options]
+     * @returns {Promise<{imported: number, terms: object[]}>} The number of rows imported, and the glossary.
+     */
+    async importCsv(csvText, { replace = false } = {}) {
+      let rows;
+      try {
+        rows = parseGlossaryCsv(csvText);
+      } catch (error) {
+        throw new GlossaryError(error.message);
+      }
+      const errors = rows.flatMap(row => validateGlossaryTerm(row, `row ${row.row}`));
+      if (errors.length > 0) throw new GlossaryError('Invalid glossary CSV.', 400, errors);
+      const entries = rows.map(row => ({ id: termId(row.term), ...toTerm(row) }));
+
+      return mutate((store) => {
+        const now = new Date().toISOString();
+        const terms = recordMap(replace ? {} : store.terms);
+        const conflicts = [];
+        entries.forEach(entry => {
+          const { id, ...fields } = entry;
+          conflicts.push(...findConflicts(terms, fields, id));
+          const existing = findRecord(terms, id);
+          terms[id] = existing ? { ...existing, ...fields, updatedAt: now } : { id, ...fields, createdAt: now, updatedAt: now };
+        });
+        if (conflicts.length > 0) throw new GlossaryError('The CSV conflicts with the glossary.', 409, conflicts);
+        store.terms = terms;
+        return { imported: entries.length, terms: Object.values(terms).sort((a, b) => a.term.localeCompare(b.term)) };
+      });
+    },
+  };
+}
+
+module.exports = { createGlossaryStore, GlossaryError, DEFAULT_GLOSSARY_PATH };
@@ -0,0 +1,5 @@
+// business-analysis-app/backend/glossary/index.js
+
+const { createGlossaryStore, GlossaryError, DEFAULT_GLOSSARY_PATH } = require('./glossaryStore');
+
+module.exports = { createGlossaryStore, GlossaryError, DEFAULT_GLOSSARY_PATH };
@@ -0,0 +1,58 @@
+// business-analysis-app/backend/history/compareVersions.js
+
+const INVEST_DIMENSIONS = ['independent', 'negotiable', 'valuable', 'estimable', 'small', 'testable'];
+const CLARITY_SECTIONS = ['formatCheck', 'clarityAmbiguity', 'acceptanceCriteria'];
+
+/**
+ * Describes how a score moved between two versions.
+ */
+function scoreDelta(from, to) {
+  return { from, to, delta: to - from };
+}
+
+/**
+ * Lists the quality frameworks an analysis was scored with.
+ */
+function enabledFrameworks(analysis) {
+  return Object.keys(analysis.frameworkAssessments || {}).sort().join(',');
+}
+
+/**
+ * Compares two stored versions of a story: the overall readiness, the clarity sections,
+ * each INVEST dimension, and whether the story or AC text changed.
+ * @param {object} fromVersion - The older version from the history store.
+ * @param {object} toVersion - The newer version.
+ * @returns {object}
+ */
+function compareVersions(fromVersion, toVersion) {
+  const a = fromVersion.analysis;
+  const b = toVersion.analysis;
+
+  return {
+    from: { version: fromVersion.version, createdAt: fromVersion.createdAt, profile: fromVersion.profile },
+    to: { version: toVersion.version, createdAt: toVersion.createdAt, profile: toVersion.profile },
+    // Scores from different rule profiles or quality frameworks are not directly comparable.
+    sameProfile: fromVersion.profile === toVersion.profile,
+    sameFrameworks: enabledFrameworks(a) === enabledFrameworks(b),
+    readinessRating: scoreDelta(a.overallReadinessScore.readinessRating, b.overallReadinessScore.readinessRating),
+    readinessCategory: { from: a.overallReadinessScore.readinessCategoryId, to: b.overallReadinessScore.readinessCategoryId },
+    clarityAndRequirementAnalysis: {
+      ...Object.fromEntries(CLARITY_SECTIONS.map(section => [
+        section,
+        scoreDelta(a.clarityAndRequirementAnalysis[section].score, b.clarityAndRequirementAnalysis[section].score),
+      ])),
+      totalScore: scoreDelta(a.clarityAndRequirementAnalysis.totalScore, b.clarityAndRequirementAnalysis.totalScore),
+    },
+    investCriteriaAssessment: {
+      ...Object.fromEntries(INVEST_DIMENSIONS.map(dimension => [
+        dimension,
+        scoreDelta(a.investCriteriaAssessment[dimension].score, b.investCriteriaAssessment[dimension].score),
+      ])),
+      totalScore: scoreDelta(a.investCriteriaAssessment.totalScore, b.investCriteriaAssessment.totalScore),
+    },
+    storyChanged: fromVersion.story !== toVersion.story,
+    acceptanceCriteriaChanged: fromVersion.acceptanceCriteria !== toVersion.acceptanceCriteria,
+  };
+}
+
+module.exports = { compareVersions };
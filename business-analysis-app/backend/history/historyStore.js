@@ -0,0 +1,132 @@
+// business-analysis-app/backend/history/historyStore.js
+
+const path = require('path');
+const { createJsonFileStore, findRecord, isReservedKey } = require('../jsonFileStore');
+
+const DEFAULT_HISTORY_PATH = path.join(__dirname, '..', 'data', 'history.json');
+
+// Story IDs appear in URLs, so keep them to tracker-key-like characters.
+const STORY_ID_REGEX = /^[\w.:-]{1,100}$/;
+
+/**
+ * Raised for invalid history requests. `statusCode` is the status our API should answer with.
+ */
+class HistoryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'HistoryError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Summarizes a stored story for list views.
+ */
+function summarizeStory(record) {
+  const latest = record.versions[record.versions.length - 1];
+  return {
+    storyId: record.storyId,
+    title: record.title,
+    team: record.team || '',
+    versionCount: record.versions.length,
+    latestVersion: latest.version,
+    latestReadinessRating: latest.analysis.overallReadinessScore.readinessRating,
+    latestReadinessCategoryId: latest.analysis.overallReadinessScore.readinessCategoryId,
+    createdAt: record.createdAt,
+    updatedAt: latest.createdAt,
+  };
+}
+
+/**
+ * Creates a store that keeps every analysis in a JSON file, grouped by story ID so that
+ * re-analyses of the same story become numbered versions. Only one server process should use
+ * the file (see createJsonFileStore).
+ * @param {{filePath?: string}} [options]
+ */
+function createHistoryStore({ filePath = DEFAULT_HISTORY_PATH } = {}) {
+  const { load, mutate } = createJsonFileStore({ filePath, maps: ['stories'] });
+
+  function checkStoryId(storyId) {
+    if (typeof storyId !== 'string' || !STORY_ID_REGEX.test(storyId)) {
+      throw new HistoryError("'storyId' must be 1-100 letters, digits, '.', ':', '_' or '-'.");
+    }
+    if (isReservedKey(storyId)) throw new HistoryError(`'${storyId}' cannot be used as a story ID.`);
+  }
+
+  return {
+    /**
+     * Stores an analysis as the next version of a story.
+     * @param {{storyId: string, title?: string, team?: string, story: string, acceptanceCriteria?: string, profile: string, analysis: object}} entry
+     *   The story keeps the last title and team it was given.
+     * @returns {Promise<object>} The stored version.
+     */
+    async addVersion({ storyId, title, team, story, acceptanceCriteria = '', profile, analysis }) {
+      checkStoryId(storyId);
+      return mutate(({ stories }) => {
+        const now = new Date().toISOString();
+        const record = findRecord(stories, storyId) || (stories[storyId] = { storyId, title: '', team: '', createdAt: now, nextVersion: 1, versions: [] });
+        if (title) record.title = title;
+        if (team) record.team = team.trim();
+        // Version numbers are never reused, even after a version is deleted.
+        const version = { version: record.nextVersion++, story, acceptanceCriteria, profile, analysis, createdAt: now };
+        record.versions.push(version);
+        return version;
+      });
+    },
+
+    async listStories() {
+      const { stories } = await load();
+      return Object.values(stories)
+        .map(summarizeStory)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    /** @returns {Promise<object[]>} Every story with all its versions, e.g. for the dashboard. */
+    async listStoriesWithVersions() {
+      const { stories } = await load();
+      return Object.values(stories).map(({ nextVersion, ...story }) => story);
+    },
+
+    /** @returns {Promise<object|null>} The story with all its versions, or null. */
+    async getStory(storyId) {
+      const { stories } = await load();
+      const record = findRecord(stories, storyId);
+      if (!record) return null;
+      const { nextVersion, ...story } = record;
+      return story;
+    },
+
+    /** @returns {Promise<object|null>} One version of a story, or null. */
+    async getVersion(storyId, version) {
+      const { stories } = await load();
+      const record = findRecord(stories, storyId);
+      return (record && record.versions.find(v => v.version === version)) || null;
+    },
+
+    /** @returns {Promise<boolean>} Whether the story existed. */
+    async deleteStory(storyId) {
+      return mutate(({ stories }) => {
+        if (!findRecord(stories, storyId)) return false;
+        delete stories[storyId];
+        return true;
+      });
+    },
+
+    /**
+     * Deletes one version. Deleting the last remaining version deletes the story.
+     * @returns {Promise<boolean>} Whether the version existed.
+     */
+    async deleteVersion(storyId, version) {
+      return mutate(({ stories }) => {
+        const record = findRecord(stories, storyId);
+        const index = record ? record.versions.findIndex(v => v.version === version) : -1;
+        if (index === -1) return false;
+        record.versions.splice(index, 1);
+        if (record.versions.length === 0) delete stories[storyId];
+        return true;
+      });
+    },
+  };
+}
+
+module.exports = { createHistoryStore, HistoryError, DEFAULT_HISTORY_PATH };
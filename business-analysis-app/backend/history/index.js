@@ -0,0 +1,6 @@
+// business-analysis-app/backend/history/index.js
+
+const { createHistoryStore, HistoryError, DEFAULT_HISTORY_PATH } = require('./historyStore');
+const { compareVersions } = require('./compareVersions');
+
+module.exports = { createHistoryStore, compareVersions, HistoryError, DEFAULT_HISTORY_PATH };
@@ -0,0 +1,82 @@
+// business-analysis-app/backend/jsonFileStore.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Keys that name object internals rather than records.
+const RESERVED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Tells whether a key names an object internal, such as '__proto__', and so cannot be the
+ * ID of a record.
+ */
+function isReservedKey(key) {
+  return RESERVED_KEYS.has(key);
+}
+
+/**
+ * Returns the record a map holds under a key, or null. Only the map's own entries count, so a
+ * key such as 'constructor' never finds an inherited property.
+ */
+function findRecord(map, key) {
+  return Object.hasOwn(map, key) ? map[key] : null;
+}
+
+/**
+ * Copies records into a map without a prototype, so an ID such as 'constructor' can never
+ * reach Object.prototype.
+ * @param {Object<string, object>} [records]
+ */
+function recordMap(records = {}) {
+  return Object.assign(Object.create(null), records);
+}
+
+/**
+ * Creates the JSON file behind one of our stores. Writes go to a temporary file that is then
+ * renamed and are queued, so a crash or two requests at once cannot leave a half-written
+ * file. The file is read once and cached, so only one server process should use it.
+ *
+ * `maps` names the top-level fields that map IDs to records; they are loaded with recordMap.
+ * `lists` names the top-level fields that hold arrays.
+ * @param {{filePath: string, maps?: string[], lists?: string[]}} options
+ * @returns {{load: function(): Promise<object>, mutate: function(function(object): *): Promise<*>}}
+ */
+function createJsonFileStore({ filePath, maps = [], lists = [] }) {
+  let data = null;
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      data = {};
+    }
+    maps.forEach(field => { data[field] = recordMap(data[field]); });
+    lists.forEach(field => { data[field] = Array.isArray(data[field]) ? data[field] : []; });
+    return data;
+  }
+
+  async function save() {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  // Runs a change against the loaded data and saves it; changes run one at a time.
+  function mutate(change) {
+    const run = writeQueue.then(async () => {
+      const result = change(await load());
+      await save();
+      return result;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  return { load, mutate };
+}
+
+module.exports = { createJsonFileStore, findRecord, recordMap, isReservedKey };
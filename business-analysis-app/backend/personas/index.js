@@ -0,0 +1,5 @@
+// business-analysis-app/backend/personas/index.js
+
+const { createPersonaStore, PersonaError, DEFAULT_PERSONAS_PATH } = require('./personaStore');
+
+module.exports = { createPersonaStore, PersonaError, DEFAULT_PERSONAS_PATH };
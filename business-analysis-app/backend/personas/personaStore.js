@@ -0,0 +1,115 @@
+// business-analysis-app/backend/personas/personaStore.js
+
+const path = require('path');
+const { createJsonFileStore, findRecord } = require('../jsonFileStore');
+const { validatePersona, normalizePersona } = require('../../shared/personas');
+
+const DEFAULT_PERSONAS_PATH = path.join(__dirname, '..', 'data', 'personas.json');
+
+/**
+ * Raised for invalid persona requests. `statusCode` is the status our API should answer with.
+ */
+class PersonaError extends Error {
+  constructor(message, statusCode = 400, details = []) {
+    super(message);
+    this.name = 'PersonaError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Builds the URL-safe ID of a persona from its name, e.g. "Store Manager" -> "store-manager".
+ */
+function personaId(name) {
+  return normalizePersona(name).replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Checks a persona from a request and returns it with only the catalogue fields.
+ */
+function toPersona(input) {
+  const errors = validatePersona(input);
+  if (errors.length > 0) throw new PersonaError('Invalid persona.', 400, errors);
+  const { name, aliases = [], description = '', goals = [] } = input;
+  return { name: name.trim(), aliases: aliases.map(a => a.trim()), description, goals: goals.map(g => g.trim()) };
+}
+
+/**
+ * Creates a store that keeps the persona catalogue in a JSON file. Only one server process
+ * should use the file (see createJsonFileStore).
+ * @param {{filePath?: string}} [options]
+ */
+function createPersonaStore({ filePath = DEFAULT_PERSONAS_PATH } = {}) {
+  const { load, mutate } = createJsonFileStore({ filePath, maps: ['personas'] });
+
+  // A name or alias may belong to one persona only, or stories could match either.
+  function checkConflicts(personas, persona, ownId) {
+    const taken = new Map();
+    Object.values(personas)
+      .filter(other => other.id !== ownId)
+      .forEach(other => [other.name, ...other.aliases].forEach(term => taken.set(normalizePersona(term), other.name)));
+    const clash = [persona.name, ...persona.aliases].find(term => taken.has(normalizePersona(term)));
+    if (clash) {
+      throw new PersonaError(`'${clash}' is already a name or alias of the persona '${taken.get(normalizePersona(clash))}'.`, 409);
+    }
+  }
+
+  return {
+    /** @returns {Promise<object[]>} The catalogue, sorted by name. */
+    async list() {
+      const { personas } = await load();
+      return Object.values(personas).sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /** @returns {Promise<object|null>} One persona, or null. */
+    async get(id) {
+      const { personas } = await load();
+      return findRecord(personas, id);
+    },
+
+    /**
+     * Adds a persona to the catalogue.
+     * @param {{name: string, aliases?: string[], description?: string, goals?: string[]}} input
+     * @returns {Promise<object>} The stored persona, with its `id`.
+     */
+    async create(input) {
+      const persona = toPersona(input);
+      const id = personaId(persona.name);
+      if (!id) throw new PersonaError("'name' must contain a letter or digit.");
+      return mutate(({ personas }) => {
+        if (findRecord(personas, id)) throw new PersonaError(`A persona with the ID '${id}' already exists.`, 409);
+        checkConflicts(personas, persona, id);
+        const now = new Date().toISOString();
+        personas[id] = { id, ...persona, createdAt: now, updatedAt: now };
+        return personas[id];
+      });
+    },
+
+    /**
+     * Replaces a persona. Its ID stays the same even if the name changes.
+     * @returns {Promise<object|null>} The updated persona, or null if it does not exist.
+     */
+    async update(id, input) {
+      const persona = toPersona(input);
+      return mutate(({ personas }) => {
+        if (!findRecord(personas, id)) return null;
+        const existing = personas[id];
+        checkConflicts(personas, persona, id);
+        personas[id] = { ...existing, ...persona, updatedAt: new Date().toISOString() };
+        return personas[id];
+      });
+    },
+
+    /** @returns {Promise<boolean>} Whether the persona existed. */
+    async delete(id) {
+      return mutate(({ personas }) => {
+        if (!findRecord(personas, id)) return false;
+        delete personas[id];
+        return true;
+      });
+    },
+  };
+}
+
+module.exports = { createPersonaStore, PersonaError, DEFAULT_PERSONAS_PATH };
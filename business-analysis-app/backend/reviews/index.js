@@ -0,0 +1,5 @@
+// business-analysis-app/backend/reviews/index.js
+
+const { createReviewStore, ReviewError, DEFAULT_REVIEWS_PATH } = require('./reviewStore');
+
+module.exports = { createReviewStore, ReviewError, DEFAULT_REVIEWS_PATH };
@@ -0,0 +1,99 @@
+// business-analysis-app/backend/reviews/reviewStore.js
+
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonFileStore } = require('../jsonFileStore');
+const { validateReview } = require('../../shared/calibration');
+
+const DEFAULT_REVIEWS_PATH = path.join(__dirname, '..', 'data', 'reviews.json');
+
+/**
+ * Raised for invalid review requests. `statusCode` is the status our API should answer with.
+ */
+class ReviewError extends Error {
+  constructor(message, statusCode = 400, details = []) {
+    super(message);
+    this.name = 'ReviewError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Checks a review from a request and returns it with only the stored fields. The analysis the
+ * reviewer saw is kept as its rating and category, so calibration can tell what was overridden.
+ */
+function toReview(input) {
+  const errors = validateReview(input);
+  if (errors.length > 0) throw new ReviewError('Invalid review.', 400, errors);
+  const { story, acceptanceCriteria = '', readinessCategoryId, findings = [], analysis, reviewer, storyId, profile, comment } = input;
+  const review = {
+    story,
+    acceptanceCriteria,
+    readinessCategoryId,
+    findings: findings.map(({ ruleId, field, start, end, text, agree }) => ({ ruleId, field, start, end, text, agree })),
+  };
+  if (analysis && analysis.overallReadinessScore) {
+    const { readinessRating, readinessCategoryId: analyzedCategoryId } = analysis.overallReadinessScore;
+    review.analysis = { readinessRating, readinessCategoryId: analyzedCategoryId };
+  }
+  Object.entries({ reviewer, storyId, profile, comment }).forEach(([field, value]) => {
+    if (value !== undefined && value.trim() !== '') review[field] = value.trim();
+  });
+  return review;
+}
+
+/**
+ * Creates a store that keeps reviewer overrides in a JSON file, the input of
+ * `ba-toolbox calibrate`. Only one server process should use the file (see
+ * createJsonFileStore).
+ * @param {{filePath?: string}} [options]
+ */
+function createReviewStore({ filePath = DEFAULT_REVIEWS_PATH } = {}) {
+  const { load, mutate } = createJsonFileStore({ filePath, lists: ['reviews'] });
+
+  return {
+    /**
+     * @param {{storyId?: string, reviewer?: string}} [filter]
+     * @returns {Promise<object[]>} The reviews, oldest first.
+     */
+    async list({ storyId, reviewer } = {}) {
+      const { reviews } = await load();
+      return reviews.filter(review => (
+        (storyId === undefined || review.storyId === storyId) && (reviewer === undefined || review.reviewer === reviewer)
+      ));
+    },
+
+    /** @returns {Promise<object|null>} One review, or null. */
+    async get(id) {
+      const { reviews } = await load();
+      return reviews.find(review => review.id === id) || null;
+    },
+
+    /**
+     * Records a reviewer's override of an analysis.
+     * @param {{story: string, acceptanceCriteria?: string, readinessCategoryId: string, findings?: object[], analysis?: object, reviewer?: string, storyId?: string, profile?: string, comment?: string}} input
+     * @returns {Promise<object>} The stored review, with its `id`.
+     */
+    async create(input) {
+      const review = toReview(input);
+      return mutate(({ reviews }) => {
+        const stored = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...review };
+        reviews.push(stored);
+        return stored;
+      });
+    },
+
+    /** @returns {Promise<boolean>} Whether the review existed. */
+    async delete(id) {
+      return mutate(({ reviews }) => {
+        const index = reviews.findIndex(review => review.id === id);
+        if (index === -1) return false;
+        reviews.splice(index, 1);
+        return true;
+      });
+    },
+  };
+}
+
+module.exports = { createReviewStore, ReviewError, DEFAULT_REVIEWS_PATH };
@@ -1,35 +1,504 @@
 const express = require('express');
 const cors = require('cors');
-// const { analyzeUserStory } = require('./userStoryAgent'); // Import the analyzer function - MOVED to netlify function & shared dir
+const { getUserStoryAnalysis, RuleProfileError } = require('../shared/userStoryAgent');
+const { createProfileStore } = require('../shared/ruleProfiles');
+const { createProviderFromEnv } = require('../shared/analysisProviders');
+const { withEnabledFrameworks } = require('../shared/qualityFrameworks');
+const { withPersonaCatalogue } = require('../shared/personas');
+const { withLocale } = require('../shared/locales');
+const { withGlossary } = require('../shared/glossary');
+const { renderStoryReport, REPORT_FORMATS } = require('../shared/reportRenderers');
+const { buildDashboard } = require('../shared/dashboard');
+const { createApiHandlers, toExpressHandler, API_ERROR_CODES } = require('../shared/apiHandlers');
+const { loadTrackerConfig } = require('./config');
+const { createTrackerAdapter, analyzeTrackerItems, TrackerError } = require('./trackers');
+const { createHistoryStore, compareVersions, HistoryError } = require('./history');
+const { createPersonaStore, PersonaError } = require('./personas');
+const { createReviewStore, ReviewError } = require('./reviews');
+const { createGlossaryStore, GlossaryError } = require('./glossary');
+const { createSessionStore, createSessionHub, toSessionFields, toPublicSession, SessionError } = require('./sessions');
 
 const app = express();
 const PORT = process.env.PORT || 3001; // Backend server will run on port 3001
 
 // Middleware
-app.use(cors()); // Enable CORS for all routes
-app.use(express.json()); // Middleware to parse JSON bodies
+// Enable CORS for all routes; browsers may read the story history and download headers.
+app.use(cors({ exposedHeaders: ['X-Story-Id', 'X-Story-Version', 'Content-Disposition'] }));
 
 // Routes
 app.get('/', (req, res) => {
   res.send('Business Analysis App Backend');
 });
 
-// Placeholder for User Story Analysis API endpoint
-/*
-// This route is now handled by Netlify Function: netlify/functions/analyze-story.js
-app.post('/api/analyze-story', (req, res) => {
-  const { story, acceptanceCriteria } = req.body;
+// The features this backend adds to the analyzer API. The frontend shows their panels only when
+// they are listed; the Netlify functions have no such route, so none are shown there.
+app.get('/api/capabilities', (req, res) => {
+  res.json({ capabilities: { history: true, personas: true, glossary: true, reviews: true, sessions: true, trackers: true } });
+});
+
+// Rule profiles (shared/profiles), as JSON or YAML files.
+const profileStore = createProfileStore({ directory: process.env.RULE_PROFILES_DIR || undefined });
+
+// Analysis history. Every story analysis is stored as a version of its story (see history/).
+const historyStore = createHistoryStore({ filePath: process.env.HISTORY_FILE || undefined });
+
+// Persona catalogue, managed through /api/personas and used by every analysis (see personas/).
+const personaStore = createPersonaStore({ filePath: process.env.PERSONAS_FILE || undefined });
+
+// Domain glossary, managed through /api/glossary and used by every analysis (see glossary/).
+const glossaryStore = createGlossaryStore({ filePath: process.env.GLOSSARY_FILE || undefined });
+
+// Reviewer overrides of analyses, the input of `ba-toolbox calibrate` (see reviews/).
+const reviewStore = createReviewStore({ filePath: process.env.REVIEWS_FILE || undefined });
+
+/**
+ * Resolves the rules for analyses run outside the analyzer API (tracker items, refinement
+ * sessions): the profile with the requested frameworks and locale, plus the persona catalogue
+ * and the glossary.
+ * @throws {RuleProfileError|RangeError} For an unknown profile, framework or locale.
+ */
+async function requestRules({ profile, frameworks, locale }) {
+  let rules = profileStore.get(profile);
+  if (frameworks !== undefined) rules = withEnabledFrameworks(rules, frameworks);
+  if (locale !== undefined) rules = withLocale(rules, locale);
+  return withGlossary(withPersonaCatalogue(rules, await personaStore.list()), await glossaryStore.list());
+}
+
+// Refinement sessions, hosted over WebSockets (see sessions/). Their analyses use the rule-based
+// engine only, so sessions need no LLM provider and the analysis can follow every edit.
+const sessionStore = createSessionStore({ filePath: process.env.SESSIONS_FILE || undefined });
+const sessionHub = createSessionHub({
+  store: sessionStore,
+  analyze: async session => getUserStoryAnalysis(session.story, session.acceptanceCriteria, await requestRules(session)),
+});
+
+// Analyzer API, shared with the Netlify functions (see shared/apiHandlers.js). The routes read
+// their own request body, so they are mounted before express.json(). They are served under
+// /api and under the Netlify function paths, so the frontend works against either backend.
+const api = createApiHandlers({
+  profileStore,
+  provider: createProviderFromEnv(),
+  history: historyStore,
+  personas: personaStore,
+  glossary: glossaryStore,
+});
+const analyzerRouter = express.Router();
+analyzerRouter.all('/analyze-story', toExpressHandler(api.analyzeStory));
+analyzerRouter.all('/analyze-backlog', toExpressHandler(api.analyzeBacklog));
+analyzerRouter.all('/trace-epic', toExpressHandler(api.traceEpic));
+analyzerRouter.all('/export-feature', toExpressHandler(api.exportFeature));
+analyzerRouter.all('/rewrite-story', toExpressHandler(api.rewriteStory));
+analyzerRouter.all('/list-profiles', toExpressHandler(api.listProfiles));
+analyzerRouter.all('/profiles', toExpressHandler(api.listProfiles));
+app.use('/api', analyzerRouter);
+app.use('/.netlify/functions', analyzerRouter);
+
+app.use(express.json()); // Middleware to parse JSON bodies
+
+/**
+ * Sends the status and body for errors raised by the history, persona, glossary, review or
+ * session store, a tracker, a rule profile or an unknown framework or locale.
+ */
+function sendError(res, error) {
+  if (error instanceof HistoryError || error instanceof PersonaError || error instanceof GlossaryError
+    || error instanceof ReviewError || error instanceof SessionError || error instanceof TrackerError) {
+    return sendErrorBody(res, error.statusCode, error.message, error.details);
+  }
+  if (error instanceof RuleProfileError) {
+    return sendErrorBody(res, 400, error.message, error.details, API_ERROR_CODES.INVALID_PROFILE);
+  }
+  // An unknown quality framework or locale.
+  if (error instanceof RangeError) {
+    return sendErrorBody(res, 400, error.message);
+  }
+  console.error('Request failed:', error);
+  sendErrorBody(res, 500, 'Internal Server Error', error.message);
+}
+
+// The `code` each status answers with, as in the shared analyzer routes (see API_ERROR_CODES).
+const STATUS_ERROR_CODES = {
+  400: API_ERROR_CODES.INVALID_REQUEST,
+  403: API_ERROR_CODES.FORBIDDEN,
+  404: API_ERROR_CODES.NOT_FOUND,
+  409: API_ERROR_CODES.CONFLICT,
+  413: API_ERROR_CODES.PAYLOAD_TOO_LARGE,
+  500: API_ERROR_CODES.INTERNAL_ERROR,
+};
+
+/**
+ * Answers with an error body of the same shape as the shared analyzer routes:
+ * `{ error, code, details? }`. Without a `code`, it follows from the status.
+ */
+function sendErrorBody(res, statusCode, message, details, code = STATUS_ERROR_CODES[statusCode] || API_ERROR_CODES.UPSTREAM_ERROR) {
+  const body = { error: message, code };
+  if (details !== undefined) body.details = details;
+  return res.status(statusCode).json(body);
+}
+
+/**
+ * Reads a version number from a route parameter or query string value.
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new HistoryError(`'${value}' is not a valid version number.`);
+  }
+  return version;
+}
+
+app.get('/api/history', async (req, res) => {
+  try {
+    res.json({ stories: await historyStore.listStories() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/history/:storyId', async (req, res) => {
+  try {
+    const story = await historyStore.getStory(req.params.storyId);
+    if (!story) return sendErrorBody(res, 404, `No history for story '${req.params.storyId}'.`);
+    res.json(story);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Compares two versions: GET /api/history/:storyId/compare?from=1&to=3.
+// Without `from`/`to`, the two most recent versions are compared.
+app.get('/api/history/:storyId/compare', async (req, res) => {
+  try {
+    const story = await historyStore.getStory(req.params.storyId);
+    if (!story) return sendErrorBody(res, 404, `No history for story '${req.params.storyId}'.`);
+
+    const latest = story.versions[story.versions.length - 1];
+    const previous = story.versions[story.versions.length - 2];
+    const from = req.query.from !== undefined ? story.versions.find(v => v.version === parseVersion(req.query.from)) : previous;
+    const to = req.query.to !== undefined ? story.versions.find(v => v.version === parseVersion(req.query.to)) : latest;
+    if (!from || !to) {
+      return sendErrorBody(res, 404, story.versions.length < 2 && req.query.from === undefined
+        ? `Story '${req.params.storyId}' has only one version.`
+        : 'Version not found.');
+    }
+    res.json({ storyId: story.storyId, ...compareVersions(from, to) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/history/:storyId/versions/:version', async (req, res) => {
+  try {
+    const version = await historyStore.getVersion(req.params.storyId, parseVersion(req.params.version));
+    if (!version) return sendErrorBody(res, 404, 'Version not found.');
+    res.json({ storyId: req.params.storyId, ...version });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Renders the report of a stored version: GET /api/history/:storyId/report?version=2&format=html.
+// Without `version`, the latest version is rendered. HTML reports open in the browser; the
+// dashboard links to them.
+app.get('/api/history/:storyId/report', async (req, res) => {
+  try {
+    const story = await historyStore.getStory(req.params.storyId);
+    if (!story) return sendErrorBody(res, 404, `No history for story '${req.params.storyId}'.`);
+    const version = req.query.version !== undefined
+      ? story.versions.find(v => v.version === parseVersion(req.query.version))
+      : story.versions[story.versions.length - 1];
+    if (!version) return sendErrorBody(res, 404, 'Version not found.');
+    const format = req.query.format || 'html';
+    if (!REPORT_FORMATS[format]) {
+      return sendErrorBody(res, 400, `Unsupported format '${format}'. Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}.`);
+    }
+
+    // The report uses the profile and language the version was analyzed with; a profile that
+    // has since been removed falls back to the default.
+    let rules;
+    try {
+      rules = profileStore.get(version.profile);
+    } catch (error) {
+      if (!(error instanceof RuleProfileError)) throw error;
+      rules = profileStore.get();
+    }
+    if (version.analysis.locale) rules = withLocale(rules, version.analysis.locale);
+    const report = renderStoryReport(version.analysis, format, {
+      rules,
+      story: version.story,
+      acceptanceCriteria: version.acceptanceCriteria,
+      title: story.title || story.storyId,
+      generatedAt: new Date(version.createdAt),
+    });
+    const disposition = format.endsWith('html') ? 'inline' : 'attachment';
+    res.set({ 'Content-Type': report.contentType, 'Content-Disposition': `${disposition}; filename="${report.fileName}"` });
+    res.send(report.content instanceof Uint8Array ? Buffer.from(report.content) : report.content);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/history/:storyId', async (req, res) => {
+  try {
+    const deleted = await historyStore.deleteStory(req.params.storyId);
+    if (!deleted) return sendErrorBody(res, 404, `No history for story '${req.params.storyId}'.`);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/history/:storyId/versions/:version', async (req, res) => {
+  try {
+    const deleted = await historyStore.deleteVersion(req.params.storyId, parseVersion(req.params.version));
+    if (!deleted) return sendErrorBody(res, 404, 'Version not found.');
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Persona catalogue. Stories are checked against these personas and the rule profile's own.
+app.get('/api/personas', async (req, res) => {
+  try {
+    res.json({ personas: await personaStore.list() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/personas', async (req, res) => {
+  try {
+    res.status(201).json(await personaStore.create(req.body || {}));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/personas/:id', async (req, res) => {
+  try {
+    const persona = await personaStore.get(req.params.id);
+    if (!persona) return sendErrorBody(res, 404, `No persona '${req.params.id}'.`);
+    res.json(persona);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put('/api/personas/:id', async (req, res) => {
+  try {
+    const persona = await personaStore.update(req.params.id, req.body || {});
+    if (!persona) return sendErrorBody(res, 404, `No persona '${req.params.id}'.`);
+    res.json(persona);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/personas/:id', async (req, res) => {
+  try {
+    const deleted = await personaStore.delete(req.params.id);
+    if (!deleted) return sendErrorBody(res, 404, `No persona '${req.params.id}'.`);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Domain glossary. Terms are suggested in place of their synonyms and forbidden aliases.
+app.get('/api/glossary', async (req, res) => {
+  try {
+    res.json({ terms: await glossaryStore.list() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/glossary', async (req, res) => {
+  try {
+    res.status(201).json(await glossaryStore.create(req.body || {}));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Imports a CSV glossary, sent as text/csv (add ?replace=true to replace the glossary) or as
+// JSON { csv, replace }.
+app.post('/api/glossary/import', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const isText = typeof req.body === 'string';
+    const csv = isText ? req.body : (req.body || {}).csv;
+    if (typeof csv !== 'string' || csv.trim() === '') {
+      return sendErrorBody(res, 400, "Send the CSV as a text/csv body or as 'csv' in a JSON body.");
+    }
+    const replace = isText ? req.query.replace === 'true' : (req.body || {}).replace === true;
+    res.json(await glossaryStore.importCsv(csv, { replace }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/glossary/:id', async (req, res) => {
+  try {
+    const term = await glossaryStore.get(req.params.id);
+    if (!term) return sendErrorBody(res, 404, `No glossary term '${req.params.id}'.`);
+    res.json(term);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put('/api/glossary/:id', async (req, res) => {
+  try {
+    const term = await glossaryStore.update(req.params.id, req.body || {});
+    if (!term) return sendErrorBody(res, 404, `No glossary term '${req.params.id}'.`);
+    res.json(term);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-  // The analyzeUserStory function handles empty story, so direct call is fine.
-  // It expects acceptanceCriteria to be a string, potentially empty or multi-line.
-  // const analysisResult = analyzeUserStory(story, acceptanceCriteria); // analyzeUserStory is no longer imported here
+app.delete('/api/glossary/:id', async (req, res) => {
+  try {
+    const deleted = await glossaryStore.delete(req.params.id);
+    if (!deleted) return sendErrorBody(res, 404, `No glossary term '${req.params.id}'.`);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Backlog readiness dashboard over the analysis history: GET /api/dashboard?team=&interval=week&profile=.
+// `profile` picks the readiness categories and INVEST thresholds the stories are grouped by.
+app.get('/api/dashboard', async (req, res) => {
+  try {
+    const { team, interval, profile } = req.query;
+    const dashboard = buildDashboard(await historyStore.listStoriesWithVersions(), profileStore.get(profile), { team, interval });
+    res.json(dashboard);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Reviewer overrides. GET /api/reviews takes optional storyId and reviewer filters.
+app.get('/api/reviews', async (req, res) => {
+  try {
+    const { storyId, reviewer } = req.query;
+    res.json({ reviews: await reviewStore.list({ storyId, reviewer }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/reviews', async (req, res) => {
+  try {
+    res.status(201).json(await reviewStore.create(req.body || {}));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/reviews/:id', async (req, res) => {
+  try {
+    const review = await reviewStore.get(req.params.id);
+    if (!review) return sendErrorBody(res, 404, `No review '${req.params.id}'.`);
+    res.json(review);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/reviews/:id', async (req, res) => {
+  try {
+    const deleted = await reviewStore.delete(req.params.id);
+    if (!deleted) return sendErrorBody(res, 404, `No review '${req.params.id}'.`);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Refinement sessions. Participants join a session over its WebSocket,
+// /api/sessions/:id/socket; an ended session holds its `summary`.
+app.get('/api/sessions', async (req, res) => {
+  try {
+    res.json({ sessions: await sessionStore.list() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/sessions', async (req, res) => {
+  try {
+    const fields = toSessionFields(req.body || {});
+    // An unknown profile or locale is refused before the session starts.
+    await requestRules(fields);
+    const session = await sessionStore.create(fields);
+    // Only the creator learns the creator's participant ID; joining with it lets them end the session.
+    res.status(201).json({ ...toPublicSession(session), participantId: session.creatorId });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/sessions/:id', async (req, res) => {
+  try {
+    const session = await sessionStore.get(req.params.id);
+    if (!session) return sendErrorBody(res, 404, `No session '${req.params.id}'.`);
+    res.json(toPublicSession(session));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Tracker integration (Jira, Azure DevOps)
+// Connection settings come from trackers.config.json; see trackers.config.example.json.
+const trackerConfig = loadTrackerConfig();
+
+app.get('/api/trackers', (req, res) => {
+  const trackers = Object.entries(trackerConfig).map(([name, config]) => ({ name, type: config.type, baseUrl: config.baseUrl }));
+  res.json({ trackers });
+});
+
+app.post('/api/trackers/:tracker/analyze', async (req, res) => {
+  const config = trackerConfig[req.params.tracker];
+  if (!config) {
+    return sendErrorBody(res, 404, `Tracker '${req.params.tracker}' is not configured.`);
+  }
+
+  const { keys, query, writeBack, profile, frameworks, locale } = req.body || {};
+  const hasKeys = Array.isArray(keys) && keys.length > 0;
+  if (!hasKeys && (typeof query !== 'string' || query.trim() === '')) {
+    return sendErrorBody(res, 400, "Provide either a non-empty 'keys' array or a 'query' (JQL for Jira, WIQL for Azure DevOps).");
+  }
+  if (frameworks !== undefined && !(Array.isArray(frameworks) && frameworks.every(id => typeof id === 'string'))) {
+    return sendErrorBody(res, 400, "'frameworks' must be an array of quality framework IDs.");
+  }
+  if (locale !== undefined && typeof locale !== 'string') {
+    return sendErrorBody(res, 400, "'locale' must be a string.");
+  }
+
+  try {
+    const rules = await requestRules({ profile, frameworks, locale });
+    const adapter = createTrackerAdapter(config);
+    const results = await analyzeTrackerItems(adapter, { keys: hasKeys ? keys : undefined, query, writeBack, rules, history: historyStore });
+    res.json({ tracker: req.params.tracker, results });
+  } catch (error) {
+    if (error instanceof TrackerError) console.error('Tracker request failed:', error);
+    sendError(res, error);
+  }
+});
 
-  // res.json(analysisResult);
-  res.status(501).json({ message: "This endpoint is now served by a Netlify Function." });
+// A malformed or oversized JSON body (express.json()) gets the same error body as other errors.
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return sendErrorBody(res, 400, 'Invalid JSON in request body.', undefined, API_ERROR_CODES.INVALID_BODY);
+  }
+  if (error.type === 'entity.too.large') return sendErrorBody(res, 413, 'Request body is too large.');
+  next(error);
 });
-*/
 
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
 });
+sessionHub.attach(server);
@@ -0,0 +1,7 @@
+// business-analysis-app/backend/sessions/index.js
+
+const { createSessionStore, DEFAULT_SESSIONS_PATH } = require('./sessionStore');
+const { createSessionHub, CLOSE_CODES } = require('./sessionHub');
+const { toSessionFields, toPublicSession, SessionError } = require('./refinementSession');
+
+module.exports = { createSessionStore, createSessionHub, toSessionFields, toPublicSession, SessionError, DEFAULT_SESSIONS_PATH, CLOSE_CODES };
@@ -0,0 +1,320 @@
+// business-analysis-app/backend/sessions/refinementSession.js
+
+// The state of a refinement session and the changes participants make to it. A session holds
+// the story and AC being refined, the votes on the analysis's open queries, the queries that
+// were resolved (with a note) and a log of those decisions. Participants are identified by the
+// participant ID the server issues when they first join; they send it again to rejoin, so a
+// vote survives a reconnect. The name is only for display.
+
+const crypto = require('crypto');
+const { stems } = require('../../shared/storySplitting');
+const { API_LIMITS } = require('../../shared/apiHandlers');
+
+const MAX_NAME_LENGTH = 60;
+// Length limits of the session's texts. The story and AC have the limits of the HTTP routes,
+// so a session's text can be analyzed there too.
+const TEXT_LIMITS = {
+  title: 200,
+  story: API_LIMITS.MAX_STORY_LENGTH,
+  acceptanceCriteria: API_LIMITS.MAX_ACCEPTANCE_CRITERIA_LENGTH,
+  note: 2000,
+};
+// A reworded query keeps its ID when it shares this much (0-1) of its words with the old text.
+const QUERY_MATCH_SIMILARITY = 0.5;
+
+/**
+ * Raised for invalid session requests and messages. `statusCode` is the status our API
+ * should answer with.
+ */
+class SessionError extends Error {
+  constructor(message, statusCode = 400, details = []) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Jaccard similarity of the word stems of two queries, from 0 to 1.
+ */
+function querySimilarity(a, b) {
+  const stemsA = stems(a);
+  const stemsB = stems(b);
+  const shared = [...stemsA].filter((stem) => stemsB.has(stem)).length;
+  const union = new Set([...stemsA, ...stemsB]).size;
+  return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Checks a text field against its limit in TEXT_LIMITS.
+ * @returns {string|null} The problem, worded like the HTTP routes' (see checkText in
+ *   shared/apiHandlers.js), or null.
+ */
+function lengthError(value, field) {
+  const limit = TEXT_LIMITS[field];
+  return limit !== undefined && value.length > limit ? `'${field}' is ${value.length} characters long. The limit is ${limit}.` : null;
+}
+
+/**
+ * Checks the body of a new session and returns its fields.
+ * @param {{title?: string, story?: string, acceptanceCriteria?: string, profile?: string, locale?: string}} input
+ */
+function toSessionFields(input) {
+  const errors = [];
+  ['title', 'story', 'acceptanceCriteria', 'profile', 'locale'].forEach((field) => {
+    if (input[field] === undefined) return;
+    const problem = typeof input[field] !== 'string' ? `'${field}' must be a string.` : lengthError(input[field], field);
+    if (problem) errors.push(problem);
+  });
+  if (errors.length > 0) throw new SessionError('Invalid session.', 400, errors);
+  const { title = '', story = '', acceptanceCriteria = '', profile, locale } = input;
+  return { title: title.trim(), story, acceptanceCriteria, profile, locale };
+}
+
+/**
+ * Creates a new, open session. `creatorId` is the participant ID of whoever started it: it is
+ * returned to them only, and they join with it to be allowed to end the session.
+ */
+function createSession(input) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    ...toSessionFields(input),
+    status: 'open',
+    creatorId: crypto.randomUUID(),
+    participants: [],
+    // The story and AC version, raised by every edit (see applySessionMessage).
+    version: 1,
+    editedBy: null,
+    editRunStart: 1,
+    queryIndex: [],
+    votes: {},
+    resolutions: {},
+    decisions: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Gives the queries of a new analysis their IDs. A query keeps its ID while the analysis
+ * raises it with the same text, or reworded after an edit (e.g. with other terms quoted), so
+ * its votes and resolution follow it. New queries get a new ID. Queries the analysis no
+ * longer raises are forgotten unless they have votes or a resolution. Changes the session's
+ * `queryIndex` in place.
+ * @param {object} session
+ * @param {object|null} analysis
+ */
+function trackQueries(session, analysis) {
+  const current = analysis ? analysis.outstandingQueriesAndConflicts : [];
+  const unmatched = [...session.queryIndex];
+  const take = (entry) => unmatched.splice(unmatched.indexOf(entry), 1)[0];
+  const exact = current.map((text) => {
+    const entry = unmatched.find((e) => e.text === text);
+    return entry ? take(entry) : null;
+  });
+  const tracked = current.map((text, index) => {
+    if (exact[index]) return exact[index];
+    const [best] = unmatched
+      .map((entry) => ({ entry, similarity: querySimilarity(entry.text, text) }))
+      .filter((match) => match.similarity >= QUERY_MATCH_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity);
+    if (best) return { id: take(best.entry).id, text };
+    return { id: crypto.randomUUID().slice(0, 8), text };
+  });
+  const kept = unmatched.filter((entry) => (session.votes[entry.id] || []).length > 0 || session.resolutions[entry.id]);
+  session.queryIndex = [...tracked.map((entry) => ({ ...entry, inAnalysis: true })), ...kept.map((entry) => ({ ...entry, inAnalysis: false }))];
+}
+
+/**
+ * Lists the session's queries (see trackQueries): the open queries of the current analysis
+ * with their votes, followed by resolved queries the analysis no longer raises.
+ * @param {object} session
+ * @returns {Array<{id: string, text: string, votes: number, voters: string[], voterIds: string[], status: 'open'|'resolved', resolution: object|null, inAnalysis: boolean}>}
+ *   `voters` are the voters' names and `voterIds` their participant IDs.
+ */
+function listQueries(session) {
+  const nameOf = (id) => {
+    const participant = session.participants.find((p) => p.id === id);
+    return participant ? participant.name : '';
+  };
+  return session.queryIndex
+    .filter((entry) => entry.inAnalysis || session.resolutions[entry.id])
+    .map(({ id, text, inAnalysis }) => {
+      const voterIds = session.votes[id] || [];
+      const stored = session.resolutions[id];
+      const resolution = stored ? { query: stored.query, note: stored.note, resolvedBy: stored.resolvedBy, resolvedAt: stored.resolvedAt } : null;
+      return { id, text, votes: voterIds.length, voters: voterIds.map(nameOf), voterIds, status: resolution ? 'resolved' : 'open', resolution, inAnalysis };
+    });
+}
+
+/**
+ * Adds a participant to the session, or finds the one rejoining. A participant rejoins with
+ * the ID they were given; an unknown ID is ignored and a new one issued, except the creator's.
+ * @param {object} session - Changed in place.
+ * @param {string} name - The checked name (see toParticipantName).
+ * @param {string} [participantId] - The ID the participant had.
+ * @returns {{id: string, name: string}} The participant.
+ */
+function joinSession(session, name, participantId) {
+  let participant = session.participants.find((p) => p.id === participantId);
+  if (!participant) {
+    participant = { id: participantId === session.creatorId ? participantId : crypto.randomUUID(), name };
+    session.participants.push(participant);
+  }
+  participant.name = name;
+  return participant;
+}
+
+/**
+ * Tells whether an edit is based on an outdated story and AC. Edits name the `baseVersion`
+ * they were made on. One participant's edits in a row may be based on a version their own
+ * earlier edits have since replaced; anyone else's edit in between makes them stale.
+ */
+function isStaleEdit(session, participant, baseVersion) {
+  if (baseVersion === session.version) return false;
+  return !(session.editedBy === participant.id && baseVersion >= session.editRunStart && baseVersion < session.version);
+}
+
+/**
+ * Checks a participant's name.
+ * @returns {string} The trimmed name.
+ */
+function toParticipantName(name) {
+  if (typeof name !== 'string' || name.trim() === '') throw new SessionError("'name' must be a non-empty string.");
+  if (name.trim().length > MAX_NAME_LENGTH) throw new SessionError(`'name' must be at most ${MAX_NAME_LENGTH} characters.`);
+  return name.trim();
+}
+
+/**
+ * Applies a participant's message to an open session. The session is changed in place.
+ * Votes and resolutions refer to the queries of the last analysis (see trackQueries).
+ * @param {object} session
+ * @param {{id: string, name: string}} participant - The participant sending the message.
+ * @param {{type: string}} message - `edit`, `vote`, `resolve` or `reopen`.
+ * @returns {boolean} Whether the story or AC changed, so the session needs a new analysis.
+ * @throws {SessionError} If the message is invalid, or 409 for an edit of an outdated text.
+ */
+function applySessionMessage(session, participant, message) {
+  const findQuery = (id) => {
+    const query = listQueries(session).find((q) => q.id === id);
+    if (!query) throw new SessionError(`No query '${id}' in this session.`, 404);
+    return query;
+  };
+  const now = new Date().toISOString();
+  let textChanged = false;
+
+  switch (message.type) {
+    case 'edit': {
+      if (!Number.isInteger(message.baseVersion)) throw new SessionError("'baseVersion' must be the version the edit was made on.");
+      const fields = ['story', 'acceptanceCriteria'].filter((field) => message[field] !== undefined);
+      fields.forEach((field) => {
+        if (typeof message[field] !== 'string') throw new SessionError(`'${field}' must be a string.`);
+        const tooLong = lengthError(message[field], field);
+        if (tooLong) throw new SessionError(tooLong);
+      });
+      if (isStaleEdit(session, participant, message.baseVersion)) {
+        throw new SessionError(`Your edit was not applied: the text was changed by someone else (version ${session.version}).`, 409);
+      }
+      textChanged = fields.some((field) => session[field] !== message[field]);
+      if (!textChanged) break;
+      fields.forEach((field) => { session[field] = message[field]; });
+      if (session.editedBy !== participant.id) {
+        session.editedBy = participant.id;
+        session.editRunStart = session.version;
+      }
+      session.version++;
+      break;
+    }
+    case 'vote': {
+      if (typeof message.vote !== 'boolean') throw new SessionError("'vote' must be true or false.");
+      const query = findQuery(message.queryId);
+      const voterIds = query.voterIds.filter((id) => id !== participant.id);
+      if (message.vote) voterIds.push(participant.id);
+      session.votes[query.id] = voterIds;
+      break;
+    }
+    case 'resolve': {
+      if (typeof message.note !== 'string' || message.note.trim() === '') throw new SessionError("'note' must be a non-empty string.");
+      const tooLong = lengthError(message.note, 'note');
+      if (tooLong) throw new SessionError(tooLong);
+      const query = findQuery(message.queryId);
+      const resolution = { query: query.text, note: message.note.trim(), resolvedById: participant.id, resolvedBy: participant.name, resolvedAt: now };
+      session.resolutions[query.id] = resolution;
+      session.decisions.push({ type: 'resolved', queryId: query.id, query: query.text, note: resolution.note, by: participant.name, at: now, votes: query.votes });
+      break;
+    }
+    case 'reopen': {
+      const query = findQuery(message.queryId);
+      if (query.status !== 'resolved') throw new SessionError(`Query '${query.id}' is not resolved.`, 409);
+      delete session.resolutions[query.id];
+      session.decisions.push({ type: 'reopened', queryId: query.id, query: query.text, by: participant.name, at: now });
+      break;
+    }
+    default:
+      throw new SessionError(`Unknown message type '${message.type}'.`);
+  }
+  session.updatedAt = now;
+  return textChanged;
+}
+
+/**
+ * Ends a session and records its summary: the final story and AC, their readiness, the
+ * decisions log and the queries left open. Only the session's creator may end it.
+ * @param {object} session - Changed in place; its queries must be tracked for `analysis`.
+ * @param {object|null} analysis - The analysis of the final story and AC.
+ * @param {{id: string, name: string}} participant - The participant ending the session.
+ * @returns {object} The summary.
+ * @throws {SessionError} 403 if the participant did not start the session.
+ */
+function endSession(session, analysis, participant) {
+  if (participant.id !== session.creatorId) throw new SessionError('Only the participant who started the session can end it.', 403);
+  const now = new Date().toISOString();
+  const readiness = analysis ? analysis.overallReadinessScore : null;
+  session.status = 'ended';
+  session.endedAt = now;
+  session.updatedAt = now;
+  session.summary = {
+    story: session.story,
+    acceptanceCriteria: session.acceptanceCriteria,
+    readinessRating: readiness ? readiness.readinessRating : null,
+    readinessCategoryId: readiness ? readiness.readinessCategoryId : null,
+    readinessCategory: readiness ? readiness.readinessCategory : null,
+    decisions: session.decisions,
+    openQueries: listQueries(session)
+      .filter((query) => query.status === 'open')
+      .map(({ text, votes }) => ({ query: text, votes })),
+    participants: session.participants.map((p) => p.name),
+    endedBy: participant.name,
+    endedAt: now,
+  };
+  return session.summary;
+}
+
+/**
+ * Returns a session without what identifies its participants (their IDs, the creator's ID
+ * and who voted), for responses anyone with the session's link can read.
+ */
+function toPublicSession(session) {
+  const { creatorId, participants, votes, queryIndex, editedBy, editRunStart, resolutions, ...rest } = session;
+  return {
+    ...rest,
+    participants: participants.map((p) => p.name),
+    resolutions: Object.fromEntries(Object.entries(resolutions).map(([id, { resolvedById, ...resolution }]) => [id, resolution])),
+  };
+}
+
+module.exports = {
+  createSession,
+  toSessionFields,
+  trackQueries,
+  listQueries,
+  joinSession,
+  applySessionMessage,
+  endSession,
+  toParticipantName,
+  toPublicSession,
+  SessionError,
+  TEXT_LIMITS,
+};
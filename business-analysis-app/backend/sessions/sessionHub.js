@@ -0,0 +1,238 @@
+// business-analysis-app/backend/sessions/sessionHub.js
+
+// Hosts refinement sessions over WebSockets at /api/sessions/:id/socket. Every participant of a
+// session gets the full session after each change; the protocol is described in the README.
+
+const { WebSocketServer } = require('ws');
+const {
+  trackQueries, listQueries, joinSession, applySessionMessage, endSession, toParticipantName, toPublicSession, SessionError,
+} = require('./refinementSession');
+
+const SOCKET_PATH_REGEX = /^\/api\/sessions\/([\w-]{1,64})\/socket$/;
+// Edits are shared at once; the analysis and the saved copy catch up once typing pauses.
+const ANALYSIS_DELAY_MS = 300;
+const SAVE_DELAY_MS = 1000;
+// Connections that miss a ping are dropped, so they leave the participant list.
+const HEARTBEAT_INTERVAL_MS = 30000;
+// Room for an edit of the longest story and AC (see TEXT_LIMITS in refinementSession.js),
+// even with every character escaped in the JSON.
+const MAX_MESSAGE_BYTES = 256 * 1024;
+
+// Close codes: 1000 once a session has ended, 4404 for a session that does not exist.
+const CLOSE_CODES = { ENDED: 1000, NOT_FOUND: 4404 };
+
+/**
+ * Creates the session hub.
+ * @param {object} deps
+ * @param {object} deps.store - The session store (see sessionStore.js).
+ * @param {function(object): Promise<object|null>} deps.analyze - Analyzes a session's story and AC.
+ */
+function createSessionHub({ store, analyze }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+  // Sessions with connected participants, by ID: { session, analysis, clients, timers }.
+  const live = new Map();
+  const opening = new Map();
+
+  // Sets the session's analysis and gives its queries their IDs.
+  function setAnalysis(entry, analysis) {
+    entry.analysis = analysis;
+    trackQueries(entry.session, analysis);
+  }
+
+  // Loads a session into `live` for its first connection; later connections share it.
+  async function open(id) {
+    if (live.has(id)) return live.get(id);
+    if (!opening.has(id)) {
+      opening.set(id, (async () => {
+        const session = await store.get(id);
+        if (!session) return null;
+        const entry = { session, analysis: null, clients: new Set(), timers: {} };
+        if (session.status === 'open') {
+          setAnalysis(entry, await analyze(session).catch(() => null));
+          live.set(id, entry);
+        }
+        return entry;
+      })().finally(() => opening.delete(id)));
+    }
+    return opening.get(id);
+  }
+
+  function send(client, message) {
+    if (client.socket.readyState === client.socket.OPEN) client.socket.send(JSON.stringify(message));
+  }
+
+  // Each participant gets their own copy of the session: it tells which queries they voted on,
+  // whether they made the last edit and whether they may end the session, without revealing
+  // anyone else's participant ID.
+  function snapshot(entry, client) {
+    const { session } = entry;
+    const participantId = client.participant ? client.participant.id : null;
+    const connected = new Map([...entry.clients].filter(c => c.participant).map(c => [c.participant.id, c.participant.name]));
+    const editor = session.participants.find(p => p.id === session.editedBy);
+    return {
+      type: 'session',
+      session: {
+        ...toPublicSession(session),
+        connected: [...connected.values()],
+        analysis: entry.analysis,
+        queries: listQueries(session).map(({ voterIds, ...query }) => ({ ...query, voted: voterIds.includes(participantId) })),
+        editedBy: editor ? editor.name : null,
+        editedByYou: participantId !== null && session.editedBy === participantId,
+        isCreator: participantId !== null && participantId === session.creatorId,
+      },
+    };
+  }
+
+  function broadcast(entry) {
+    entry.clients.forEach(client => send(client, snapshot(entry, client)));
+  }
+
+  function saveLater(entry) {
+    clearTimeout(entry.timers.save);
+    entry.timers.save = setTimeout(() => {
+      store.save(entry.session).catch(error => console.error('Saving the session failed:', error));
+    }, SAVE_DELAY_MS);
+  }
+
+  function analyzeLater(entry) {
+    clearTimeout(entry.timers.analysis);
+    entry.timers.analysis = setTimeout(async () => {
+      try {
+        setAnalysis(entry, await analyze(entry.session));
+      } catch (error) {
+        setAnalysis(entry, null);
+        entry.clients.forEach(client => send(client, { type: 'error', error: `The story could not be analyzed: ${error.message}` }));
+      }
+      if (live.get(entry.session.id) === entry) broadcast(entry);
+    }, ANALYSIS_DELAY_MS);
+  }
+
+  // Saves the session and stops its timers once it is ended or the last participant leaves.
+  async function close(entry) {
+    clearTimeout(entry.timers.analysis);
+    clearTimeout(entry.timers.save);
+    live.delete(entry.session.id);
+    await store.save(entry.session);
+  }
+
+  async function handleMessage(entry, client, message) {
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+      throw new SessionError("Messages must be JSON objects with a 'type'.");
+    }
+    if (message.type === 'join') {
+      const name = toParticipantName(message.name);
+      if (message.participantId !== undefined && typeof message.participantId !== 'string') {
+        throw new SessionError("'participantId' must be the participant ID you were given.");
+      }
+      client.participant = joinSession(entry.session, name, message.participantId);
+      send(client, { type: 'welcome', participantId: client.participant.id });
+      saveLater(entry);
+      broadcast(entry);
+      return;
+    }
+    if (!client.participant) throw new SessionError("Send a 'join' message with your name first.");
+
+    if (message.type === 'end') {
+      setAnalysis(entry, await analyze(entry.session).catch(() => entry.analysis));
+      endSession(entry.session, entry.analysis, client.participant);
+      await close(entry);
+      broadcast(entry);
+      entry.clients.forEach(c => c.socket.close(CLOSE_CODES.ENDED, 'Session ended'));
+      return;
+    }
+
+    if (applySessionMessage(entry.session, client.participant, message)) analyzeLater(entry);
+    saveLater(entry);
+    broadcast(entry);
+  }
+
+  async function handleConnection(socket, id) {
+    const client = { participant: null, socket, isAlive: true };
+    socket.on('pong', () => { client.isAlive = true; });
+    // ws closes the connection itself, e.g. with 1009 for a message over MAX_MESSAGE_BYTES.
+    // Without a listener, the error would end the process.
+    socket.on('error', () => {});
+
+    // Messages are handled in order, after the session has loaded and the client has been
+    // added to it below.
+    let queue = open(id).catch((error) => {
+      console.error('Opening the session failed:', error);
+      return null;
+    });
+    const entryPromise = queue;
+    socket.on('message', (data) => {
+      queue = queue.then(async (entry) => {
+        if (!entry || entry.session.status !== 'open') return entry;
+        try {
+          let message;
+          try {
+            message = JSON.parse(data.toString());
+          } catch (error) {
+            throw new SessionError('Messages must be JSON.');
+          }
+          await handleMessage(entry, client, message);
+        } catch (error) {
+          if (!(error instanceof SessionError)) console.error('Session message failed:', error);
+          send(client, error instanceof SessionError
+            ? { type: 'error', error: error.message, details: error.details }
+            : { type: 'error', error: 'Internal Server Error', details: [error.message] });
+        }
+        return entry;
+      });
+    });
+
+    const entry = await entryPromise;
+    if (!entry) {
+      send(client, { type: 'error', error: `No session '${id}'.` });
+      socket.close(CLOSE_CODES.NOT_FOUND, 'No such session');
+      return;
+    }
+    if (entry.session.status !== 'open') {
+      send(client, snapshot(entry, client));
+      socket.close(CLOSE_CODES.ENDED, 'Session ended');
+      return;
+    }
+    // The participant may have left while the session was loading.
+    if (socket.readyState !== socket.OPEN) return;
+    entry.clients.add(client);
+    send(client, snapshot(entry, client));
+
+    socket.on('close', () => {
+      entry.clients.delete(client);
+      if (entry.session.status !== 'open') return;
+      if (entry.clients.size === 0) {
+        close(entry).catch(error => console.error('Saving the session failed:', error));
+      } else {
+        broadcast(entry);
+      }
+    });
+  }
+
+  const heartbeat = setInterval(() => {
+    live.forEach(entry => entry.clients.forEach((client) => {
+      if (!client.isAlive) return client.socket.terminate();
+      client.isAlive = false;
+      client.socket.ping();
+    }));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  return {
+    /**
+     * Accepts session WebSockets on an HTTP server. Other upgrade requests are refused.
+     * @param {import('http').Server} server
+     */
+    attach(server) {
+      server.on('upgrade', (req, socket, head) => {
+        const match = SOCKET_PATH_REGEX.exec(new URL(req.url, 'http://localhost').pathname);
+        if (!match) {
+          socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+          return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => handleConnection(ws, match[1]));
+      });
+    },
+  };
+}
+
+module.exports = { createSessionHub, CLOSE_CODES, MAX_MESSAGE_BYTES };
@@ -0,0 +1,74 @@
+// business-analysis-app/backend/sessions/sessionStore.js
+
+const path = require('path');
+const { createJsonFileStore, findRecord } = require('../jsonFileStore');
+const { createSession } = require('./refinementSession');
+
+const DEFAULT_SESSIONS_PATH = path.join(__dirname, '..', 'data', 'sessions.json');
+
+/**
+ * Summarizes a stored session for list views.
+ */
+function summarizeSession(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    status: session.status,
+    decisionCount: session.decisions.length,
+    readinessRating: session.summary ? session.summary.readinessRating : null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    endedAt: session.endedAt || null,
+  };
+}
+
+/**
+ * Creates a store that keeps refinement sessions, and the summaries of ended ones, in a JSON
+ * file. Only one server process should use the file (see createJsonFileStore).
+ * @param {{filePath?: string}} [options]
+ */
+function createSessionStore({ filePath = DEFAULT_SESSIONS_PATH } = {}) {
+  const { load, mutate } = createJsonFileStore({ filePath, maps: ['sessions'] });
+
+  return {
+    /** @returns {Promise<object[]>} Summaries of every session, newest first. */
+    async list() {
+      const { sessions } = await load();
+      return Object.values(sessions)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(summarizeSession);
+    },
+
+    /** @returns {Promise<object|null>} One session, or null. */
+    async get(id) {
+      const { sessions } = await load();
+      return findRecord(sessions, id);
+    },
+
+    /**
+     * Starts a session.
+     * @param {{title?: string, story?: string, acceptanceCriteria?: string, profile?: string, locale?: string}} input
+     * @returns {Promise<object>} The stored session, with its `id`.
+     */
+    async create(input) {
+      const session = createSession(input);
+      return mutate(({ sessions }) => {
+        sessions[session.id] = session;
+        return session;
+      });
+    },
+
+    /**
+     * Stores the current state of a session (see refinementSession.js).
+     * @returns {Promise<object>}
+     */
+    async save(session) {
+      return mutate(({ sessions }) => {
+        sessions[session.id] = session;
+        return session;
+      });
+    },
+  };
+}
+
+module.exports = { createSessionStore, DEFAULT_SESSIONS_PATH };
@@ -0,0 +1,43 @@
+// business-analysis-app/backend/test/glossaryStore.test.js
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGlossaryStore } = require('../glossary');
+
+describe('glossary store', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'glossary-'));
+    store = createGlossaryStore({ filePath: path.join(directory, 'glossary.json') });
+  });
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('stores a term whose ID names an object internal as an ordinary term', async () => {
+    const entry = await store.create({ term: 'Constructor', definition: 'The firm that builds the site.' });
+
+    assert.equal(entry.id, 'constructor');
+    assert.equal((await store.get('constructor')).definition, 'The firm that builds the site.');
+    assert.equal({}.definition, undefined);
+  });
+
+  test('does not find inherited properties as terms', async () => {
+    assert.equal(await store.get('__proto__'), null);
+    assert.equal(await store.get('toString'), null);
+    assert.equal(await store.update('valueOf', { term: 'Order' }), null);
+    assert.equal(await store.delete('constructor'), false);
+  });
+
+  test('imports a CSV row for an object-internal ID as an ordinary term', async () => {
+    const result = await store.importCsv('term,definition\nConstructor,The firm that builds the site.\nPrototype,A first working version.\n');
+
+    assert.equal(result.imported, 2);
+    assert.deepEqual(result.terms.map((t) => t.id), ['constructor', 'prototype']);
+    assert.equal({}.term, undefined);
+    assert.equal((await store.get('prototype')).term, 'Prototype');
+  });
+});
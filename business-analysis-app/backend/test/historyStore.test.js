@@ -0,0 +1,60 @@
+// business-analysis-app/backend/test/historyStore.test.js
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistoryStore, HistoryError } = require('../history');
+
+const ANALYSIS = { overallReadinessScore: { readinessRating: 71, readinessCategoryId: 'at-standard' } };
+
+function version(storyId) {
+  return { storyId, story: 'As a shopper, I want to save my cart, so that I can buy later.', profile: 'default', analysis: ANALYSIS };
+}
+
+describe('history store', () => {
+  let directory;
+  let filePath;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    filePath = path.join(directory, 'history.json');
+    store = createHistoryStore({ filePath });
+  });
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('numbers the versions of a story', async () => {
+    await store.addVersion(version('SHOP-1'));
+    const second = await store.addVersion(version('SHOP-1'));
+
+    assert.equal(second.version, 2);
+    assert.equal((await store.getStory('SHOP-1')).versions.length, 2);
+  });
+
+  test('rejects story IDs that name object internals', async () => {
+    for (const storyId of ['__proto__', 'constructor', 'prototype']) {
+      await assert.rejects(store.addVersion(version(storyId)), (error) => error instanceof HistoryError && error.statusCode === 400);
+    }
+    assert.equal({}.versions, undefined);
+    assert.deepEqual(await store.listStories(), []);
+  });
+
+  test('does not find inherited properties as stories', async () => {
+    assert.equal(await store.getStory('constructor'), null);
+    assert.equal(await store.getStory('toString'), null);
+    assert.equal(await store.getVersion('__proto__', 1), null);
+    assert.equal(await store.deleteStory('hasOwnProperty'), false);
+  });
+
+  test('reads a stored __proto__ key as data, not as the prototype', async () => {
+    const record = { storyId: '__proto__', title: '', team: '', createdAt: '2026-01-01T00:00:00.000Z', nextVersion: 2, versions: [{ version: 1, analysis: ANALYSIS, createdAt: '2026-01-01T00:00:00.000Z' }] };
+    fs.writeFileSync(filePath, `{"stories": {"__proto__": ${JSON.stringify(record)}}}`);
+
+    await store.addVersion(version('SHOP-1'));
+
+    assert.equal({}.storyId, undefined);
+    assert.deepEqual((await store.listStories()).map((story) => story.storyId).sort(), ['SHOP-1', '__proto__']);
+  });
+});
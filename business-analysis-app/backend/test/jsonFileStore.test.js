@@ -0,0 +1,69 @@
+// business-analysis-app/backend/test/jsonFileStore.test.js
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFileStore, findRecord, isReservedKey } = require('../jsonFileStore');
+
+describe('JSON file store', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+    filePath = path.join(directory, 'nested', 'data.json');
+  });
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('starts with empty maps and lists when the file does not exist', async () => {
+    const { load } = createJsonFileStore({ filePath, maps: ['items'], lists: ['events'] });
+    const data = await load();
+
+    assert.deepEqual(Object.keys(data.items), []);
+    assert.equal(Object.getPrototypeOf(data.items), null);
+    assert.deepEqual(data.events, []);
+  });
+
+  test('saves every change and reads the file back', async () => {
+    const first = createJsonFileStore({ filePath, maps: ['items'] });
+    const result = await first.mutate(({ items }) => {
+      items.a = { id: 'a' };
+      return items.a;
+    });
+
+    assert.deepEqual(result, { id: 'a' });
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+    const second = createJsonFileStore({ filePath, maps: ['items'] });
+    assert.deepEqual({ ...(await second.load()).items }, { a: { id: 'a' } });
+  });
+
+  test('runs changes one at a time and keeps going after a failed change', async () => {
+    const { load, mutate } = createJsonFileStore({ filePath, lists: ['events'] });
+    const failed = mutate(() => { throw new Error('boom'); });
+    const writes = [1, 2, 3].map(n => mutate(({ events }) => events.push(n)));
+
+    await assert.rejects(failed, /boom/);
+    await Promise.all(writes);
+    assert.deepEqual((await load()).events, [1, 2, 3]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).events, [1, 2, 3]);
+  });
+
+  test('only finds the own records of a map', async () => {
+    const { load } = createJsonFileStore({ filePath, maps: ['items'] });
+    const { items } = await load();
+    items.constructor = { id: 'constructor' };
+
+    assert.deepEqual(findRecord(items, 'constructor'), { id: 'constructor' });
+    assert.equal(findRecord(items, 'toString'), null);
+    assert.equal(findRecord(items, '__proto__'), null);
+    assert.equal({}.id, undefined);
+  });
+
+  test('tells reserved keys from ordinary IDs', () => {
+    assert.equal(isReservedKey('__proto__'), true);
+    assert.equal(isReservedKey('prototype'), true);
+    assert.equal(isReservedKey('SHOP-1'), false);
+  });
+});
@@ -0,0 +1,40 @@
+// business-analysis-app/backend/test/personaStore.test.js
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPersonaStore, PersonaError } = require('../personas');
+
+describe('persona store', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'personas-'));
+    store = createPersonaStore({ filePath: path.join(directory, 'personas.json') });
+  });
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('stores a persona whose ID names an object internal as an ordinary persona', async () => {
+    const persona = await store.create({ name: 'Constructor', aliases: ['site builder'] });
+
+    assert.equal(persona.id, 'constructor');
+    assert.equal((await store.get('constructor')).name, 'Constructor');
+    assert.equal({}.name, undefined);
+    assert.deepEqual((await store.list()).map((p) => p.id), ['constructor']);
+  });
+
+  test('does not find inherited properties as personas', async () => {
+    assert.equal(await store.get('__proto__'), null);
+    assert.equal(await store.get('toString'), null);
+    assert.equal(await store.update('hasOwnProperty', { name: 'Shopper' }), null);
+    assert.equal(await store.delete('constructor'), false);
+  });
+
+  test('rejects a second persona with the same ID', async () => {
+    await store.create({ name: 'Store Manager' });
+    await assert.rejects(store.create({ name: 'store manager' }), (error) => error instanceof PersonaError && error.statusCode === 409);
+  });
+});
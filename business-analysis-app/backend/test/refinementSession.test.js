@@ -0,0 +1,158 @@
+// business-analysis-app/backend/test/refinementSession.test.js
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createSession, trackQueries, listQueries, joinSession, applySessionMessage, endSession, toPublicSession, SessionError, TEXT_LIMITS,
+} = require('../sessions/refinementSession');
+
+const STORY = 'As a shopper, I want to save my cart, so that I can buy the items later.';
+const analysisWith = (...queries) => ({ outstandingQueriesAndConflicts: queries, overallReadinessScore: { readinessRating: 70 } });
+const PRIVACY = "Privacy: the story handles 'personal data'. Which data is stored, and for how long?";
+const PRIVACY_REWORDED = "Privacy: the story handles 'personal data' and 'address'. Which data is stored, and for how long?";
+const SCOPE = 'The story may be too large to finish in one sprint. Consider splitting it.';
+
+describe('refinement session', () => {
+  let session;
+  let dana;
+  let sam;
+
+  beforeEach(() => {
+    session = createSession({ story: STORY });
+    dana = joinSession(session, 'Dana', session.creatorId);
+    sam = joinSession(session, 'Sam');
+    trackQueries(session, analysisWith(PRIVACY, SCOPE));
+  });
+
+  test('issues participant IDs and lets a participant rejoin with theirs', () => {
+    assert.equal(dana.id, session.creatorId);
+    assert.notEqual(sam.id, dana.id);
+    assert.equal(joinSession(session, 'Samuel', sam.id), sam);
+    assert.equal(sam.name, 'Samuel');
+    assert.notEqual(joinSession(session, 'Sam', 'made-up-id').id, 'made-up-id');
+  });
+
+  test('keys votes by participant ID, so two participants with one name both count', () => {
+    const otherDana = joinSession(session, 'Dana');
+    const [privacy] = listQueries(session);
+    applySessionMessage(session, dana, { type: 'vote', queryId: privacy.id, vote: true });
+    applySessionMessage(session, otherDana, { type: 'vote', queryId: privacy.id, vote: true });
+    applySessionMessage(session, dana, { type: 'vote', queryId: privacy.id, vote: true });
+
+    const [voted] = listQueries(session);
+    assert.equal(voted.votes, 2);
+    assert.deepEqual([...voted.voterIds].sort(), [dana.id, otherDana.id].sort());
+    assert.deepEqual(voted.voters, ['Dana', 'Dana']);
+  });
+
+  test('keeps the votes and resolution of a query the analysis rewords', () => {
+    const [privacy, scope] = listQueries(session);
+    applySessionMessage(session, sam, { type: 'vote', queryId: privacy.id, vote: true });
+    applySessionMessage(session, dana, { type: 'resolve', queryId: scope.id, note: 'Split by platform.' });
+
+    trackQueries(session, analysisWith(PRIVACY_REWORDED, SCOPE));
+    const queries = listQueries(session);
+    assert.deepEqual(queries.map((q) => q.id), [privacy.id, scope.id]);
+    assert.equal(queries[0].text, PRIVACY_REWORDED);
+    assert.equal(queries[0].votes, 1);
+    assert.equal(queries[1].resolution.resolvedBy, 'Dana');
+  });
+
+  test('lists a resolved query the analysis no longer raises, and forgets unvoted ones', () => {
+    const [privacy, scope] = listQueries(session);
+    applySessionMessage(session, dana, { type: 'resolve', queryId: privacy.id, note: 'Only the cart ID is stored.' });
+    trackQueries(session, analysisWith());
+
+    const queries = listQueries(session);
+    assert.deepEqual(queries.map((q) => [q.id, q.inAnalysis]), [[privacy.id, false]]);
+    assert.ok(!session.queryIndex.some((entry) => entry.id === scope.id));
+  });
+
+  test('gives a new query a new ID', () => {
+    const ids = listQueries(session).map((q) => q.id);
+    trackQueries(session, analysisWith(PRIVACY, SCOPE, 'Which payment methods are supported?'));
+    const [, , payment] = listQueries(session);
+    assert.ok(!ids.includes(payment.id));
+  });
+
+  test('applies edits on the current version and raises it', () => {
+    const changed = applySessionMessage(session, sam, { type: 'edit', story: `${STORY} `, baseVersion: 1 });
+    assert.equal(changed, true);
+    assert.equal(session.version, 2);
+    assert.equal(session.editedBy, sam.id);
+    assert.equal(applySessionMessage(session, sam, { type: 'edit', story: `${STORY} `, baseVersion: 2 }), false);
+    assert.equal(session.version, 2);
+  });
+
+  test("accepts a participant's edits in a row made on their own earlier versions", () => {
+    applySessionMessage(session, sam, { type: 'edit', story: 'As a', baseVersion: 1 });
+    applySessionMessage(session, sam, { type: 'edit', story: 'As a shopper', baseVersion: 1 });
+    assert.equal(session.story, 'As a shopper');
+    assert.equal(session.version, 3);
+  });
+
+  test("rejects an edit made on a version someone else's edit has replaced", () => {
+    applySessionMessage(session, sam, { type: 'edit', story: 'Sam was here', baseVersion: 1 });
+    assert.throws(
+      () => applySessionMessage(session, dana, { type: 'edit', story: 'Dana was here', baseVersion: 1 }),
+      (error) => error instanceof SessionError && error.statusCode === 409,
+    );
+    assert.equal(session.story, 'Sam was here');
+
+    applySessionMessage(session, dana, { type: 'edit', story: 'Dana was here', baseVersion: 2 });
+    assert.throws(() => applySessionMessage(session, sam, { type: 'edit', story: 'Sam again', baseVersion: 2 }), /changed by someone else/);
+  });
+
+  test('requires the version an edit was made on', () => {
+    assert.throws(() => applySessionMessage(session, sam, { type: 'edit', story: 'x' }), /'baseVersion'/);
+  });
+
+  test('only lets the creator end the session', () => {
+    assert.throws(() => endSession(session, null, sam), (error) => error instanceof SessionError && error.statusCode === 403);
+    assert.equal(session.status, 'open');
+
+    const summary = endSession(session, analysisWith(PRIVACY, SCOPE), dana);
+    assert.equal(session.status, 'ended');
+    assert.equal(summary.endedBy, 'Dana');
+    assert.deepEqual(summary.participants, ['Dana', 'Sam']);
+    assert.equal(summary.openQueries.length, 2);
+  });
+
+  test('leaves participant IDs out of the public session', () => {
+    const [privacy] = listQueries(session);
+    applySessionMessage(session, sam, { type: 'resolve', queryId: privacy.id, note: 'Agreed.' });
+    const json = JSON.stringify(toPublicSession(session));
+    assert.ok(!json.includes(session.creatorId));
+    assert.ok(!json.includes(sam.id));
+    assert.deepEqual(toPublicSession(session).participants, ['Dana', 'Sam']);
+  });
+
+  test('limits the story and AC of a new session like the HTTP routes do', () => {
+    createSession({ story: 'x'.repeat(TEXT_LIMITS.story), acceptanceCriteria: 'x'.repeat(TEXT_LIMITS.acceptanceCriteria) });
+    assert.throws(
+      () => createSession({ title: 'x'.repeat(TEXT_LIMITS.title + 1), story: 'x'.repeat(TEXT_LIMITS.story + 1), acceptanceCriteria: 5 }),
+      (error) => error instanceof SessionError && error.statusCode === 400 && error.details.join(' ') === [
+        `'title' is ${TEXT_LIMITS.title + 1} characters long. The limit is ${TEXT_LIMITS.title}.`,
+        `'story' is ${TEXT_LIMITS.story + 1} characters long. The limit is ${TEXT_LIMITS.story}.`,
+        "'acceptanceCriteria' must be a string.",
+      ].join(' '),
+    );
+  });
+
+  test('rejects an edit or a note over the length limit and leaves the session unchanged', () => {
+    const tooLong = (field) => new RegExp(`'${field}' is ${TEXT_LIMITS[field] + 1} characters long. The limit is ${TEXT_LIMITS[field]}.`);
+    assert.throws(() => applySessionMessage(session, sam, { type: 'edit', story: 'x'.repeat(TEXT_LIMITS.story + 1), baseVersion: 1 }), tooLong('story'));
+    assert.throws(
+      () => applySessionMessage(session, sam, { type: 'edit', story: 'Short', acceptanceCriteria: 'x'.repeat(TEXT_LIMITS.acceptanceCriteria + 1), baseVersion: 1 }),
+      tooLong('acceptanceCriteria'),
+    );
+    assert.equal(session.story, STORY);
+    assert.equal(session.version, 1);
+
+    const [privacy] = listQueries(session);
+    assert.throws(() => applySessionMessage(session, sam, { type: 'resolve', queryId: privacy.id, note: 'x'.repeat(TEXT_LIMITS.note + 1) }), tooLong('note'));
+    assert.equal(listQueries(session)[0].status, 'open');
+    applySessionMessage(session, sam, { type: 'resolve', queryId: privacy.id, note: 'x'.repeat(TEXT_LIMITS.note) });
+    assert.equal(listQueries(session)[0].status, 'resolved');
+  });
+});
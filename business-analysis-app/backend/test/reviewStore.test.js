@@ -0,0 +1,68 @@
+// business-analysis-app/backend/test/reviewStore.test.js
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReviewStore, ReviewError } = require('../reviews');
+
+const STORY = 'As a shopper, I want to save my cart, so that I can buy the items later.';
+
+describe('review store', () => {
+  let directory;
+  let filePath;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reviews-'));
+    filePath = path.join(directory, 'reviews.json');
+    store = createReviewStore({ filePath });
+  });
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('stores only the review fields and the rating of the analysis', async () => {
+    const review = await store.create({
+      story: STORY,
+      readinessCategoryId: 'ready',
+      findings: [{ ruleId: 'persona/generic', message: 'Generic persona', field: 'story', start: 5, end: 9, text: 'user', agree: false }],
+      analysis: { overallReadinessScore: { readinessRating: 71, readinessCategoryId: 'at-standard' }, investCriteriaAssessment: {} },
+      reviewer: '  Dana ',
+      comment: '',
+    });
+
+    assert.ok(review.id);
+    assert.equal(review.acceptanceCriteria, '');
+    assert.deepEqual(review.findings, [{ ruleId: 'persona/generic', field: 'story', start: 5, end: 9, text: 'user', agree: false }]);
+    assert.deepEqual(review.analysis, { readinessRating: 71, readinessCategoryId: 'at-standard' });
+    assert.equal(review.reviewer, 'Dana');
+    assert.equal(review.comment, undefined);
+  });
+
+  test('persists the reviews and filters them by story and reviewer', async () => {
+    await store.create({ story: STORY, readinessCategoryId: 'ready', storyId: 'SHOP-1', reviewer: 'Dana' });
+    await store.create({ story: STORY, readinessCategoryId: 'not-ready', storyId: 'SHOP-2', reviewer: 'Sam' });
+
+    const reopened = createReviewStore({ filePath });
+    assert.equal((await reopened.list()).length, 2);
+    assert.deepEqual((await reopened.list({ storyId: 'SHOP-2' })).map((r) => r.reviewer), ['Sam']);
+    assert.deepEqual((await reopened.list({ reviewer: 'Dana' })).map((r) => r.storyId), ['SHOP-1']);
+  });
+
+  test('gets and deletes a review by id', async () => {
+    const { id } = await store.create({ story: STORY, readinessCategoryId: 'ready' });
+    assert.equal((await store.get(id)).story, STORY);
+    assert.equal(await store.delete(id), true);
+    assert.equal(await store.get(id), null);
+    assert.equal(await store.delete(id), false);
+  });
+
+  test('rejects an invalid review with a 400 and its problems', async () => {
+    await assert.rejects(store.create({ story: STORY, findings: [{ ruleId: 'persona/generic' }] }), (error) => {
+      assert.ok(error instanceof ReviewError);
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.details.length, 2);
+      return true;
+    });
+  });
+});
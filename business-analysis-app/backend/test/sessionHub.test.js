@@ -0,0 +1,141 @@
+// business-analysis-app/backend/test/sessionHub.test.js
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const { createSessionHub, CLOSE_CODES } = require('../sessions');
+const { MAX_MESSAGE_BYTES } = require('../sessions/sessionHub');
+const { createSession, TEXT_LIMITS } = require('../sessions/refinementSession');
+
+const QUERY = "Privacy: the story handles 'personal data'. Which data is stored, and for how long?";
+
+/**
+ * Connects to a session and collects what the server sends. `next(type)` waits for the next
+ * message of that type.
+ */
+function connect(baseUrl, sessionId) {
+  const socket = new WebSocket(`${baseUrl}/api/sessions/${sessionId}/socket`);
+  const messages = [];
+  const waiting = [];
+  socket.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    const index = waiting.findIndex((w) => w.type === message.type);
+    if (index === -1) messages.push(message);
+    else waiting.splice(index, 1)[0].resolve(message);
+  });
+  const closed = new Promise((resolve) => socket.on('close', (code) => resolve(code)));
+  return {
+    socket,
+    closed,
+    opened: new Promise((resolve) => socket.on('open', resolve)),
+    send: (message) => socket.send(JSON.stringify(message)),
+    next: (type) => {
+      const index = messages.findIndex((m) => m.type === type);
+      if (index !== -1) return Promise.resolve(messages.splice(index, 1)[0]);
+      return new Promise((resolve) => waiting.push({ type, resolve }));
+    },
+  };
+}
+
+describe('session hub', () => {
+  let server;
+  let baseUrl;
+  let session;
+  const sessions = new Map();
+  // Starts another session, for tests that need one of their own.
+  const startSession = () => {
+    const started = createSession({ story: 'As a patient, I want to share my personal data, so that I get care.' });
+    sessions.set(started.id, started);
+    return started;
+  };
+
+  before(async () => {
+    session = startSession();
+    const store = { get: async (id) => sessions.get(id) || null, save: async (s) => s };
+    const hub = createSessionHub({ store, analyze: async () => ({ outstandingQueriesAndConflicts: [QUERY], overallReadinessScore: {} }) });
+    server = http.createServer();
+    hub.attach(server);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `ws://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test('personalizes the session, and only lets its creator end it', async () => {
+    const creator = connect(baseUrl, session.id);
+    const guest = connect(baseUrl, session.id);
+    await Promise.all([creator.opened, guest.opened]);
+    await creator.next('session');
+    await guest.next('session');
+
+    creator.send({ type: 'join', name: 'Dana', participantId: session.creatorId });
+    assert.equal((await creator.next('welcome')).participantId, session.creatorId);
+    guest.send({ type: 'join', name: 'Sam', participantId: 'not-the-creator' });
+    const { participantId: guestId } = await guest.next('welcome');
+    assert.notEqual(guestId, session.creatorId);
+
+    let state = (await guest.next('session')).session;
+    guest.send({ type: 'vote', queryId: state.queries[0].id, vote: true });
+    // Skip the snapshots of the joins until the vote arrives.
+    do state = (await guest.next('session')).session; while (!state.queries[0].voted);
+    assert.equal(state.isCreator, false);
+    assert.equal(state.queries[0].votes, 1);
+    assert.deepEqual(state.queries[0].voters, ['Sam']);
+    const raw = JSON.stringify(state);
+    assert.ok(!raw.includes(session.creatorId) && !raw.includes(guestId));
+
+    guest.send({ type: 'end' });
+    assert.match((await guest.next('error')).error, /Only the participant who started the session/);
+    assert.equal(session.status, 'open');
+
+    creator.send({ type: 'end' });
+    assert.deepEqual(await Promise.all([creator.closed, guest.closed]), [CLOSE_CODES.ENDED, CLOSE_CODES.ENDED]);
+    assert.equal(session.status, 'ended');
+    assert.equal(session.summary.endedBy, 'Dana');
+  });
+
+  test('closes the socket of an unknown session', async () => {
+    const client = connect(baseUrl, 'no-such-session');
+    assert.equal(await client.closed, CLOSE_CODES.NOT_FOUND);
+  });
+
+  test('refuses an edit over the length limit and keeps the text', async () => {
+    const own = startSession();
+    const client = connect(baseUrl, own.id);
+    await client.opened;
+    await client.next('session');
+    client.send({ type: 'join', name: 'Dana' });
+    await client.next('welcome');
+
+    client.send({ type: 'edit', story: 'x'.repeat(TEXT_LIMITS.story + 1), baseVersion: 1 });
+    const { error } = await client.next('error');
+    assert.equal(error, `'story' is ${TEXT_LIMITS.story + 1} characters long. The limit is ${TEXT_LIMITS.story}.`);
+    assert.equal(own.version, 1);
+    assert.match(own.story, /^As a patient/);
+
+    client.socket.close();
+    await client.closed;
+  });
+
+  test('fits an edit of the longest story and AC in one message, and closes the socket on a larger one', async () => {
+    const own = startSession();
+    const client = connect(baseUrl, own.id);
+    await client.opened;
+    await client.next('session');
+    client.send({ type: 'join', name: 'Dana' });
+    await client.next('welcome');
+
+    // Characters JSON escapes as \uXXXX make the longest message for the text.
+    const story = '\u0001'.repeat(TEXT_LIMITS.story);
+    const acceptanceCriteria = '\u0001'.repeat(TEXT_LIMITS.acceptanceCriteria);
+    const edit = JSON.stringify({ type: 'edit', story, acceptanceCriteria, baseVersion: 1 });
+    assert.ok(Buffer.byteLength(edit) <= MAX_MESSAGE_BYTES);
+    client.socket.send(edit);
+    let state;
+    do state = (await client.next('session')).session; while (state.version === 1);
+    assert.equal(own.acceptanceCriteria.length, TEXT_LIMITS.acceptanceCriteria);
+
+    client.socket.send('x'.repeat(MAX_MESSAGE_BYTES + 1));
+    assert.equal(await client.closed, 1009);
+  });
+});
@@ -0,0 +1,43 @@
+// business-analysis-app/backend/test/sessionStore.test.js
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('../sessions');
+
+describe('session store', () => {
+  let directory;
+  let filePath;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    filePath = path.join(directory, 'sessions.json');
+    store = createSessionStore({ filePath });
+  });
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('finds a created session by its ID', async () => {
+    const session = await store.create({ title: 'Cart', story: 'As a shopper, I want to save my cart.' });
+
+    assert.equal((await store.get(session.id)).title, 'Cart');
+    assert.deepEqual((await store.list()).map((s) => s.id), [session.id]);
+  });
+
+  test('does not find inherited properties as sessions', async () => {
+    assert.equal(await store.get('__proto__'), null);
+    assert.equal(await store.get('constructor'), null);
+    assert.equal(await store.get('toString'), null);
+  });
+
+  test('reads a stored __proto__ key as data, not as the prototype', async () => {
+    const stored = await store.create({ title: 'Cart', story: 'As a shopper, I want to save my cart.' });
+    fs.writeFileSync(filePath, `{"sessions": {"__proto__": ${JSON.stringify({ ...stored, id: '__proto__' })}}}`);
+    const reloaded = createSessionStore({ filePath });
+
+    assert.equal((await reloaded.get('__proto__')).title, 'Cart');
+    assert.equal({}.title, undefined);
+  });
+});
@@ -0,0 +1,237 @@
+// business-analysis-app/backend/test/trackers.test.js
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createTrackerAdapter, analyzeTrackerItems, TrackerError } = require('../trackers');
+
+const STORY = 'As a shopper, I want to save my cart, so that I can buy the items later.';
+
+/**
+ * Starts a mock tracker on a free local port. `routes` maps "METHOD /path" to a handler that
+ * returns `{status, body}`; every request is recorded in `requests`.
+ */
+async function startMockTracker(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body: body ? JSON.parse(body) : undefined });
+      const handler = routes[`${req.method} ${url.pathname}`];
+      const { status = 200, body: responseBody = {} } = handler ? handler(url, body) : { status: 404, body: { errorMessages: ['Not found'] } };
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(responseBody === null ? '' : JSON.stringify(responseBody));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+const jiraIssue = (key, labels = []) => ({ key, fields: { summary: `Title of ${key}`, description: STORY, labels } });
+
+describe('Jira adapter', () => {
+  let tracker;
+  let adapter;
+
+  before(async () => {
+    tracker = await startMockTracker({
+      'GET /rest/api/2/issue/SHOP-1': () => ({ body: jiraIssue('SHOP-1', ['readiness-not-ready', 'web']) }),
+      'GET /rest/api/2/issue/SHOP-2': () => ({ body: jiraIssue('SHOP-2') }),
+      'GET /rest/api/2/issue/SECRET-1': () => ({ status: 403, body: { errorMessages: ['Forbidden'] } }),
+      'POST /rest/api/2/search': () => ({ body: { issues: [jiraIssue('SHOP-1'), jiraIssue('SHOP-2')] } }),
+      'POST /rest/api/2/issue/SHOP-1/comment': () => ({ status: 201, body: { id: '1' } }),
+      'PUT /rest/api/2/issue/SHOP-1': () => ({ status: 204, body: null }),
+    });
+    adapter = createTrackerAdapter({ type: 'jira', baseUrl: tracker.baseUrl, email: 'ba@example.com', token: 'secret' });
+  });
+  after(() => tracker.close());
+  beforeEach(() => { tracker.requests.length = 0; });
+
+  test('fetches issues by key with basic auth', async () => {
+    const [item] = await adapter.fetchByKeys(['SHOP-1']);
+    assert.equal(item.key, 'SHOP-1');
+    assert.equal(item.title, 'Title of SHOP-1');
+    assert.equal(item.story, STORY);
+    assert.deepEqual(item.labels, ['readiness-not-ready', 'web']);
+    assert.equal(item.url, `${tracker.baseUrl}/browse/SHOP-1`);
+    assert.equal(tracker.requests[0].headers.authorization, `Basic ${Buffer.from('ba@example.com:secret').toString('base64')}`);
+    assert.equal(tracker.requests[0].query.get('fields'), 'summary,description,labels');
+  });
+
+  test('reports missing and forbidden keys on their own entry', async () => {
+    const items = await adapter.fetchByKeys(['SHOP-1', 'MISSING-1', 'SECRET-1', 'SHOP-2']);
+    assert.deepEqual(items.map((item) => item.key), ['SHOP-1', 'MISSING-1', 'SECRET-1', 'SHOP-2']);
+    assert.equal(items[0].error, undefined);
+    assert.match(items[1].error, /404/);
+    assert.match(items[2].error, /403/);
+    assert.equal(items[3].story, STORY);
+  });
+
+  test('searches with JQL', async () => {
+    const items = await adapter.fetchByQuery('project = SHOP');
+    assert.deepEqual(items.map((item) => item.key), ['SHOP-1', 'SHOP-2']);
+    assert.equal(tracker.requests[0].body.jql, 'project = SHOP');
+  });
+
+  test('posts the report as a comment and replaces stale readiness labels', async () => {
+    const [item] = await adapter.fetchByKeys(['SHOP-1']);
+    await adapter.postComment(item, '# Report');
+    const label = await adapter.setReadinessLabel(item, 'at-standard');
+
+    assert.equal(label, 'readiness-at-standard');
+    const [, comment, update] = tracker.requests;
+    assert.deepEqual(comment.body, { body: '# Report' });
+    assert.deepEqual(update.body, { update: { labels: [{ remove: 'readiness-not-ready' }, { add: 'readiness-at-standard' }] } });
+  });
+
+  test('sends a bearer token for Jira Data Center', async () => {
+    const bearer = createTrackerAdapter({ type: 'jira', baseUrl: tracker.baseUrl, authType: 'bearer', token: 'pat' });
+    await bearer.fetchByKeys(['SHOP-2']);
+    assert.equal(tracker.requests[0].headers.authorization, 'Bearer pat');
+  });
+});
+
+describe('Azure DevOps adapter', () => {
+  let tracker;
+  let adapter;
+  const workItem = (id) => ({
+    id,
+    fields: {
+      'System.Title': `Item ${id}`,
+      'System.Description': `<div>${STORY}</div>`,
+      'Microsoft.VSTS.Common.AcceptanceCriteria': '<ul><li>Given a cart</li><li>Then it is saved</li></ul>',
+      'System.Tags': 'web; readiness-not-ready',
+    },
+  });
+
+  before(async () => {
+    tracker = await startMockTracker({
+      // Ids above 1000 do not exist; errorPolicy=Omit returns null for them.
+      'GET /org/Shop/_apis/wit/workitems': (url) => ({
+        body: { value: url.searchParams.get('ids').split(',').map(Number).map((id) => (id > 1000 ? null : workItem(id))) },
+      }),
+      'POST /org/Shop/_apis/wit/wiql': () => ({ body: { workItems: [{ id: 7 }, { id: 8 }] } }),
+      'POST /org/Shop/_apis/wit/workItems/7/comments': () => ({ body: { id: 1 } }),
+      'PATCH /org/Shop/_apis/wit/workitems/7': () => ({ body: workItem(7) }),
+    });
+    adapter = createTrackerAdapter({ type: 'azure-devops', baseUrl: `${tracker.baseUrl}/org`, project: 'Shop', token: 'pat' });
+  });
+  after(() => tracker.close());
+  beforeEach(() => { tracker.requests.length = 0; });
+
+  test('fetches work items and converts their HTML fields to text', async () => {
+    const [item] = await adapter.fetchByKeys(['7']);
+    assert.equal(item.key, '7');
+    assert.equal(item.story, STORY);
+    assert.equal(item.acceptanceCriteria, 'Given a cart\nThen it is saved');
+    assert.deepEqual(item.labels, ['web', 'readiness-not-ready']);
+    assert.equal(tracker.requests[0].headers.authorization, `Basic ${Buffer.from(':pat').toString('base64')}`);
+    assert.equal(tracker.requests[0].query.get('errorPolicy'), 'Omit');
+  });
+
+  test('splits more than 200 ids into several requests', async () => {
+    const ids = Array.from({ length: 450 }, (_, index) => String(index + 1));
+    const items = await adapter.fetchByKeys(ids);
+
+    assert.equal(items.length, 450);
+    assert.deepEqual(tracker.requests.map((r) => r.query.get('ids').split(',').length), [200, 200, 50]);
+    assert.deepEqual(items.map((item) => item.key), ids);
+  });
+
+  test('reports ids the tracker omits on their own entry', async () => {
+    const items = await adapter.fetchByKeys(['7', '5000', '8']);
+    assert.equal(items[0].title, 'Item 7');
+    assert.equal(items[1].key, '5000');
+    assert.match(items[1].error, /not found/);
+    assert.equal(items[2].title, 'Item 8');
+  });
+
+  test('runs a WIQL query and fetches its results', async () => {
+    const items = await adapter.fetchByQuery('SELECT [System.Id] FROM WorkItems');
+    assert.deepEqual(items.map((item) => item.key), ['7', '8']);
+    assert.deepEqual(tracker.requests[0].body, { query: 'SELECT [System.Id] FROM WorkItems' });
+  });
+
+  test('posts a Markdown comment and replaces the readiness tag with a JSON patch', async () => {
+    const [item] = await adapter.fetchByKeys(['7']);
+    await adapter.postComment(item, '# Report');
+    await adapter.setReadinessLabel(item, 'excellent');
+
+    const [, comment, patch] = tracker.requests;
+    assert.equal(comment.query.get('format'), 'markdown');
+    assert.deepEqual(comment.body, { text: '# Report' });
+    assert.equal(patch.headers['content-type'], 'application/json-patch+json');
+    assert.deepEqual(patch.body, [{ op: 'add', path: '/fields/System.Tags', value: 'web; readiness-excellent' }]);
+  });
+});
+
+describe('analyzeTrackerItems', () => {
+  let tracker;
+  let adapter;
+
+  before(async () => {
+    tracker = await startMockTracker({
+      'GET /rest/api/2/issue/SHOP-1': () => ({ body: jiraIssue('SHOP-1') }),
+      'GET /rest/api/2/issue/EMPTY-1': () => ({ body: { key: 'EMPTY-1', fields: { summary: 'Empty', description: null } } }),
+      'POST /rest/api/2/issue/SHOP-1/comment': () => ({ status: 500, body: { errorMessages: ['Down'] } }),
+      'PUT /rest/api/2/issue/SHOP-1': () => ({ status: 204, body: null }),
+    });
+    adapter = createTrackerAdapter({ type: 'jira', baseUrl: tracker.baseUrl, email: 'ba@example.com', token: 'secret' });
+  });
+  after(() => tracker.close());
+
+  test('analyzes each item and reports failures per item', async () => {
+    const results = await analyzeTrackerItems(adapter, { keys: ['SHOP-1', 'MISSING-1', 'EMPTY-1'], writeBack: { comment: true } });
+
+    assert.deepEqual(results.map((r) => [r.key, r.status]), [['SHOP-1', 'ok'], ['MISSING-1', 'error'], ['EMPTY-1', 'error']]);
+    assert.equal(typeof results[0].analysis.overallReadinessScore.readinessRating, 'number');
+    assert.match(results[0].writeBackError, /500/);
+    assert.match(results[1].error, /404/);
+    assert.match(results[2].error, /no story text/);
+  });
+
+  test('applies the readiness label', async () => {
+    const [result] = await analyzeTrackerItems(adapter, { keys: ['SHOP-1'], writeBack: { label: true } });
+    assert.equal(result.labelApplied, `readiness-${result.analysis.overallReadinessScore.readinessCategoryId}`);
+  });
+
+  test('records each analysis in the history and reports a failed write on its item', async () => {
+    const versions = [];
+    const history = {
+      async addVersion(entry) {
+        if (entry.storyId === 'SHOP-1') throw new Error('Disk full');
+        versions.push(entry);
+        return { version: versions.length };
+      },
+    };
+    const twoItems = {
+      ...adapter,
+      fetchByKeys: async () => [
+        { key: 'SHOP-1', title: 'One', story: STORY, acceptanceCriteria: '' },
+        { key: 'SHOP-2', title: 'Two', story: STORY, acceptanceCriteria: '' },
+      ],
+    };
+    const results = await analyzeTrackerItems(twoItems, { keys: ['SHOP-1', 'SHOP-2'], history });
+
+    assert.deepEqual(results.map((r) => r.status), ['ok', 'ok']);
+    assert.equal(results[0].historyError, 'Disk full');
+    assert.equal(results[0].version, undefined);
+    assert.equal(results[1].version, 1);
+    assert.equal(versions[0].storyId, 'SHOP-2');
+  });
+
+  test('reports an unreachable tracker as a TrackerError', async () => {
+    const offline = createTrackerAdapter({ type: 'jira', baseUrl: 'http://127.0.0.1:9', email: 'a', token: 'b' });
+    await assert.rejects(offline.fetchByQuery('project = SHOP'), TrackerError);
+  });
+
+  test('rejects unknown tracker types', () => {
+    assert.throws(() => createTrackerAdapter({ type: 'trello', baseUrl: 'http://localhost' }), /Unknown tracker type 'trello'/);
+  });
+});
@@ -0,0 +1,94 @@
+// business-analysis-app/backend/trackers/azureDevOpsAdapter.js
+
+const { createHttpClient, htmlToText } = require('./httpClient');
+
+const API_VERSION = '7.0';
+const COMMENTS_API_VERSION = '7.0-preview.3';
+const DEFAULT_FIELDS = {
+  title: 'System.Title',
+  story: 'System.Description',
+  acceptanceCriteria: 'Microsoft.VSTS.Common.AcceptanceCriteria',
+};
+const MAX_QUERY_RESULTS = 100;
+const MAX_IDS_PER_REQUEST = 200; // The most ids the work items endpoint accepts per call.
+
+/**
+ * Parses the semicolon-separated System.Tags field.
+ */
+function parseTags(value) {
+  return (value || '').split(';').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Creates an adapter for the Azure DevOps work item tracking REST API.
+ * @param {object} config - Tracker settings: baseUrl (organization URL), project, token (PAT), fields, labelPrefix.
+ * @param {{fetchImpl?: Function}} [options]
+ */
+function createAzureDevOpsAdapter(config, { fetchImpl } = {}) {
+  const fields = { ...DEFAULT_FIELDS, ...(config.fields || {}) };
+  const labelPrefix = config.labelPrefix || 'readiness-';
+  const authorization = `Basic ${Buffer.from(`:${config.token}`).toString('base64')}`;
+  const projectUrl = `${config.baseUrl.replace(/\/+$/, '')}/${encodeURIComponent(config.project)}`;
+  const request = createHttpClient({ baseUrl: projectUrl, authorization, fetchImpl });
+
+  const requestedFields = Object.values(fields).filter(Boolean).concat('System.Tags');
+
+  const toWorkItem = item => ({
+    key: String(item.id),
+    title: item.fields[fields.title] || '',
+    story: htmlToText(item.fields[fields.story]),
+    acceptanceCriteria: fields.acceptanceCriteria ? htmlToText(item.fields[fields.acceptanceCriteria]) : '',
+    labels: parseTags(item.fields['System.Tags']),
+    url: `${projectUrl}/_workitems/edit/${item.id}`,
+  });
+
+  // Fetches the ids in chunks the API accepts. With errorPolicy=Omit, a missing or forbidden
+  // id comes back as null instead of failing its whole chunk; it is reported on its own entry.
+  const fetchByIds = async ids => {
+    const chunks = [];
+    for (let start = 0; start < ids.length; start += MAX_IDS_PER_REQUEST) {
+      chunks.push(ids.slice(start, start + MAX_IDS_PER_REQUEST));
+    }
+    const results = await Promise.all(chunks.map(chunk => {
+      const query = `ids=${chunk.map(encodeURIComponent).join(',')}&fields=${encodeURIComponent(requestedFields.join(','))}&errorPolicy=Omit`;
+      return request(`/_apis/wit/workitems?${query}&api-version=${API_VERSION}`);
+    }));
+    return results.flatMap((result, chunkIndex) => result.value.map((item, index) => (item
+      ? toWorkItem(item)
+      : { key: String(chunks[chunkIndex][index]), error: 'Work item not found, or the token cannot read it.' })));
+  };
+
+  return {
+    type: 'azure-devops',
+
+    fetchByKeys: fetchByIds,
+
+    async fetchByQuery(wiql) {
+      const result = await request(`/_apis/wit/wiql?$top=${MAX_QUERY_RESULTS}&api-version=${API_VERSION}`, {
+        method: 'POST',
+        body: { query: wiql },
+      });
+      return fetchByIds(result.workItems.map(item => item.id));
+    },
+
+    async postComment(workItem, markdown) {
+      await request(`/_apis/wit/workItems/${encodeURIComponent(workItem.key)}/comments?format=markdown&api-version=${COMMENTS_API_VERSION}`, {
+        method: 'POST',
+        body: { text: markdown },
+      });
+    },
+
+    async setReadinessLabel(workItem, categoryId) {
+      const label = `${labelPrefix}${categoryId}`;
+      const tags = workItem.labels.filter(tag => !tag.startsWith(labelPrefix)).concat(label);
+      await request(`/_apis/wit/workitems/${encodeURIComponent(workItem.key)}?api-version=${API_VERSION}`, {
+        method: 'PATCH',
+        contentType: 'application/json-patch+json',
+        body: [{ op: 'add', path: '/fields/System.Tags', value: tags.join('; ') }],
+      });
+      return label;
+    },
+  };
+}
+
+module.exports = { createAzureDevOpsAdapter };
@@ -0,0 +1,72 @@
+// business-analysis-app/backend/trackers/httpClient.js
+
+/**
+ * Raised when a tracker request fails. `statusCode` is the status our API should
+ * answer with: 404 when the tracker could not find the item, 502 for other tracker failures.
+ */
+class TrackerError extends Error {
+  constructor(message, statusCode = 502) {
+    super(message);
+    this.name = 'TrackerError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Creates a small JSON client bound to a tracker's base URL and auth header.
+ * @param {{baseUrl: string, authorization: string, fetchImpl?: Function}} options
+ * @returns {function(string, {method?: string, body?: *, contentType?: string}=): Promise<*>}
+ */
+function createHttpClient({ baseUrl, authorization, fetchImpl = fetch }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  return async function request(pathname, { method = 'GET', body, contentType = 'application/json' } = {}) {
+    let response;
+    try {
+      response = await fetchImpl(`${root}${pathname}`, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          Authorization: authorization,
+          ...(body !== undefined ? { 'Content-Type': contentType } : {}),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+    } catch (error) {
+      throw new TrackerError(`Could not reach tracker at ${root}: ${error.message}`);
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new TrackerError(
+        `Tracker responded with ${response.status} for ${method} ${pathname}: ${text.slice(0, 200)}`,
+        response.status === 404 ? 404 : 502
+      );
+    }
+    return text ? JSON.parse(text) : null;
+  };
+}
+
+/**
+ * Converts the HTML that trackers store in rich-text fields into plain text,
+ * keeping one line per paragraph or list item so AC lines survive.
+ */
+function htmlToText(html) {
+  if (!html) return '';
+  return String(html)
+    .replace(/<\s*br\s*\/?>/gi, '\n')
+    .replace(/<\/\s*(p|div|li|h[1-6]|tr)\s*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line !== '')
+    .join('\n');
+}
+
+module.exports = { TrackerError, createHttpClient, htmlToText };
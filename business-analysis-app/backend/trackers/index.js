@@ -0,0 +1,92 @@
+// business-analysis-app/backend/trackers/index.js
+
+const { analyzeUserStory, getUserStoryAnalysis, DEFAULT_RULES } = require('../../shared/userStoryAgent');
+const { TrackerError } = require('./httpClient');
+const { createJiraAdapter } = require('./jiraAdapter');
+const { createAzureDevOpsAdapter } = require('./azureDevOpsAdapter');
+
+// Adapter factories by the `type` given in the tracker config. New trackers register here.
+const ADAPTER_FACTORIES = {
+  jira: createJiraAdapter,
+  'azure-devops': createAzureDevOpsAdapter,
+};
+
+/**
+ * Creates the adapter for one configured tracker.
+ * @param {object} config - The tracker's settings; `type` selects the adapter.
+ * @param {{fetchImpl?: Function}} [options] - Lets callers swap the HTTP implementation.
+ */
+function createTrackerAdapter(config, options = {}) {
+  const factory = ADAPTER_FACTORIES[config.type];
+  if (!factory) {
+    throw new TrackerError(`Unknown tracker type '${config.type}'. Supported types: ${Object.keys(ADAPTER_FACTORIES).join(', ')}.`, 400);
+  }
+  if (!config.baseUrl) {
+    throw new TrackerError(`Tracker '${config.type}' is missing a baseUrl.`, 400);
+  }
+  return factory(config, options);
+}
+
+/**
+ * Fetches work items from a tracker, analyzes each one and optionally writes the
+ * results back. Work items that fail, including keys that could not be fetched, are
+ * reported individually.
+ * @param {object} adapter - A tracker adapter from createTrackerAdapter.
+ * @param {{keys?: string[], query?: string, writeBack?: {comment?: boolean, label?: boolean}, rules?: object, history?: object}} request
+ *   `history` is an optional history store; each analysis is recorded as a version of its work item key,
+ *   and a failed write is reported in the item's `historyError`.
+ * @returns {Promise<object[]>} One result per fetched work item.
+ */
+async function analyzeTrackerItems(adapter, { keys, query, writeBack = {}, rules = DEFAULT_RULES, history }) {
+  const workItems = keys && keys.length > 0
+    ? await adapter.fetchByKeys(keys)
+    : await adapter.fetchByQuery(query);
+
+  const results = [];
+  for (const workItem of workItems) {
+    if (workItem.error) {
+      results.push({ key: workItem.key, status: 'error', error: workItem.error });
+      continue;
+    }
+    const result = { key: workItem.key, title: workItem.title, url: workItem.url };
+    const analysis = getUserStoryAnalysis(workItem.story, workItem.acceptanceCriteria, rules);
+    if (!analysis) {
+      results.push({ ...result, status: 'error', error: 'Work item has no story text in the mapped field.' });
+      continue;
+    }
+
+    result.status = 'ok';
+    result.analysis = analysis;
+    if (history) {
+      // A failed history write is reported on its item, like a failed write-back.
+      try {
+        const stored = await history.addVersion({
+          storyId: workItem.key,
+          title: workItem.title,
+          story: workItem.story,
+          acceptanceCriteria: workItem.acceptanceCriteria,
+          profile: rules.PROFILE_NAME,
+          analysis,
+        });
+        result.version = stored.version;
+      } catch (error) {
+        result.historyError = error.message;
+      }
+    }
+    try {
+      if (writeBack.comment) {
+        await adapter.postComment(workItem, analyzeUserStory(workItem.story, workItem.acceptanceCriteria, rules));
+        result.commentPosted = true;
+      }
+      if (writeBack.label) {
+        result.labelApplied = await adapter.setReadinessLabel(workItem, analysis.overallReadinessScore.readinessCategoryId);
+      }
+    } catch (error) {
+      result.writeBackError = error.message;
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+module.exports = { createTrackerAdapter, analyzeTrackerItems, TrackerError, ADAPTER_FACTORIES };
@@ -0,0 +1,78 @@
+// business-analysis-app/backend/trackers/jiraAdapter.js
+
+const { createHttpClient } = require('./httpClient');
+
+const DEFAULT_FIELDS = { title: 'summary', story: 'description', acceptanceCriteria: null };
+const MAX_SEARCH_RESULTS = 100;
+
+/**
+ * Reads a text field. API v2 returns wiki markup as a plain string, or null when unset.
+ */
+function fieldText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Creates an adapter for the Jira REST API (v2, which returns descriptions as text).
+ * @param {object} config - Tracker settings: baseUrl, token, authType ('basic' | 'bearer'), email, fields, labelPrefix.
+ * @param {{fetchImpl?: Function}} [options]
+ */
+function createJiraAdapter(config, { fetchImpl } = {}) {
+  const fields = { ...DEFAULT_FIELDS, ...(config.fields || {}) };
+  const labelPrefix = config.labelPrefix || 'readiness-';
+  const authorization = config.authType === 'bearer'
+    ? `Bearer ${config.token}`
+    : `Basic ${Buffer.from(`${config.email}:${config.token}`).toString('base64')}`;
+  const request = createHttpClient({ baseUrl: config.baseUrl, authorization, fetchImpl });
+
+  const requestedFields = Object.values(fields).filter(Boolean).concat('labels');
+
+  const toWorkItem = issue => ({
+    key: issue.key,
+    title: issue.fields[fields.title] || '',
+    story: fieldText(issue.fields[fields.story]),
+    acceptanceCriteria: fields.acceptanceCriteria ? fieldText(issue.fields[fields.acceptanceCriteria]) : '',
+    labels: issue.fields.labels || [],
+    url: `${config.baseUrl.replace(/\/+$/, '')}/browse/${issue.key}`,
+  });
+
+  return {
+    type: 'jira',
+
+    // Issues are fetched one by one, so a missing or forbidden key only fails its own entry.
+    async fetchByKeys(keys) {
+      const query = `?fields=${encodeURIComponent(requestedFields.join(','))}`;
+      const issues = await Promise.allSettled(keys.map(key => request(`/rest/api/2/issue/${encodeURIComponent(key)}${query}`)));
+      return issues.map((issue, index) => (issue.status === 'fulfilled'
+        ? toWorkItem(issue.value)
+        : { key: keys[index], error: issue.reason.message }));
+    },
+
+    async fetchByQuery(jql) {
+      const result = await request('/rest/api/2/search', {
+        method: 'POST',
+        body: { jql, fields: requestedFields, maxResults: MAX_SEARCH_RESULTS },
+      });
+      return result.issues.map(toWorkItem);
+    },
+
+    async postComment(workItem, markdown) {
+      await request(`/rest/api/2/issue/${encodeURIComponent(workItem.key)}/comment`, {
+        method: 'POST',
+        body: { body: markdown },
+      });
+    },
+
+    async setReadinessLabel(workItem, categoryId) {
+      const label = `${labelPrefix}${categoryId}`;
+      const stale = workItem.labels.filter(l => l.startsWith(labelPrefix) && l !== label);
+      await request(`/rest/api/2/issue/${encodeURIComponent(workItem.key)}`, {
+        method: 'PUT',
+        body: { update: { labels: [...stale.map(l => ({ remove: l })), { add: label }] } },
+      });
+      return label;
+    },
+  };
+}
+
+module.exports = { createJiraAdapter };
@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+// business-analysis-app/cli/bin/ba-toolbox.js
+
+const { run } = require('../src');
+
+process.exitCode = run(process.argv.slice(2));
@@ -0,0 +1,118 @@
+// business-analysis-app/cli/src/calibration.js
+
+// Reading reviewer overrides, and writing and reporting the profile `ba-toolbox calibrate`
+// fits to them (see calibrateRules in shared/calibration.js).
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { CalibrationError } = require('@ba-toolbox/shared/calibration');
+
+/**
+ * Reads reviewer overrides: a list of reviews, or the Express backend's reviews.json.
+ * @throws {CalibrationError} If the file cannot be read.
+ */
+function readReviews(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new CalibrationError(`Reviews ${filePath} could not be read: ${error.message}`);
+  }
+  const reviews = Array.isArray(data) ? data : data && data.reviews;
+  if (!Array.isArray(reviews)) {
+    throw new CalibrationError(`Reviews ${filePath} must hold a list of reviews or a 'reviews' list.`);
+  }
+  return reviews;
+}
+
+/**
+ * Builds the calibrated profile: the base profile's rules, with the calibrated weights and
+ * cut-offs on top.
+ * @param {object} baseOverrides - The base profile's rules, as written in its file.
+ * @param {object} calibration - The result of calibrateRules.
+ * @param {string} description
+ * @returns {{description: string, rules: object}}
+ */
+function buildCalibratedProfile(baseOverrides, calibration, description) {
+  const rules = { ...baseOverrides };
+  if (calibration.overrides.SCORING) {
+    rules.SCORING = { ...baseOverrides.SCORING, ...calibration.overrides.SCORING };
+  }
+  if (calibration.overrides.READINESS_CATEGORIES) {
+    rules.READINESS_CATEGORIES = calibration.overrides.READINESS_CATEGORIES;
+  }
+  return { description, rules };
+}
+
+/**
+ * Writes a profile as YAML or JSON, by the file extension.
+ */
+function writeProfile(filePath, profile) {
+  const content = /\.ya?ml$/i.test(filePath) ? yaml.dump(profile) : `${JSON.stringify(profile, null, 2)}\n`;
+  fs.writeFileSync(filePath, content);
+}
+
+// =================================================================
+// REPORTS
+// =================================================================
+
+/**
+ * Formats the calibration report for a terminal: the agreement before and after, the
+ * changed rules, the weights the finding verdicts steered, and the findings reviewers
+ * disagreed with.
+ */
+function formatCalibrationHuman(report) {
+  const { before, after } = report;
+  const row = (label, from, to) => `  ${label.padEnd(28)} ${String(from).padStart(7)} ${String(to).padStart(7)}`;
+  const lines = [
+    `Calibrated '${report.profile}' on ${report.reviewCount} reviews${report.skipped.length > 0 ? ` (${report.skipped.length} skipped: unknown readiness category)` : ''}.`,
+    '',
+    row('Readiness agreement', 'Before', 'After'),
+    row('Exact category', `${before.exactAgreement}%`, `${after.exactAgreement}%`),
+    row('Within one category', `${before.withinOneAgreement}%`, `${after.withinOneAgreement}%`),
+    ...before.categories.map((category, i) => (
+      row(`  ${category.id}`, `${category.agreedCount}/${category.reviewCount}`, `${after.categories[i].agreedCount}/${after.categories[i].reviewCount}`)
+    )),
+    '',
+  ];
+
+  if (report.changes.length === 0) {
+    lines.push('No rule changes improve the agreement.');
+  } else {
+    lines.push('Changed rules');
+    report.changes.forEach((change) => lines.push(`  ${change.rule.padEnd(42)} ${change.from} → ${change.to}`));
+  }
+
+  if (report.steering.length > 0) {
+    lines.push('', 'Weights steered by finding verdicts');
+    report.steering.forEach((entry) => {
+      const note = entry.direction === 'lower' ? 'may only go down' : 'may not go down';
+      lines.push(`  ${entry.rule.padEnd(42)} ${note} (${entry.agreed} agreed, ${entry.disagreed} disagreed)`);
+    });
+  }
+
+  const disputed = report.findings.filter((finding) => finding.disagreed > 0);
+  if (disputed.length > 0) {
+    lines.push('', 'Findings reviewers disagreed with');
+    disputed.forEach((finding) => {
+      lines.push(`  ${finding.ruleId.padEnd(28)} ${finding.agreement}% agreement (${finding.agreed} agreed, ${finding.disagreed} disagreed)`);
+    });
+  }
+
+  lines.push('', `Wrote the calibrated profile to ${report.output}.`);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Formats the calibration report as JSON.
+ */
+function formatCalibrationJson(report) {
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+const CALIBRATION_FORMATTERS = {
+  human: formatCalibrationHuman,
+  json: formatCalibrationJson,
+};
+
+module.exports = { readReviews, buildCalibratedProfile, writeProfile, CALIBRATION_FORMATTERS };
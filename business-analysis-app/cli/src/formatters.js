@@ -0,0 +1,218 @@
+// business-analysis-app/cli/src/formatters.js
+
+// Report formats for the lint report built by lintStories (see index.js).
+
+// Rules the CLI reports itself, on top of the analyzer's findings.
+const REPORT_RULES = {
+  BELOW_MINIMUM: {
+    id: 'readiness/below-minimum',
+    severity: 'error',
+    description: 'The story scores below the minimum readiness score.',
+  },
+  UNREADABLE: {
+    id: 'story/unreadable',
+    severity: 'error',
+    description: 'The story could not be read or analyzed.',
+  },
+};
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const position = (location) => (location ? `${location.line}:${location.column}` : '-');
+
+/**
+ * The story's readiness and why it fails, as one line.
+ */
+function describeResult(result, minScore) {
+  if (result.status === 'error') return result.error;
+  const { readinessRating, readinessCategory } = result;
+  return result.passed
+    ? `${readinessRating}/100 ${readinessCategory}`
+    : `${readinessRating}/100 ${readinessCategory} (below the minimum of ${minScore})`;
+}
+
+// =================================================================
+// HUMAN
+// =================================================================
+
+/**
+ * Formats the report for a terminal, grouped by file.
+ */
+function formatHuman(report) {
+  const lines = [];
+  let currentFile = null;
+  report.stories.forEach((result) => {
+    if (result.file !== currentFile) {
+      if (currentFile !== null) lines.push('');
+      lines.push(result.file);
+      currentFile = result.file;
+    }
+    const name = [result.id, result.title].filter(Boolean).join(' ');
+    lines.push(`  ${result.passed ? '✔' : '✖'} ${name}: ${describeResult(result, report.minScore)}`);
+    result.findings.forEach((finding) => {
+      lines.push(`    ${position(finding.location).padEnd(7)} ${finding.severity.padEnd(7)} ${finding.message}  ${finding.ruleId}`);
+    });
+  });
+
+  const { summary } = report;
+  const count = `${summary.totalCount} ${summary.totalCount === 1 ? 'story' : 'stories'}`;
+  const average = summary.averageReadiness === null ? '' : `, average ${summary.averageReadiness}/100`;
+  lines.push('', report.passed
+    ? `✔ Every story meets the minimum readiness score of ${report.minScore} (${count}${average}).`
+    : `✖ ${summary.failedCount} of ${count} below the minimum readiness score of ${report.minScore}${average}.`);
+  return `${lines.join('\n')}\n`;
+}
+
+// =================================================================
+// JSON
+// =================================================================
+
+/**
+ * Formats the report as JSON, including every story's full analysis.
+ */
+function formatJson(report) {
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+// =================================================================
+// JUNIT XML
+// =================================================================
+
+/**
+ * Formats the report as JUnit XML: one test suite per file and one test case per story.
+ * Stories below the minimum score fail; stories that cannot be read are errors.
+ */
+function formatJunit(report) {
+  const findingLines = (result) => result.findings
+    .map((finding) => `${position(finding.location)} ${finding.severity} ${finding.message} (${finding.ruleId})`)
+    .join('\n');
+
+  const byFile = new Map();
+  report.stories.forEach((result) => byFile.set(result.file, [...(byFile.get(result.file) || []), result]));
+
+  const suites = [...byFile.entries()].map(([file, results]) => {
+    const failures = results.filter((r) => r.status === 'ok' && !r.passed).length;
+    const errors = results.filter((r) => r.status === 'error').length;
+    const cases = results.map((result) => {
+      const name = escapeXml([result.id, result.title].filter(Boolean).join(': '));
+      const line = result.location ? ` line="${result.location.line}"` : '';
+      const open = `    <testcase classname="${escapeXml(file)}" name="${name}" file="${escapeXml(file)}"${line}>`;
+      const details = escapeXml(findingLines(result));
+      if (result.status === 'error') {
+        return `${open}\n      <error message="${escapeXml(result.error)}" type="${REPORT_RULES.UNREADABLE.id}"/>\n    </testcase>`;
+      }
+      if (!result.passed) {
+        return `${open}\n      <failure message="${escapeXml(describeResult(result, report.minScore))}" type="${REPORT_RULES.BELOW_MINIMUM.id}">${details}</failure>\n    </testcase>`;
+      }
+      return details ? `${open}\n      <system-out>${details}</system-out>\n    </testcase>` : `${open}</testcase>`;
+    });
+    return [
+      `  <testsuite name="${escapeXml(file)}" tests="${results.length}" failures="${failures}" errors="${errors}">`,
+      ...cases,
+      '  </testsuite>',
+    ].join('\n');
+  });
+
+  const failures = report.stories.filter((r) => r.status === 'ok' && !r.passed).length;
+  const errors = report.stories.filter((r) => r.status === 'error').length;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="ba-toolbox" tests="${report.stories.length}" failures="${failures}" errors="${errors}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+// =================================================================
+// SARIF
+// =================================================================
+
+/**
+ * Formats the report as SARIF 2.1.0 for code scanning. Every finding is a result at its
+ * line and column; stories below the minimum score and unreadable stories are results too.
+ */
+function formatSarif(report) {
+  const rules = new Map();
+  const addRule = (id, severity, description) => {
+    if (!rules.has(id)) {
+      rules.set(id, {
+        id,
+        ...(description && { shortDescription: { text: description } }),
+        defaultConfiguration: { level: SARIF_LEVELS[severity] },
+      });
+    }
+  };
+  const physicalLocation = (file, location, endLocation) => ({
+    physicalLocation: {
+      artifactLocation: { uri: file, uriBaseId: '%SRCROOT%' },
+      ...(location && {
+        region: {
+          startLine: location.line,
+          startColumn: location.column,
+          ...(endLocation && { endLine: endLocation.line, endColumn: endLocation.column }),
+        },
+      }),
+    },
+  });
+
+  const results = report.stories.flatMap((result) => {
+    const storyResults = [];
+    const properties = { storyId: result.id };
+    if (result.status === 'error') {
+      addRule(REPORT_RULES.UNREADABLE.id, REPORT_RULES.UNREADABLE.severity, REPORT_RULES.UNREADABLE.description);
+      storyResults.push({
+        ruleId: REPORT_RULES.UNREADABLE.id,
+        level: SARIF_LEVELS[REPORT_RULES.UNREADABLE.severity],
+        message: { text: result.error },
+        locations: [physicalLocation(result.file, result.location)],
+        properties,
+      });
+    } else if (!result.passed) {
+      addRule(REPORT_RULES.BELOW_MINIMUM.id, REPORT_RULES.BELOW_MINIMUM.severity, REPORT_RULES.BELOW_MINIMUM.description);
+      storyResults.push({
+        ruleId: REPORT_RULES.BELOW_MINIMUM.id,
+        level: SARIF_LEVELS[REPORT_RULES.BELOW_MINIMUM.severity],
+        message: { text: `${result.id}: ${describeResult(result, report.minScore)}` },
+        locations: [physicalLocation(result.file, result.location)],
+        properties: { ...properties, readinessRating: result.readinessRating },
+      });
+    }
+    result.findings.forEach((finding) => {
+      addRule(finding.ruleId, finding.severity);
+      storyResults.push({
+        ruleId: finding.ruleId,
+        level: SARIF_LEVELS[finding.severity],
+        message: { text: finding.message },
+        locations: [physicalLocation(result.file, finding.location, finding.endLocation)],
+        properties,
+      });
+    });
+    return storyResults;
+  });
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'ba-toolbox', version: report.version, rules: [...rules.values()] } },
+      results,
+    }],
+  };
+  return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+const FORMATTERS = {
+  human: formatHuman,
+  json: formatJson,
+  junit: formatJunit,
+  sarif: formatSarif,
+};
+
+module.exports = { FORMATTERS, REPORT_RULES };
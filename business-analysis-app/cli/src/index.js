@@ -0,0 +1,338 @@
+// business-analysis-app/cli/src/index.js
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const yaml = require('js-yaml');
+const { analyzeBacklog, RuleProfileError, ANALYSIS_SCHEMA_VERSION } = require('@ba-toolbox/shared/userStoryAgent');
+const { createProfileStore, DEFAULT_PROFILE_NAME } = require('@ba-toolbox/shared/ruleProfiles');
+const { withEnabledFrameworks } = require('@ba-toolbox/shared/qualityFrameworks');
+const { withPersonaCatalogue, validatePersona } = require('@ba-toolbox/shared/personas');
+const { withLocale } = require('@ba-toolbox/shared/locales');
+const { withGlossary, validateGlossaryTerm, parseGlossaryCsv } = require('@ba-toolbox/shared/glossary');
+const { calibrateRules, CalibrationError } = require('@ba-toolbox/shared/calibration');
+const { expandPatterns, readStoryFile, locate, StoryFileError } = require('./storyFiles');
+const { FORMATTERS } = require('./formatters');
+const { readReviews, buildCalibratedProfile, writeProfile, CALIBRATION_FORMATTERS } = require('./calibration');
+const { version: VERSION } = require('../package.json');
+
+// Without --min-score, stories must reach this readiness category.
+const DEFAULT_MIN_CATEGORY = 'at-standard';
+
+const EXIT_CODES = { PASSED: 0, FAILED: 1, USAGE: 2 };
+
+const USAGE = `Usage: ba-toolbox [options] <file|directory|glob>...
+       ba-toolbox calibrate [options] --output <profile> <reviews.json>
+
+Lints user stories in Markdown, YAML, JSON or CSV files and exits with 1 when any
+story scores below the minimum readiness score.
+
+'calibrate' fits the profile's scoring weights and readiness cut-offs to reviewer
+overrides (a list of reviews, or the backend's data/reviews.json), writes them as a
+new rule profile and reports the agreement with the reviewers before and after.
+
+Options:
+  -f, --format <format>      human (default), json, junit or sarif; calibrate: human or json
+  -o, --output <file>        Write the report to a file instead of stdout;
+                             calibrate: the profile to write (.json, .yaml or .yml)
+  -p, --profile <name>       Rule profile (default: ${DEFAULT_PROFILE_NAME})
+      --profiles-dir <dir>   Directory with the rule profiles (default: shared/profiles)
+      --frameworks <ids>     Comma-separated quality frameworks to run instead of the profile's
+      --personas <file>      Persona catalogue (JSON or YAML) added to the profile's
+      --glossary <file>      Glossary terms (JSON, YAML or CSV) added to the profile's
+      --locale <id>          Story language: auto (default), en, de, fr or es
+      --min-score <score>    Minimum readiness, 0-100 or a readiness category ID
+                             (default: the '${DEFAULT_MIN_CATEGORY}' category)
+  -h, --help                 Show this help
+  -v, --version              Show the version
+`;
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'human' },
+  output: { type: 'string', short: 'o' },
+  profile: { type: 'string', short: 'p', default: DEFAULT_PROFILE_NAME },
+  'profiles-dir': { type: 'string' },
+  frameworks: { type: 'string' },
+  personas: { type: 'string' },
+  glossary: { type: 'string' },
+  locale: { type: 'string' },
+  'min-score': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+};
+
+/**
+ * Raised for invalid arguments and configuration. The CLI prints it and exits with 2.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+
+/**
+ * Reads a persona catalogue: a list of personas, `{ personas: [...] }` or the Express
+ * backend's personas.json.
+ */
+function loadPersonas(filePath) {
+  let data;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    data = /\.ya?ml$/i.test(filePath) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`Persona catalogue ${filePath} could not be read: ${error.message}`);
+  }
+  const personas = Array.isArray(data) ? data : Object.values((data && data.personas) || {});
+  const errors = personas.flatMap((persona, index) => validatePersona(persona, `personas[${index}]`));
+  if (errors.length > 0) {
+    throw new UsageError(`Persona catalogue ${filePath} is invalid: ${errors.join(' ')}`);
+  }
+  return personas;
+}
+
+/**
+ * Reads glossary terms: a CSV file with a header row, a list of terms, `{ terms: [...] }`
+ * or the Express backend's glossary.json.
+ */
+function loadGlossary(filePath) {
+  let terms;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (/\.csv$/i.test(filePath)) {
+      terms = parseGlossaryCsv(text);
+    } else {
+      const data = /\.ya?ml$/i.test(filePath) ? yaml.load(text) : JSON.parse(text);
+      terms = Array.isArray(data) ? data : Object.values((data && data.terms) || {});
+    }
+  } catch (error) {
+    throw new UsageError(`Glossary ${filePath} could not be read: ${error.message}`);
+  }
+  // CSV problems are reported by row.
+  const errors = terms.flatMap(({ row, ...term }, index) => validateGlossaryTerm(term, row ? `row ${row}` : `terms[${index}]`));
+  if (errors.length > 0) {
+    throw new UsageError(`Glossary ${filePath} is invalid: ${errors.join(' ')}`);
+  }
+  return terms;
+}
+
+/**
+ * Opens the profiles in --profiles-dir, or the shared ones.
+ */
+function openProfileStore(options, cwd) {
+  return createProfileStore({
+    directory: options['profiles-dir'] ? path.resolve(cwd, options['profiles-dir']) : undefined,
+  });
+}
+
+/**
+ * Resolves the rules for the run: the profile, with the requested frameworks, locale,
+ * personas and glossary.
+ */
+function resolveRunRules(options, cwd) {
+  const profileStore = openProfileStore(options, cwd);
+  let rules;
+  try {
+    rules = profileStore.get(options.profile);
+    if (options.frameworks !== undefined) {
+      rules = withEnabledFrameworks(rules, options.frameworks.split(',').map((id) => id.trim()).filter(Boolean));
+    }
+    if (options.locale !== undefined) rules = withLocale(rules, options.locale);
+  } catch (error) {
+    // An unknown quality framework or locale is a RangeError.
+    if (error instanceof RuleProfileError || error instanceof RangeError) {
+      throw new UsageError([error.message, ...(error.details || [])].join(' '));
+    }
+    throw error;
+  }
+  if (options.personas) rules = withPersonaCatalogue(rules, loadPersonas(path.resolve(cwd, options.personas)));
+  if (options.glossary) rules = withGlossary(rules, loadGlossary(path.resolve(cwd, options.glossary)));
+  return rules;
+}
+
+/**
+ * Reads --min-score: a number from 0 to 100 or the ID of a readiness category, which
+ * stands for the category's lowest score.
+ */
+function resolveMinScore(value, rules) {
+  const categoryScore = (id) => {
+    const category = rules.READINESS_CATEGORIES.find((cat) => cat.id === id);
+    return category ? category.score : null;
+  };
+  if (value === undefined) return categoryScore(DEFAULT_MIN_CATEGORY) ?? 0;
+
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    const score = Number(value);
+    if (score > 100) throw new UsageError(`--min-score must be between 0 and 100, got ${value}.`);
+    return score;
+  }
+  const score = categoryScore(value.trim());
+  if (score === null) {
+    const ids = rules.READINESS_CATEGORIES.map((cat) => cat.id).join(', ');
+    throw new UsageError(`--min-score must be a number from 0 to 100 or a readiness category (${ids}), got '${value}'.`);
+  }
+  return score;
+}
+
+// =================================================================
+// CALIBRATION
+// =================================================================
+
+/**
+ * Runs \`ba-toolbox calibrate\`: fits the profile to the reviews, writes the calibrated profile
+ * and prints the report.
+ * @returns {number} The exit code.
+ */
+function runCalibration(options, positionals, { cwd, stdout }) {
+  const format = CALIBRATION_FORMATTERS[options.format];
+  if (!format) {
+    throw new UsageError(`Unknown calibration report format '${options.format}'. Use ${Object.keys(CALIBRATION_FORMATTERS).join(', ')}.`);
+  }
+  if (positionals.length !== 1) throw new UsageError('calibrate takes one reviews file.');
+  if (!options.output) throw new UsageError('calibrate needs --output, the profile file to write.');
+  if (options['min-score'] !== undefined) throw new UsageError('--min-score cannot be used with calibrate.');
+
+  const rules = resolveRunRules(options, cwd);
+  let calibration;
+  try {
+    calibration = calibrateRules(readReviews(path.resolve(cwd, positionals[0])), rules);
+  } catch (error) {
+    if (error instanceof CalibrationError) throw new UsageError([error.message, ...error.details].join(' '));
+    throw error;
+  }
+
+  // Profiles list their rules as written in the file, which the calibrated profile builds on.
+  const base = openProfileStore(options, cwd).list().find((profile) => profile.name === options.profile);
+  const baseOverrides = { ...base.rules };
+  if (options.locale !== undefined) baseOverrides.LOCALE = options.locale;
+  if (options.frameworks !== undefined) baseOverrides.FRAMEWORKS = { ...baseOverrides.FRAMEWORKS, ENABLED: rules.FRAMEWORKS.ENABLED };
+
+  const description = `The ${options.profile} profile, calibrated on ${calibration.reviewCount} reviewed stories.`;
+  writeProfile(path.resolve(cwd, options.output), buildCalibratedProfile(baseOverrides, calibration, description));
+  stdout.write(format({ tool: 'ba-toolbox', version: VERSION, profile: options.profile, output: options.output, ...calibration }));
+  return EXIT_CODES.PASSED;
+}
+
+// =================================================================
+// LINTING
+// =================================================================
+
+/**
+ * Analyzes the stories in the files as one backlog, so cross-story checks (dependencies,
+ * duplicates, persona drift) apply, and checks each against the minimum score.
+ * @param {string[]} files - Absolute paths.
+ * @param {{rules: object, minScore: number, profile: string, cwd: string}} settings
+ * @returns {object} The report the formatters render. A story passes when it was analyzed
+ *   and its readiness rating is at least `minScore`.
+ */
+function lintStories(files, { rules, minScore, profile, cwd }) {
+  const records = files.flatMap((file) => readStoryFile(file, cwd));
+  const backlog = analyzeBacklog(records, rules);
+
+  const stories = backlog.results.map((row) => {
+    const record = records[row.index];
+    const storyLocation = locate(record, 'story', 0);
+    const result = { file: record.file, id: row.id, title: row.title, status: row.status, location: storyLocation };
+    if (row.status === 'error') {
+      return { ...result, passed: false, error: row.error, findings: [] };
+    }
+
+    const { readinessRating, readinessCategory, readinessCategoryId } = row.analysis.overallReadinessScore;
+    const findings = row.analysis.findings.map((finding) => ({
+      ...finding,
+      location: locate(record, finding.field, finding.start),
+      endLocation: locate(record, finding.field, finding.end),
+    }));
+    return {
+      ...result,
+      passed: readinessRating >= minScore,
+      readinessRating,
+      readinessCategory,
+      readinessCategoryId,
+      findings,
+      analysis: row.analysis,
+    };
+  });
+
+  const failedCount = stories.filter((story) => !story.passed).length;
+  return {
+    tool: 'ba-toolbox',
+    version: VERSION,
+    schemaVersion: ANALYSIS_SCHEMA_VERSION,
+    profile,
+    minScore,
+    passed: failedCount === 0,
+    summary: { ...backlog.summary, failedCount },
+    dependencyGraph: backlog.dependencyGraph,
+    stories,
+  };
+}
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv - The arguments, without `node` and the script.
+ * @param {{cwd?: string, stdout?: {write: Function}, stderr?: {write: Function}}} [io]
+ * @returns {number} The exit code: 0 when every story passes or calibration succeeds, 1 when
+ *   a story is below the minimum score or cannot be read, 2 for invalid arguments.
+ */
+function run(argv, { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr } = {}) {
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    const { values: options, positionals } = parsed;
+
+    if (options.help) {
+      stdout.write(USAGE);
+      return EXIT_CODES.PASSED;
+    }
+    if (options.version) {
+      stdout.write(`${VERSION}\n`);
+      return EXIT_CODES.PASSED;
+    }
+    if (positionals[0] === 'calibrate') {
+      return runCalibration(options, positionals.slice(1), { cwd, stdout });
+    }
+    const format = FORMATTERS[options.format];
+    if (!format) {
+      throw new UsageError(`Unknown format '${options.format}'. Use ${Object.keys(FORMATTERS).join(', ')}.`);
+    }
+    if (positionals.length === 0) {
+      throw new UsageError('No story files given.');
+    }
+
+    const rules = resolveRunRules(options, cwd);
+    const minScore = resolveMinScore(options['min-score'], rules);
+    let files;
+    try {
+      files = expandPatterns(positionals, cwd);
+    } catch (error) {
+      if (error instanceof StoryFileError) throw new UsageError(error.message);
+      throw error;
+    }
+
+    const report = lintStories(files, { rules, minScore, profile: options.profile, cwd });
+    const output = format(report);
+    if (options.output) {
+      fs.writeFileSync(path.resolve(cwd, options.output), output);
+    } else {
+      stdout.write(output);
+    }
+    return report.passed ? EXIT_CODES.PASSED : EXIT_CODES.FAILED;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`ba-toolbox: ${error.message}\nRun 'ba-toolbox --help' for usage.\n`);
+      return EXIT_CODES.USAGE;
+    }
+    throw error;
+  }
+}
+
+module.exports = { run, lintStories, EXIT_CODES };
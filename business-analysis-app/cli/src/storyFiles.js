@@ -0,0 +1,272 @@
+// business-analysis-app/cli/src/storyFiles.js
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseBacklogCsv, normalizeBacklogItems } = require('@ba-toolbox/shared/backlogImport');
+
+// Files a directory argument expands to. Globs can name any of the readers below.
+const DIRECTORY_EXTENSIONS = ['.md', '.markdown', '.yml', '.yaml'];
+const IGNORED_DIRECTORIES = new Set(['node_modules']);
+
+const FRONT_MATTER_REGEX = /^---\n([\s\S]*?)\n---(?:\n|$)/;
+const HEADING_REGEX = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const STORY_HEADING_REGEX = /^(?:user )?story:?$/i;
+const AC_HEADING_REGEX = /^(?:acceptance criteria|acceptance|criteria|ac):?$/i;
+
+/**
+ * Raised for files that cannot be read as stories. The CLI reports it on the file's row.
+ */
+class StoryFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StoryFileError';
+  }
+}
+
+// =================================================================
+// FILE DISCOVERY
+// =================================================================
+
+const toPosix = (filePath) => filePath.split(path.sep).join('/');
+const hasGlob = (pattern) => /[*?[{]/.test(pattern);
+
+/**
+ * Converts a glob to a regular expression. Supports `*`, `**`, `?`, `[...]` and `{a,b}`.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists the files below a directory, skipping dot directories and node_modules.
+ */
+function walk(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name.startsWith('.') || IGNORED_DIRECTORIES.has(entry.name) ? [] : walk(fullPath);
+    }
+    return entry.isFile() ? [fullPath] : [];
+  });
+}
+
+/**
+ * Expands file, directory and glob arguments into story files.
+ * @param {string[]} patterns - e.g. ["stories/**\/*.md", "backlog.yaml", "docs/stories"].
+ * @param {string} cwd - The directory relative patterns are resolved against.
+ * @returns {string[]} Absolute paths, sorted and without duplicates.
+ * @throws {StoryFileError} If a pattern matches nothing.
+ */
+function expandPatterns(patterns, cwd) {
+  const files = new Set();
+  patterns.forEach((pattern) => {
+    let matches;
+    if (!hasGlob(pattern)) {
+      const fullPath = path.resolve(cwd, pattern);
+      if (!fs.existsSync(fullPath)) throw new StoryFileError(`No such file or directory: ${pattern}`);
+      matches = fs.statSync(fullPath).isDirectory()
+        ? walk(fullPath).filter((file) => DIRECTORY_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        : [fullPath];
+    } else {
+      // Walk from the part of the pattern before the first glob segment.
+      const segments = toPosix(pattern).split('/');
+      const firstGlob = segments.findIndex(hasGlob);
+      const base = path.resolve(cwd, segments.slice(0, firstGlob).join('/') || '.');
+      const regex = globToRegExp(toPosix(path.resolve(cwd, pattern)));
+      matches = fs.existsSync(base) ? walk(base).filter((file) => regex.test(toPosix(file))) : [];
+      if (matches.length === 0) throw new StoryFileError(`No files match ${pattern}`);
+    }
+    matches.forEach((file) => files.add(file));
+  });
+  return [...files].sort();
+}
+
+// =================================================================
+// READERS
+// =================================================================
+// Every reader returns story records for analyzeBacklog, plus where the story and AC text
+// start in the file (`offsets`) when it is known, so findings can be reported by line.
+
+/**
+ * Reads a Markdown story: optional YAML front matter (`id`, `title`), a `# Title`, the story
+ * and an "Acceptance Criteria" section. The story is the first paragraph of a "Story"
+ * section or, without one, the first paragraph after the title.
+ */
+function readMarkdown(text, displayPath) {
+  let meta = {};
+  let bodyStart = 0;
+  const frontMatter = text.match(FRONT_MATTER_REGEX);
+  if (frontMatter) {
+    try {
+      meta = yaml.load(frontMatter[1]) || {};
+    } catch (error) {
+      throw new StoryFileError(`Front matter could not be parsed: ${error.message}`);
+    }
+    bodyStart = frontMatter[0].length;
+  }
+
+  const lines = [];
+  let offset = bodyStart;
+  text.slice(bodyStart).split('\n').forEach((line) => {
+    lines.push({ line, offset });
+    offset += line.length + 1;
+  });
+  const headings = lines
+    .map(({ line, offset: lineOffset }, index) => {
+      const match = line.match(HEADING_REGEX);
+      return match && { level: match[1].length, title: match[2], index, offset: lineOffset };
+    })
+    .filter(Boolean);
+
+  // The lines of a section, up to the next heading of the same or a higher level.
+  const sectionLines = (heading) => {
+    const next = headings.find((h) => h.index > heading.index && h.level <= heading.level);
+    return lines.slice(heading.index + 1, next ? next.index : lines.length);
+  };
+  const firstParagraph = (sectionStart) => {
+    const start = lines.findIndex((l, i) => i >= sectionStart && l.line.trim() !== '');
+    if (start === -1 || HEADING_REGEX.test(lines[start].line)) return null;
+    let end = start;
+    while (end + 1 < lines.length && lines[end + 1].line.trim() !== '' && !HEADING_REGEX.test(lines[end + 1].line)) end++;
+    return { lines: lines.slice(start, end + 1) };
+  };
+
+  const titleHeading = headings.find((h) => h.level === 1);
+  const storyHeading = headings.find((h) => STORY_HEADING_REGEX.test(h.title));
+  const acHeading = headings.find((h) => AC_HEADING_REGEX.test(h.title));
+
+  const paragraph = firstParagraph(storyHeading ? storyHeading.index + 1 : titleHeading ? titleHeading.index + 1 : 0);
+  // Line breaks inside the paragraph become spaces, which keeps the offsets of the story text.
+  const paragraphText = paragraph ? paragraph.lines.map((l) => l.line).join(' ') : '';
+  const indent = paragraphText.length - paragraphText.trimStart().length;
+  const story = paragraphText.trim();
+  const acLines = acHeading ? sectionLines(acHeading) : [];
+  const acStart = acLines.findIndex((l) => l.line.trim() !== '');
+  const acceptanceCriteria = acStart === -1 ? '' : acLines.slice(acStart).map((l) => l.line).join('\n').trimEnd();
+
+  return [{
+    id: meta.id !== undefined && meta.id !== null ? String(meta.id) : displayPath,
+    title: meta.title || (titleHeading ? titleHeading.title : ''),
+    story,
+    acceptanceCriteria,
+    offsets: {
+      story: paragraph ? paragraph.lines[0].offset + indent : null,
+      acceptanceCriteria: acStart === -1 ? null : acLines[acStart].offset,
+    },
+  }];
+}
+
+/**
+ * Reads stories from parsed YAML or JSON: one story object, an array of stories or
+ * `{ stories: [...] }`. `acceptanceCriteria` may be a string or a list of criteria.
+ */
+function readStructured(data, displayPath) {
+  const items = Array.isArray(data) ? data : data && Array.isArray(data.stories) ? data.stories : [data];
+  return normalizeBacklogItems(items).map((record, index) => {
+    const source = items[index];
+    const hasId = source && typeof source === 'object' && source.id !== undefined && source.id !== null;
+    const acceptanceCriteria = Array.isArray(record.acceptanceCriteria)
+      ? record.acceptanceCriteria.join('\n')
+      : record.acceptanceCriteria;
+    return { ...record, id: hasId ? record.id : `${displayPath}#${index + 1}`, acceptanceCriteria, offsets: {} };
+  });
+}
+
+const READERS = {
+  '.md': readMarkdown,
+  '.markdown': readMarkdown,
+  '.yml': (text, displayPath) => readStructured(yaml.load(text), displayPath),
+  '.yaml': (text, displayPath) => readStructured(yaml.load(text), displayPath),
+  '.json': (text, displayPath) => readStructured(JSON.parse(text), displayPath),
+  '.csv': (text) => parseBacklogCsv(text).map((record) => ({ ...record, offsets: {} })),
+};
+
+/**
+ * Reads the stories in a file. A file that cannot be read yields one record with a
+ * `parseError`, so the rest of the run still goes ahead.
+ * @param {string} filePath - Absolute path.
+ * @param {string} cwd - Paths are reported relative to this directory.
+ * @returns {Array<{file: string, text: string, id: string, title: string, story: string, acceptanceCriteria: string, offsets: object, parseError?: string}>}
+ *   `file` is the display path and `text` the file content with normalized line breaks.
+ */
+function readStoryFile(filePath, cwd) {
+  const file = toPosix(path.relative(cwd, filePath)) || path.basename(filePath);
+  const reader = READERS[path.extname(filePath).toLowerCase()];
+  if (!reader) {
+    return [{ file, text: '', id: file, title: '', offsets: {}, parseError: `Unsupported file type. Use ${Object.keys(READERS).join(', ')}.` }];
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  try {
+    const records = reader(text, file);
+    if (records.length === 0) throw new StoryFileError('The file contains no stories.');
+    return records.map((record) => ({ ...record, file, text }));
+  } catch (error) {
+    return [{ file, text, id: file, title: '', offsets: {}, parseError: `Could not read ${file}: ${error.message}` }];
+  }
+}
+
+// =================================================================
+// LOCATIONS
+// =================================================================
+
+/**
+ * Converts an offset into the story or AC text into a 1-based line and column in the file.
+ * Without a known offset (YAML, JSON, CSV), the line of text is looked up in the file.
+ * @param {object} record - A record from readStoryFile.
+ * @param {'story'|'acceptanceCriteria'} field
+ * @param {number} offset - Offset into the field's text.
+ * @returns {{line: number, column: number}|null} Null if the text is not found in the file.
+ */
+function locate(record, field, offset) {
+  let fileOffset;
+  const knownStart = record.offsets[field];
+  if (knownStart !== null && knownStart !== undefined) {
+    fileOffset = knownStart + offset;
+  } else {
+    const fieldText = record[field] || '';
+    const lineStart = fieldText.lastIndexOf('\n', offset - 1) + 1;
+    const lineEnd = fieldText.indexOf('\n', offset);
+    const lineText = fieldText.slice(lineStart, lineEnd === -1 ? undefined : lineEnd);
+    const found = lineText.trim() === '' ? -1 : record.text.indexOf(lineText);
+    if (found === -1) return null;
+    fileOffset = found + offset - lineStart;
+  }
+  const before = record.text.slice(0, fileOffset);
+  return { line: before.split('\n').length, column: fileOffset - before.lastIndexOf('\n') };
+}
+
+module.exports = { expandPatterns, readStoryFile, locate, globToRegExp, StoryFileError };
@@ -0,0 +1,163 @@
+// business-analysis-app/cli/test/index.test.js
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, EXIT_CODES } = require('../src');
+
+const STORY = 'As a shopper, I want to save my cart, so that I can buy the items later.';
+
+const MARKDOWN_STORY = `---
+id: SHOP-1
+---
+# Save cart
+
+${STORY}
+
+## Acceptance Criteria
+
+- Given a cart, when I save it, then it is listed on my account page.
+`;
+
+/**
+ * Runs the CLI in a directory and collects what it writes.
+ * @returns {{code: number, stdout: string, stderr: string}}
+ */
+function runCli(argv, cwd) {
+  let stdout = '';
+  let stderr = '';
+  const code = run(argv, {
+    cwd,
+    stdout: { write: (text) => { stdout += text; } },
+    stderr: { write: (text) => { stderr += text; } },
+  });
+  return { code, stdout, stderr };
+}
+
+describe('ba-toolbox', () => {
+  let directory;
+  const cli = (...argv) => runCli(argv, directory);
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ba-cli-run-'));
+    fs.mkdirSync(path.join(directory, 'stories'));
+    fs.writeFileSync(path.join(directory, 'stories', 'save-cart.md'), MARKDOWN_STORY);
+    fs.writeFileSync(path.join(directory, 'broken.yaml'), 'stories: [unclosed');
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  describe('exit codes', () => {
+    test('exits with 0 when every story meets the minimum score', () => {
+      const { code, stdout } = cli('stories');
+      assert.equal(code, EXIT_CODES.PASSED);
+      assert.match(stdout, /✔ Every story meets the minimum readiness score/);
+    });
+
+    test('exits with 1 when a story is below the minimum score', () => {
+      const { code, stdout } = cli('--min-score', '100', 'stories/**/*.md');
+      assert.equal(code, EXIT_CODES.FAILED);
+      assert.match(stdout, /✖ 1 of 1 story below the minimum readiness score of 100/);
+    });
+
+    test('exits with 1 when a file cannot be read', () => {
+      assert.equal(cli('--min-score', '0', 'stories', 'broken.yaml').code, EXIT_CODES.FAILED);
+    });
+
+    test('exits with 2 for invalid arguments and prints the problem to stderr', () => {
+      const cases = [
+        [['--format', 'xml', 'stories'], /Unknown format 'xml'/],
+        [[], /No story files given/],
+        [['missing/*.md'], /No files match missing\/\*\.md/],
+        [['--min-score', '101', 'stories'], /--min-score must be between 0 and 100/],
+        [['--min-score', 'great', 'stories'], /readiness category/],
+        [['--profile', 'no-such-profile', 'stories'], /no-such-profile/],
+        [['--locale', 'xx', 'stories'], /xx/],
+        [['--unknown-flag', 'stories'], /unknown-flag/],
+      ];
+      cases.forEach(([argv, message]) => {
+        const { code, stdout, stderr } = cli(...argv);
+        assert.equal(code, EXIT_CODES.USAGE, argv.join(' '));
+        assert.equal(stdout, '');
+        assert.match(stderr, message);
+        assert.match(stderr, /Run 'ba-toolbox --help' for usage/);
+      });
+    });
+
+    test('exits with 0 for --help and --version', () => {
+      assert.equal(cli('--help').code, EXIT_CODES.PASSED);
+      assert.match(cli('--version').stdout, /^\d+\.\d+\.\d+\n$/);
+    });
+
+    test('writes the report to --output and still exits by the result', () => {
+      const { code, stdout } = cli('--min-score', '100', '--format', 'json', '--output', 'report.json', 'stories');
+      assert.equal(code, EXIT_CODES.FAILED);
+      assert.equal(stdout, '');
+      const report = JSON.parse(fs.readFileSync(path.join(directory, 'report.json'), 'utf8'));
+      assert.equal(report.passed, false);
+      assert.equal(report.minScore, 100);
+    });
+  });
+
+  describe('JUnit report', () => {
+    test('has one suite per file and one case per story, failing stories below the minimum', () => {
+      const { stdout } = cli('--format', 'junit', '--min-score', '100', 'stories', 'broken.yaml');
+
+      assert.match(stdout, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites name="ba-toolbox" tests="2" failures="1" errors="1">/);
+      assert.match(stdout, /<testsuite name="stories\/save-cart\.md" tests="1" failures="1" errors="0">/);
+      assert.match(stdout, /<testcase classname="stories\/save-cart\.md" name="SHOP-1: Save cart" file="stories\/save-cart\.md" line="6">/);
+      assert.match(stdout, /<failure message="\d+\/100 [^"]*\(below the minimum of 100\)" type="readiness\/below-minimum">/);
+      assert.match(stdout, /<testsuite name="broken\.yaml" tests="1" failures="0" errors="1">/);
+      assert.match(stdout, /<error message="Could not read broken\.yaml: [^"]*" type="story\/unreadable"\/>/);
+      assert.match(stdout, /<\/testsuites>\n$/);
+    });
+
+    test('has no failures when every story passes', () => {
+      const { stdout } = cli('--format', 'junit', '--min-score', '0', 'stories');
+      assert.match(stdout, /<testsuites name="ba-toolbox" tests="1" failures="0" errors="0">/);
+      assert.doesNotMatch(stdout, /<failure/);
+    });
+  });
+
+  describe('SARIF report', () => {
+    test('is a SARIF 2.1.0 log with a result per finding and per failing story', () => {
+      const { stdout } = cli('--format', 'sarif', '--min-score', '100', 'stories', 'broken.yaml');
+      const sarif = JSON.parse(stdout);
+
+      assert.equal(sarif.version, '2.1.0');
+      assert.equal(sarif.runs.length, 1);
+      const [{ tool, results }] = sarif.runs;
+      assert.equal(tool.driver.name, 'ba-toolbox');
+      const ruleIds = tool.driver.rules.map((rule) => rule.id);
+      assert.equal(new Set(ruleIds).size, ruleIds.length);
+      results.forEach((result) => {
+        assert.ok(ruleIds.includes(result.ruleId), result.ruleId);
+        assert.ok(['error', 'warning', 'note'].includes(result.level));
+        assert.equal(typeof result.message.text, 'string');
+        assert.equal(result.locations[0].physicalLocation.artifactLocation.uriBaseId, '%SRCROOT%');
+      });
+
+      const belowMinimum = results.find((result) => result.ruleId === 'readiness/below-minimum');
+      assert.equal(belowMinimum.level, 'error');
+      assert.equal(belowMinimum.properties.storyId, 'SHOP-1');
+      assert.deepEqual(belowMinimum.locations[0].physicalLocation, {
+        artifactLocation: { uri: 'stories/save-cart.md', uriBaseId: '%SRCROOT%' },
+        region: { startLine: 6, startColumn: 1 },
+      });
+      const unreadable = results.find((result) => result.ruleId === 'story/unreadable');
+      assert.equal(unreadable.locations[0].physicalLocation.artifactLocation.uri, 'broken.yaml');
+    });
+
+    test('places findings at their line and column in the file', () => {
+      fs.writeFileSync(path.join(directory, 'vague.md'), '# Vague\n\nAs a user, I want the page to be fast, so that it works.\n');
+      const { stdout } = cli('--format', 'sarif', '--min-score', '0', 'vague.md');
+      const [{ results }] = JSON.parse(stdout).runs;
+
+      const generic = results.find((result) => result.ruleId === 'persona/generic');
+      assert.equal(generic.level, 'warning');
+      assert.deepEqual(generic.locations[0].physicalLocation.region, { startLine: 3, startColumn: 6, endLine: 3, endColumn: 10 });
+      assert.ok(!results.some((result) => result.ruleId === 'readiness/below-minimum'));
+    });
+  });
+});
@@ -0,0 +1,188 @@
+// business-analysis-app/cli/test/storyFiles.test.js
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expandPatterns, readStoryFile, locate, globToRegExp, StoryFileError } = require('../src/storyFiles');
+
+const STORY = 'As a shopper, I want to save my cart, so that I can buy the items later.';
+
+const MARKDOWN_STORY = `---
+id: SHOP-1
+---
+# Save cart
+
+## Story
+
+  ${STORY}
+
+## Acceptance Criteria
+
+- Given a cart, when I save it, then it is listed on my account page.
+- Saved carts can be deleted.
+
+## Notes
+
+Not part of the criteria.
+`;
+
+const YAML_STORIES = `stories:
+  - id: SHOP-2
+    title: Delete cart
+    story: ${STORY}
+    acceptanceCriteria:
+      - Saved carts can be deleted.
+      - A deleted cart is no longer listed.
+  - story: ${STORY}
+`;
+
+// Writes files below a directory, creating the folders on the way.
+function writeFiles(directory, files) {
+  Object.entries(files).forEach(([name, content]) => {
+    const filePath = path.join(directory, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+}
+
+describe('expandPatterns', () => {
+  let directory;
+  const relative = (files) => files.map((file) => path.relative(directory, file).split(path.sep).join('/'));
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ba-cli-files-'));
+    writeFiles(directory, {
+      'stories/a.md': MARKDOWN_STORY,
+      'stories/nested/b.markdown': MARKDOWN_STORY,
+      'stories/nested/c.yaml': YAML_STORIES,
+      'stories/notes.txt': 'not a story',
+      'stories/.drafts/d.md': MARKDOWN_STORY,
+      'stories/node_modules/e.md': MARKDOWN_STORY,
+      'backlog.csv': 'id,story\nSHOP-3,As a shopper\n',
+    });
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('expands a directory to its story files, skipping dot directories and node_modules', () => {
+    assert.deepEqual(relative(expandPatterns(['stories'], directory)), [
+      'stories/a.md',
+      'stories/nested/b.markdown',
+      'stories/nested/c.yaml',
+    ]);
+  });
+
+  test('matches ** across directories and * within one', () => {
+    assert.deepEqual(relative(expandPatterns(['stories/**/*.md'], directory)), ['stories/a.md']);
+    assert.deepEqual(relative(expandPatterns(['stories/*/*'], directory)), ['stories/nested/b.markdown', 'stories/nested/c.yaml']);
+  });
+
+  test('supports braces, character classes and ?', () => {
+    assert.deepEqual(relative(expandPatterns(['stories/**/*.{yaml,markdown}'], directory)), [
+      'stories/nested/b.markdown',
+      'stories/nested/c.yaml',
+    ]);
+    assert.deepEqual(relative(expandPatterns(['stories/[a-b].md', 'stories/?.md'], directory)), ['stories/a.md']);
+  });
+
+  test('keeps a file named outright, whatever its type, and removes duplicates', () => {
+    assert.deepEqual(relative(expandPatterns(['backlog.csv', 'stories/a.md', 'stories/*.md'], directory)), [
+      'backlog.csv',
+      'stories/a.md',
+    ]);
+  });
+
+  test('rejects a missing file and a glob that matches nothing', () => {
+    assert.throws(() => expandPatterns(['missing.md'], directory), StoryFileError);
+    assert.throws(() => expandPatterns(['stories/**/*.feature'], directory), /No files match stories\/\*\*\/\*\.feature/);
+  });
+
+  test('converts globs to anchored regular expressions', () => {
+    const regex = globToRegExp('/repo/**/story-?.md');
+    assert.ok(regex.test('/repo/story-1.md'));
+    assert.ok(regex.test('/repo/a/b/story-2.md'));
+    assert.ok(!regex.test('/repo/story-10.md'));
+    assert.ok(!regex.test('/other/repo/story-1.md'));
+  });
+});
+
+describe('readStoryFile', () => {
+  let directory;
+  const read = (name) => readStoryFile(path.join(directory, name), directory);
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ba-cli-read-'));
+    writeFiles(directory, {
+      'save-cart.md': MARKDOWN_STORY,
+      'untitled.md': `${STORY}\r\n`,
+      'stories.yaml': YAML_STORIES,
+      'single.yml': `id: SHOP-4\nstory: ${STORY}\nacceptanceCriteria: Saved carts are listed.\n`,
+      'broken.yaml': 'stories: [unclosed',
+      'broken-front-matter.md': `---\nid: [\n---\n${STORY}\n`,
+      'empty.yaml': 'stories: []\n',
+      'story.txt': STORY,
+    });
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('reads the front matter, title, story and acceptance criteria of a Markdown story', () => {
+    const [record] = read('save-cart.md');
+
+    assert.equal(record.file, 'save-cart.md');
+    assert.equal(record.id, 'SHOP-1');
+    assert.equal(record.title, 'Save cart');
+    assert.equal(record.story, STORY);
+    assert.equal(record.acceptanceCriteria, '- Given a cart, when I save it, then it is listed on my account page.\n- Saved carts can be deleted.');
+    assert.equal(record.text.slice(record.offsets.story, record.offsets.story + STORY.length), STORY);
+    assert.ok(record.text.startsWith('- Given a cart', record.offsets.acceptanceCriteria));
+  });
+
+  test('falls back to the file path as the ID and reads a story without headings', () => {
+    const [record] = read('untitled.md');
+
+    assert.equal(record.id, 'untitled.md');
+    assert.equal(record.title, '');
+    assert.equal(record.story, STORY);
+    assert.equal(record.acceptanceCriteria, '');
+    assert.equal(record.text, `${STORY}\n`);
+  });
+
+  test('reads a list of YAML stories, joining listed criteria and numbering stories without an ID', () => {
+    const records = read('stories.yaml');
+
+    assert.deepEqual(records.map((r) => r.id), ['SHOP-2', 'stories.yaml#2']);
+    assert.equal(records[0].title, 'Delete cart');
+    assert.equal(records[0].acceptanceCriteria, 'Saved carts can be deleted.\nA deleted cart is no longer listed.');
+    assert.equal(records[1].story, STORY);
+  });
+
+  test('reads a single YAML story object', () => {
+    const [record] = read('single.yml');
+    assert.equal(record.id, 'SHOP-4');
+    assert.equal(record.acceptanceCriteria, 'Saved carts are listed.');
+  });
+
+  test('reports a file that cannot be read as one record with a parse error', () => {
+    for (const name of ['broken.yaml', 'broken-front-matter.md', 'empty.yaml', 'story.txt']) {
+      const records = read(name);
+      assert.equal(records.length, 1, name);
+      assert.equal(records[0].id, name);
+      assert.equal(typeof records[0].parseError, 'string', name);
+    }
+    assert.match(read('broken-front-matter.md')[0].parseError, /Front matter could not be parsed/);
+    assert.match(read('empty.yaml')[0].parseError, /contains no stories/);
+    assert.match(read('story.txt')[0].parseError, /Unsupported file type/);
+  });
+
+  test('locates story and criteria offsets as lines and columns in the file', () => {
+    const [markdown] = read('save-cart.md');
+    assert.deepEqual(locate(markdown, 'story', 0), { line: 8, column: 3 });
+    assert.deepEqual(locate(markdown, 'acceptanceCriteria', markdown.acceptanceCriteria.indexOf('Saved carts')), { line: 13, column: 3 });
+
+    // YAML stories have no known offsets, so the line of text is looked up in the file.
+    const [yamlStory] = read('stories.yaml');
+    assert.deepEqual(locate(yamlStory, 'acceptanceCriteria', yamlStory.acceptanceCriteria.indexOf('A deleted')), { line: 7, column: 9 });
+    assert.equal(locate({ ...yamlStory, text: '' }, 'story', 0), null);
+  });
+});
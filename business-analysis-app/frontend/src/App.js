@@ -1,18 +1,288 @@
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { getUserStoryAnalysis, resolveRules, DEFAULT_RULES } from '@ba-toolbox/shared/userStoryAgent';
+import { listQualityFrameworks, withEnabledFrameworks } from '@ba-toolbox/shared/qualityFrameworks';
+import { withPersonaCatalogue } from '@ba-toolbox/shared/personas';
+import { withGlossary } from '@ba-toolbox/shared/glossary';
+import { listLocales, withLocale, AUTO_LOCALE } from '@ba-toolbox/shared/locales';
+import PersonaCatalogue from './PersonaCatalogue';
+import GlossaryManager from './GlossaryManager';
+import ReviewerFeedback from './ReviewerFeedback';
+import RefinementSession, { useRefinementSession, rememberParticipant } from './RefinementSession';
+import Dashboard from './Dashboard';
 import './App.css'; // We'll create this for basic styling
 
+// How long typing has to pause before the live analysis runs again.
+const LIVE_ANALYSIS_DELAY_MS = 300;
+
+// Report formats offered by analyze-story and analyze-backlog (see shared/reportRenderers.js).
+const REPORT_FORMATS = [
+  { value: 'html', label: 'HTML' },
+  { value: 'print-html', label: 'PDF (print)' },
+  { value: 'docx', label: 'Word (.docx)' },
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'text', label: 'Plain text (for chat)' },
+];
+
+// 'hint' marks glossary terms; it only shows the definition on hover.
+const SEVERITY_RANK = { error: 0, warning: 1, info: 2, hint: 3 };
+
+// Splits the text at every finding boundary, so overlapping findings can share a span.
+const segmentText = (text, findings) => {
+  const boundaries = [...new Set([0, text.length, ...findings.flatMap((f) => [f.start, f.end])])].sort((a, b) => a - b);
+  return boundaries.slice(0, -1).map((start, index) => {
+    const end = boundaries[index + 1];
+    const covering = findings
+      .filter((f) => f.start <= start && f.end >= end)
+      .sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+    return { start, end, text: text.slice(start, end), findings: covering };
+  });
+};
+
+// A textarea that underlines the analysis findings (see shared/textFindings.js) like a
+// linter: hovering an underline shows the finding, and the list below the field jumps to it.
+// Findings whose text no longer matches (because the field was edited) are hidden until the
+// next analysis. `hints` are marked and shown on hover like findings, but not listed.
+function AnnotatedTextarea({ id, value, onChange, findings, hints = [], ...textareaProps }) {
+  const textareaRef = useRef(null);
+  const overlayRef = useRef(null);
+  const matches = (f) => value.slice(f.start, f.end) === f.text;
+  const visible = findings.filter(matches);
+
+  const syncScroll = () => {
+    overlayRef.current.scrollTop = textareaRef.current.scrollTop;
+  };
+
+  const select = (start, end) => {
+    textareaRef.current.focus();
+    textareaRef.current.setSelectionRange(start, end);
+  };
+
+  return (
+    <>
+      <div className="annotated-editor">
+        <textarea
+          ref={textareaRef}
+          id={id}
+          value={value}
+          onChange={onChange}
+          onScroll={syncScroll}
+          aria-describedby={visible.length > 0 ? `${id}-findings` : undefined}
+          {...textareaProps}
+        />
+        <div ref={overlayRef} className="annotated-editor-overlay" aria-hidden="true">
+          {segmentText(value, [...visible, ...hints.filter(matches)]).map((segment) => (segment.findings.length === 0 ? (
+            <React.Fragment key={segment.start}>{segment.text}</React.Fragment>
+          ) : (
+            <mark
+              key={segment.start}
+              className={`finding-${segment.findings[0].severity}`}
+              title={segment.findings.map((f) => (f.ruleId ? `${f.message} (${f.ruleId})` : f.message)).join('\n')}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                select(segment.start, segment.start);
+              }}
+            >
+              {segment.text}
+            </mark>
+          )))}
+          {/* Keeps a trailing newline as tall as it is in the textarea. */}
+          {'\u200b'}
+        </div>
+      </div>
+      {visible.length > 0 && (
+        <ul id={`${id}-findings`} className="editor-findings">
+          {visible.map((finding, index) => (
+            <li key={index} className={`finding-${finding.severity}`}>
+              <button type="button" onClick={() => select(finding.start, finding.end)}>
+                {finding.line ? `Line ${finding.line}` : `"${finding.text}"`}
+              </button>
+              {' '}{finding.message} <code>{finding.ruleId}</code>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
+
 function App() {
   const [story, setStory] = useState('');
   const [acceptanceCriteria, setAcceptanceCriteria] = useState('');
   const [analysisResult, setAnalysisResult] = useState(null);
+  // The story and AC the current analysis is of; the form may have been edited since.
+  const [analyzedInput, setAnalyzedInput] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [profile, setProfile] = useState('default');
+  const [frameworks, setFrameworks] = useState([]);
+  // null until the user changes the selection: requests then use the profile's FRAMEWORKS.ENABLED.
+  const [enabledFrameworks, setEnabledFrameworks] = useState(null);
+  const [locale, setLocale] = useState(AUTO_LOCALE);
+  const [testFramework, setTestFramework] = useState('cucumber-js');
+  const [isExporting, setIsExporting] = useState(false);
+  const [rewrite, setRewrite] = useState(null);
+  const [isRewriting, setIsRewriting] = useState(false);
+  const [reportFormat, setReportFormat] = useState('html');
+  const [isDownloadingReport, setIsDownloadingReport] = useState(false);
+  const [backlogReportFormat, setBacklogReportFormat] = useState('html');
+  const [isDownloadingBacklogReport, setIsDownloadingBacklogReport] = useState(false);
+  const [liveAnalysis, setLiveAnalysis] = useState(null);
+  // The panels the backend serves (history, personas, glossary, reviews, sessions); none on Netlify.
+  const [capabilities, setCapabilities] = useState({});
+  const [personas, setPersonas] = useState(null);
+  const [glossary, setGlossary] = useState(null);
+  // The Express backend keeps a history of each story's analyses; these identify the story in it.
+  const [storyId, setStoryId] = useState('');
+  const [storyTitle, setStoryTitle] = useState('');
+  const [team, setTeam] = useState('');
+  // The backlog dashboard is opened with ?view=dashboard.
+  const [view, setView] = useState(() => (new URLSearchParams(window.location.search).get('view') === 'dashboard' ? 'dashboard' : 'story'));
+  // A refinement session is joined through its link, ?session=<id>.
+  const [sessionId, setSessionId] = useState(() => new URLSearchParams(window.location.search).get('session'));
+  const [participantName, setParticipantName] = useState('');
+  const [isStartingSession, setIsStartingSession] = useState(false);
+  const refinement = useRefinementSession(sessionId, participantName);
+  const { session } = refinement;
+  const isInSession = Boolean(session && session.status === 'open');
+
+  useEffect(() => {
+    // The profile and framework pickers are optional: if the lists can't be loaded, the default rules are used.
+    fetch('/.netlify/functions/list-profiles')
+      .then((response) => (response.ok ? response.json() : { profiles: [] }))
+      .then((data) => {
+        setProfiles(data.profiles.filter((p) => p.valid));
+        setFrameworks(data.frameworks || []);
+      })
+      .catch(() => setProfiles([]));
+    // The Express backend lists what it offers; elsewhere the request fails and its panels stay hidden.
+    fetch('/api/capabilities')
+      .then((response) => (response.ok ? response.json() : { capabilities: {} }))
+      .then((data) => setCapabilities(data.capabilities || {}))
+      .catch(() => setCapabilities({}));
+  }, []);
+
+  useEffect(() => {
+    if (!capabilities.personas) return;
+    fetch('/api/personas')
+      .then((response) => (response.ok ? response.json() : { personas: null }))
+      .then((data) => setPersonas(data.personas))
+      .catch(() => setPersonas(null));
+  }, [capabilities.personas]);
+
+  useEffect(() => {
+    if (!capabilities.glossary) return;
+    fetch('/api/glossary')
+      .then((response) => (response.ok ? response.json() : { terms: null }))
+      .then((data) => setGlossary(data.terms))
+      .catch(() => setGlossary(null));
+  }, [capabilities.glossary]);
+
+  // The selected profile, resolved in the browser.
+  const profileRules = useMemo(() => {
+    const selected = profiles.find((p) => p.name === profile);
+    return selected && selected.rules ? resolveRules(selected.rules, selected.name) : DEFAULT_RULES;
+  }, [profiles, profile]);
+  const selectedFrameworks = enabledFrameworks === null ? profileRules.FRAMEWORKS.ENABLED : enabledFrameworks;
+
+  // The rules for the live analysis: the selected profile with the selected locale, the selected
+  // frameworks, the persona catalogue and the glossary. Frameworks registered only on the server
+  // are left out of the live score.
+  const liveRules = useMemo(() => {
+    const bundled = listQualityFrameworks().map((framework) => framework.id);
+    const withFrameworks = withEnabledFrameworks(withLocale(profileRules, locale), selectedFrameworks.filter((id) => bundled.includes(id)));
+    return withGlossary(withPersonaCatalogue(withFrameworks, personas || []), glossary || []);
+  }, [profileRules, locale, selectedFrameworks, personas, glossary]);
+
+  // Other participants' edits replace the form's text. The server sends our own edits back, and
+  // resends the text with every vote; neither replaces it, as the form may be ahead of them.
+  const sharedTextRef = useRef(null);
+  useEffect(() => {
+    if (!session) return;
+    const previous = sharedTextRef.current;
+    sharedTextRef.current = { story: session.story, acceptanceCriteria: session.acceptanceCriteria };
+    const isChanged = !previous || previous.story !== session.story || previous.acceptanceCriteria !== session.acceptanceCriteria;
+    if (!isChanged || session.editedByYou) return;
+    setStory(session.story);
+    setAcceptanceCriteria(session.acceptanceCriteria);
+  }, [session]);
+
+  // The heuristic engine is bundled with the app, so the score and findings follow the text as
+  // it is typed. "Analyze Story" is only needed for the LLM review, history and reports.
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setLiveAnalysis(getUserStoryAnalysis(story, acceptanceCriteria, liveRules));
+    }, LIVE_ANALYSIS_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [story, acceptanceCriteria, liveRules]);
+
+  const toggleFramework = (id) => {
+    setEnabledFrameworks(selectedFrameworks.includes(id) ? selectedFrameworks.filter((f) => f !== id) : [...selectedFrameworks, id]);
+  };
+
+  // A new profile brings its own FRAMEWORKS.ENABLED.
+  const selectProfile = (name) => {
+    setProfile(name);
+    setEnabledFrameworks(null);
+  };
+
+  const editStory = (value) => {
+    setStory(value);
+    if (isInSession) refinement.sendEdit({ story: value });
+  };
+
+  const editAcceptanceCriteria = (value) => {
+    setAcceptanceCriteria(value);
+    if (isInSession) refinement.sendEdit({ acceptanceCriteria: value });
+  };
+
+  // Starts a refinement session with the current story and AC and joins it.
+  const handleStartSession = async () => {
+    setIsStartingSession(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/sessions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ story, acceptanceCriteria, profile, locale }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error([data.error, ...(data.details || [])].join(' ') || `HTTP error! status: ${response.status}`);
+      }
+      // The creator's participant ID lets them end the session; only this response carries it.
+      rememberParticipant(data.id, data.participantId);
+      window.history.pushState(null, '', `?session=${encodeURIComponent(data.id)}`);
+      setSessionId(data.id);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsStartingSession(false);
+    }
+  };
+
+  const showView = (nextView) => {
+    window.history.pushState(null, '', nextView === 'dashboard' ? '?view=dashboard' : window.location.pathname);
+    setView(nextView);
+  };
+
+  const handleLeaveSession = () => {
+    window.history.pushState(null, '', window.location.pathname);
+    setSessionId(null);
+    setParticipantName('');
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
     setError(null);
     setAnalysisResult(null);
+    setRewrite(null);
+    // Without a story ID, the history stores each analysis as a new story.
+    const tracking = storyId.trim() ? { storyId: storyId.trim(), title: storyTitle.trim(), team: team.trim() } : {};
 
     try {
       // Updated API endpoint for Netlify Functions
@@ -21,7 +291,7 @@ function App() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ story, acceptanceCriteria }),
+        body: JSON.stringify({ ...tracking, story, acceptanceCriteria, profile, frameworks: enabledFrameworks, locale, format: 'json' }),
       });
 
       if (!response.ok) {
@@ -30,7 +300,9 @@ function App() {
       }
 
       const data = await response.json();
-      setAnalysisResult(data);
+      // The Express backend records the analysis in its history and wraps it with the stored version.
+      setAnalysisResult(response.status === 201 ? data.analysis : data);
+      setAnalyzedInput({ story, acceptanceCriteria });
     } catch (err) {
       setError(err.message);
     } finally {
@@ -38,8 +310,296 @@ function App() {
     }
   };
 
+  const downloadBlob = (fileName, blob) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Revoking the URL right away can cancel the download before the browser has read the blob.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const downloadFile = (fileName, content) => downloadBlob(fileName, new Blob([content], { type: 'text/plain' }));
+
+  // Opens a print-html report and the browser's print dialog, where it can be saved as PDF.
+  // Returns false if the browser blocked the window.
+  const printBlob = (blob) => {
+    const url = URL.createObjectURL(blob);
+    const printWindow = window.open(url);
+    if (!printWindow) {
+      URL.revokeObjectURL(url);
+      return false;
+    }
+    printWindow.addEventListener('load', () => {
+      printWindow.print();
+      URL.revokeObjectURL(url);
+    });
+    return true;
+  };
+
+  const reportFileName = (response, fallback) => (/filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '') || [])[1] || fallback;
+
+  const handleDownloadReport = async () => {
+    setIsDownloadingReport(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/.netlify/functions/analyze-story', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        // A download is not a new analysis, so it is not recorded in the history.
+        body: JSON.stringify({ story, acceptanceCriteria, profile, frameworks: enabledFrameworks, locale, format: reportFormat, record: false }),
+      });
+
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || `HTTP error! status: ${response.status}`);
+      }
+
+      // The Markdown report comes back as a JSON string; the other formats are files.
+      if (reportFormat === 'markdown') {
+        downloadFile('story-report.md', await response.json());
+        return;
+      }
+      const blob = await response.blob();
+      if (reportFormat === 'print-html' && printBlob(blob)) return;
+      downloadBlob(reportFileName(response, 'story-report'), blob);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsDownloadingReport(false);
+    }
+  };
+
+  // Analyzes a backlog CSV as one batch and downloads the combined report with its summary table.
+  const handleBacklogReport = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setIsDownloadingBacklogReport(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/.netlify/functions/analyze-backlog', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ csv: await file.text(), profile, frameworks: enabledFrameworks, locale, format: backlogReportFormat }),
+      });
+
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const blob = await response.blob();
+      if (backlogReportFormat === 'print-html' && printBlob(blob)) return;
+      downloadBlob(reportFileName(response, 'backlog-report'), blob);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsDownloadingBacklogReport(false);
+      e.target.value = '';
+    }
+  };
+
+  // kind is 'feature' for the .feature file or 'steps' for the step-definition skeleton.
+  const handleExport = async (kind) => {
+    setIsExporting(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/.netlify/functions/export-feature', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ story, acceptanceCriteria, profile, locale, framework: testFramework }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      if (kind === 'feature') {
+        downloadFile(data.featureFileName, data.feature);
+      } else {
+        downloadFile(data.stepDefinitionsFileName, data.stepDefinitions);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleRewrite = async () => {
+    setIsRewriting(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/.netlify/functions/rewrite-story', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ story, acceptanceCriteria, profile, frameworks: enabledFrameworks, locale }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      setRewrite(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsRewriting(false);
+    }
+  };
+
+  // Fills the form with the rewrite and shows the rewrite's analysis as the current result.
+  const handleAcceptRewrite = () => {
+    setStory(rewrite.story);
+    setAcceptanceCriteria(rewrite.acceptanceCriteria);
+    if (isInSession) refinement.sendEdit({ story: rewrite.story, acceptanceCriteria: rewrite.acceptanceCriteria });
+    setAnalysisResult(rewrite.analysis);
+    setAnalyzedInput({ story: rewrite.story, acceptanceCriteria: rewrite.acceptanceCriteria });
+    setRewrite(null);
+  };
+
+  const findings = (liveAnalysis && liveAnalysis.findings) || [];
+  // Glossary terms in the text show their definition on hover.
+  const glossaryHints = ((liveAnalysis && liveAnalysis.glossaryTerms) || [])
+    .filter((t) => t.definition)
+    .map((t) => ({ ...t, severity: 'hint', message: `${t.term}: ${t.definition}` }));
+
   const renderScore = (score, maxScore) => `${score} / ${maxScore}`;
 
+  // side is 'before' (unchanged and removed words) or 'after' (unchanged and added words).
+  const renderDiff = (parts, side) => (
+    <div className="diff-text">
+      {parts.map((part, index) => {
+        if (part.type === 'equal') return <span key={index}>{part.text}</span>;
+        if (part.type === 'removed' && side === 'before') return <del key={index}>{part.text}</del>;
+        if (part.type === 'added' && side === 'after') return <ins key={index}>{part.text}</ins>;
+        return null;
+      })}
+    </div>
+  );
+
+  const renderRewrite = () => {
+    if (!rewrite) return null;
+    if (rewrite.changes.length === 0) {
+      return <p>No rewrite needed. The story already addresses the findings the rewrite can fix.</p>;
+    }
+
+    return (
+      <>
+        <p><strong>Readiness Rating:</strong> {rewrite.scoreChange.before}% → {rewrite.scoreChange.after}%</p>
+        <div className="rewrite-diff">
+          <div className="rewrite-column">
+            <h4>Original</h4>
+            {renderDiff(rewrite.diff.story, 'before')}
+            {renderDiff(rewrite.diff.acceptanceCriteria, 'before')}
+          </div>
+          <div className="rewrite-column">
+            <h4>Suggested</h4>
+            {renderDiff(rewrite.diff.story, 'after')}
+            {renderDiff(rewrite.diff.acceptanceCriteria, 'after')}
+          </div>
+        </div>
+        <p><strong>Changes:</strong></p>
+        <ul>
+          {rewrite.changes.map((change, index) => (
+            <li key={index}>{change.description}</li>
+          ))}
+        </ul>
+        {rewrite.technicalNotes.length > 0 && (
+          <>
+            <p><strong>Technical Notes</strong> (keep these with the story for the team, outside the story text):</p>
+            <ul>
+              {rewrite.technicalNotes.map((note, index) => (
+                <li key={index}>{note}</li>
+              ))}
+            </ul>
+          </>
+        )}
+        <button type="button" onClick={handleAcceptRewrite}>Accept Rewrite</button>
+      </>
+    );
+  };
+
+  const renderMeter = (label, score, maxScore, thresholds = {}) => (
+    <li key={label}>
+      <span className="meter-label">{label}</span>
+      <meter min="0" max={maxScore} low={thresholds.low} high={thresholds.high} optimum={maxScore} value={score} />
+      <span className="meter-value">{renderScore(score, maxScore)}</span>
+    </li>
+  );
+
+  const renderLiveScore = () => {
+    if (!liveAnalysis) return null;
+
+    const { overallReadinessScore, clarityAndRequirementAnalysis, investCriteriaAssessment, frameworkAssessments } = liveAnalysis;
+    const language = listLocales().find((l) => l.id === liveAnalysis.locale);
+    const investThresholds = { low: liveRules.SCORING.INVEST_PARTIALLY_MEETS, high: liveRules.SCORING.INVEST_MEETS };
+    const investLabels = {
+      independent: 'Independent',
+      negotiable: 'Negotiable',
+      valuable: 'Valuable',
+      estimable: 'Estimable',
+      small: 'Small',
+      testable: 'Testable',
+    };
+
+    return (
+      <section className="live-score">
+        <h2>Live Score</h2>
+        <p className="live-rating">
+          <strong>{overallReadinessScore.readinessRating}%</strong> {overallReadinessScore.readinessCategory}
+        </p>
+        <ul className="score-meters">
+          {renderMeter('Clarity & Requirements', clarityAndRequirementAnalysis.totalScore, liveRules.MAX_SCORES.CLARITY_AND_REQUIREMENT)}
+          {Object.entries(investLabels).map(([key, label]) => (
+            renderMeter(label, investCriteriaAssessment[key].score, liveRules.SCORING.INVEST_MAX, investThresholds)
+          ))}
+          {Object.values(frameworkAssessments).map((framework) => renderMeter(framework.name, framework.score, framework.maxScore))}
+        </ul>
+        {language && (
+          <p className="analysis-source">
+            Language: {language.name}{locale === AUTO_LOCALE ? ' (detected)' : ''}
+          </p>
+        )}
+        <p className="analysis-source">Scored in your browser as you type, with the selected rule profile. Analyze the story for the AI review and the full report.</p>
+      </section>
+    );
+  };
+
+  const renderScenarioFindings = (scenarios = []) => {
+    const withFindings = scenarios.filter((scenario) => scenario.findings.length > 0);
+    if (withFindings.length === 0) return null;
+
+    return (
+      <ul className="scenario-findings">
+        {withFindings.map((scenario) => (
+          <li key={scenario.line}>
+            <strong>Scenario "{scenario.name}":</strong>
+            <ul>
+              {scenario.findings.map((finding, index) => (
+                <li key={index}>Line {finding.line}: {finding.message}</li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
   const renderAnalysisResult = () => {
     if (!analysisResult) return null;
 
@@ -48,8 +608,14 @@ function App() {
       clarityAndRequirementAnalysis,
       investCriteriaAssessment,
       outstandingQueriesAndConflicts,
-      actionableRecommendations
+      actionableRecommendations,
+      frameworkAssessments = {},
+      nonFunctionalRequirements = [],
+      coaching,
+      analysisSource
     } = analysisResult;
+    // The section maximums come from the selected profile, which may change the scoring.
+    const { MAX_SCORES, SCORING } = liveRules;
 
     return (
       <div className="analysis-results">
@@ -60,29 +626,36 @@ function App() {
           <p><strong>Readiness Rating:</strong> {overallReadinessScore.readinessRating}%</p>
           <p><strong>Readiness Category:</strong> {overallReadinessScore.readinessCategory}</p>
           <p><strong>Summary:</strong> {overallReadinessScore.summary}</p>
+          {analysisSource && analysisSource.fallbackReason && (
+            <p className="analysis-source">The AI reviewer was unavailable, so this analysis comes from the built-in rules.</p>
+          )}
           <p><strong>Score Breakdown:</strong></p>
           <ul>
-            <li>Clarity & Requirement Analysis: {renderScore(overallReadinessScore.scoreBreakdown.clarityRequirementAnalysis, 40)}</li>
-            <li>INVEST Criteria Assessment: {renderScore(overallReadinessScore.scoreBreakdown.investCriteriaAssessment, 60)}</li>
+            <li>Clarity & Requirement Analysis: {renderScore(overallReadinessScore.scoreBreakdown.clarityRequirementAnalysis, MAX_SCORES.CLARITY_AND_REQUIREMENT)}</li>
+            <li>INVEST Criteria Assessment: {renderScore(overallReadinessScore.scoreBreakdown.investCriteriaAssessment, MAX_SCORES.INVEST)}</li>
+            {Object.entries(frameworkAssessments).map(([id, framework]) => (
+              <li key={id}>{framework.name}: {renderScore(framework.score, framework.maxScore)}</li>
+            ))}
           </ul>
         </div>
 
         <div className="result-section">
-          <h3>Clarity and Requirement Analysis ({renderScore(clarityAndRequirementAnalysis.totalScore, 40)})</h3>
-          <p><strong>Format Check ({renderScore(clarityAndRequirementAnalysis.formatCheck.score, 10)}):</strong> {clarityAndRequirementAnalysis.formatCheck.feedback}</p>
-          <p><strong>Clarity & Ambiguity ({renderScore(clarityAndRequirementAnalysis.clarityAmbiguity.score, 15)}):</strong> {clarityAndRequirementAnalysis.clarityAmbiguity.feedback}</p>
-          <p><strong>Acceptance Criteria ({renderScore(clarityAndRequirementAnalysis.acceptanceCriteria.score, 15)}):</strong> {clarityAndRequirementAnalysis.acceptanceCriteria.feedback}</p>
+          <h3>Clarity and Requirement Analysis ({renderScore(clarityAndRequirementAnalysis.totalScore, MAX_SCORES.CLARITY_AND_REQUIREMENT)})</h3>
+          <p><strong>Format Check ({renderScore(clarityAndRequirementAnalysis.formatCheck.score, SCORING.FORMAT_SUCCESS)}):</strong> {clarityAndRequirementAnalysis.formatCheck.feedback}</p>
+          <p><strong>Clarity & Ambiguity ({renderScore(clarityAndRequirementAnalysis.clarityAmbiguity.score, SCORING.CLARITY_MAX)}):</strong> {clarityAndRequirementAnalysis.clarityAmbiguity.feedback}</p>
+          <p><strong>Acceptance Criteria ({renderScore(clarityAndRequirementAnalysis.acceptanceCriteria.score, SCORING.AC_PROVIDED)}):</strong> {clarityAndRequirementAnalysis.acceptanceCriteria.feedback}</p>
+          {renderScenarioFindings(clarityAndRequirementAnalysis.acceptanceCriteria.scenarios)}
         </div>
 
         <div className="result-section">
-          <h3>INVEST Criteria Assessment ({renderScore(investCriteriaAssessment.totalScore, 60)})</h3>
+          <h3>INVEST Criteria Assessment ({renderScore(investCriteriaAssessment.totalScore, MAX_SCORES.INVEST)})</h3>
           <ul>
-            <li><strong>Independent ({renderScore(investCriteriaAssessment.independent.score, 10)}):</strong> {investCriteriaAssessment.independent.justification}</li>
-            <li><strong>Negotiable ({renderScore(investCriteriaAssessment.negotiable.score, 10)}):</strong> {investCriteriaAssessment.negotiable.justification}</li>
-            <li><strong>Valuable ({renderScore(investCriteriaAssessment.valuable.score, 10)}):</strong> {investCriteriaAssessment.valuable.justification}</li>
-            <li><strong>Estimable ({renderScore(investCriteriaAssessment.estimable.score, 10)}):</strong> {investCriteriaAssessment.estimable.justification}</li>
-            <li><strong>Small ({renderScore(investCriteriaAssessment.small.score, 10)}):</strong> {investCriteriaAssessment.small.justification}</li>
-            <li><strong>Testable ({renderScore(investCriteriaAssessment.testable.score, 10)}):</strong> {investCriteriaAssessment.testable.justification}</li>
+            <li><strong>Independent ({renderScore(investCriteriaAssessment.independent.score, SCORING.INVEST_MAX)}):</strong> {investCriteriaAssessment.independent.justification}</li>
+            <li><strong>Negotiable ({renderScore(investCriteriaAssessment.negotiable.score, SCORING.INVEST_MAX)}):</strong> {investCriteriaAssessment.negotiable.justification}</li>
+            <li><strong>Valuable ({renderScore(investCriteriaAssessment.valuable.score, SCORING.INVEST_MAX)}):</strong> {investCriteriaAssessment.valuable.justification}</li>
+            <li><strong>Estimable ({renderScore(investCriteriaAssessment.estimable.score, SCORING.INVEST_MAX)}):</strong> {investCriteriaAssessment.estimable.justification}</li>
+            <li><strong>Small ({renderScore(investCriteriaAssessment.small.score, SCORING.INVEST_MAX)}):</strong> {investCriteriaAssessment.small.justification}</li>
+            <li><strong>Testable ({renderScore(investCriteriaAssessment.testable.score, SCORING.INVEST_MAX)}):</strong> {investCriteriaAssessment.testable.justification}</li>
           </ul>
         </div>
 
@@ -101,8 +674,52 @@ function App() {
           <div className="result-section">
             <h3>Actionable Recommendations</h3>
             <p><strong>Suggested Improvements:</strong></p>
-            <pre>{actionableRecommendations.suggestedImprovements}</pre>
-            {actionableRecommendations.storyDecomposition && actionableRecommendations.storyDecomposition.length > 0 && (
+            {actionableRecommendations.suggestedImprovements.length > 0 ? (
+              <ul>
+                {actionableRecommendations.suggestedImprovements.map((item, index) => (
+                  <li key={index}>{item}</li>
+                ))}
+              </ul>
+            ) : (
+              <p>The story is in good shape. No major improvements suggested.</p>
+            )}
+            {actionableRecommendations.inferredAcceptanceCriteria && actionableRecommendations.inferredAcceptanceCriteria.length > 0 && (
+              <>
+                <p><strong>Inferred Acceptance Criteria (for confirmation):</strong></p>
+                <ul>
+                  {actionableRecommendations.inferredAcceptanceCriteria.map((item, index) => (
+                    <li key={index}>{item}</li>
+                  ))}
+                </ul>
+              </>
+            )}
+            {actionableRecommendations.decompositionSplits && actionableRecommendations.decompositionSplits.length > 0 ? (
+              <>
+                <p><strong>Story Decomposition:</strong></p>
+                {actionableRecommendations.decompositionSplits.map((split) => (
+                  <div key={split.pattern} className="decomposition-split">
+                    <p><strong>{split.label}:</strong> {split.rationale}</p>
+                    <ul>
+                      {split.children.map((child, index) => (
+                        <li key={index}>
+                          {child.story}
+                          {child.acceptanceCriteria.length > 0 && (
+                            <ul className="carried-criteria">
+                              {child.acceptanceCriteria.map((criterion, acIndex) => (
+                                <li key={acIndex}>{criterion}</li>
+                              ))}
+                            </ul>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                    {split.sharedAcceptanceCriteria.length > 0 && (
+                      <p className="carried-criteria"><em>AC for every child:</em> {split.sharedAcceptanceCriteria.join('; ')}</p>
+                    )}
+                  </div>
+                ))}
+              </>
+            ) : actionableRecommendations.storyDecomposition && actionableRecommendations.storyDecomposition.length > 0 && (
               <>
                 <p><strong>Story Decomposition:</strong></p>
                 <ul>
@@ -114,6 +731,114 @@ function App() {
             )}
           </div>
         )}
+
+        {Object.keys(frameworkAssessments).length > 0 && (
+          <div className="result-section">
+            <h3>Quality Frameworks</h3>
+            {Object.entries(frameworkAssessments).map(([id, framework]) => (
+              <div key={id} className="framework-assessment">
+                <p><strong>{framework.name} ({renderScore(framework.score, framework.maxScore)})</strong></p>
+                <ul>
+                  {framework.checks.map((check) => (
+                    <li key={check.id} className={check.score === 1 ? 'check-met' : check.score > 0 ? 'check-partial' : 'check-unmet'}>
+                      <strong>{check.label}:</strong> {check.justification}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {nonFunctionalRequirements.length > 0 && (
+          <div className="result-section">
+            <h3>Non-Functional Requirements</h3>
+            <ul>
+              {nonFunctionalRequirements.map((nfr) => {
+                const terms = nfr.terms.map((term) => `'${term}'`).join(', ');
+                return (
+                  <li key={nfr.id} className={nfr.status === 'covered' ? 'check-met' : 'check-unmet'}>
+                    <strong>{nfr.label}:</strong> {nfr.status === 'covered' ? `Covered by the acceptance criteria (${terms}).` : `${nfr.stated ? 'Mentioned as' : 'Implied by'} ${terms}, but no acceptance criterion covers it.`}
+                    {nfr.status === 'missing' && (
+                      <ul className="carried-criteria">
+                        <li><em>Suggested AC:</em> <code>{nfr.suggestedAcceptanceCriterion}</code></li>
+                      </ul>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
+        {coaching && (
+          <div className="result-section coaching-section">
+            <h3>Coaching</h3>
+            <p>{coaching.summary}</p>
+            <p><strong>Rewritten Story:</strong></p>
+            <blockquote>{coaching.rewrittenStory}</blockquote>
+            {coaching.rewrittenAcceptanceCriteria.length > 0 && (
+              <>
+                <p><strong>Rewritten Acceptance Criteria:</strong></p>
+                <ul>
+                  {coaching.rewrittenAcceptanceCriteria.map((item, index) => (
+                    <li key={index}><code>{item}</code></li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="result-section rewrite-section">
+          <h3>Suggested Rewrite</h3>
+          {!rewrite && (
+            <button type="button" onClick={handleRewrite} disabled={isRewriting}>
+              {isRewriting ? 'Rewriting...' : 'Suggest a Rewrite'}
+            </button>
+          )}
+          {renderRewrite()}
+        </div>
+
+        {capabilities.reviews && (
+          <ReviewerFeedback
+            analysis={analysisResult}
+            story={analyzedInput.story}
+            acceptanceCriteria={analyzedInput.acceptanceCriteria}
+            profile={profile}
+            categories={liveRules.READINESS_CATEGORIES}
+          />
+        )}
+
+        <div className="result-section export-section">
+          <h3>Download Report</h3>
+          <p>Download this analysis as a report for stakeholders, e.g. to attach to sign-off documents.</p>
+          <label htmlFor="reportFormat">Format: </label>
+          <select id="reportFormat" value={reportFormat} onChange={(e) => setReportFormat(e.target.value)}>
+            {REPORT_FORMATS.map((format) => (
+              <option key={format.value} value={format.value}>{format.label}</option>
+            ))}
+          </select>
+          <div className="export-buttons">
+            <button type="button" onClick={handleDownloadReport} disabled={isDownloadingReport}>
+              {isDownloadingReport ? 'Preparing...' : 'Download Report'}
+            </button>
+          </div>
+        </div>
+
+        <div className="result-section export-section">
+          <h3>Export Acceptance Criteria</h3>
+          <p>Download the acceptance criteria (or the inferred ones, if none were provided) as a Cucumber feature file with matching step definitions.</p>
+          <label htmlFor="testFramework">Step definitions for: </label>
+          <select id="testFramework" value={testFramework} onChange={(e) => setTestFramework(e.target.value)}>
+            <option value="cucumber-js">Cucumber-js</option>
+            <option value="jest">Jest (jest-cucumber)</option>
+          </select>
+          <div className="export-buttons">
+            <button type="button" onClick={() => handleExport('feature')} disabled={isExporting}>Download .feature</button>
+            <button type="button" onClick={() => handleExport('steps')} disabled={isExporting}>Download step definitions</button>
+          </div>
+        </div>
       </div>
     );
   };
@@ -123,35 +848,137 @@ function App() {
     <div className="App">
       <header className="App-header">
         <h1>User Story Analysis Agent</h1>
+        <nav className="view-nav">
+          <button type="button" className={view === 'story' ? 'is-selected' : ''} onClick={() => showView('story')}>Story Analysis</button>
+          <button type="button" className={view === 'dashboard' ? 'is-selected' : ''} onClick={() => showView('dashboard')}>Backlog Dashboard</button>
+        </nav>
       </header>
-      <main>
+      {view === 'dashboard' && (
+        <main>
+          <Dashboard hasHistory={Boolean(capabilities.history)} profile={profile} frameworks={enabledFrameworks} locale={locale} rules={liveRules} />
+        </main>
+      )}
+      <main hidden={view !== 'story'}>
         <form onSubmit={handleSubmit} className="story-form">
           <div className="form-group">
             <label htmlFor="userStory">User Story:</label>
-            <textarea
+            <AnnotatedTextarea
               id="userStory"
               value={story}
-              onChange={(e) => setStory(e.target.value)}
+              onChange={(e) => editStory(e.target.value)}
+              findings={findings.filter((f) => f.field === 'story')}
+              hints={glossaryHints.filter((h) => h.field === 'story')}
               placeholder="As a [persona], I want [goal], so that [value]"
               rows="4"
               required
             />
           </div>
           <div className="form-group">
-            <label htmlFor="acceptanceCriteria">Acceptance Criteria (optional, one per line):</label>
-            <textarea
+            <label htmlFor="acceptanceCriteria">Acceptance Criteria (optional, one per line or as Gherkin scenarios):</label>
+            <AnnotatedTextarea
               id="acceptanceCriteria"
               value={acceptanceCriteria}
-              onChange={(e) => setAcceptanceCriteria(e.target.value)}
+              onChange={(e) => editAcceptanceCriteria(e.target.value)}
+              findings={findings.filter((f) => f.field === 'acceptanceCriteria')}
+              hints={glossaryHints.filter((h) => h.field === 'acceptanceCriteria')}
               placeholder="Given [context] When [action] Then [outcome]&#x0a;Verify that..."
               rows="6"
             />
           </div>
+          {capabilities.history && (
+            <fieldset className="form-group story-tracking">
+              <legend>Track in the analysis history (optional):</legend>
+              <label>
+                Story ID:{' '}
+                <input value={storyId} onChange={(e) => setStoryId(e.target.value)} placeholder="e.g. SHOP-123" pattern="[\w.:\-]{1,100}" />
+              </label>
+              <label>
+                Title:{' '}
+                <input value={storyTitle} onChange={(e) => setStoryTitle(e.target.value)} disabled={!storyId.trim()} />
+              </label>
+              <label>
+                Team:{' '}
+                <input value={team} onChange={(e) => setTeam(e.target.value)} maxLength={100} disabled={!storyId.trim()} />
+              </label>
+            </fieldset>
+          )}
+          {profiles.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="ruleProfile">Rule Profile:</label>
+              <select id="ruleProfile" value={profile} onChange={(e) => selectProfile(e.target.value)}>
+                {profiles.map((p) => (
+                  <option key={p.name} value={p.name} title={p.description}>{p.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="form-group">
+            <label htmlFor="storyLocale">Story Language:</label>
+            <select id="storyLocale" value={locale} onChange={(e) => setLocale(e.target.value)}>
+              <option value={AUTO_LOCALE}>Auto-detect</option>
+              {listLocales().map((l) => (
+                <option key={l.id} value={l.id}>{l.name}</option>
+              ))}
+            </select>
+          </div>
+          {frameworks.length > 0 && (
+            <fieldset className="form-group framework-picker">
+              <legend>Also assess:</legend>
+              {frameworks.map((framework) => (
+                <label key={framework.id} title={framework.description}>
+                  <input
+                    type="checkbox"
+                    checked={selectedFrameworks.includes(framework.id)}
+                    onChange={() => toggleFramework(framework.id)}
+                  />
+                  {framework.name}
+                </label>
+              ))}
+            </fieldset>
+          )}
           <button type="submit" disabled={isLoading}>
             {isLoading ? 'Analyzing...' : 'Analyze Story'}
           </button>
+          {capabilities.sessions && !sessionId && (
+            <button type="button" className="start-session" onClick={handleStartSession} disabled={isStartingSession}>
+              {isStartingSession ? 'Starting...' : 'Start Refinement Session'}
+            </button>
+          )}
         </form>
 
+        {sessionId && (
+          <RefinementSession
+            sessionId={sessionId}
+            name={participantName}
+            onJoin={setParticipantName}
+            onLeave={handleLeaveSession}
+            refinement={refinement}
+          />
+        )}
+
+        {renderLiveScore()}
+
+        {capabilities.personas && personas && <PersonaCatalogue personas={personas} onChange={setPersonas} />}
+
+        {capabilities.glossary && glossary && <GlossaryManager terms={glossary} onChange={setGlossary} />}
+
+        <div className="result-section export-section">
+          <h3>Backlog Report</h3>
+          <p>Analyze a backlog CSV (with a Story column and optional ID, Title and AC columns) and download one combined report with a summary table.</p>
+          <label htmlFor="backlogReportFormat">Format: </label>
+          <select id="backlogReportFormat" value={backlogReportFormat} onChange={(e) => setBacklogReportFormat(e.target.value)}>
+            {REPORT_FORMATS.map((format) => (
+              <option key={format.value} value={format.value}>{format.label}</option>
+            ))}
+          </select>
+          <div className="export-buttons">
+            <label>
+              {isDownloadingBacklogReport ? 'Preparing...' : 'Backlog CSV: '}
+              <input type="file" accept=".csv,text/csv" onChange={handleBacklogReport} disabled={isDownloadingBacklogReport} />
+            </label>
+          </div>
+        </div>
+
         {error && <p className="error-message">Error: {error}</p>}
 
         {renderAnalysisResult()}
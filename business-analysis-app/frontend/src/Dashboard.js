@@ -0,0 +1,321 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { buildDashboard, storiesFromBacklog, TREND_INTERVALS, DEFAULT_TREND_INTERVAL } from '@ba-toolbox/shared/dashboard';
+import { parseBacklogCsv } from '@ba-toolbox/shared/backlogImport';
+import { renderStoryReport } from '@ba-toolbox/shared/reportRenderers';
+
+const NO_TEAM = '';
+const ALL_TEAMS = '*';
+
+// Table columns: the key sorted by and how to read it from a story row.
+const COLUMNS = [
+  { key: 'story', label: 'Story', value: (row) => (row.title || row.storyId).toLowerCase() },
+  { key: 'team', label: 'Team', value: (row) => row.team.toLowerCase() },
+  { key: 'rating', label: 'Readiness', value: (row) => row.readinessRating },
+  { key: 'change', label: 'Change', value: (row) => (row.ratingChange === null ? 0 : row.ratingChange) },
+  { key: 'weakest', label: 'Weakest INVEST', value: (row) => row.weakestInvest.score },
+  { key: 'versions', label: 'Versions', value: (row) => row.versionCount },
+  { key: 'updated', label: 'Analyzed', value: (row) => row.updatedAt },
+];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// A readiness trend (0-100) as a small line chart.
+function Sparkline({ values, width = 120, height = 28 }) {
+  if (values.length === 0) return null;
+  const x = (index) => (values.length === 1 ? width / 2 : (index / (values.length - 1)) * (width - 4) + 2);
+  const y = (value) => height - 2 - (value / 100) * (height - 4);
+  const points = values.map((value, index) => `${x(index)},${y(value)}`).join(' ');
+  return (
+    <svg className="sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label={`Readiness ${values.join(', ')}`}>
+      <polyline points={points} fill="none" stroke="#3498db" strokeWidth="2" />
+      <circle cx={x(values.length - 1)} cy={y(values[values.length - 1])} r="2.5" fill="#2c3e50" />
+    </svg>
+  );
+}
+
+// The backlog readiness dashboard: the readiness distribution, the weakest INVEST dimensions,
+// the trends per team and a sortable, filterable table of stories with links to their reports.
+// It reads the Express backend's analysis history (/api/dashboard) or the result of a batch
+// run of a backlog CSV, which works on either backend.
+function Dashboard({ hasHistory, profile, frameworks, locale, rules }) {
+  const [source, setSource] = useState(hasHistory ? 'history' : 'batch');
+  const [team, setTeam] = useState(ALL_TEAMS);
+  const [trendInterval, setTrendInterval] = useState(DEFAULT_TREND_INTERVAL);
+  const [historyDashboard, setHistoryDashboard] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [categoryId, setCategoryId] = useState('');
+  const [isBlockingOnly, setIsBlockingOnly] = useState(false);
+  const [sort, setSort] = useState({ key: 'rating', ascending: true });
+
+  useEffect(() => {
+    if (hasHistory) setSource('history');
+  }, [hasHistory]);
+
+  useEffect(() => {
+    if (source !== 'history') return;
+    const params = new URLSearchParams({ interval: trendInterval, profile });
+    if (team !== ALL_TEAMS) params.set('team', team);
+    setIsLoading(true);
+    setError(null);
+    fetch(`/api/dashboard?${params}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        setHistoryDashboard(data);
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, [source, team, trendInterval, profile]);
+
+  const dashboard = useMemo(() => {
+    if (source === 'history') return historyDashboard;
+    if (!batch) return null;
+    return buildDashboard(storiesFromBacklog(batch.backlog, batch.ranAt), rules, {
+      team: team === ALL_TEAMS ? undefined : team,
+      interval: trendInterval,
+    });
+  }, [source, historyDashboard, batch, rules, team, trendInterval]);
+
+  // Runs a backlog CSV through analyze-backlog. The stories are kept for their reports.
+  const handleBatchFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const csv = await file.text();
+      const response = await fetch('/.netlify/functions/analyze-backlog', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ csv, profile, frameworks, locale, format: 'json' }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      setBatch({ fileName: file.name, backlog: data, items: parseBacklogCsv(csv), ranAt: new Date().toISOString() });
+      setTeam(ALL_TEAMS);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+      e.target.value = '';
+    }
+  };
+
+  // Batch stories are not stored, so their report is rendered in the browser.
+  const openBatchReport = (row) => {
+    const item = batch.items.find((i) => i.id === row.storyId);
+    const result = batch.backlog.results.find((r) => r.id === row.storyId);
+    const report = renderStoryReport(result.analysis, 'html', { rules, story: item.story, acceptanceCriteria: item.acceptanceCriteria, title: row.title || row.storyId });
+    const url = URL.createObjectURL(new Blob([report.content], { type: report.contentType }));
+    const reportWindow = window.open(url, '_blank');
+    if (!reportWindow) {
+      URL.revokeObjectURL(url);
+      setError('The report window was blocked. Allow pop-ups for this site and try again.');
+      return;
+    }
+    // The window has read the report once it has loaded, so the URL can be released.
+    reportWindow.addEventListener('load', () => URL.revokeObjectURL(url));
+  };
+
+  const rows = useMemo(() => {
+    if (!dashboard) return [];
+    const query = search.trim().toLowerCase();
+    const column = COLUMNS.find((c) => c.key === sort.key);
+    return dashboard.stories
+      .filter((row) => !query || `${row.storyId} ${row.title} ${row.team}`.toLowerCase().includes(query))
+      .filter((row) => !categoryId || row.readinessCategoryId === categoryId)
+      .filter((row) => !isBlockingOnly || row.isBlocking)
+      .sort((a, b) => {
+        const [left, right] = [column.value(a), column.value(b)];
+        const order = left < right ? -1 : left > right ? 1 : 0;
+        return sort.ascending ? order : -order;
+      });
+  }, [dashboard, search, categoryId, isBlockingOnly, sort]);
+
+  const toggleSort = (key) => setSort(sort.key === key ? { key, ascending: !sort.ascending } : { key, ascending: true });
+  const teamLabel = (name) => (name === NO_TEAM ? 'No team' : name);
+  const maxCategoryCount = dashboard ? Math.max(1, ...dashboard.categoryDistribution.map((c) => c.count)) : 1;
+
+  return (
+    <div className="dashboard">
+      <div className="dashboard-filters">
+        {hasHistory && (
+          <label>
+            Stories:{' '}
+            <select value={source} onChange={(e) => setSource(e.target.value)}>
+              <option value="history">Analysis history</option>
+              <option value="batch">Batch run</option>
+            </select>
+          </label>
+        )}
+        {source === 'batch' && (
+          <label>
+            Backlog CSV:{' '}
+            <input type="file" accept=".csv,text/csv" onChange={handleBatchFile} disabled={isLoading} />
+          </label>
+        )}
+        {dashboard && dashboard.teams.length > 0 && (
+          <label>
+            Team:{' '}
+            <select value={team} onChange={(e) => setTeam(e.target.value)}>
+              <option value={ALL_TEAMS}>All teams</option>
+              {dashboard.teams.map((name) => (
+                <option key={name} value={name}>{teamLabel(name)}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label>
+          Trend by:{' '}
+          <select value={trendInterval} onChange={(e) => setTrendInterval(e.target.value)}>
+            {TREND_INTERVALS.map((id) => (
+              <option key={id} value={id}>{capitalize(id)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {isLoading && <p>Loading...</p>}
+      {error && <p className="error-message">Error: {error}</p>}
+      {source === 'batch' && !batch && !isLoading && (
+        <p>Choose a backlog CSV (with a Story column and optional ID, Title, AC and Team columns) to analyze it as a batch.</p>
+      )}
+
+      {dashboard && dashboard.storyCount === 0 && <p>No analyzed stories yet.</p>}
+      {dashboard && dashboard.storyCount > 0 && (
+        <>
+          <div className="dashboard-cards">
+            <div className="dashboard-card"><strong>{dashboard.storyCount}</strong> stories</div>
+            <div className="dashboard-card"><strong>{dashboard.averageReadiness}</strong> average readiness</div>
+            <div className={`dashboard-card${dashboard.blockingCount > 0 ? ' dashboard-card-blocking' : ''}`}>
+              <strong>{dashboard.blockingCount}</strong> below {dashboard.minReadiness} (blocking sprint planning)
+            </div>
+          </div>
+
+          <div className="dashboard-panels">
+            <div className="result-section">
+              <h3>Readiness Distribution</h3>
+              <ul className="dashboard-bars">
+                {dashboard.categoryDistribution.map((category) => (
+                  <li key={category.id}>
+                    <button
+                      type="button"
+                      className={categoryId === category.id ? 'is-selected' : ''}
+                      onClick={() => setCategoryId(categoryId === category.id ? '' : category.id)}
+                      title="Show these stories in the table"
+                    >
+                      {category.label}
+                    </button>
+                    <span className={`dashboard-bar category-${category.id}`} style={{ width: `${(category.count / maxCategoryCount) * 100}%` }} />
+                    <span className="dashboard-bar-value">{category.count}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="result-section">
+              <h3>Weakest INVEST Dimensions</h3>
+              <ul className="dashboard-bars">
+                {dashboard.investDimensions.map((dimension) => (
+                  <li key={dimension.criterion}>
+                    <span className="dashboard-bar-label">{capitalize(dimension.criterion)}</span>
+                    <span className="dashboard-bar" style={{ width: `${(dimension.averageScore / dimension.maxScore) * 100}%` }} />
+                    <span className="dashboard-bar-value">
+                      {dimension.averageScore}/{dimension.maxScore}
+                      {dimension.failingCount > 0 && ` · ${dimension.failingCount} not met`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          <div className="result-section">
+            <h3>Readiness Trend per Team</h3>
+            <table className="dashboard-table">
+              <thead>
+                <tr><th>Team</th><th>Trend</th><th>From</th><th>Latest</th><th>Stories</th></tr>
+              </thead>
+              <tbody>
+                {dashboard.teamTrends.map(({ team: name, points }) => {
+                  const latest = points[points.length - 1];
+                  return (
+                    <tr key={name}>
+                      <td>{teamLabel(name)}</td>
+                      <td><Sparkline values={points.map((p) => p.averageReadiness)} /></td>
+                      <td>{points[0].period}: {points[0].averageReadiness}</td>
+                      <td>{latest.period}: {latest.averageReadiness}</td>
+                      <td>{latest.storyCount}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="result-section">
+            <h3>Stories</h3>
+            <div className="dashboard-filters">
+              <input type="search" placeholder="Filter by ID, title or team" value={search} onChange={(e) => setSearch(e.target.value)} />
+              <select value={categoryId} onChange={(e) => setCategoryId(e.target.value)}>
+                <option value="">All readiness categories</option>
+                {dashboard.categoryDistribution.map((category) => (
+                  <option key={category.id} value={category.id}>{category.label}</option>
+                ))}
+              </select>
+              <label>
+                <input type="checkbox" checked={isBlockingOnly} onChange={(e) => setIsBlockingOnly(e.target.checked)} />
+                Blocking only
+              </label>
+            </div>
+            <table className="dashboard-table">
+              <thead>
+                <tr>
+                  {COLUMNS.map((column) => (
+                    <th key={column.key} aria-sort={sort.key === column.key ? (sort.ascending ? 'ascending' : 'descending') : 'none'}>
+                      <button type="button" onClick={() => toggleSort(column.key)}>
+                        {column.label}{sort.key === column.key && (sort.ascending ? ' ▲' : ' ▼')}
+                      </button>
+                    </th>
+                  ))}
+                  <th>Trend</th>
+                  <th>Report</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.storyId} className={row.isBlocking ? 'is-blocking' : ''}>
+                    <td>{row.title || row.storyId}{row.title && <span className="dashboard-story-id"> {row.storyId}</span>}</td>
+                    <td>{teamLabel(row.team)}</td>
+                    <td title={row.readinessCategory}>{row.readinessRating}</td>
+                    <td>{row.ratingChange === null ? '–' : `${row.ratingChange > 0 ? '+' : ''}${row.ratingChange}`}</td>
+                    <td>{capitalize(row.weakestInvest.criterion)} ({row.weakestInvest.score})</td>
+                    <td>{row.versionCount}</td>
+                    <td>{new Date(row.updatedAt).toLocaleDateString()}</td>
+                    <td><Sparkline values={row.trend.map((point) => point.readinessRating)} /></td>
+                    <td>
+                      {source === 'history' ? (
+                        <a href={`/api/history/${encodeURIComponent(row.storyId)}/report`} target="_blank" rel="noreferrer">Full report</a>
+                      ) : (
+                        <button type="button" className="link-button" onClick={() => openBatchReport(row)}>Full report</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rows.length === 0 && <p>No stories match the filters.</p>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Dashboard;
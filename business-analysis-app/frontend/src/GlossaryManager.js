@@ -0,0 +1,159 @@
+import React, { useRef, useState } from 'react';
+
+const EMPTY_DRAFT = { id: null, term: '', definition: '', synonyms: '', forbidden: '' };
+
+// Splits a comma-separated field into its non-empty entries.
+const splitList = (text) => text.split(',').map((item) => item.trim()).filter(Boolean);
+
+// Lists, adds, edits, deletes and imports the domain glossary (Express backend, /api/glossary).
+// `onChange` receives the updated list after every change.
+function GlossaryManager({ terms, onChange }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [replaceOnImport, setReplaceOnImport] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const updateDraft = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+
+  const request = async (url, options) => {
+    const response = await fetch(url, options);
+    if (response.status === 204) return null;
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error([data.error, ...(data.details || [])].join(' ') || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  };
+
+  const reload = async () => onChange((await request('/api/glossary')).terms);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    setNotice(null);
+
+    try {
+      await request(draft.id ? `/api/glossary/${encodeURIComponent(draft.id)}` : '/api/glossary', {
+        method: draft.id ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          term: draft.term,
+          definition: draft.definition,
+          synonyms: splitList(draft.synonyms),
+          forbidden: splitList(draft.forbidden),
+        }),
+      });
+      setDraft(EMPTY_DRAFT);
+      await reload();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    setError(null);
+    setNotice(null);
+    try {
+      await request(`/api/glossary/${encodeURIComponent(entry.id)}`, { method: 'DELETE' });
+      if (draft.id === entry.id) setDraft(EMPTY_DRAFT);
+      await reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleEdit = (entry) => {
+    setDraft({
+      id: entry.id,
+      term: entry.term,
+      definition: entry.definition,
+      synonyms: entry.synonyms.join(', '),
+      forbidden: entry.forbidden.join(', '),
+    });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setIsSaving(true);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const data = await request(`/api/glossary/import${replaceOnImport ? '?replace=true' : ''}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'text/csv',
+        },
+        body: await file.text(),
+      });
+      onChange(data.terms);
+      setNotice(`Imported ${data.imported} term${data.imported === 1 ? '' : 's'} from ${file.name}.`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+      // Lets the same file be imported again after it was fixed.
+      fileInputRef.current.value = '';
+    }
+  };
+
+  return (
+    <details className="persona-catalogue glossary-manager">
+      <summary>Domain Glossary ({terms.length})</summary>
+      <p>
+        Stories are checked against these terms. Synonyms and forbidden aliases are flagged with the term to use instead,
+        and hovering a term in the story shows its definition.
+      </p>
+      {terms.length > 0 && (
+        <ul className="persona-list">
+          {terms.map((entry) => (
+            <li key={entry.id}>
+              <strong>{entry.term}</strong>
+              {entry.synonyms.length > 0 && <span className="persona-aliases"> (synonyms: {entry.synonyms.join(', ')})</span>}
+              {entry.forbidden.length > 0 && <span className="glossary-forbidden"> (not: {entry.forbidden.join(', ')})</span>}
+              {entry.definition && <span> – {entry.definition}</span>}
+              <span className="persona-actions">
+                <button type="button" onClick={() => handleEdit(entry)}>Edit</button>
+                <button type="button" onClick={() => handleDelete(entry)}>Delete</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleSave} className="persona-form">
+        <label htmlFor="glossaryTerm">Term:</label>
+        <input id="glossaryTerm" value={draft.term} onChange={updateDraft('term')} required />
+        <label htmlFor="glossaryDefinition">Definition:</label>
+        <textarea id="glossaryDefinition" value={draft.definition} onChange={updateDraft('definition')} rows="2" />
+        <label htmlFor="glossarySynonyms">Synonyms (comma-separated):</label>
+        <input id="glossarySynonyms" value={draft.synonyms} onChange={updateDraft('synonyms')} placeholder="purchase, sale" />
+        <label htmlFor="glossaryForbidden">Forbidden aliases (comma-separated):</label>
+        <input id="glossaryForbidden" value={draft.forbidden} onChange={updateDraft('forbidden')} />
+        <div className="export-buttons">
+          <button type="submit" disabled={isSaving}>{draft.id ? 'Save Term' : 'Add Term'}</button>
+          {draft.id && <button type="button" onClick={() => setDraft(EMPTY_DRAFT)}>Cancel</button>}
+        </div>
+        <label htmlFor="glossaryImport">Import CSV:</label>
+        <div className="glossary-import">
+          <input id="glossaryImport" ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={handleImport} disabled={isSaving} />
+          <label>
+            <input type="checkbox" checked={replaceOnImport} onChange={(e) => setReplaceOnImport(e.target.checked)} />
+            Replace the glossary
+          </label>
+        </div>
+      </form>
+      {notice && <p>{notice}</p>}
+      {error && <p className="error-message">Error: {error}</p>}
+    </details>
+  );
+}
+
+export default GlossaryManager;
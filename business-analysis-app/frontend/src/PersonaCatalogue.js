@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+
+const EMPTY_DRAFT = { id: null, name: '', aliases: '', description: '', goals: '' };
+
+// Splits a comma- or newline-separated field into its non-empty entries.
+const splitList = (text, separator) => text.split(separator).map((item) => item.trim()).filter(Boolean);
+
+// Lists, adds, edits and deletes the personas in the catalogue (Express backend, /api/personas).
+// `onChange` receives the updated list after every change.
+function PersonaCatalogue({ personas, onChange }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateDraft = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+
+  const request = async (url, options) => {
+    const response = await fetch(url, options);
+    if (response.status === 204) return null;
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error([data.error, ...(data.details || [])].join(' ') || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  };
+
+  const reload = async () => onChange((await request('/api/personas')).personas);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      await request(draft.id ? `/api/personas/${encodeURIComponent(draft.id)}` : '/api/personas', {
+        method: draft.id ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name: draft.name,
+          aliases: splitList(draft.aliases, ','),
+          description: draft.description,
+          goals: splitList(draft.goals, '\n'),
+        }),
+      });
+      setDraft(EMPTY_DRAFT);
+      await reload();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (persona) => {
+    setError(null);
+    try {
+      await request(`/api/personas/${encodeURIComponent(persona.id)}`, { method: 'DELETE' });
+      if (draft.id === persona.id) setDraft(EMPTY_DRAFT);
+      await reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleEdit = (persona) => {
+    setDraft({
+      id: persona.id,
+      name: persona.name,
+      aliases: persona.aliases.join(', '),
+      description: persona.description,
+      goals: persona.goals.join('\n'),
+    });
+  };
+
+  return (
+    <details className="persona-catalogue">
+      <summary>Persona Catalogue ({personas.length})</summary>
+      <p>Stories are checked against these personas. Aliases are flagged with the persona to use instead.</p>
+      {personas.length > 0 && (
+        <ul className="persona-list">
+          {personas.map((persona) => (
+            <li key={persona.id}>
+              <strong>{persona.name}</strong>
+              {persona.aliases.length > 0 && <span className="persona-aliases"> (also: {persona.aliases.join(', ')})</span>}
+              {persona.description && <span> – {persona.description}</span>}
+              {persona.goals.length > 0 && <span className="persona-goals"> Goals: {persona.goals.join('; ')}</span>}
+              <span className="persona-actions">
+                <button type="button" onClick={() => handleEdit(persona)}>Edit</button>
+                <button type="button" onClick={() => handleDelete(persona)}>Delete</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleSave} className="persona-form">
+        <label htmlFor="personaName">Name:</label>
+        <input id="personaName" value={draft.name} onChange={updateDraft('name')} required />
+        <label htmlFor="personaAliases">Aliases (comma-separated):</label>
+        <input id="personaAliases" value={draft.aliases} onChange={updateDraft('aliases')} placeholder="client, buyer" />
+        <label htmlFor="personaDescription">Description:</label>
+        <input id="personaDescription" value={draft.description} onChange={updateDraft('description')} />
+        <label htmlFor="personaGoals">Goals (one per line):</label>
+        <textarea id="personaGoals" value={draft.goals} onChange={updateDraft('goals')} rows="3" />
+        <div className="export-buttons">
+          <button type="submit" disabled={isSaving}>{draft.id ? 'Save Persona' : 'Add Persona'}</button>
+          {draft.id && <button type="button" onClick={() => setDraft(EMPTY_DRAFT)}>Cancel</button>}
+        </div>
+      </form>
+      {error && <p className="error-message">Error: {error}</p>}
+    </details>
+  );
+}
+
+export default PersonaCatalogue;
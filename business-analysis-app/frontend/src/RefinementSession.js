@@ -0,0 +1,252 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+
+// Edits are sent once typing pauses for this long, rather than on every keystroke.
+const EDIT_DELAY_MS = 400;
+
+// The participant ID the server issued for a session is kept for the tab, so a reload or
+// reconnect rejoins as the same participant, with their votes.
+const participantKey = (sessionId) => `refinement-session:${sessionId}`;
+export const rememberParticipant = (sessionId, participantId) => {
+  window.sessionStorage.setItem(participantKey(sessionId), participantId);
+};
+
+// Connects to a refinement session on the Express backend (/api/sessions/:id/socket) once the
+// participant has given their name. `session` is the latest state the server sent; `send`
+// sends a message (vote, resolve, reopen or end) and `sendEdit` sends a story or AC edit once
+// typing pauses. Edits name the version of the text they were made on, so the server can refuse
+// them if someone else changed the text in the meantime.
+export function useRefinementSession(sessionId, name) {
+  const [session, setSession] = useState(null);
+  const [isConnected, setIsConnected] = useState(false);
+  const [error, setError] = useState(null);
+  const socketRef = useRef(null);
+  const versionRef = useRef(null);
+  const pendingEditRef = useRef({ fields: null, timer: null });
+
+  const cancelEdit = useCallback(() => {
+    clearTimeout(pendingEditRef.current.timer);
+    pendingEditRef.current = { fields: null, timer: null };
+  }, []);
+
+  useEffect(() => {
+    if (!sessionId || !name) return undefined;
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/api/sessions/${encodeURIComponent(sessionId)}/socket`);
+    socketRef.current = socket;
+    setSession(null);
+    setError(null);
+
+    socket.onopen = () => {
+      setIsConnected(true);
+      const participantId = window.sessionStorage.getItem(participantKey(sessionId)) || undefined;
+      socket.send(JSON.stringify({ type: 'join', name, participantId }));
+    };
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'session') {
+        // Someone else's edit replaces the text, so an edit still waiting to be sent is outdated.
+        if (versionRef.current !== null && message.session.version !== versionRef.current && !message.session.editedByYou) cancelEdit();
+        versionRef.current = message.session.version;
+        setSession(message.session);
+      }
+      if (message.type === 'welcome') rememberParticipant(sessionId, message.participantId);
+      if (message.type === 'error') setError([message.error, ...(message.details || [])].join(' '));
+    };
+    socket.onclose = () => setIsConnected(false);
+    return () => {
+      cancelEdit();
+      versionRef.current = null;
+      socket.close();
+    };
+  }, [sessionId, name, cancelEdit]);
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  }, []);
+
+  const sendEdit = useCallback((fields) => {
+    const pending = pendingEditRef.current;
+    clearTimeout(pending.timer);
+    const merged = { ...pending.fields, ...fields };
+    pendingEditRef.current = {
+      fields: merged,
+      timer: setTimeout(() => {
+        pendingEditRef.current = { fields: null, timer: null };
+        send({ type: 'edit', ...merged, baseVersion: versionRef.current });
+      }, EDIT_DELAY_MS),
+    };
+  }, [send]);
+
+  return { session, isConnected, error, send, sendEdit };
+}
+
+// Open queries with the most votes come first; resolved ones follow.
+const sortQueries = (queries) => [
+  ...queries.filter((q) => q.status === 'open').sort((a, b) => b.votes - a.votes),
+  ...queries.filter((q) => q.status === 'resolved'),
+];
+
+// The refinement session panel: joining, the share link, the participants, the open queries
+// to vote on and resolve, the decisions log and, once the session has ended, its summary.
+function RefinementSession({ sessionId, name, onJoin, onLeave, refinement }) {
+  const { session, isConnected, error, send } = refinement;
+  const [nameDraft, setNameDraft] = useState('');
+  const [notes, setNotes] = useState({});
+  const [isCopied, setIsCopied] = useState(false);
+  const link = `${window.location.origin}${window.location.pathname}?session=${encodeURIComponent(sessionId)}`;
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    onJoin(nameDraft.trim());
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(link);
+    setIsCopied(true);
+  };
+
+  const handleResolve = (query) => {
+    send({ type: 'resolve', queryId: query.id, note: notes[query.id] || '' });
+    setNotes({ ...notes, [query.id]: '' });
+  };
+
+  const handleEnd = () => {
+    if (window.confirm('End the session for everyone and save its summary?')) send({ type: 'end' });
+  };
+
+  if (!name) {
+    return (
+      <div className="result-section refinement-session">
+        <h3>Refinement Session</h3>
+        <form onSubmit={handleJoin} className="review-fields">
+          <label htmlFor="participantName">Your name:</label>
+          <input id="participantName" value={nameDraft} onChange={(e) => setNameDraft(e.target.value)} required />
+          <div className="export-buttons">
+            <button type="submit" disabled={nameDraft.trim() === ''}>Join Session</button>
+            <button type="button" onClick={onLeave}>Cancel</button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
+  if (session && session.status === 'ended') {
+    const { summary } = session;
+    return (
+      <div className="result-section refinement-session">
+        <h3>Refinement Session Summary{session.title && `: ${session.title}`}</h3>
+        <p>
+          Ended by {summary.endedBy} on {new Date(summary.endedAt).toLocaleString()}. Participants: {summary.participants.join(', ')}.
+        </p>
+        {summary.readinessRating !== null && <p>Final readiness: <strong>{summary.readinessRating}/100</strong> – {summary.readinessCategory}</p>}
+        <h4>Final Story</h4>
+        <p className="session-text">{summary.story}</p>
+        {summary.acceptanceCriteria && <p className="session-text">{summary.acceptanceCriteria}</p>}
+        <h4>Decisions</h4>
+        {summary.decisions.length === 0 ? <p>No queries were resolved.</p> : (
+          <ul className="session-decisions">
+            {summary.decisions.map((decision, index) => (
+              <li key={index}>
+                <strong>{decision.type === 'resolved' ? 'Resolved' : 'Reopened'}</strong> by {decision.by}: {decision.query}
+                {decision.note && <span className="session-note"> – {decision.note}</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+        {summary.openQueries.length > 0 && (
+          <>
+            <h4>Still Open</h4>
+            <ul>
+              {summary.openQueries.map((query, index) => (
+                <li key={index}>{query.query} ({query.votes} vote{query.votes === 1 ? '' : 's'})</li>
+              ))}
+            </ul>
+          </>
+        )}
+        <div className="export-buttons">
+          <button type="button" onClick={onLeave}>Leave Session</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="result-section refinement-session">
+      <h3>Refinement Session{session && session.title && `: ${session.title}`}</h3>
+      <p>
+        Share this link to invite participants: <input className="session-link" value={link} readOnly onFocus={(e) => e.target.select()} />
+        <button type="button" onClick={handleCopy}>{isCopied ? 'Copied' : 'Copy Link'}</button>
+      </p>
+      <p>
+        {isConnected ? 'Connected' : 'Not connected'}
+        {session && ` · In the session: ${session.connected.join(', ')}`}
+        {session && session.analysis && ` · Readiness: ${session.analysis.overallReadinessScore.readinessRating}/100`}
+      </p>
+      {session && (
+        <>
+          <h4>Open Queries</h4>
+          {session.queries.length === 0 ? <p>The analysis raises no queries.</p> : (
+            <ul className="session-queries">
+              {sortQueries(session.queries).map((query) => {
+                const hasVoted = query.voted;
+                return (
+                  <li key={query.id} className={`session-query-${query.status}`}>
+                    <span>{query.text}</span>
+                    <span className="session-query-actions">
+                      <button
+                        type="button"
+                        onClick={() => send({ type: 'vote', queryId: query.id, vote: !hasVoted })}
+                        title={query.voters.join(', ')}
+                      >
+                        {hasVoted ? 'Unvote' : 'Vote'} ({query.votes})
+                      </button>
+                      {query.status === 'open' ? (
+                        <>
+                          <input
+                            aria-label="Resolution note"
+                            placeholder="Resolution note"
+                            value={notes[query.id] || ''}
+                            onChange={(e) => setNotes({ ...notes, [query.id]: e.target.value })}
+                          />
+                          <button type="button" onClick={() => handleResolve(query)} disabled={!(notes[query.id] || '').trim()}>
+                            Resolve
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <span className="session-note">Resolved by {query.resolution.resolvedBy}: {query.resolution.note}</span>
+                          <button type="button" onClick={() => send({ type: 'reopen', queryId: query.id })}>Reopen</button>
+                        </>
+                      )}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          {session.decisions.length > 0 && (
+            <>
+              <h4>Decisions Log</h4>
+              <ul className="session-decisions">
+                {session.decisions.map((decision, index) => (
+                  <li key={index}>
+                    {new Date(decision.at).toLocaleTimeString()} – {decision.by} {decision.type === 'resolved' ? 'resolved' : 'reopened'}: {decision.query}
+                    {decision.note && <span className="session-note"> – {decision.note}</span>}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          <div className="export-buttons">
+            {session.isCreator && <button type="button" onClick={handleEnd} disabled={!isConnected}>End Session</button>}
+            <button type="button" onClick={onLeave}>Leave Session</button>
+          </div>
+        </>
+      )}
+      {error && <p className="error-message">Error: {error}</p>}
+    </div>
+  );
+}
+
+export default RefinementSession;
@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from 'react';
+
+// Records a reviewer's verdict on an analysis (Express backend, /api/reviews): agree or disagree
+// per finding, and the readiness category the reviewer would give the story. The stored reviews
+// are what `ba-toolbox calibrate` fits the scoring weights to.
+function ReviewerFeedback({ analysis, story, acceptanceCriteria, profile, categories }) {
+  const findings = analysis.findings || [];
+  const [verdicts, setVerdicts] = useState({});
+  const [categoryId, setCategoryId] = useState(analysis.overallReadinessScore.readinessCategoryId);
+  const [reviewer, setReviewer] = useState('');
+  const [comment, setComment] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [isSaved, setIsSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  // A new analysis gets a new review; the reviewer's name is kept.
+  useEffect(() => {
+    setVerdicts({});
+    setCategoryId(analysis.overallReadinessScore.readinessCategoryId);
+    setComment('');
+    setIsSaved(false);
+    setError(null);
+  }, [analysis]);
+
+  const setVerdict = (index, agree) => setVerdicts({ ...verdicts, [index]: agree });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/reviews', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          story,
+          acceptanceCriteria,
+          profile,
+          analysis,
+          readinessCategoryId: categoryId,
+          // Findings the reviewer left unanswered are not sent.
+          findings: findings
+            .map((finding, index) => ({ ...finding, agree: verdicts[index] }))
+            .filter((finding) => finding.agree !== undefined),
+          reviewer,
+          comment,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error([data.error, ...(data.details || [])].join(' ') || `HTTP error! status: ${response.status}`);
+      }
+      setIsSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="result-section reviewer-feedback">
+      <h3>Reviewer Feedback</h3>
+      <p>Do you agree with this analysis? Your answers are used to calibrate the scoring for your team.</p>
+      <form onSubmit={handleSave}>
+        {findings.length > 0 && (
+          <ul className="finding-verdicts">
+            {findings.map((finding, index) => (
+              <li key={index}>
+                {finding.message} <code>{finding.ruleId}</code>
+                <span className="verdict-options">
+                  <label>
+                    <input type="radio" name={`verdict-${index}`} checked={verdicts[index] === true} onChange={() => setVerdict(index, true)} />
+                    Agree
+                  </label>
+                  <label>
+                    <input type="radio" name={`verdict-${index}`} checked={verdicts[index] === false} onChange={() => setVerdict(index, false)} />
+                    Disagree
+                  </label>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="review-fields">
+          <label htmlFor="reviewCategory">Readiness category you would give:</label>
+          <select id="reviewCategory" value={categoryId} onChange={(e) => setCategoryId(e.target.value)}>
+            {categories.map((category) => (
+              <option key={category.id} value={category.id}>{category.label}</option>
+            ))}
+          </select>
+          <label htmlFor="reviewer">Your name (optional):</label>
+          <input id="reviewer" value={reviewer} onChange={(e) => setReviewer(e.target.value)} />
+          <label htmlFor="reviewComment">Comment (optional):</label>
+          <textarea id="reviewComment" value={comment} onChange={(e) => setComment(e.target.value)} rows="2" />
+        </div>
+        <div className="export-buttons">
+          <button type="submit" disabled={isSaving || isSaved}>
+            {isSaving ? 'Saving...' : isSaved ? 'Feedback Saved' : 'Save Feedback'}
+          </button>
+        </div>
+      </form>
+      {error && <p className="error-message">Error: {error}</p>}
+    </div>
+  );
+}
+
+export default ReviewerFeedback;
@@ -0,0 +1,9 @@
+// business-analysis-app/netlify/functions/export-feature.js
+
+const { createApiHandlers, toNetlifyHandler } = require('../../shared/apiHandlers');
+const { createProfileStore } = require('../../shared/ruleProfiles');
+
+const api = createApiHandlers({ profileStore: createProfileStore() });
+
+// Request handling is shared with the Express backend; see shared/apiHandlers.js.
+exports.handler = toNetlifyHandler(api.exportFeature);
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Analysis providers. The heuristic provider is the rule-based engine in
+ * userStoryAgent.js. The LLM provider sends the story to an OpenAI-compatible chat
+ * endpoint (OpenAI, Azure OpenAI, Ollama, a mock server, ...) for richer coaching.
+ * `analyzeWithProvider` falls back to the heuristic engine whenever the LLM is not
+ * configured, fails, times out or returns an object that does not match the schema.
+ */
+
+const { getUserStoryAnalysis, getReadinessCategory, calculateReadinessRating, DEFAULT_RULES } = require('./userStoryAgent');
+const { ANALYSIS_OBJECT_SCHEMA, COACHING_SCHEMA, validateAnalysisObject, pickSchema } = require('./analysisSchema');
+const { withLocale } = require('./locales');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+const HEURISTIC_PROVIDER = "heuristic";
+const LLM_PROVIDER = "llm";
+
+// Netlify functions are cut off after 10 seconds, so leave time for the fallback.
+const DEFAULT_TIMEOUT_MS = 8000;
+
+const SYSTEM_PROMPT = `You are an experienced Agile business analyst reviewing a user story.
+Reply with a single JSON object and nothing else. Use exactly the structure of the
+"baseline" analysis you are given, keep every score inside the same range as the
+baseline, and add a "coaching" object with:
+- "summary": two or three sentences of coaching for the story author,
+- "rewrittenStory": the story rewritten in "As a [persona], I want [goal], so that [value]" form,
+- "rewrittenAcceptanceCriteria": the acceptance criteria rewritten as Given/When/Then lines.
+Write every text in the language of the baseline's "locale" field (e.g. "de" for German),
+using that language's template and Gherkin keywords for the rewrites.
+The baseline comes from a keyword heuristic; correct it where it is wrong.`;
+
+/**
+ * Raised when an LLM provider call fails. The message is reported as the fallback reason.
+ */
+class ProviderError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProviderError';
+    }
+}
+
+// =================================================================
+// PROVIDERS
+// =================================================================
+// A provider is { name, model?, analyze(story, acceptanceCriteriaText, rules) } where
+// analyze resolves to an analysis object.
+
+/**
+ * Creates the provider backed by the rule-based engine.
+ * @returns {{name: string, analyze: Function}}
+ */
+function createHeuristicProvider() {
+    return {
+        name: HEURISTIC_PROVIDER,
+        analyze: async (story, acceptanceCriteriaText, rules) => getUserStoryAnalysis(story, acceptanceCriteriaText, rules),
+    };
+}
+
+/**
+ * Adds up the section scores of a clarity or INVEST assessment.
+ * @param {object} assessment - e.g. `clarityAndRequirementAnalysis`.
+ * @returns {number}
+ */
+function sumSectionScores(assessment) {
+    return Object.entries(assessment)
+        .filter(([key]) => key !== 'totalScore')
+        .reduce((sum, [, section]) => sum + section.score, 0);
+}
+
+/**
+ * Merges a validated LLM analysis over the heuristic baseline. Only the fields in the
+ * schema are taken from the LLM. Its section scores are kept, but the totals, the rating and
+ * the readiness category are recomputed from them so they always agree with the rule profile.
+ * Heuristic-only details (scenario and text findings, decomposition splits, quality frameworks,
+ * non-functional requirements, glossary terms) are kept from the baseline, and its queries are
+ * added after the LLM's.
+ * @param {object} baseline - The heuristic analysis object.
+ * @param {object} llmAnalysis - An analysis object that passed validateAnalysisObject.
+ * @param {object} rules - The resolved rule profile.
+ * @returns {object}
+ */
+function mergeWithBaseline(baseline, llmAnalysis, rules) {
+    const picked = pickSchema(llmAnalysis, ANALYSIS_OBJECT_SCHEMA);
+    const clarityTotal = sumSectionScores(picked.clarityAndRequirementAnalysis);
+    const investTotal = sumSectionScores(picked.investCriteriaAssessment);
+    // The LLM scores clarity and INVEST only; enabled quality frameworks keep their heuristic scores.
+    const rating = calculateReadinessRating(clarityTotal, investTotal, rules, baseline.frameworkAssessments);
+    // Category labels follow the language the story was analyzed in.
+    const category = getReadinessCategory(rating, baseline.locale ? withLocale(rules, baseline.locale) : rules);
+    const merged = {
+        ...baseline,
+        overallReadinessScore: {
+            ...picked.overallReadinessScore,
+            readinessRating: rating,
+            readinessCategory: category.label,
+            readinessCategoryId: category.id,
+            scoreBreakdown: { clarityRequirementAnalysis: clarityTotal, investCriteriaAssessment: investTotal },
+        },
+        clarityAndRequirementAnalysis: {
+            ...picked.clarityAndRequirementAnalysis,
+            acceptanceCriteria: {
+                ...picked.clarityAndRequirementAnalysis.acceptanceCriteria,
+                scenarios: baseline.clarityAndRequirementAnalysis.acceptanceCriteria.scenarios,
+            },
+            totalScore: clarityTotal,
+        },
+        investCriteriaAssessment: { ...picked.investCriteriaAssessment, totalScore: investTotal },
+        // The rule-generated queries (missing NFRs, undefined glossary terms, ...) follow the LLM's own.
+        outstandingQueriesAndConflicts: [...new Set([...picked.outstandingQueriesAndConflicts, ...baseline.outstandingQueriesAndConflicts])],
+        actionableRecommendations: {
+            ...picked.actionableRecommendations,
+            decompositionSplits: baseline.actionableRecommendations.decompositionSplits,
+        },
+    };
+    if (llmAnalysis.coaching !== undefined) {
+        merged.coaching = pickSchema(llmAnalysis.coaching, COACHING_SCHEMA);
+    }
+    return merged;
+}
+
+/**
+ * Creates a provider that calls an OpenAI-compatible `/chat/completions` endpoint.
+ * @param {object} options
+ * @param {string} options.baseUrl - e.g. "https://api.openai.com/v1" or "http://localhost:11434/v1".
+ * @param {string} [options.apiKey] - Sent as a Bearer token; local servers usually need none.
+ * @param {string} options.model - The model name passed to the endpoint.
+ * @param {number} [options.timeoutMs=DEFAULT_TIMEOUT_MS]
+ * @param {Function} [options.fetchImpl=fetch]
+ * @returns {{name: string, model: string, analyze: Function}}
+ */
+function createOpenAICompatibleProvider({ baseUrl, apiKey, model, timeoutMs = DEFAULT_TIMEOUT_MS, fetchImpl = fetch }) {
+    if (!baseUrl || !model) {
+        throw new TypeError("An LLM provider needs both a base URL and a model.");
+    }
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    const callEndpoint = async (messages) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const response = await fetchImpl(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+                },
+                body: JSON.stringify({ model, messages, temperature: 0.2, response_format: { type: 'json_object' } }),
+                signal: controller.signal,
+            });
+            if (!response.ok) {
+                throw new ProviderError(`The LLM endpoint responded with ${response.status}.`);
+            }
+            try {
+                return await response.json();
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                throw new ProviderError("The LLM endpoint returned an invalid response: the body is not JSON.");
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new ProviderError(`The LLM endpoint did not respond within ${timeoutMs} ms.`);
+            }
+            throw error instanceof ProviderError ? error : new ProviderError(`The LLM endpoint could not be reached: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    return {
+        name: LLM_PROVIDER,
+        model,
+        analyze: async (story, acceptanceCriteriaText, rules) => {
+            const baseline = getUserStoryAnalysis(story, acceptanceCriteriaText, rules);
+            const completion = await callEndpoint([
+                { role: 'system', content: SYSTEM_PROMPT },
+                { role: 'user', content: JSON.stringify({ story, acceptanceCriteria: acceptanceCriteriaText, baseline: pickSchema(baseline, ANALYSIS_OBJECT_SCHEMA) }) },
+            ]);
+
+            const content = completion && completion.choices && completion.choices[0] && completion.choices[0].message
+                ? completion.choices[0].message.content : null;
+            if (typeof content !== 'string') {
+                throw new ProviderError("The LLM response has no message content.");
+            }
+            let llmAnalysis;
+            try {
+                // Some local models wrap JSON in a Markdown code fence despite the instructions.
+                llmAnalysis = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+            } catch (error) {
+                throw new ProviderError("The LLM response is not valid JSON.");
+            }
+            const errors = validateAnalysisObject(llmAnalysis, rules);
+            if (errors.length > 0) {
+                throw new ProviderError(`The LLM response does not match the analysis schema: ${errors.slice(0, 3).join(' ')}`);
+            }
+            return mergeWithBaseline(baseline, llmAnalysis, rules);
+        },
+    };
+}
+
+/**
+ * Creates the provider configured by environment variables, or the heuristic provider
+ * when no LLM is configured. Reads LLM_BASE_URL, LLM_MODEL, LLM_API_KEY (or
+ * OPENAI_API_KEY) and LLM_TIMEOUT_MS.
+ * @param {object} [env=process.env]
+ * @returns {{name: string, model?: string, analyze: Function}}
+ */
+function createProviderFromEnv(env = process.env) {
+    if (!env.LLM_BASE_URL || !env.LLM_MODEL) return createHeuristicProvider();
+    const timeoutMs = Number(env.LLM_TIMEOUT_MS);
+    return createOpenAICompatibleProvider({
+        baseUrl: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+        model: env.LLM_MODEL,
+        timeoutMs: timeoutMs > 0 ? timeoutMs : DEFAULT_TIMEOUT_MS,
+    });
+}
+
+// =================================================================
+// MAIN EXPORTED FUNCTION
+// =================================================================
+
+/**
+ * Analyzes a story with the given provider, falling back to the heuristic engine if the
+ * provider fails. The result records which engine produced it in `analysisSource`.
+ * @param {string} story - The user story text.
+ * @param {string} [acceptanceCriteriaText=""] - The acceptance criteria text.
+ * @param {object} [options]
+ * @param {object} [options.provider] - A provider; defaults to the heuristic provider.
+ * @param {object} [options.rules=DEFAULT_RULES] - The resolved rule profile.
+ * @returns {Promise<object|null>} The analysis object, or null if the story is missing.
+ */
+async function analyzeWithProvider(story, acceptanceCriteriaText = "", { provider = createHeuristicProvider(), rules = DEFAULT_RULES } = {}) {
+    const baseline = getUserStoryAnalysis(story, acceptanceCriteriaText, rules);
+    if (!baseline) return null;
+    if (provider.name === HEURISTIC_PROVIDER) {
+        return { ...baseline, analysisSource: { provider: HEURISTIC_PROVIDER } };
+    }
+
+    try {
+        const analysis = await provider.analyze(story, acceptanceCriteriaText, rules);
+        return { ...analysis, analysisSource: { provider: provider.name, model: provider.model } };
+    } catch (error) {
+        console.warn(`Analysis provider '${provider.name}' failed, using the heuristic engine:`, error.message);
+        return { ...baseline, analysisSource: { provider: HEURISTIC_PROVIDER, fallbackReason: error.message } };
+    }
+}
+
+module.exports = {
+    analyzeWithProvider,
+    createHeuristicProvider,
+    createOpenAICompatibleProvider,
+    createProviderFromEnv,
+    ProviderError,
+    HEURISTIC_PROVIDER,
+};
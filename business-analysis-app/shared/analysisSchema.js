@@ -0,0 +1,139 @@
+/**
+ * @fileoverview The shape of the analysis object returned by `getUserStoryAnalysis`.
+ * Used to check analyses that come from outside the heuristic engine (e.g. an LLM
+ * provider) before they are handed to API clients.
+ */
+
+// =================================================================
+// SCHEMA
+// =================================================================
+// Leaf types: 'string', 'string[]', 'array', or a [min, max] range for numbers.
+// Nested objects list their required keys; extra keys are allowed but dropped by pickSchema.
+// Score ranges here are outer bounds; sectionMaxScores gives the limits of a rule profile.
+
+const SCORE_0_10 = [0, 10];
+const FEEDBACK_SECTION = { score: [0, 100], feedback: 'string' };
+const INVEST_SECTION = { score: SCORE_0_10, justification: 'string' };
+
+const ANALYSIS_OBJECT_SCHEMA = {
+    overallReadinessScore: {
+        readinessRating: [0, 100],
+        readinessCategory: 'string',
+        summary: 'string',
+        scoreBreakdown: { clarityRequirementAnalysis: [0, 100], investCriteriaAssessment: [0, 100] },
+    },
+    clarityAndRequirementAnalysis: {
+        formatCheck: FEEDBACK_SECTION,
+        clarityAmbiguity: FEEDBACK_SECTION,
+        acceptanceCriteria: FEEDBACK_SECTION,
+        totalScore: [0, 100],
+    },
+    investCriteriaAssessment: {
+        independent: INVEST_SECTION,
+        negotiable: INVEST_SECTION,
+        valuable: INVEST_SECTION,
+        estimable: INVEST_SECTION,
+        small: INVEST_SECTION,
+        testable: INVEST_SECTION,
+        totalScore: [0, 100],
+    },
+    outstandingQueriesAndConflicts: 'string[]',
+    actionableRecommendations: {
+        suggestedImprovements: 'string[]',
+        inferredAcceptanceCriteria: 'string[]',
+        storyDecomposition: 'string[]',
+    },
+};
+
+// Optional coaching block that richer providers may add.
+const COACHING_SCHEMA = {
+    summary: 'string',
+    rewrittenStory: 'string',
+    rewrittenAcceptanceCriteria: 'string[]',
+};
+
+// =================================================================
+// VALIDATION
+// =================================================================
+
+/**
+ * Validates a value against a schema entry. Every key in an object schema is required.
+ * @param {*} value
+ * @param {string|number[]|object} schema
+ * @param {string} path - Dotted path used in error messages.
+ * @returns {string[]} Validation errors, empty when the value is valid.
+ */
+function validateAgainstSchema(value, schema, path) {
+    if (Array.isArray(schema)) {
+        const [min, max] = schema;
+        return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max
+            ? [] : [`${path} must be a number between ${min} and ${max}.`];
+    }
+    if (typeof schema === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${path} must be an object.`];
+        return Object.entries(schema).flatMap(([key, child]) => validateAgainstSchema(value[key], child, `${path}.${key}`));
+    }
+    switch (schema) {
+        case 'string':
+            return typeof value === 'string' ? [] : [`${path} must be a string.`];
+        case 'string[]':
+            return Array.isArray(value) && value.every(v => typeof v === 'string') ? [] : [`${path} must be an array of strings.`];
+        case 'array':
+            return Array.isArray(value) ? [] : [`${path} must be an array.`];
+        default:
+            return [`${path} has an unknown schema type.`];
+    }
+}
+
+/**
+ * Copies only the keys a schema knows about, so extra fields never leak to clients.
+ * @param {*} value - A value that passed validateAgainstSchema.
+ * @param {string|number[]|object} schema
+ * @returns {*}
+ */
+function pickSchema(value, schema) {
+    if (typeof schema !== 'object' || Array.isArray(schema)) return value;
+    return Object.fromEntries(Object.entries(schema).map(([key, child]) => [key, pickSchema(value[key], child)]));
+}
+
+/**
+ * Returns the highest score each clarity and INVEST section can get under a rule profile.
+ * @param {object} scoring - The `SCORING` section of the resolved rules.
+ * @returns {{clarityAndRequirementAnalysis: object, investCriteriaAssessment: object}}
+ */
+function sectionMaxScores(scoring) {
+    const investSections = Object.keys(ANALYSIS_OBJECT_SCHEMA.investCriteriaAssessment).filter(key => key !== 'totalScore');
+    return {
+        clarityAndRequirementAnalysis: {
+            formatCheck: scoring.FORMAT_SUCCESS,
+            clarityAmbiguity: scoring.CLARITY_MAX,
+            acceptanceCriteria: scoring.AC_PROVIDED,
+        },
+        investCriteriaAssessment: Object.fromEntries(investSections.map(key => [key, scoring.INVEST_MAX])),
+    };
+}
+
+/**
+ * Validates an analysis object, including the optional `coaching` block. With `rules`, every
+ * section score must also stay within what the rule profile can award.
+ * @param {object} analysis
+ * @param {object} [rules] - The resolved rule profile.
+ * @returns {string[]} Validation errors, empty when the analysis is valid.
+ */
+function validateAnalysisObject(analysis, rules) {
+    const errors = validateAgainstSchema(analysis, ANALYSIS_OBJECT_SCHEMA, 'analysis');
+    if (errors.length === 0 && rules) {
+        Object.entries(sectionMaxScores(rules.SCORING)).forEach(([group, sections]) => {
+            Object.entries(sections).forEach(([key, max]) => {
+                const path = `analysis.${group}.${key}.score`;
+                errors.push(...validateAgainstSchema(analysis[group][key].score, [0, max], path));
+            });
+        });
+    }
+    if (errors.length === 0 && analysis.coaching !== undefined) {
+        errors.push(...validateAgainstSchema(analysis.coaching, COACHING_SCHEMA, 'analysis.coaching'));
+    }
+    return errors;
+}
+
+module.exports = { ANALYSIS_OBJECT_SCHEMA, COACHING_SCHEMA, validateAnalysisObject, sectionMaxScores, pickSchema };
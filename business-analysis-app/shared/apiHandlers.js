@@ -0,0 +1,532 @@
+/**
+ * @fileoverview Transport-agnostic request handlers for the analyzer API. The Netlify
+ * functions and the Express backend both mount these, so method checks, body parsing,
+ * validation, limits and error responses are identical on every deployment.
+ *
+ * A handler takes `{ method, headers, query, body, bodyBytes }` (body is the raw text)
+ * and resolves to `{ statusCode, headers, body, raw? }`. The adapter serializes the body as
+ * JSON, unless `raw` is set: then the body is a file (a string or a Uint8Array) sent as-is.
+ */
+
+const { analyzeUserStory, formatAnalysisAsMarkdown, analyzeBacklog, RuleProfileError } = require('./userStoryAgent');
+const { analyzeWithProvider, createHeuristicProvider, HEURISTIC_PROVIDER } = require('./analysisProviders');
+const { parseBacklogCsv, normalizeBacklogItems } = require('./backlogImport');
+const { exportFeature } = require('./featureExport');
+const { rewriteStory } = require('./storyRewrite');
+const { renderStoryReport, renderBacklogReport, REPORT_FORMATS } = require('./reportRenderers');
+const { listQualityFrameworks, withEnabledFrameworks } = require('./qualityFrameworks');
+const { withPersonaCatalogue } = require('./personas');
+const { withGlossary } = require('./glossary');
+const { listLocales, withLocale } = require('./locales');
+const { traceEpic, renderTraceabilityCsv } = require('./epicTraceability');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+const LIMITS = {
+    MAX_BODY_BYTES: 1024 * 1024, // Well below Netlify's 6 MB, enough for a 200-story CSV.
+    MAX_STORY_LENGTH: 5000,
+    MAX_ACCEPTANCE_CRITERIA_LENGTH: 20000,
+    MAX_TEAM_LENGTH: 100,
+    MAX_BATCH_SIZE: 200, // A grooming session is 40-80 stories; this leaves headroom.
+};
+
+// Response formats. `json` returns the analysis object; the others return a report file
+// (see reportRenderers.js). For analyze-story, Markdown stays the default and is returned
+// as a JSON string, so existing scripts keep receiving the report string.
+const SUPPORTED_FORMATS = ['json', ...Object.keys(REPORT_FORMATS)];
+const DEFAULT_STORY_FORMAT = 'markdown';
+const DEFAULT_BACKLOG_FORMAT = 'json';
+// trace-epic returns the traceability matrix as JSON, or as a CSV file.
+const TRACE_FORMATS = ['json', 'csv'];
+
+const ERROR_CODES = {
+    METHOD_NOT_ALLOWED: "method-not-allowed",
+    PAYLOAD_TOO_LARGE: "payload-too-large",
+    INVALID_BODY: "invalid-body",
+    INVALID_REQUEST: "invalid-request",
+    INVALID_PROFILE: "invalid-profile",
+    TOO_MANY_STORIES: "too-many-stories",
+    // Used by the Express backend's own routes (history, personas, sessions, trackers, ...).
+    FORBIDDEN: "forbidden",
+    NOT_FOUND: "not-found",
+    CONFLICT: "conflict",
+    UPSTREAM_ERROR: "upstream-error",
+    INTERNAL_ERROR: "internal-error",
+};
+
+/**
+ * A request error with the status code and machine-readable code to answer with.
+ */
+class ApiError extends Error {
+    constructor(statusCode, code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// =================================================================
+// REQUEST HELPERS
+// =================================================================
+
+/**
+ * Builds a JSON response.
+ * @param {number} statusCode
+ * @param {*} body
+ * @param {object} [headers]
+ * @returns {{statusCode: number, headers: object, body: *}}
+ */
+function jsonResponse(statusCode, body, headers = {}) {
+    return { statusCode, headers: { 'Content-Type': 'application/json', ...headers }, body };
+}
+
+/**
+ * Builds a file download response from a rendered report.
+ * @param {{fileName: string, contentType: string, content: string|Uint8Array}} rendered
+ * @param {object} [headers]
+ * @returns {{statusCode: number, headers: object, body: string|Uint8Array, raw: boolean}}
+ */
+function fileResponse(rendered, headers = {}) {
+    return {
+        statusCode: 200,
+        headers: { 'Content-Type': rendered.contentType, 'Content-Disposition': `attachment; filename="${rendered.fileName}"`, ...headers },
+        body: rendered.content,
+        raw: true,
+    };
+}
+
+/**
+ * Checks a requested response format.
+ * @param {*} format
+ */
+function checkFormat(format) {
+    if (!SUPPORTED_FORMATS.includes(format)) {
+        throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, `Unsupported format '${format}'. Use one of: ${SUPPORTED_FORMATS.join(', ')}.`);
+    }
+}
+
+/**
+ * Checks the child stories of an epic. Unlike a backlog, a story that cannot be read fails
+ * the request, since the matrix would be incomplete without it.
+ * @param {object[]} items - Story records from normalizeBacklogItems or parseBacklogCsv.
+ */
+function checkChildStories(items) {
+    if (items.length > LIMITS.MAX_BATCH_SIZE) {
+        throw new ApiError(413, ERROR_CODES.TOO_MANY_STORIES, `Too many stories in one batch (${items.length}). The limit is ${LIMITS.MAX_BATCH_SIZE}.`);
+    }
+    const seenIds = new Set();
+    items.forEach(item => {
+        if (item.parseError) throw new ApiError(400, ERROR_CODES.INVALID_BODY, `Story '${item.id}': ${item.parseError}`);
+        // The matrix and its CSV columns identify stories by id, so two stories cannot share one.
+        if (seenIds.has(item.id)) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, `Story id '${item.id}' is used more than once. Each child story needs its own id.`);
+        }
+        seenIds.add(item.id);
+        if (typeof item.story !== 'string' || item.story.trim() === '') {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, `Story '${item.id}' must have a non-empty 'story'.`);
+        }
+        checkText(item.story, `${item.id}.story`, LIMITS.MAX_STORY_LENGTH);
+        const criteria = item.acceptanceCriteria;
+        if (Array.isArray(criteria) ? !criteria.every(c => typeof c === 'string') : typeof criteria !== 'string') {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, `'${item.id}.acceptanceCriteria' must be a string or an array of strings.`);
+        }
+        checkText(Array.isArray(criteria) ? criteria.join('\n') : criteria, `${item.id}.acceptanceCriteria`, LIMITS.MAX_ACCEPTANCE_CRITERIA_LENGTH);
+    });
+}
+
+/**
+ * Builds the structured error body: `{ error, code, details? }`.
+ * @param {ApiError} error
+ * @returns {{statusCode: number, headers: object, body: object}}
+ */
+function errorResponse(error) {
+    const body = { error: error.message, code: error.code };
+    if (error.details !== undefined) body.details = error.details;
+    return jsonResponse(error.statusCode, body);
+}
+
+/**
+ * Reads a header case-insensitively.
+ * @param {object} headers
+ * @param {string} name
+ * @returns {string}
+ */
+function getHeader(headers, name) {
+    const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+    return key ? String(headers[key]) : '';
+}
+
+/**
+ * Parses a JSON request body, which must be an object (or, with `allowArray`, an array).
+ * An empty body is an empty object.
+ * @param {string} body
+ * @param {{allowArray?: boolean}} [options]
+ * @returns {object|Array}
+ */
+function parseJson(body, { allowArray = false } = {}) {
+    let parsed;
+    try {
+        parsed = JSON.parse(body || '{}');
+    } catch (error) {
+        throw new ApiError(400, ERROR_CODES.INVALID_BODY, 'Invalid JSON in request body.');
+    }
+    const isObject = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+    if (!isObject && !(allowArray && Array.isArray(parsed))) {
+        throw new ApiError(400, ERROR_CODES.INVALID_BODY, allowArray ? 'Request body must be a JSON object or array.' : 'Request body must be a JSON object.');
+    }
+    return parsed;
+}
+
+/**
+ * Checks an optional text field against its type and length limit.
+ * @param {*} value
+ * @param {string} field
+ * @param {number} maxLength
+ */
+function checkText(value, field, maxLength) {
+    if (value === undefined || value === null) return;
+    if (typeof value !== 'string') {
+        throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, `'${field}' must be a string.`);
+    }
+    if (value.length > maxLength) {
+        throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, `'${field}' is ${value.length} characters long. The limit is ${maxLength}.`);
+    }
+}
+
+/**
+ * Checks that the story is a non-empty string within the length limit.
+ * @param {*} story
+ */
+function requireStory(story) {
+    if (typeof story !== 'string' || story.trim() === '') {
+        throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, "'story' must be a non-empty string.");
+    }
+    checkText(story, 'story', LIMITS.MAX_STORY_LENGTH);
+}
+
+/**
+ * Resolves the rule profile for a request, with the quality frameworks the request
+ * enables and the locale it asks for. Without `frameworks` or `locale`, the profile's own
+ * selection applies.
+ * @param {object} profileStore
+ * @param {string} [profile]
+ * @param {*} [frameworks] - An array of framework IDs.
+ * @param {*} [locale] - "auto" or a locale pack ID.
+ * @returns {object} The resolved rules.
+ */
+function resolveRequestRules(profileStore, profile, frameworks, locale) {
+    let rules = profileStore.get(profile);
+    if (frameworks !== undefined && frameworks !== null && (!Array.isArray(frameworks) || !frameworks.every(id => typeof id === 'string'))) {
+        throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, "'frameworks' must be an array of quality framework IDs.");
+    }
+    if (locale !== undefined && locale !== null && typeof locale !== 'string') {
+        throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, "'locale' must be a string.");
+    }
+    try {
+        if (frameworks !== undefined && frameworks !== null) rules = withEnabledFrameworks(rules, frameworks);
+        if (locale !== undefined && locale !== null) rules = withLocale(rules, locale);
+        return rules;
+    } catch (error) {
+        // Unknown framework and locale IDs are RangeErrors.
+        if (error instanceof RangeError) throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Wraps a route with the checks every route shares: the HTTP method, the body size
+ * limit, and the mapping of thrown errors to structured error responses.
+ * @param {string} method - The accepted HTTP method.
+ * @param {function(object): Promise<object>} handle - Receives the request, returns a response.
+ * @returns {function(object): Promise<object>}
+ */
+function defineRoute(method, handle) {
+    return async function route(request) {
+        try {
+            if (request.method !== method) {
+                throw new ApiError(405, ERROR_CODES.METHOD_NOT_ALLOWED, `Method Not Allowed. Only ${method} requests are accepted.`);
+            }
+            if ((request.bodyBytes || 0) > LIMITS.MAX_BODY_BYTES) {
+                throw new ApiError(413, ERROR_CODES.PAYLOAD_TOO_LARGE, `Request body is larger than ${LIMITS.MAX_BODY_BYTES} bytes.`);
+            }
+            return await handle(request);
+        } catch (error) {
+            if (error instanceof ApiError) return errorResponse(error);
+            if (error instanceof RuleProfileError) {
+                return errorResponse(new ApiError(400, ERROR_CODES.INVALID_PROFILE, error.message, error.details));
+            }
+            // The CSV parser raises SyntaxError for malformed input.
+            if (error instanceof SyntaxError) {
+                return errorResponse(new ApiError(400, ERROR_CODES.INVALID_BODY, `Invalid request body: ${error.message}`));
+            }
+            // Errors from injected stores (e.g. an invalid story ID) carry their own client-error status.
+            if (Number.isInteger(error.statusCode) && error.statusCode >= 400 && error.statusCode < 500) {
+                return errorResponse(new ApiError(error.statusCode, ERROR_CODES.INVALID_REQUEST, error.message));
+            }
+            console.error("Error processing request:", error);
+            return errorResponse(new ApiError(500, ERROR_CODES.INTERNAL_ERROR, 'Internal Server Error', error.message));
+        }
+    };
+}
+
+// =================================================================
+// HANDLERS
+// =================================================================
+
+/**
+ * Creates the API handlers.
+ * @param {object} deps
+ * @param {{get: function(string): object, list: function(): object[]}} deps.profileStore - From createProfileStore.
+ * @param {object} [deps.provider] - The analysis provider (see analysisProviders.js); defaults to the heuristic engine.
+ * @param {object} [deps.history] - An optional history store. When set, every story analysis is recorded
+ *   as a version of its `storyId`. JSON responses then keep the history contract: status 201 with
+ *   `{storyId, version, createdAt, analysis}`, and JSON is the default format. Markdown and report
+ *   responses identify the version in the `X-Story-Id` and `X-Story-Version` headers.
+ * @param {{list: function(): Promise<object[]>}} [deps.personas] - An optional persona store. Its personas are
+ *   added to the persona catalogue of every request's rule profile.
+ * @param {{list: function(): Promise<object[]>}} [deps.glossary] - An optional glossary store. Its terms are
+ *   added to the glossary of every request's rule profile.
+ * @returns {{analyzeStory: Function, analyzeBacklog: Function, traceEpic: Function, exportFeature: Function, rewriteStory: Function, listProfiles: Function}}
+ */
+function createApiHandlers({ profileStore, provider = createHeuristicProvider(), history, personas, glossary } = {}) {
+    const rulesFor = async (profile, frameworks, locale) => {
+        const rules = resolveRequestRules(profileStore, profile, frameworks, locale);
+        const withPersonas = personas ? withPersonaCatalogue(rules, await personas.list()) : rules;
+        return glossary ? withGlossary(withPersonas, await glossary.list()) : withPersonas;
+    };
+
+    const analyzeStoryRoute = defineRoute('POST', async (request) => {
+        const body = parseJson(request.body);
+        const { storyId, title, team, story, acceptanceCriteria, profile, frameworks, locale, record, provider: requestedProvider } = body;
+        const format = body.format === undefined ? (history ? 'json' : DEFAULT_STORY_FORMAT) : body.format;
+
+        if (story === undefined || story === null) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, "Missing 'story' in request body.");
+        }
+        checkFormat(format);
+        if (requestedProvider !== undefined && requestedProvider !== HEURISTIC_PROVIDER) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, `Unsupported provider '${requestedProvider}'. Omit it to use the configured provider, or use '${HEURISTIC_PROVIDER}'.`);
+        }
+        checkText(story, 'story', LIMITS.MAX_STORY_LENGTH);
+        checkText(acceptanceCriteria, 'acceptanceCriteria', LIMITS.MAX_ACCEPTANCE_CRITERIA_LENGTH);
+        checkText(team, 'team', LIMITS.MAX_TEAM_LENGTH);
+        if (record !== undefined && typeof record !== 'boolean') {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, "'record' must be true or false.");
+        }
+
+        const rules = await rulesFor(profile, frameworks, locale);
+        const analysis = await analyzeWithProvider(story, acceptanceCriteria || "", {
+            provider: requestedProvider === HEURISTIC_PROVIDER ? createHeuristicProvider() : provider,
+            rules,
+        });
+
+        if (!analysis) {
+            // The Markdown report explains a missing story in prose; other clients get an error instead.
+            if (format !== 'markdown') throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, "'story' must be a non-empty string.");
+            return jsonResponse(200, analyzeUserStory(story, "", rules));
+        }
+
+        let headers = {};
+        // `record: false` asks for the analysis or report only, e.g. to download a report again.
+        if (history && record !== false) {
+            const id = storyId === undefined ? globalThis.crypto.randomUUID() : storyId;
+            const stored = await history.addVersion({ storyId: id, title, team, story, acceptanceCriteria: acceptanceCriteria || "", profile: rules.PROFILE_NAME, analysis });
+            if (format === 'json') {
+                return jsonResponse(201, { storyId: id, version: stored.version, createdAt: stored.createdAt, analysis });
+            }
+            headers = { 'X-Story-Id': id, 'X-Story-Version': String(stored.version) };
+        }
+        if (format === 'json') return jsonResponse(200, analysis, headers);
+        if (format === 'markdown') return jsonResponse(200, formatAnalysisAsMarkdown(analysis, rules), headers);
+        return fileResponse(renderStoryReport(analysis, format, { rules, story, acceptanceCriteria, title }), headers);
+    });
+
+    // Accepts a raw CSV body (Content-Type: text/csv, options via `?profile=&format=&frameworks=a,b&locale=`),
+    // a JSON array of stories, or a JSON object with either a `stories` array or a `csv` string
+    // and an optional `profile`, `format`, `frameworks` and `locale`. Report formats return one combined report file.
+    const analyzeBacklogRoute = defineRoute('POST', async (request) => {
+        const query = request.query || {};
+        let items = null;
+        let profile = query.profile;
+        let format = query.format || DEFAULT_BACKLOG_FORMAT;
+        let frameworks = query.frameworks === undefined ? undefined : String(query.frameworks).split(',').map(id => id.trim()).filter(Boolean);
+        let locale = query.locale;
+
+        if (getHeader(request.headers, 'content-type').includes('text/csv')) {
+            items = parseBacklogCsv(request.body || '');
+        } else {
+            const body = parseJson(request.body, { allowArray: true });
+            if (Array.isArray(body)) {
+                items = normalizeBacklogItems(body);
+            } else {
+                profile = body.profile || query.profile;
+                format = body.format || format;
+                if (body.frameworks !== undefined) frameworks = body.frameworks;
+                if (body.locale !== undefined) locale = body.locale;
+                if (Array.isArray(body.stories)) items = normalizeBacklogItems(body.stories);
+                else if (typeof body.csv === 'string') items = parseBacklogCsv(body.csv);
+            }
+        }
+
+        checkFormat(format);
+        if (!items) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, "Request body must be a JSON array of stories, an object with a 'stories' array or a 'csv' string, or a text/csv body.");
+        }
+        if (items.length === 0) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, 'The backlog contains no stories.');
+        }
+        if (items.length > LIMITS.MAX_BATCH_SIZE) {
+            throw new ApiError(413, ERROR_CODES.TOO_MANY_STORIES, `Too many stories in one batch (${items.length}). The limit is ${LIMITS.MAX_BATCH_SIZE}.`);
+        }
+
+        // Over-long stories are reported on their own row, like any other row error.
+        const checkedItems = items.map(item => {
+            if (item.parseError) return item;
+            try {
+                if (typeof item.story === 'string') checkText(item.story, 'story', LIMITS.MAX_STORY_LENGTH);
+                if (typeof item.acceptanceCriteria === 'string') checkText(item.acceptanceCriteria, 'acceptanceCriteria', LIMITS.MAX_ACCEPTANCE_CRITERIA_LENGTH);
+                return item;
+            } catch (error) {
+                return { ...item, parseError: error.message };
+            }
+        });
+        const rules = await rulesFor(profile, frameworks, locale);
+        const backlog = analyzeBacklog(checkedItems, rules);
+        if (format === 'json') return jsonResponse(200, backlog);
+        return fileResponse(renderBacklogReport(backlog, format, { rules, items: checkedItems }));
+    });
+
+    // Accepts `{ epic: { id?, title?, description, acceptanceCriteria }, stories?, csv?, profile?, locale?, format? }`.
+    // The child stories are a `stories` array or a `csv` string as for analyze-backlog; without
+    // them, the epic's suggested decomposition is traced.
+    const traceEpicRoute = defineRoute('POST', async (request) => {
+        const { epic, stories, csv, profile, locale, format = 'json' } = parseJson(request.body);
+        if (!TRACE_FORMATS.includes(format)) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, `Unsupported format '${format}'. Use one of: ${TRACE_FORMATS.join(', ')}.`);
+        }
+        if (!epic || typeof epic !== 'object' || Array.isArray(epic)) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, "Missing 'epic' object in request body.");
+        }
+        if (typeof epic.description !== 'string' || epic.description.trim() === '') {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, "'epic.description' must be a non-empty string.");
+        }
+        checkText(epic.description, 'epic.description', LIMITS.MAX_STORY_LENGTH);
+        checkText(epic.acceptanceCriteria, 'epic.acceptanceCriteria', LIMITS.MAX_ACCEPTANCE_CRITERIA_LENGTH);
+        if (!epic.acceptanceCriteria || epic.acceptanceCriteria.trim() === '') {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, "'epic.acceptanceCriteria' must list the epic's acceptance criteria.");
+        }
+        if (stories !== undefined && !Array.isArray(stories)) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, "'stories' must be an array of stories.");
+        }
+        if (csv !== undefined && typeof csv !== 'string') {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, "'csv' must be a string.");
+        }
+
+        const items = Array.isArray(stories) ? normalizeBacklogItems(stories) : typeof csv === 'string' ? parseBacklogCsv(csv) : [];
+        checkChildStories(items);
+        const trace = traceEpic(epic, items, await rulesFor(profile, undefined, locale));
+        if (format === 'json') return jsonResponse(200, trace);
+        return fileResponse(renderTraceabilityCsv(trace));
+    });
+
+    const exportFeatureRoute = defineRoute('POST', async (request) => {
+        const { story, acceptanceCriteria, framework, profile, frameworks, locale } = parseJson(request.body);
+        requireStory(story);
+        checkText(acceptanceCriteria, 'acceptanceCriteria', LIMITS.MAX_ACCEPTANCE_CRITERIA_LENGTH);
+        const rules = await rulesFor(profile, frameworks, locale);
+        try {
+            // Returns the .feature file and the step-definition skeleton as text, with suggested file names.
+            return jsonResponse(200, exportFeature(story, acceptanceCriteria || "", { framework, rules }));
+        } catch (error) {
+            // exportFeature raises a RangeError for an unknown framework.
+            if (error instanceof RangeError) throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, error.message);
+            throw error;
+        }
+    });
+
+    const rewriteStoryRoute = defineRoute('POST', async (request) => {
+        const { story, acceptanceCriteria, profile, frameworks, locale } = parseJson(request.body);
+        requireStory(story);
+        checkText(acceptanceCriteria, 'acceptanceCriteria', LIMITS.MAX_ACCEPTANCE_CRITERIA_LENGTH);
+        // Returns the rewritten story and AC, the changes made, a word diff and the analysis of the rewrite.
+        return jsonResponse(200, rewriteStory(story, acceptanceCriteria || "", await rulesFor(profile, frameworks, locale)));
+    });
+
+    // Also lists the quality frameworks a request can enable and the locales it can ask for.
+    const listProfilesRoute = defineRoute('GET', async () => jsonResponse(200, {
+        profiles: profileStore.list(),
+        frameworks: listQualityFrameworks(),
+        locales: listLocales(),
+    }));
+
+    return {
+        analyzeStory: analyzeStoryRoute,
+        analyzeBacklog: analyzeBacklogRoute,
+        traceEpic: traceEpicRoute,
+        exportFeature: exportFeatureRoute,
+        rewriteStory: rewriteStoryRoute,
+        listProfiles: listProfilesRoute,
+    };
+}
+
+// =================================================================
+// TRANSPORT ADAPTERS
+// =================================================================
+
+/**
+ * Adapts a handler to a Netlify function (`exports.handler`).
+ * @param {function(object): Promise<object>} route
+ * @returns {function(object): Promise<object>}
+ */
+function toNetlifyHandler(route) {
+    return async function handler(event) {
+        const body = event.body && event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : (event.body || '');
+        const response = await route({
+            method: event.httpMethod,
+            headers: event.headers || {},
+            query: event.queryStringParameters || {},
+            body,
+            bodyBytes: Buffer.byteLength(body),
+        });
+        if (!response.raw) {
+            return { statusCode: response.statusCode, headers: response.headers, body: JSON.stringify(response.body) };
+        }
+        // Netlify passes binary bodies through as base64.
+        if (response.body instanceof Uint8Array) {
+            return { statusCode: response.statusCode, headers: response.headers, body: Buffer.from(response.body).toString('base64'), isBase64Encoded: true };
+        }
+        return { statusCode: response.statusCode, headers: response.headers, body: response.body };
+    };
+}
+
+/**
+ * Adapts a handler to an Express route. The route reads the raw body itself so the size
+ * limit and parse errors match Netlify; mount it before any body-parsing middleware.
+ * @param {function(object): Promise<object>} route
+ * @returns {function(object, object): Promise<void>}
+ */
+function toExpressHandler(route) {
+    return async function expressHandler(req, res) {
+        const chunks = [];
+        let bodyBytes = 0;
+        for await (const chunk of req) {
+            bodyBytes += chunk.length;
+            // Keep counting but stop buffering once the body is over the limit.
+            if (bodyBytes <= LIMITS.MAX_BODY_BYTES) chunks.push(chunk);
+        }
+        const response = await route({
+            method: req.method,
+            headers: req.headers,
+            query: req.query || {},
+            body: Buffer.concat(chunks).toString('utf8'),
+            bodyBytes,
+        });
+        const body = response.raw ? response.body : JSON.stringify(response.body);
+        res.status(response.statusCode).set(response.headers).send(body instanceof Uint8Array ? Buffer.from(body) : body);
+    };
+}
+
+module.exports = { createApiHandlers, toNetlifyHandler, toExpressHandler, ApiError, API_LIMITS: LIMITS, API_ERROR_CODES: ERROR_CODES };
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Cross-story analysis for a backlog: explicit references between stories
+ * (by ID or title), near-duplicate stories, conflicting acceptance criteria on the same
+ * persona and goal, and circular dependencies. The result is a dependency graph that can
+ * be rendered as Graphviz DOT or Mermaid.
+ */
+
+const { listCriteria, stems } = require('./storySplitting');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+const EDGE_TYPES = {
+    DEPENDS_ON: "depends-on",
+    DUPLICATE: "duplicate",
+    CONFLICT: "conflict",
+};
+
+// Titles shorter than this are too generic ("Login", "Search") to count as a reference.
+const MIN_TITLE_WORDS = 3;
+
+// =================================================================
+// TEXT HELPERS
+// =================================================================
+
+/**
+ * Escapes a string for use inside a regular expression.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Jaccard similarity of the word stems of two texts, ignoring numbers.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (nothing in common) to 1 (same words).
+ */
+function similarity(a, b) {
+    const wordsA = [...stems(a)].filter(stem => !/^\d/.test(stem));
+    const wordsB = new Set([...stems(b)].filter(stem => !/^\d/.test(stem)));
+    const shared = wordsA.filter(stem => wordsB.has(stem)).length;
+    const union = new Set([...wordsA, ...wordsB]).size;
+    return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Checks whether a criterion is phrased negatively ("is not shown", "cannot submit").
+ * @param {string} text
+ * @param {string[]} negations
+ * @returns {boolean}
+ */
+function isNegated(text, negations) {
+    const lower = text.toLowerCase();
+    return negations.some(word => new RegExp(`(^|[^\\p{L}'])${escapeRegex(word)}($|[^\\p{L}'])`, 'u').test(lower));
+}
+
+/**
+ * Lists the numbers in a text, e.g. limits and durations.
+ * @param {string} text
+ * @returns {string}
+ */
+function numbersIn(text) {
+    return (text.match(/\d+(?:[.,]\d+)?/g) || []).sort().join(',');
+}
+
+/**
+ * Splits a story into its persona, goal and value. Stories outside the standard format
+ * are treated as all goal.
+ * @param {string} story
+ * @param {object} rules
+ * @returns {{persona: string, goal: string, value: string}}
+ */
+function storyParts(story, rules) {
+    const match = story.match(rules.STORY_FORMAT_REGEX);
+    if (!match) return { persona: "", goal: story, value: "" };
+    return { persona: match[1].trim().toLowerCase(), goal: match[2], value: match[3] };
+}
+
+// =================================================================
+// DETECTION
+// =================================================================
+
+/**
+ * Builds a matcher for references to a story, by ID or by title. Purely numeric IDs only
+ * match with a leading "#", so amounts and durations are not mistaken for references.
+ * @param {{id: string, title?: string}} item - A title that is not text is ignored.
+ * @returns {RegExp|null}
+ */
+function referencePattern(item) {
+    const alternatives = [];
+    const id = String(item.id);
+    const title = typeof item.title === 'string' ? item.title.trim() : "";
+    if (/^\d+$/.test(id)) alternatives.push(`#${id}`);
+    else if (id.length > 1) alternatives.push(escapeRegex(id));
+    if (title && title.split(/\s+/).length >= MIN_TITLE_WORDS) {
+        alternatives.push(escapeRegex(title));
+    }
+    return alternatives.length > 0 ? new RegExp(`(?<![\\w-])(?:${alternatives.join('|')})(?![\\w-])`, 'i') : null;
+}
+
+/**
+ * Finds criteria in two stories that describe the same behavior with a different outcome:
+ * one negated and one not, or different numbers ("within 5 seconds" vs. "within 2 seconds").
+ * Each story's criteria are checked against the negations of its own language.
+ * @param {{criteria: string[], rules: object}} storyA
+ * @param {{criteria: string[], rules: object}} storyB
+ * @param {object} rules
+ * @returns {{criterion: string, otherCriterion: string}|null} The first conflicting pair.
+ */
+function findConflictingCriteria(storyA, storyB, rules) {
+    for (const a of storyA.criteria) {
+        for (const b of storyB.criteria) {
+            if (similarity(a, b) < rules.THRESHOLDS.CONFLICTING_CRITERIA_SIMILARITY) continue;
+            const negationDiffers = isNegated(a, storyA.rules.KEYWORDS.NEGATIONS) !== isNegated(b, storyB.rules.KEYWORDS.NEGATIONS);
+            const numbersA = numbersIn(a);
+            const numbersB = numbersIn(b);
+            if (negationDiffers || (numbersA && numbersB && numbersA !== numbersB)) {
+                return { criterion: a, otherCriterion: b };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the groups of stories that depend on each other in a cycle (Tarjan's algorithm).
+ * @param {string[]} ids
+ * @param {{from: string, to: string}[]} dependencyEdges
+ * @returns {string[][]} One array of IDs per cycle, in backlog order.
+ */
+function findCycles(ids, dependencyEdges) {
+    const successors = new Map(ids.map(id => [id, []]));
+    dependencyEdges.forEach(edge => successors.get(edge.from).push(edge.to));
+
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const visit = (id) => {
+        index.set(id, counter);
+        lowLink.set(id, counter);
+        counter++;
+        stack.push(id);
+        onStack.add(id);
+        successors.get(id).forEach(next => {
+            if (!index.has(next)) {
+                visit(next);
+                lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(next)));
+            } else if (onStack.has(next)) {
+                lowLink.set(id, Math.min(lowLink.get(id), index.get(next)));
+            }
+        });
+        if (lowLink.get(id) === index.get(id)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== id);
+            if (component.length > 1) cycles.push(ids.filter(candidate => component.includes(candidate)));
+        }
+    };
+
+    ids.forEach(id => { if (!index.has(id)) visit(id); });
+    return cycles;
+}
+
+// =================================================================
+// RENDERING
+// =================================================================
+
+/**
+ * Renders the graph in Graphviz DOT. Dependencies are solid arrows; duplicates and
+ * conflicts are dashed, undirected lines. Edges inside a cycle are drawn in red.
+ * @param {{nodes: object[], edges: object[], cycles: string[][]}} graph
+ * @returns {string}
+ */
+function toDot({ nodes, edges, cycles }) {
+    const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    const inCycle = edge => cycles.some(cycle => cycle.includes(edge.from) && cycle.includes(edge.to));
+    const edgeAttributes = edge => {
+        if (edge.type === EDGE_TYPES.DUPLICATE) return `[label=${quote(`duplicate ${Math.round(edge.similarity * 100)}%`)}, style=dashed, dir=none, color=orange]`;
+        if (edge.type === EDGE_TYPES.CONFLICT) return `[label="conflict", style=dashed, dir=none, color=red]`;
+        return inCycle(edge) ? `[label="depends on", color=red, penwidth=2]` : `[label="depends on"]`;
+    };
+    return [
+        'digraph backlog {',
+        '  rankdir=LR;',
+        '  node [shape=box];',
+        ...nodes.map(node => `  ${quote(node.id)} [label=${quote(node.title ? `${node.id}\n${node.title}` : node.id)}];`),
+        ...edges.map(edge => `  ${quote(edge.from)} -> ${quote(edge.to)} ${edgeAttributes(edge)};`),
+        '}',
+    ].join('\n');
+}
+
+/**
+ * Renders the graph as a Mermaid flowchart.
+ * @param {{nodes: object[], edges: object[]}} graph
+ * @returns {string}
+ */
+function toMermaid({ nodes, edges }) {
+    const nodeKeys = new Map(nodes.map((node, i) => [node.id, `n${i}`]));
+    const label = text => String(text).replace(/"/g, '#quot;');
+    const arrow = edge => {
+        if (edge.type === EDGE_TYPES.DUPLICATE) return `-.-|duplicate ${Math.round(edge.similarity * 100)}%|`;
+        if (edge.type === EDGE_TYPES.CONFLICT) return 'x--x|conflict|';
+        return '-->|depends on|';
+    };
+    return [
+        'graph LR',
+        ...nodes.map(node => `  ${nodeKeys.get(node.id)}["${label(node.title ? `${node.id}: ${node.title}` : node.id)}"]`),
+        ...edges.map(edge => `  ${nodeKeys.get(edge.from)} ${arrow(edge)} ${nodeKeys.get(edge.to)}`),
+    ].join('\n');
+}
+
+// =================================================================
+// MAIN EXPORTED FUNCTION
+// =================================================================
+
+/**
+ * Analyzes the relations between the stories of a backlog.
+ * @param {Array<{id: string, title?: string, story: string, acceptanceCriteria?: string, rules?: object}>} items
+ *   Stories with unique IDs. A story's own `rules` (in its language) are used to read its
+ *   template, criteria and negations.
+ * @param {object} rules - The resolved rule profile.
+ * @returns {{graph: {nodes: object[], edges: object[], cycles: string[][], dot: string, mermaid: string}, relations: Map<string, object>}}
+ *   The graph, and per story ID its `{ dependsOn, dependedOnBy, duplicates, conflicts, cycle }`.
+ */
+function analyzeBacklogDependencies(items, rules) {
+    const stories = items.map(({ rules: itemRules = rules, ...item }) => ({
+        ...item,
+        title: typeof item.title === 'string' ? item.title : "",
+        text: `${item.story}\n${item.acceptanceCriteria || ""}`,
+        rules: itemRules,
+        parts: storyParts(item.story, itemRules),
+        criteria: listCriteria(item.acceptanceCriteria || "", itemRules.LANGUAGE),
+        pattern: referencePattern(item),
+    }));
+    const edges = [];
+
+    stories.forEach(story => {
+        stories.forEach(other => {
+            if (other !== story && other.pattern && other.pattern.test(story.text)) {
+                edges.push({ from: story.id, to: other.id, type: EDGE_TYPES.DEPENDS_ON });
+            }
+        });
+    });
+
+    stories.forEach((story, i) => {
+        stories.slice(i + 1).forEach(other => {
+            const goalSimilarity = similarity(`${story.parts.goal} ${story.parts.value}`, `${other.parts.goal} ${other.parts.value}`);
+            if (goalSimilarity >= rules.THRESHOLDS.DUPLICATE_SIMILARITY) {
+                edges.push({ from: story.id, to: other.id, type: EDGE_TYPES.DUPLICATE, similarity: Math.round(goalSimilarity * 100) / 100 });
+            }
+            const samePersona = story.parts.persona !== "" && story.parts.persona === other.parts.persona;
+            if (samePersona && goalSimilarity >= rules.THRESHOLDS.RELATED_STORY_SIMILARITY) {
+                const conflict = findConflictingCriteria(story, other, rules);
+                if (conflict) edges.push({ from: story.id, to: other.id, type: EDGE_TYPES.CONFLICT, ...conflict });
+            }
+        });
+    });
+
+    const cycles = findCycles(stories.map(s => s.id), edges.filter(e => e.type === EDGE_TYPES.DEPENDS_ON));
+    const relations = new Map(stories.map(story => [story.id, {
+        dependsOn: edges.filter(e => e.type === EDGE_TYPES.DEPENDS_ON && e.from === story.id).map(e => e.to),
+        dependedOnBy: edges.filter(e => e.type === EDGE_TYPES.DEPENDS_ON && e.to === story.id).map(e => e.from),
+        duplicates: edges.filter(e => e.type === EDGE_TYPES.DUPLICATE && (e.from === story.id || e.to === story.id))
+            .map(e => ({ id: e.from === story.id ? e.to : e.from, similarity: e.similarity })),
+        conflicts: edges.filter(e => e.type === EDGE_TYPES.CONFLICT && (e.from === story.id || e.to === story.id))
+            .map(e => (e.from === story.id
+                ? { id: e.to, criterion: e.criterion, otherCriterion: e.otherCriterion }
+                : { id: e.from, criterion: e.otherCriterion, otherCriterion: e.criterion })),
+        cycle: cycles.find(cycle => cycle.includes(story.id)) || null,
+    }]));
+
+    const graph = {
+        nodes: stories.map(story => ({ id: story.id, title: story.title })),
+        edges,
+        cycles,
+    };
+    return { graph: { ...graph, dot: toDot(graph), mermaid: toMermaid(graph) }, relations };
+}
+
+module.exports = { analyzeBacklogDependencies, DEPENDENCY_EDGE_TYPES: EDGE_TYPES };
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Parses backlog exports (JSON arrays or CSV files) into the
+ * story records consumed by `analyzeBacklog`.
+ */
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+const COLUMN_ALIASES = {
+    id: ["id", "key", "issue key", "issue id", "story id", "work item id"],
+    title: ["title", "summary", "name"],
+    story: ["story", "user story", "description", "story text"],
+    acceptanceCriteria: ["ac", "acceptance criteria", "acceptancecriteria", "acceptance_criteria"],
+    team: ["team", "team name", "squad"],
+};
+
+// =================================================================
+// CSV PARSING
+// =================================================================
+
+/**
+ * Splits CSV text into rows of fields. Handles quoted fields, escaped quotes ("")
+ * and line breaks inside quotes, which backlog exports use for multi-line AC.
+ * @param {string} text - The raw CSV text.
+ * @returns {string[][]} The parsed rows, without blank lines.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = "";
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    if (inQuotes) {
+        throw new SyntaxError("Unterminated quoted field in CSV input.");
+    }
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * Maps CSV header names onto record fields using COLUMN_ALIASES.
+ * @param {string[]} headers
+ * @returns {Object<string, number>} Field name to column index.
+ */
+function mapColumns(headers) {
+    const columns = {};
+    headers.forEach((header, index) => {
+        const normalized = header.trim().toLowerCase().replace(/^\uFEFF/, '');
+        Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+            if (columns[field] === undefined && aliases.includes(normalized)) {
+                columns[field] = index;
+            }
+        });
+    });
+    return columns;
+}
+
+/**
+ * Converts a CSV backlog export into story records. Rows that cannot be read
+ * carry a `parseError` instead of throwing, so the rest of the batch still runs.
+ * @param {string} csvText - The CSV text, with a header row.
+ * @returns {Array<{id: string, title: string, story: string, acceptanceCriteria: string, team: string, parseError?: string}>}
+ */
+function parseBacklogCsv(csvText) {
+    const [headers, ...rows] = parseCsv(csvText);
+    if (!headers) return [];
+
+    const columns = mapColumns(headers);
+    if (columns.story === undefined) {
+        throw new SyntaxError("CSV header must include a story column (e.g. 'Story' or 'Description').");
+    }
+
+    return rows.map((fields, index) => {
+        const value = field => (columns[field] !== undefined && fields[columns[field]] !== undefined ? fields[columns[field]].trim() : "");
+        const record = {
+            id: value("id") || `row-${index + 2}`, // +2: 1-based, after the header row
+            title: value("title"),
+            story: value("story"),
+            acceptanceCriteria: value("acceptanceCriteria"),
+            team: value("team"),
+        };
+        if (fields.length !== headers.length) {
+            record.parseError = `Row ${index + 2} has ${fields.length} columns, expected ${headers.length}.`;
+        }
+        return record;
+    });
+}
+
+/**
+ * Reads an optional text field of a JSON backlog item. Numbers are taken as text, as
+ * tracker exports often use them for keys; anything else is reported on the item.
+ * @param {object} source - The item.
+ * @param {string} field
+ * @param {string[]} errors - Collects the item's errors.
+ * @returns {string} The text, or "" if the field is missing or invalid.
+ */
+function textField(source, field, errors) {
+    const value = source[field];
+    if (value === undefined || value === null) return "";
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    errors.push(`'${field}' must be a string.`);
+    return "";
+}
+
+/**
+ * Normalizes a JSON backlog (an array of story objects, or plain story strings)
+ * into story records. Like a CSV row, an item with invalid fields carries a `parseError`
+ * instead of throwing, so the rest of the batch still runs.
+ * @param {Array<object|string>} items
+ * @returns {Array<{id: string, title: string, story: *, acceptanceCriteria: *, team: string, parseError?: string}>}
+ */
+function normalizeBacklogItems(items) {
+    return items.map((item, index) => {
+        const fallbackId = `item-${index + 1}`;
+        if (typeof item === 'string') {
+            return { id: fallbackId, title: "", story: item, acceptanceCriteria: "", team: "" };
+        }
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            return { id: fallbackId, title: "", story: "", acceptanceCriteria: "", team: "", parseError: `Item ${index + 1} must be a story object or a story string.` };
+        }
+        const errors = [];
+        const record = {
+            id: textField(item, 'id', errors) || fallbackId,
+            title: textField(item, 'title', errors),
+            story: item.story,
+            // Arrays are kept: epic tracing accepts a list of criteria (see traceEpic).
+            acceptanceCriteria: Array.isArray(item.acceptanceCriteria) ? item.acceptanceCriteria : textField(item, 'acceptanceCriteria', errors),
+            team: textField(item, 'team', errors).trim(),
+        };
+        if (item.story !== undefined && item.story !== null && typeof item.story !== 'string') errors.push("'story' must be a string.");
+        if (errors.length > 0) record.parseError = errors.join(' ');
+        return record;
+    });
+}
+
+module.exports = { parseCsv, parseBacklogCsv, normalizeBacklogItems };
@@ -0,0 +1,348 @@
+/**
+ * @fileoverview Calibrates the scoring weights against reviewer feedback. For each reviewed
+ * story, a reviewer agrees or disagrees with the analysis's findings and records the readiness
+ * category they would have given it. Calibration searches for the SCORING weights and readiness
+ * cut-offs that agree with the reviewers most often, and measures the agreement before and after
+ * so teams can judge whether to adopt the calibrated profile. The verdicts on findings steer the
+ * weights those findings cost.
+ */
+
+const { getUserStoryAnalysis, DEFAULT_RULES } = require('./userStoryAgent');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+
+// SCORING weights the calibration may change, with the range each may take given the current
+// weights. The ranges keep LOW <= MEDIUM <= HIGH <= MAX, and keep an empty AC above a missing
+// one. Maximums (FORMAT_SUCCESS, CLARITY_MAX, AC_PROVIDED, INVEST_MAX) stay fixed, so the
+// section totals keep their meaning.
+const TUNABLE_WEIGHTS = {
+    FORMAT_FAIL: scoring => [0, scoring.FORMAT_SUCCESS],
+    CLARITY_BASE: scoring => [0, scoring.CLARITY_MAX],
+    CLARITY_BONUS_CONCISE: scoring => [0, scoring.CLARITY_MAX],
+    CLARITY_BONUS_SPECIFIC: scoring => [0, scoring.CLARITY_MAX],
+    PERSONA_DEDUCTION: scoring => [scoring.PERSONA_ALIAS_DEDUCTION, scoring.CLARITY_MAX],
+    PERSONA_ALIAS_DEDUCTION: scoring => [0, scoring.PERSONA_DEDUCTION],
+    AC_EMPTY: scoring => [scoring.AC_MISSING + 1, scoring.AC_PROVIDED],
+    AC_NON_TESTABLE_DEDUCTION: scoring => [0, scoring.AC_PROVIDED],
+    AC_STRUCTURE_DEDUCTION: scoring => [0, scoring.AC_STRUCTURE_MAX_DEDUCTION],
+    INVEST_DEFAULT_LOW: scoring => [0, scoring.INVEST_DEFAULT_MEDIUM],
+    INVEST_DEFAULT_MEDIUM: scoring => [scoring.INVEST_DEFAULT_LOW, scoring.INVEST_DEFAULT_HIGH],
+    INVEST_DEFAULT_HIGH: scoring => [scoring.INVEST_DEFAULT_MEDIUM, scoring.INVEST_MAX],
+};
+
+// The SCORING weight each finding rule costs a story (see getUserStoryAnalysis). An ambiguous
+// term withholds the specificity bonus; the others are deductions. Structural Gherkin findings
+// share the "gherkin/" prefix.
+const FINDING_WEIGHTS = {
+    "clarity/ambiguous-term": "CLARITY_BONUS_SPECIFIC",
+    "persona/generic": "PERSONA_DEDUCTION",
+    "persona/unknown": "PERSONA_DEDUCTION",
+    "persona/alias": "PERSONA_ALIAS_DEDUCTION",
+    "ac/untestable-criterion": "AC_NON_TESTABLE_DEDUCTION",
+    "gherkin/": "AC_STRUCTURE_DEDUCTION",
+};
+// Fewer verdicts than this on a weight's findings leave the weight to the category fit alone.
+const MIN_FINDING_VERDICTS = 3;
+
+// Fewer reviews than this fit the weights to a handful of stories.
+const MIN_CALIBRATION_REVIEWS = 10;
+// Passes over all weights. The search stops earlier once a pass changes nothing.
+const DEFAULT_MAX_ROUNDS = 3;
+const MAX_RATING = 100;
+
+/**
+ * Raised when the reviews cannot be used for calibration. `details` lists each problem.
+ */
+class CalibrationError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'CalibrationError';
+        this.details = details;
+    }
+}
+
+// =================================================================
+// VALIDATION
+// =================================================================
+
+/**
+ * Validates a reviewer override.
+ * @param {*} review
+ * @param {string} [path="review"] - Used in error messages.
+ * @returns {string[]} Validation errors, empty when the review is valid.
+ */
+function validateReview(review, path = "review") {
+    if (!review || typeof review !== 'object' || Array.isArray(review)) return [`${path} must be an object.`];
+    const errors = [];
+    if (typeof review.story !== 'string' || review.story.trim() === '') errors.push(`${path}.story must be a non-empty string.`);
+    if (review.acceptanceCriteria !== undefined && typeof review.acceptanceCriteria !== 'string') {
+        errors.push(`${path}.acceptanceCriteria must be a string.`);
+    }
+    if (typeof review.readinessCategoryId !== 'string' || review.readinessCategoryId === '') {
+        errors.push(`${path}.readinessCategoryId must be the ID of a readiness category.`);
+    }
+    if (review.findings !== undefined) {
+        if (!Array.isArray(review.findings)) {
+            errors.push(`${path}.findings must be an array.`);
+        } else {
+            review.findings.forEach((finding, i) => {
+                if (!finding || typeof finding.ruleId !== 'string' || typeof finding.agree !== 'boolean') {
+                    errors.push(`${path}.findings[${i}] must have a string ruleId and a boolean 'agree'.`);
+                }
+            });
+        }
+    }
+    ['reviewer', 'storyId', 'profile', 'comment'].forEach(field => {
+        if (review[field] !== undefined && typeof review[field] !== 'string') errors.push(`${path}.${field} must be a string.`);
+    });
+    return errors;
+}
+
+// =================================================================
+// AGREEMENT
+// =================================================================
+
+/**
+ * Rates every review's story with the rules.
+ * @param {object[]} reviews
+ * @param {object} rules
+ * @returns {number[]} The readiness ratings, in review order.
+ */
+function rateReviews(reviews, rules) {
+    return reviews.map(review => getUserStoryAnalysis(review.story, review.acceptanceCriteria || "", rules).overallReadinessScore.readinessRating);
+}
+
+/**
+ * Compares the categories the ratings fall into with the reviewers' categories.
+ * @param {number[]} ratings
+ * @param {number[]} expected - The index of each reviewer's category.
+ * @param {number[]} cutOffs - The category scores, best category first.
+ * @returns {{exact: number, distance: number}} How many categories match, and how many
+ *   categories apart the others are in total.
+ */
+function scoreCategories(ratings, expected, cutOffs) {
+    let exact = 0;
+    let distance = 0;
+    ratings.forEach((rating, i) => {
+        const predicted = cutOffs.findIndex(score => rating >= score);
+        if (predicted === expected[i]) exact++;
+        distance += Math.abs(predicted - expected[i]);
+    });
+    return { exact, distance };
+}
+
+// More exact matches win; with as many, the closer misses do.
+function isBetter(candidate, current) {
+    return candidate.exact > current.exact || (candidate.exact === current.exact && candidate.distance < current.distance);
+}
+
+/**
+ * Refits the category cut-offs to the ratings, one cut-off at a time. The lowest category
+ * keeps its score of 0, and the cut-offs stay in descending order.
+ * @param {number[]} ratings
+ * @param {number[]} expected
+ * @param {number[]} cutOffs - The current cut-offs, best category first.
+ * @returns {{cutOffs: number[], fit: {exact: number, distance: number}}}
+ */
+function fitCutOffs(ratings, expected, cutOffs) {
+    const fitted = [...cutOffs];
+    let fit = scoreCategories(ratings, expected, fitted);
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let k = 0; k < fitted.length - 1; k++) {
+            const upper = k === 0 ? MAX_RATING : fitted[k - 1] - 1;
+            for (let score = fitted[k + 1] + 1; score <= upper; score++) {
+                const candidate = scoreCategories(ratings, expected, fitted.map((s, i) => (i === k ? score : s)));
+                if (isBetter(candidate, fit)) {
+                    fitted[k] = score;
+                    fit = candidate;
+                    changed = true;
+                }
+            }
+        }
+    }
+    return { cutOffs: fitted, fit };
+}
+
+/**
+ * Measures how often the analyzer agrees with the reviewers' readiness categories.
+ * @param {object[]} reviews - Valid reviews (see validateReview) whose category is one of the rules'.
+ * @param {object} [rules=DEFAULT_RULES] - The resolved rule profile.
+ * @returns {{reviewCount: number, exactCount: number, exactAgreement: number, withinOneCount: number, withinOneAgreement: number, categories: object[]}}
+ *   Agreements are percentages. `withinOne` also counts categories one step apart. Per
+ *   category, `reviewCount` reviews were given it and the analyzer agreed on `agreedCount`.
+ */
+function measureAgreement(reviews, rules = DEFAULT_RULES) {
+    const ids = rules.READINESS_CATEGORIES.map(cat => cat.id);
+    const ratings = rateReviews(reviews, rules);
+    const predicted = ratings.map(rating => rules.READINESS_CATEGORIES.findIndex(cat => rating >= cat.score));
+    const expected = reviews.map(review => ids.indexOf(review.readinessCategoryId));
+    const exactCount = predicted.filter((p, i) => p === expected[i]).length;
+    const withinOneCount = predicted.filter((p, i) => Math.abs(p - expected[i]) <= 1).length;
+    const percentage = count => (reviews.length > 0 ? Math.round((count / reviews.length) * 100) : 0);
+    return {
+        reviewCount: reviews.length,
+        exactCount,
+        exactAgreement: percentage(exactCount),
+        withinOneCount,
+        withinOneAgreement: percentage(withinOneCount),
+        categories: ids.map((id, index) => ({
+            id,
+            reviewCount: expected.filter(e => e === index).length,
+            agreedCount: expected.filter((e, i) => e === index && predicted[i] === index).length,
+        })),
+    };
+}
+
+/**
+ * Sums up the reviewers' verdicts on the findings, per rule.
+ * @param {object[]} reviews
+ * @returns {Array<{ruleId: string, agreed: number, disagreed: number, agreement: number}>}
+ *   The rules reviewers disagreed with most come first; `agreement` is a percentage.
+ */
+function summarizeFindingFeedback(reviews) {
+    const byRule = new Map();
+    reviews.flatMap(review => review.findings || []).forEach(finding => {
+        const entry = byRule.get(finding.ruleId) || { ruleId: finding.ruleId, agreed: 0, disagreed: 0 };
+        entry[finding.agree ? 'agreed' : 'disagreed']++;
+        byRule.set(finding.ruleId, entry);
+    });
+    return [...byRule.values()]
+        .map(entry => ({ ...entry, agreement: Math.round((entry.agreed / (entry.agreed + entry.disagreed)) * 100) }))
+        .sort((a, b) => a.agreement - b.agreement || a.ruleId.localeCompare(b.ruleId));
+}
+
+/**
+ * The SCORING weight a finding rule costs, if any.
+ * @param {string} ruleId
+ * @returns {string|undefined}
+ */
+function weightForRule(ruleId) {
+    return FINDING_WEIGHTS[ruleId] || (ruleId.startsWith("gherkin/") ? FINDING_WEIGHTS["gherkin/"] : undefined);
+}
+
+/**
+ * Turns the verdicts on findings into the direction each weight they cost may move. When most
+ * verdicts on a weight's findings disagree, the findings cost too much and the weight may only
+ * go down; when most agree, it may not go down. Ties and weights with fewer than
+ * MIN_FINDING_VERDICTS verdicts are left to the category fit alone.
+ * @param {object[]} reviews
+ * @returns {Array<{weight: string, direction: 'lower'|'keep', agreed: number, disagreed: number}>}
+ */
+function steerWeights(reviews) {
+    const byWeight = new Map();
+    reviews.flatMap(review => review.findings || []).forEach(finding => {
+        const weight = weightForRule(finding.ruleId);
+        if (!weight) return;
+        const entry = byWeight.get(weight) || { weight, agreed: 0, disagreed: 0 };
+        entry[finding.agree ? 'agreed' : 'disagreed']++;
+        byWeight.set(weight, entry);
+    });
+    return [...byWeight.values()]
+        .filter(entry => entry.agreed + entry.disagreed >= MIN_FINDING_VERDICTS && entry.agreed !== entry.disagreed)
+        .map(entry => ({ weight: entry.weight, direction: entry.disagreed > entry.agreed ? 'lower' : 'keep', agreed: entry.agreed, disagreed: entry.disagreed }));
+}
+
+// =================================================================
+// MAIN EXPORTED FUNCTION
+// =================================================================
+
+/**
+ * Fits the scoring weights and readiness cut-offs to reviewer overrides. Each pass tries every
+ * value in range for one weight at a time (see TUNABLE_WEIGHTS), refits the cut-offs to the
+ * new ratings, and keeps the value only if more stories land in the reviewers' category. The
+ * verdicts on findings narrow the range of the weights they cost (see steerWeights); a weight
+ * whose findings reviewers reject is also lowered as far as it goes without losing agreement.
+ * Every try re-analyzes all stories, so calibrating takes a while on large review sets.
+ * @param {object[]} reviews - Reviewer overrides, as stored by the backend's review store.
+ * @param {object} [rules=DEFAULT_RULES] - The resolved rule profile to start from.
+ * @param {{maxRounds?: number}} [options]
+ * @returns {{reviewCount: number, skipped: object[], overrides: object, changes: object[], before: object, after: object, findings: object[], steering: object[]}}
+ *   `overrides` are the SCORING and READINESS_CATEGORIES rules that changed, ready to merge
+ *   into a profile's rules; `changes` lists them as `{rule, from, to}`. `before` and `after`
+ *   are the agreement of the starting and calibrated rules (see measureAgreement). Reviews
+ *   that use a category the rules do not have are `skipped`, with their index and category.
+ *   `steering` lists the weights the finding verdicts steered, as `{rule, direction, agreed, disagreed}`.
+ * @throws {CalibrationError} If a review is invalid or there are too few usable reviews.
+ */
+function calibrateRules(reviews, rules = DEFAULT_RULES, { maxRounds = DEFAULT_MAX_ROUNDS } = {}) {
+    if (!Array.isArray(reviews)) throw new CalibrationError("The reviews must be an array.");
+    const errors = reviews.flatMap((review, i) => validateReview(review, `reviews[${i}]`));
+    if (errors.length > 0) throw new CalibrationError("Invalid reviews.", errors);
+
+    const ids = rules.READINESS_CATEGORIES.map(cat => cat.id);
+    const skipped = reviews
+        .map((review, index) => ({ index, readinessCategoryId: review.readinessCategoryId }))
+        .filter(entry => !ids.includes(entry.readinessCategoryId));
+    const usable = reviews.filter(review => ids.includes(review.readinessCategoryId));
+    if (usable.length < MIN_CALIBRATION_REVIEWS) {
+        throw new CalibrationError(`Calibration needs at least ${MIN_CALIBRATION_REVIEWS} reviews with a known readiness category; found ${usable.length}.`);
+    }
+
+    const expected = usable.map(review => ids.indexOf(review.readinessCategoryId));
+    const steering = steerWeights(usable).filter(entry => TUNABLE_WEIGHTS[entry.weight]);
+    const directions = Object.fromEntries(steering.map(entry => [entry.weight, entry.direction]));
+    let scoring = { ...rules.SCORING };
+    let best = fitCutOffs(rateReviews(usable, rules), expected, rules.READINESS_CATEGORIES.map(cat => cat.score));
+
+    for (let round = 0; round < maxRounds; round++) {
+        let improved = false;
+        Object.entries(TUNABLE_WEIGHTS).forEach(([key, range]) => {
+            let [min, max] = range(scoring);
+            if (directions[key] === 'lower') max = Math.min(max, scoring[key]);
+            if (directions[key] === 'keep') min = Math.max(min, scoring[key]);
+            for (let value = Math.ceil(min); value <= max; value++) {
+                if (value === scoring[key]) continue;
+                const candidateScoring = { ...scoring, [key]: value };
+                const candidate = fitCutOffs(rateReviews(usable, { ...rules, SCORING: candidateScoring }), expected, best.cutOffs);
+                // A lower value for a weight reviewers want lowered is kept unless it loses agreement.
+                const followsVerdicts = directions[key] === 'lower' && value < scoring[key] && !isBetter(best.fit, candidate.fit);
+                if (isBetter(candidate.fit, best.fit) || followsVerdicts) {
+                    scoring = candidateScoring;
+                    best = candidate;
+                    improved = true;
+                }
+            }
+        });
+        if (!improved) break;
+    }
+
+    const calibratedCategories = rules.READINESS_CATEGORIES.map((cat, i) => ({ ...cat, score: best.cutOffs[i] }));
+    const changedWeights = Object.keys(TUNABLE_WEIGHTS).filter(key => scoring[key] !== rules.SCORING[key]);
+    const changedCategories = rules.READINESS_CATEGORIES.filter((cat, i) => cat.score !== best.cutOffs[i]);
+    const overrides = {};
+    if (changedWeights.length > 0) overrides.SCORING = Object.fromEntries(changedWeights.map(key => [key, scoring[key]]));
+    if (changedCategories.length > 0) overrides.READINESS_CATEGORIES = calibratedCategories;
+    const changes = [
+        ...changedWeights.map(key => ({ rule: `SCORING.${key}`, from: rules.SCORING[key], to: scoring[key] })),
+        ...changedCategories.map(cat => ({
+            rule: `READINESS_CATEGORIES.${cat.id}`,
+            from: cat.score,
+            to: calibratedCategories.find(c => c.id === cat.id).score,
+        })),
+    ];
+
+    return {
+        reviewCount: usable.length,
+        skipped,
+        overrides,
+        changes,
+        before: measureAgreement(usable, rules),
+        after: measureAgreement(usable, { ...rules, SCORING: scoring, READINESS_CATEGORIES: calibratedCategories }),
+        findings: summarizeFindingFeedback(usable),
+        steering: steering.map(({ weight, ...entry }) => ({ rule: `SCORING.${weight}`, ...entry })),
+    };
+}
+
+module.exports = {
+    calibrateRules,
+    measureAgreement,
+    validateReview,
+    CalibrationError,
+    TUNABLE_WEIGHTS,
+    FINDING_WEIGHTS,
+    MIN_CALIBRATION_REVIEWS,
+};
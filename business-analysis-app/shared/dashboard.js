@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Aggregates analyzed stories into the backlog readiness dashboard: the
+ * readiness distribution, the weakest INVEST dimensions, score trends per story and per team,
+ * and one row per story for the dashboard's table. The stories come from the Express
+ * backend's analysis history, where each re-analysis is a version, or from a batch run,
+ * where each story has one version.
+ */
+
+const { getReadinessCategory, DEFAULT_RULES } = require('./userStoryAgent');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+
+// Team trends average the stories' ratings per day, week (starting on Monday, UTC) or month.
+const TREND_INTERVALS = ["day", "week", "month"];
+const DEFAULT_TREND_INTERVAL = "week";
+
+// Stories below this readiness category block sprint planning, unless the caller sets
+// `minReadiness`. It is the same bar `ba-toolbox` lints against by default.
+const DEFAULT_READY_CATEGORY_ID = "at-standard";
+
+// =================================================================
+// HELPERS
+// =================================================================
+
+/**
+ * Returns the start of the period a timestamp falls in, e.g. "2026-10-12" for a week.
+ * @param {string} timestamp - An ISO timestamp.
+ * @param {string} interval - One of TREND_INTERVALS.
+ * @returns {string}
+ */
+function periodOf(timestamp, interval) {
+    const date = new Date(timestamp);
+    if (interval === "day") return date.toISOString().slice(0, 10);
+    if (interval === "month") return date.toISOString().slice(0, 7);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday)).toISOString().slice(0, 10);
+}
+
+const average = values => (values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+// The INVEST dimensions of an analysis with their scores, e.g. [['independent', 8], ...].
+const investScores = analysis => Object.entries(analysis.investCriteriaAssessment)
+    .filter(([criterion]) => criterion !== 'totalScore')
+    .map(([criterion, value]) => [criterion, value.score]);
+
+// The most recently analyzed version of a story.
+const latestVersion = record => record.versions.reduce((a, b) => (b.createdAt > a.createdAt ? b : a));
+
+/**
+ * The lowest score a story needs so it does not block sprint planning.
+ */
+function defaultMinReadiness(rules) {
+    const ready = rules.READINESS_CATEGORIES.find(cat => cat.id === DEFAULT_READY_CATEGORY_ID);
+    return ready ? ready.score : rules.READINESS_CATEGORIES[0].score;
+}
+
+// =================================================================
+// DASHBOARD
+// =================================================================
+
+/**
+ * Builds one table row per story from its latest version.
+ */
+function toStoryRow(record, rules, minReadiness) {
+    const versions = [...record.versions].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const latest = latestVersion(record);
+    const previous = versions[versions.length - 2];
+    const rating = latest.analysis.overallReadinessScore.readinessRating;
+    const category = getReadinessCategory(rating, rules);
+    const [weakestCriterion, weakestScore] = investScores(latest.analysis).sort((a, b) => a[1] - b[1])[0];
+    return {
+        storyId: record.storyId,
+        title: record.title || "",
+        team: record.team || "",
+        version: latest.version,
+        versionCount: versions.length,
+        readinessRating: rating,
+        readinessCategoryId: category.id,
+        readinessCategory: category.label,
+        ratingChange: previous ? rating - previous.analysis.overallReadinessScore.readinessRating : null,
+        weakestInvest: { criterion: weakestCriterion, score: weakestScore },
+        isBlocking: rating < minReadiness,
+        updatedAt: latest.createdAt,
+        trend: versions.map(v => ({ version: v.version, createdAt: v.createdAt, readinessRating: v.analysis.overallReadinessScore.readinessRating })),
+    };
+}
+
+/**
+ * Averages the ratings of a team's stories per period. Each period counts every story
+ * analyzed by its end, with the story's latest rating at that point.
+ */
+function buildTeamTrend(rows, interval) {
+    const points = rows.flatMap(row => row.trend.map(point => ({ storyId: row.storyId, period: periodOf(point.createdAt, interval), rating: point.readinessRating })));
+    const periods = [...new Set(points.map(point => point.period))].sort();
+    const latestRating = new Map();
+    return periods.map((period) => {
+        points.filter(point => point.period === period).forEach(point => latestRating.set(point.storyId, point.rating));
+        return { period, averageReadiness: average([...latestRating.values()]), storyCount: latestRating.size };
+    });
+}
+
+/**
+ * Builds the backlog readiness dashboard.
+ * @param {Array<{storyId: string, title?: string, team?: string, versions: Array<{version: number, createdAt: string, analysis: object}>}>} stories
+ *   Stories with their analyzed versions, like the history store's records.
+ * @param {object} [rules=DEFAULT_RULES] - The rule profile whose readiness categories and
+ *   INVEST thresholds are applied. Ratings are grouped by these categories, whichever profile
+ *   the stories were analyzed with.
+ * @param {object} [options]
+ * @param {string} [options.team] - Only include this team's stories; "" is the stories without a team.
+ * @param {string} [options.interval="week"] - The period of the team trends, one of TREND_INTERVALS.
+ * @param {number} [options.minReadiness] - Stories below this rating are blocking. Defaults to
+ *   the lowest rating of the 'at-standard' category.
+ * @returns {object}
+ * @throws {RangeError} For an unknown interval.
+ */
+function buildDashboard(stories, rules = DEFAULT_RULES, { team, interval = DEFAULT_TREND_INTERVAL, minReadiness = defaultMinReadiness(rules) } = {}) {
+    if (!TREND_INTERVALS.includes(interval)) {
+        throw new RangeError(`Unknown trend interval '${interval}'. Use one of: ${TREND_INTERVALS.join(', ')}.`);
+    }
+    const analyzed = stories.filter(record => record.versions.length > 0);
+    const teams = [...new Set(analyzed.map(record => record.team || ""))].sort();
+    const selected = analyzed.filter(record => team === undefined || (record.team || "") === team);
+    const rows = selected.map(record => toStoryRow(record, rules, minReadiness));
+
+    const categoryDistribution = rules.READINESS_CATEGORIES.map(cat => ({
+        id: cat.id,
+        label: cat.label,
+        minScore: cat.score,
+        count: rows.filter(row => row.readinessCategoryId === cat.id).length,
+    }));
+
+    // Weakest first: the lowest average score, then the most stories that do not meet it.
+    const scoresByCriterion = new Map();
+    selected.forEach(record => investScores(latestVersion(record).analysis).forEach(([criterion, score]) => {
+        if (!scoresByCriterion.has(criterion)) scoresByCriterion.set(criterion, []);
+        scoresByCriterion.get(criterion).push(score);
+    }));
+    const investDimensions = [...scoresByCriterion.entries()]
+        .map(([criterion, scores]) => ({
+            criterion,
+            averageScore: Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 10) / 10,
+            maxScore: rules.SCORING.INVEST_MAX,
+            failingCount: scores.filter(score => score < rules.SCORING.INVEST_MEETS).length,
+        }))
+        .sort((a, b) => a.averageScore - b.averageScore || b.failingCount - a.failingCount);
+
+    const teamTrends = [...new Set(rows.map(row => row.team))].sort().map(name => ({
+        team: name,
+        points: buildTeamTrend(rows.filter(row => row.team === name), interval),
+    }));
+
+    return {
+        storyCount: rows.length,
+        blockingCount: rows.filter(row => row.isBlocking).length,
+        averageReadiness: average(rows.map(row => row.readinessRating)),
+        minReadiness,
+        interval,
+        teams,
+        categoryDistribution,
+        investDimensions,
+        teamTrends,
+        stories: rows,
+    };
+}
+
+/**
+ * Turns the result of a batch run (analyzeBacklog) into dashboard stories, each with the
+ * run as its only version.
+ * @param {object} backlog - The result of analyzeBacklog.
+ * @param {string} [createdAt] - When the batch ran; defaults to now.
+ * @returns {object[]} Stories for buildDashboard. Rows that could not be analyzed are left out.
+ */
+function storiesFromBacklog(backlog, createdAt = new Date().toISOString()) {
+    return backlog.results
+        .filter(result => result.status === 'ok')
+        .map(result => ({
+            storyId: result.id,
+            title: result.title,
+            team: result.team || "",
+            versions: [{ version: 1, createdAt, analysis: result.analysis }],
+        }));
+}
+
+module.exports = {
+    buildDashboard,
+    storiesFromBacklog,
+    TREND_INTERVALS,
+    DEFAULT_TREND_INTERVAL,
+};
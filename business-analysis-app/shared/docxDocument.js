@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Builds a Word (.docx) document from report blocks (see reportRenderers.js).
+ * A .docx file is a zip archive of WordprocessingML parts; the archive is written here
+ * without compression, so no zip library is needed and the module runs in the browser too.
+ */
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+const FONT = "Calibri";
+const FONT_SIZE = 22; // Half-points, i.e. 11pt.
+const HEADING_SIZES = { 1: 36, 2: 30, 3: 26, 4: 23 };
+const LIST_INDENT = 360; // Twentieths of a point per list level.
+
+// Entries are dated 1980-01-01 (the earliest DOS date) so the same report always
+// produces the same bytes.
+const DOS_DATE = (1 << 5) | 1; // Year offset 0, month 1, day 1.
+const DOS_TIME = 0;
+
+// =================================================================
+// ZIP ARCHIVE
+// =================================================================
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum zip archives use.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Writes a zip archive with stored (uncompressed) entries.
+ * @param {Array<{name: string, content: string}>} files - Text files, written as UTF-8.
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        return { name, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    const u16 = value => { view.setUint16(offset, value, true); offset += 2; };
+    const u32 = value => { view.setUint32(offset, value, true); offset += 4; };
+    const raw = data => { bytes.set(data, offset); offset += data.length; };
+    // Version needed, flags (bit 11: UTF-8 names), method (0: stored), time, date, CRC and sizes.
+    const commonFields = entry => { u16(20); u16(0x0800); u16(0); u16(DOS_TIME); u16(DOS_DATE); u32(entry.crc); u32(entry.data.length); u32(entry.data.length); u16(entry.name.length); u16(0); };
+
+    entries.forEach(entry => {
+        entry.offset = offset;
+        u32(0x04034b50);
+        commonFields(entry);
+        raw(entry.name);
+        raw(entry.data);
+    });
+    entries.forEach(entry => {
+        u32(0x02014b50);
+        u16(20); // Version made by.
+        commonFields(entry);
+        u16(0); u16(0); u16(0); u32(0); // Comment length, disk, internal and external attributes.
+        u32(entry.offset);
+        raw(entry.name);
+    });
+    u32(0x06054b50);
+    u16(0); u16(0);
+    u16(entries.length); u16(entries.length);
+    u32(centralSize); u32(localSize);
+    u16(0);
+    return bytes;
+}
+
+// =================================================================
+// WORDPROCESSINGML
+// =================================================================
+
+/**
+ * Escapes text for XML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0.
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+/**
+ * Builds a text run. Line breaks in the text become `<w:br/>`.
+ * @param {string} text
+ * @param {{bold?: boolean, italic?: boolean}} [format]
+ * @returns {string}
+ */
+function run(text, { bold = false, italic = false } = {}) {
+    const properties = `${bold ? '<w:b/>' : ''}${italic ? '<w:i/>' : ''}`;
+    const content = String(text).split('\n')
+        .map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+        .join('<w:br/>');
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${content}</w:r>`;
+}
+
+/**
+ * Builds a paragraph.
+ * @param {string} runs - The paragraph's runs.
+ * @param {string} [properties] - Paragraph properties (`<w:pPr>` content).
+ * @returns {string}
+ */
+function paragraph(runs, properties = '') {
+    return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+/**
+ * Builds the runs for a labelled text ("**Label:** text").
+ * @param {{label?: string, text: string, emphasis?: boolean}} item
+ * @returns {string}
+ */
+function labelledRuns(item) {
+    return `${item.label ? run(`${item.label}: `, { bold: true }) : ''}${run(item.text, { italic: Boolean(item.emphasis) })}`;
+}
+
+/**
+ * Builds the paragraphs of a (nested) bullet list.
+ * @param {object[]} items
+ * @param {number} level
+ * @returns {string}
+ */
+function listParagraphs(items, level) {
+    return items.map(item => paragraph(labelledRuns(item), `<w:pStyle w:val="ListBullet"/><w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="1"/></w:numPr>`)
+        + (item.items ? listParagraphs(item.items, level + 1) : '')).join('');
+}
+
+/**
+ * Builds a table with a bold header row.
+ * @param {{columns: string[], rows: string[][]}} block
+ * @returns {string}
+ */
+function table(block) {
+    const cell = (text, bold) => `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${paragraph(run(text, { bold }), '<w:spacing w:after="0"/>')}</w:tc>`;
+    const header = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${block.columns.map(column => cell(column, true)).join('')}</w:tr>`;
+    const rows = block.rows.map(row => `<w:tr><w:trPr><w:cantSplit/></w:trPr>${row.map(text => cell(text, false)).join('')}</w:tr>`).join('');
+    // An empty paragraph keeps consecutive tables from merging.
+    return `<w:tbl><w:tblPr><w:tblStyle w:val="ReportTable"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr><w:tblGrid>${block.columns.map(() => '<w:gridCol/>').join('')}</w:tblGrid>${header}${rows}</w:tbl>${paragraph('')}`;
+}
+
+/**
+ * Converts report blocks to the body of `word/document.xml`.
+ * @param {object[]} blocks
+ * @returns {string}
+ */
+function blocksToXml(blocks) {
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'heading': return paragraph(run(block.text), `<w:pStyle w:val="${block.level === 1 ? 'Title' : `Heading${block.level - 1}`}"/>`);
+            case 'paragraph': return paragraph(labelledRuns(block));
+            case 'quote': return paragraph(run(block.text), '<w:pStyle w:val="Quote"/>');
+            case 'list': return listParagraphs(block.items, 0);
+            case 'table': return table(block);
+            case 'pageBreak': return paragraph('<w:r><w:br w:type="page"/></w:r>');
+            default: return '';
+        }
+    }).join('');
+}
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="${FONT}" w:hAnsi="${FONT}" w:cs="${FONT}"/><w:sz w:val="${FONT_SIZE}"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:sz w:val="${HEADING_SIZES[1]}"/></w:rPr></w:style>
+${[1, 2, 3].map(level => `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240"/><w:outlineLvl w:val="${level - 1}"/></w:pPr><w:rPr><w:b/><w:sz w:val="${HEADING_SIZES[level + 1]}"/></w:rPr></w:style>`).join('\n')}
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="${LIST_INDENT * 2}"/></w:pPr><w:rPr><w:i/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/></w:pPr></w:style>
+<w:style w:type="table" w:styleId="ReportTable"><w:name w:val="Report Table"/><w:tblPr><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="A0A0A0"/>`).join('')}</w:tblBorders><w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+const NUMBERING_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0">${[0, 1, 2].map(level => `<w:lvl w:ilvl="${level}"><w:numFmt w:val="bullet"/><w:lvlText w:val="${level === 1 ? '◦' : '•'}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${LIST_INDENT * (level + 1)}" w:hanging="${LIST_INDENT}"/></w:pPr></w:lvl>`).join('')}</w:abstractNum>
+<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+</Relationships>`;
+
+// =================================================================
+// MAIN EXPORTED FUNCTION
+// =================================================================
+
+/**
+ * Builds a .docx file from report blocks.
+ * @param {object[]} blocks - Report blocks (see reportRenderers.js).
+ * @param {{title: string}} meta - The document title, stored in the document properties.
+ * @returns {Uint8Array} The .docx file.
+ */
+function createDocx(blocks, { title }) {
+    const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${blocksToXml(blocks)}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+    const coreXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>${escapeXml(title)}</dc:title><dc:creator>BA Toolbox</dc:creator></cp:coreProperties>`;
+
+    return createZip([
+        { name: '[Content_Types].xml', content: CONTENT_TYPES_XML },
+        { name: '_rels/.rels', content: PACKAGE_RELS_XML },
+        { name: 'docProps/core.xml', content: coreXml },
+        { name: 'word/document.xml', content: documentXml },
+        { name: 'word/_rels/document.xml.rels', content: DOCUMENT_RELS_XML },
+        { name: 'word/styles.xml', content: STYLES_XML },
+        { name: 'word/numbering.xml', content: NUMBERING_XML },
+    ]);
+}
+
+module.exports = { createDocx, createZip, crc32 };
@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Traces an epic's acceptance criteria to the acceptance criteria of its child
+ * stories. The result is a traceability matrix that shows which stories cover each epic
+ * criterion, flags epic criteria that no story covers and stories that cover none of them,
+ * and can be exported as CSV. Without child stories, the epic is traced to the children of
+ * its suggested decomposition (see suggestDecomposition in userStoryAgent.js).
+ */
+
+const { suggestDecomposition, ANALYSIS_SCHEMA_VERSION, DEFAULT_RULES } = require('./userStoryAgent');
+const { listCriteria, stems } = require('./storySplitting');
+const { localizeForText } = require('./locales');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+const CRITERION_STATUS = {
+    COVERED: "covered",
+    UNCOVERED: "uncovered",
+};
+const STORY_STATUS = {
+    TRACED: "traced",
+    UNTRACED: "untraced",
+};
+
+// Spreadsheet apps run cells starting with these as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const MAX_FILE_SLUG_LENGTH = 50;
+
+// =================================================================
+// MATCHING
+// =================================================================
+
+/**
+ * Measures how much of an epic criterion a story text covers: the share of the criterion's
+ * word stems that the text also uses. Story criteria are usually more detailed than the
+ * epic's, so extra words in the story do not lower the coverage.
+ * @param {Set<string>} criterionStems - The stems of the epic criterion.
+ * @param {string} text - A story criterion.
+ * @returns {{shared: number, coverage: number}} The number of stems in common, and the
+ *   coverage from 0 (no words in common) to 1 (every word of the criterion).
+ */
+function coverage(criterionStems, text) {
+    if (criterionStems.size === 0) return { shared: 0, coverage: 0 };
+    const textStems = stems(text);
+    const shared = [...criterionStems].filter(stem => textStems.has(stem)).length;
+    return { shared, coverage: Math.round((shared / criterionStems.size) * 100) / 100 };
+}
+
+/**
+ * Tells whether a story criterion covers an epic criterion. Besides the share of the
+ * criterion's words, the texts must have TRACE_MIN_TERMS words in common (or all of a
+ * shorter criterion's), so a single shared word such as "customer" is not coverage.
+ * @param {{shared: number, coverage: number}} match - The result of `coverage`.
+ * @param {Set<string>} criterionStems - The stems of the epic criterion.
+ * @param {object} rules - The resolved rule profile.
+ * @returns {boolean}
+ */
+function covers(match, criterionStems, rules) {
+    const minTerms = Math.min(rules.THRESHOLDS.TRACE_MIN_TERMS, criterionStems.size);
+    return match.coverage >= rules.THRESHOLDS.TRACE_COVERAGE && match.shared >= minTerms;
+}
+
+/**
+ * Lists the texts a story is traced by: its acceptance criteria, or its story text when
+ * it has none.
+ * @param {{story: string, acceptanceCriteria: string}} item
+ * @param {object} rules - The rules in the story's language.
+ * @returns {string[]}
+ */
+function traceableTexts(item, rules) {
+    const criteria = listCriteria(item.acceptanceCriteria, rules.LANGUAGE);
+    return criteria.length > 0 ? criteria : [item.story];
+}
+
+/**
+ * Builds the matrix for a set of child stories.
+ * @param {string[]} epicCriteria
+ * @param {Array<{id: string, title: string, story: string, acceptanceCriteria: string}>} items
+ * @param {object} rules - The resolved rule profile.
+ * @returns {{criteria: object[], stories: object[]}}
+ */
+function buildMatrix(epicCriteria, items, rules) {
+    const storyTexts = items.map(item => traceableTexts(item, localizeForText(rules, `${item.story}\n${item.acceptanceCriteria}`)));
+    const criteria = epicCriteria.map((criterion, index) => {
+        const criterionStems = stems(criterion);
+        const coveredBy = items.flatMap((item, storyIndex) => {
+            const [best] = storyTexts[storyIndex]
+                .map(text => ({ criterion: text, ...coverage(criterionStems, text) }))
+                .filter(match => covers(match, criterionStems, rules))
+                .sort((a, b) => b.coverage - a.coverage);
+            return best ? [{ storyId: item.id, criterion: best.criterion, coverage: best.coverage }] : [];
+        });
+        return {
+            index: index + 1,
+            criterion,
+            status: coveredBy.length > 0 ? CRITERION_STATUS.COVERED : CRITERION_STATUS.UNCOVERED,
+            coveredBy,
+        };
+    });
+    const stories = items.map(item => {
+        const covers = criteria.filter(c => c.coveredBy.some(cell => cell.storyId === item.id)).map(c => c.index);
+        return {
+            id: item.id,
+            title: item.title,
+            story: item.story,
+            status: covers.length > 0 ? STORY_STATUS.TRACED : STORY_STATUS.UNTRACED,
+            covers,
+        };
+    });
+    return { criteria, stories };
+}
+
+/**
+ * Turns the children of a decomposition split into child stories. The split's shared
+ * criteria apply to every child.
+ * @param {object} split - An entry of `decompositionSplits`.
+ * @returns {Array<{id: string, title: string, story: string, acceptanceCriteria: string}>}
+ */
+function splitChildren(split) {
+    return split.children.map((child, index) => ({
+        id: `${split.pattern}-${index + 1}`,
+        title: "",
+        story: child.story,
+        acceptanceCriteria: [...child.acceptanceCriteria, ...split.sharedAcceptanceCriteria].join('\n'),
+    }));
+}
+
+// =================================================================
+// MAIN EXPORTED FUNCTIONS
+// =================================================================
+
+/**
+ * Traces an epic's acceptance criteria to its child stories.
+ * @param {{id?: string, title?: string, description: string, acceptanceCriteria?: string}} epic
+ * @param {Array<{id: string, title?: string, story: string, acceptanceCriteria?: string|string[]}>} [stories=[]]
+ *   The child stories. Their acceptance criteria are text, or a list as in the children of
+ *   a decomposition split. Without stories, the epic's suggested decomposition is traced:
+ *   of its splits, the one that covers the most epic criteria.
+ * @param {object} [rules=DEFAULT_RULES] - The resolved rule profile (see `resolveRules`).
+ * @returns {{schemaVersion: string, epic: object, decomposition: object|null, criteria: object[], stories: object[], summary: object}}
+ *   `criteria` are the epic's criteria with the best-matching criterion of each story that
+ *   covers them (`coveredBy`); `stories` list the epic criteria each story covers. The
+ *   `decomposition` is the split that was traced, or null for submitted stories.
+ */
+function traceEpic(epic, stories = [], rules = DEFAULT_RULES) {
+    rules = localizeForText(rules, `${epic.description}\n${epic.acceptanceCriteria || ""}`);
+    const epicCriteria = listCriteria(epic.acceptanceCriteria || "", rules.LANGUAGE);
+
+    let matrix;
+    let decomposition = null;
+    if (stories.length > 0) {
+        const items = stories.map(item => ({
+            id: item.id,
+            title: item.title || "",
+            story: item.story,
+            acceptanceCriteria: Array.isArray(item.acceptanceCriteria) ? item.acceptanceCriteria.join('\n') : item.acceptanceCriteria || "",
+        }));
+        matrix = buildMatrix(epicCriteria, items, rules);
+    } else {
+        const formatMatch = epic.description.match(rules.STORY_FORMAT_REGEX);
+        const { splits } = suggestDecomposition(formatMatch, epic.acceptanceCriteria || "", rules);
+        const coveredCount = candidate => candidate.criteria.filter(c => c.status === CRITERION_STATUS.COVERED).length;
+        // The first split wins a tie, as it is listed first in the analysis.
+        splits.forEach(split => {
+            const candidate = buildMatrix(epicCriteria, splitChildren(split), rules);
+            if (!matrix || coveredCount(candidate) > coveredCount(matrix)) {
+                matrix = candidate;
+                decomposition = { pattern: split.pattern, label: split.label };
+            }
+        });
+        matrix = matrix || buildMatrix(epicCriteria, [], rules);
+    }
+
+    const covered = matrix.criteria.filter(c => c.status === CRITERION_STATUS.COVERED);
+    return {
+        schemaVersion: ANALYSIS_SCHEMA_VERSION,
+        epic: { id: epic.id || "epic", title: epic.title || "", description: epic.description },
+        locale: rules.LANGUAGE,
+        decomposition,
+        criteria: matrix.criteria,
+        stories: matrix.stories,
+        summary: {
+            criteriaCount: matrix.criteria.length,
+            coveredCount: covered.length,
+            coveragePercentage: matrix.criteria.length > 0 ? Math.round((covered.length / matrix.criteria.length) * 100) : 0,
+            uncoveredCriteria: matrix.criteria.filter(c => c.status === CRITERION_STATUS.UNCOVERED).map(c => c.index),
+            untracedStories: matrix.stories.filter(s => s.status === STORY_STATUS.UNTRACED).map(s => s.id),
+        },
+    };
+}
+
+/**
+ * Quotes a CSV field when needed, and defuses text a spreadsheet would run as a formula.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = FORMULA_PREFIX.test(String(value)) ? `'${value}` : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders a traceability matrix as CSV: one row per epic criterion and one column per
+ * story, with the story criterion that covers it in each cell. A last row tells whether
+ * each story traces to the epic.
+ * @param {object} trace - The result of traceEpic.
+ * @returns {{format: string, fileName: string, contentType: string, content: string}}
+ */
+function renderTraceabilityCsv(trace) {
+    const storyHeader = story => (story.title ? `${story.id}: ${story.title}` : story.id);
+    const rows = [
+        ["#", "Epic acceptance criterion", "Status", ...trace.stories.map(storyHeader)],
+        ...trace.criteria.map(criterion => [
+            criterion.index,
+            criterion.criterion,
+            criterion.status,
+            ...trace.stories.map(story => {
+                const cell = criterion.coveredBy.find(c => c.storyId === story.id);
+                return cell ? cell.criterion : "";
+            }),
+        ]),
+        ["", "Traces to the epic", "", ...trace.stories.map(story => story.status)],
+    ];
+    const slug = String(trace.epic.id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, MAX_FILE_SLUG_LENGTH);
+    return {
+        format: "csv",
+        fileName: `${slug || 'epic'}-traceability.csv`,
+        contentType: "text/csv; charset=utf-8",
+        // CRLF line ends, as in RFC 4180, so spreadsheet apps split the rows correctly.
+        content: `${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`,
+    };
+}
+
+module.exports = { traceEpic, renderTraceabilityCsv, TRACE_CRITERION_STATUS: CRITERION_STATUS, TRACE_STORY_STATUS: STORY_STATUS };
@@ -0,0 +1,350 @@
+/**
+ * @fileoverview Exports a story's acceptance criteria (provided or inferred) as a
+ * Cucumber `.feature` file, plus matching step-definition skeletons for
+ * Cucumber-js or jest-cucumber. The file is written in the story's language, with that
+ * language's Gherkin keywords and a `# language:` header.
+ */
+
+const { parseGherkin } = require('./gherkinParser');
+const { inferAcceptanceCriteria, DEFAULT_RULES } = require('./userStoryAgent');
+const { withArticle } = require('./storySplitting');
+const { formatMessage, getGherkinKeywords, localizeForText, DEFAULT_LANGUAGE } = require('./locales');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+const FRAMEWORKS = ['cucumber-js', 'jest'];
+const INDENT = '  ';
+const MAX_FILE_SLUG_LENGTH = 50;
+
+// =================================================================
+// FEATURE FILE
+// =================================================================
+
+/**
+ * Builds a file-name-safe slug. Letters outside ASCII ("möchte") are kept.
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+    const slug = text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+    return slug.slice(0, MAX_FILE_SLUG_LENGTH).replace(/-+$/, '') || 'story';
+}
+
+/**
+ * Strips trailing sentence punctuation, which reads oddly at the end of a Gherkin step.
+ * @param {string} text
+ * @returns {string}
+ */
+function trimStepText(text) {
+    return text.trim().replace(/[.;,]+$/, '');
+}
+
+/**
+ * Builds the pattern for the phrase a plain criterion starts with ("Verify that", "Prüfen,
+ * dass"): the testable AC keywords of the rules that are not Gherkin step keywords.
+ * @param {object} rules
+ * @returns {RegExp|null} Null if the rules have no such phrases.
+ */
+function plainCriterionPrefix(rules) {
+    const keywords = getGherkinKeywords(rules.LANGUAGE);
+    const stepKeywords = [...keywords.GIVEN, ...keywords.WHEN, ...keywords.THEN].map(keyword => keyword.toLowerCase());
+    const phrases = rules.KEYWORDS.TESTABLE_AC.filter(phrase => !stepKeywords.includes(phrase));
+    return phrases.length > 0 ? new RegExp(`^(?:${phrases.map(escapeRegex).join('|')})\\s+`, 'i') : null;
+}
+
+/**
+ * Converts a plain criterion ("Verify that X") into a one-step scenario. The
+ * missing Given/When steps are left as a TODO for QA.
+ * @param {{text: string, line: number}} criterion
+ * @param {object} rules
+ * @returns {object} A scenario in the shape produced by parseGherkin.
+ */
+function plainCriterionToScenario(criterion, rules) {
+    const prefix = plainCriterionPrefix(rules);
+    const outcome = trimStepText(prefix ? criterion.text.replace(prefix, '') : criterion.text);
+    return {
+        name: trimStepText(criterion.text),
+        type: 'scenario',
+        line: criterion.line,
+        steps: [{ keyword: getGherkinKeywords(rules.LANGUAGE).THEN[0], type: 'then', text: outcome, line: criterion.line }],
+        examples: [],
+        todo: formatMessage(rules.LANGUAGE, 'feature.todoSteps'),
+    };
+}
+
+/**
+ * Renders a table as aligned Gherkin rows.
+ * @param {string[][]} rows
+ * @param {string} indent
+ * @returns {string[]}
+ */
+function renderTable(rows, indent) {
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => (row[col] || '').length)));
+    return rows.map(row => `${indent}| ${row.map((cell, col) => (cell || '').padEnd(widths[col])).join(' | ')} |`);
+}
+
+/**
+ * Picks the keyword a step is written with. Repeated types read better as "And" (or "But"),
+ * other steps take the keyword of their type. The keyword the step was written with is kept
+ * if it is one of those in the dialect, else the dialect's first one is used.
+ * @param {object} step
+ * @param {string|null} previousType - The type of the step before it.
+ * @param {object} keywords - The Gherkin keywords of the dialect (see getGherkinKeywords).
+ * @returns {string}
+ */
+function stepKeyword(step, previousType, keywords) {
+    const candidates = step.type === previousType ? [...keywords.AND, ...keywords.BUT] : keywords[step.type.toUpperCase()];
+    return candidates.find(keyword => keyword.toLowerCase() === (step.keyword || '').toLowerCase()) || candidates[0];
+}
+
+/**
+ * Renders one scenario, including step data tables and Examples tables.
+ * @param {object} scenario
+ * @param {object} keywords - The Gherkin keywords to write it with.
+ * @returns {string[]} The lines of the scenario.
+ */
+function renderScenario(scenario, keywords) {
+    const keyword = scenario.type === 'outline' ? keywords.OUTLINE[0] : keywords.SCENARIO[0];
+    const lines = [`${INDENT}${keyword}: ${trimStepText(scenario.name)}`];
+    if (scenario.todo) lines.push(`${INDENT.repeat(2)}# TODO: ${scenario.todo}`);
+
+    let previousType = null;
+    scenario.steps.forEach(step => {
+        const keywordText = stepKeyword(step, previousType, keywords);
+        // Keywords such as the French "Lorsqu'" run into the step text.
+        lines.push(`${INDENT.repeat(2)}${keywordText}${keywordText.endsWith("'") ? '' : ' '}${trimStepText(step.text)}`);
+        if (step.table) lines.push(...renderTable(step.table, INDENT.repeat(3)));
+        previousType = step.type;
+    });
+
+    scenario.examples.filter(table => table.headers).forEach(table => {
+        lines.push('', `${INDENT.repeat(2)}${keywords.EXAMPLES[0]}:`, ...renderTable([table.headers, ...table.rows], INDENT.repeat(3)));
+    });
+    return lines;
+}
+
+/**
+ * Gives a scenario that had no `Scenario:` header a shorter name built from its
+ * When/Then steps, since its Given context rarely tells scenarios apart.
+ * @param {object} scenario
+ * @param {object} keywords - The Gherkin keywords of the dialect.
+ * @returns {object}
+ */
+function nameImplicitScenario(scenario, keywords) {
+    if (!scenario.implicit) return scenario;
+    const from = scenario.steps.findIndex(step => step.type !== 'given');
+    const steps = from === -1 ? scenario.steps : scenario.steps.slice(from);
+    const name = steps.map(step => `${keywords[step.type.toUpperCase()][0].toLowerCase()} ${trimStepText(step.text)}`).join(', ');
+    return { ...scenario, name: name.charAt(0).toUpperCase() + name.slice(1) };
+}
+
+/**
+ * Collects the scenarios to export, falling back to inferred AC when none are provided.
+ * @param {string} story
+ * @param {string} acceptanceCriteriaText
+ * @param {object} rules
+ * @returns {{scenarios: object[], source: string}}
+ */
+function collectScenarios(story, acceptanceCriteriaText, rules) {
+    const options = { language: rules.LANGUAGE };
+    const keywords = getGherkinKeywords(rules.LANGUAGE);
+    let source = 'provided';
+    let { scenarios, plainCriteria } = parseGherkin(acceptanceCriteriaText, options);
+    if (scenarios.length === 0 && plainCriteria.length === 0) {
+        source = 'inferred';
+        ({ scenarios, plainCriteria } = parseGherkin(inferAcceptanceCriteria(story.match(rules.STORY_FORMAT_REGEX), rules).join('\n'), options));
+    }
+    const all = [...scenarios.map(scenario => nameImplicitScenario(scenario, keywords)), ...plainCriteria.map(criterion => plainCriterionToScenario(criterion, rules))]
+        .sort((a, b) => a.line - b.line);
+    return { scenarios: all, source };
+}
+
+// =================================================================
+// STEP DEFINITIONS
+// =================================================================
+
+/**
+ * Turns step text into a Cucumber expression: quoted strings become {string} and
+ * numbers {int}/{float}. Outline placeholders are typed from their first Examples
+ * value ({int}/{float} for numbers, the anonymous {} otherwise). Characters with a
+ * special meaning in Cucumber expressions are escaped.
+ * @param {string} text
+ * @param {Object<string, string>} [sampleValues={}] - First Examples value per column.
+ * @returns {{expression: string, params: string[]}}
+ */
+function toCucumberExpression(text, sampleValues = {}) {
+    const params = [];
+    // Single quotes only count as a quoted string when they are not apostrophes ("user's").
+    const pattern = /"[^"]*"|(?<!\w)'[^']*'(?!\w)|<[^<>]+>|-?\b\d+\.\d+\b|-?\b\d+\b|[(){}/\\]/g;
+    const expression = trimStepText(text).replace(pattern, token => {
+        if (token.startsWith('<')) {
+            const column = token.slice(1, -1);
+            const sample = sampleValues[column] || '';
+            params.push(column);
+            if (/^-?\d+$/.test(sample)) return '{int}';
+            if (/^-?\d+\.\d+$/.test(sample)) return '{float}';
+            return '{}';
+        }
+        if (/^["']/.test(token)) { params.push('text'); return '{string}'; }
+        if (/^-?\d+\.\d+$/.test(token)) { params.push('number'); return '{float}'; }
+        if (/^-?\d+$/.test(token)) { params.push('count'); return '{int}'; }
+        return `\\${token}`;
+    });
+    // Parameter names must be valid and unique JavaScript identifiers.
+    const seen = {};
+    const names = params.map(name => {
+        const base = name.replace(/[^a-zA-Z0-9_$]+(.)?/g, (_, c) => (c ? c.toUpperCase() : '')).replace(/^[^a-zA-Z_$]/, '_$&') || 'value';
+        seen[base] = (seen[base] || 0) + 1;
+        return seen[base] > 1 ? `${base}${seen[base]}` : base;
+    });
+    return { expression, params: names };
+}
+
+/**
+ * Escapes text for use inside a single-quoted JavaScript string.
+ * @param {string} text
+ * @returns {string}
+ */
+function quoteJs(text) {
+    return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Escapes text for use as a literal inside a JavaScript regular expression.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Generates Cucumber-js step definitions, one per distinct expression. Cucumber matches steps
+ * by text whatever their keyword, so the same text under Given and Then gets one definition,
+ * with the keyword it first appears under; two would be reported as ambiguous.
+ * @param {object[]} scenarios
+ * @returns {string}
+ */
+function buildCucumberSteps(scenarios) {
+    const seen = new Set();
+    const definitions = [];
+    scenarios.forEach(scenario => scenario.steps.forEach(step => {
+        const table = scenario.examples.find(t => t.headers && t.rows.length > 0);
+        const sampleValues = table ? Object.fromEntries(table.headers.map((header, i) => [header, table.rows[0][i]])) : {};
+        const { expression, params } = toCucumberExpression(step.text, sampleValues);
+        if (seen.has(expression)) return;
+        seen.add(expression);
+        const fn = step.type.charAt(0).toUpperCase() + step.type.slice(1);
+        const args = step.table ? [...params, 'dataTable'] : params;
+        definitions.push([
+            `${fn}(${quoteJs(expression)}, async function (${args.join(', ')}) {`,
+            `${INDENT}// TODO: implement "${trimStepText(step.text)}"`,
+            `${INDENT}return 'pending';`,
+            '});',
+        ].join('\n'));
+    }));
+
+    return [
+        "const { Given, When, Then } = require('@cucumber/cucumber');",
+        '',
+        definitions.join('\n\n'),
+        '',
+    ].join('\n');
+}
+
+/**
+ * Generates a jest-cucumber test file that binds every scenario in order.
+ * @param {object[]} scenarios
+ * @param {string} featureFileName
+ * @returns {string}
+ */
+function buildJestSteps(scenarios, featureFileName) {
+    const tests = scenarios.map(scenario => {
+        let previousType = null;
+        const steps = scenario.steps.map(step => {
+            const binding = step.type === previousType ? 'and' : step.type;
+            previousType = step.type;
+            // Outline steps are matched on the raw text with its <placeholders>.
+            const matcher = scenario.type === 'outline'
+                ? quoteJs(trimStepText(step.text))
+                : `/^${escapeRegex(trimStepText(step.text))}$/`;
+            return [
+                `${INDENT.repeat(2)}${binding}(${matcher}, () => {`,
+                `${INDENT.repeat(3)}// TODO: implement`,
+                `${INDENT.repeat(2)}});`,
+            ].join('\n');
+        });
+        return [
+            `${INDENT}test(${quoteJs(trimStepText(scenario.name))}, ({ given, when, then, and }) => {`,
+            steps.join('\n\n'),
+            `${INDENT}});`,
+        ].join('\n');
+    });
+
+    return [
+        "const { defineFeature, loadFeature } = require('jest-cucumber');",
+        '',
+        `const feature = loadFeature(${quoteJs(`./${featureFileName}`)});`,
+        '',
+        'defineFeature(feature, (test) => {',
+        tests.join('\n\n'),
+        '});',
+        '',
+    ].join('\n');
+}
+
+// =================================================================
+// MAIN EXPORTED FUNCTION
+// =================================================================
+
+/**
+ * Exports the story's acceptance criteria as a `.feature` file and step-definition skeletons,
+ * in the language of the story (see localizeForText).
+ * @param {string} story - The user story text, used as the Feature narrative.
+ * @param {string} [acceptanceCriteriaText=""] - Provided AC. When empty, inferred AC are exported.
+ * @param {object} [options]
+ * @param {string} [options.framework='cucumber-js'] - 'cucumber-js' or 'jest' (jest-cucumber).
+ * @param {object} [options.rules] - The resolved rule profile.
+ * @returns {{source: string, featureFileName: string, feature: string, stepDefinitionsFileName: string, stepDefinitions: string}}
+ */
+function exportFeature(story, acceptanceCriteriaText = "", { framework = 'cucumber-js', rules = DEFAULT_RULES } = {}) {
+    if (!FRAMEWORKS.includes(framework)) {
+        throw new RangeError(`Unsupported framework '${framework}'. Use one of: ${FRAMEWORKS.join(', ')}.`);
+    }
+    rules = localizeForText(rules, `${story}\n${acceptanceCriteriaText}`);
+    const message = (key, params) => formatMessage(rules.LANGUAGE, key, params);
+    const keywords = getGherkinKeywords(rules.LANGUAGE);
+    const formatMatch = story.match(rules.STORY_FORMAT_REGEX);
+    const title = formatMatch ? trimStepText(formatMatch[2]).replace(/^to\s+/i, '') : trimStepText(story.split('\n')[0]);
+    // Only the English template puts an article before the persona ("As an admin").
+    const persona = formatMatch && (rules.LANGUAGE === DEFAULT_LANGUAGE ? withArticle(trimStepText(formatMatch[1])) : trimStepText(formatMatch[1]));
+    const narrative = formatMatch
+        ? [
+            message('feature.narrativePersona', { persona }),
+            message('feature.narrativeGoal', { goal: trimStepText(formatMatch[2]) }),
+            message('feature.narrativeValue', { value: trimStepText(formatMatch[3]) }),
+        ]
+        : story.split('\n').map(line => line.trim()).filter(Boolean);
+
+    const { scenarios, source } = collectScenarios(story, acceptanceCriteriaText, rules);
+    // Cucumber reads keywords other than the English ones only after a language header.
+    const lines = rules.LANGUAGE === DEFAULT_LANGUAGE ? [] : [`# language: ${rules.LANGUAGE}`];
+    lines.push(`${keywords.FEATURE[0]}: ${title.charAt(0).toUpperCase() + title.slice(1)}`, ...narrative.map(line => `${INDENT}${line}`));
+    if (source === 'inferred') {
+        lines.push('', `${INDENT}# ${message('feature.inferredNote')}`);
+    }
+    scenarios.forEach(scenario => lines.push('', ...renderScenario(scenario, keywords)));
+
+    const slug = slugify(title);
+    const featureFileName = `${slug}.feature`;
+    return {
+        source,
+        featureFileName,
+        feature: `${lines.join('\n')}\n`,
+        stepDefinitionsFileName: framework === 'jest' ? `${slug}.steps.test.js` : `${slug}.steps.js`,
+        stepDefinitions: framework === 'jest' ? buildJestSteps(scenarios, featureFileName) : buildCucumberSteps(scenarios),
+    };
+}
+
+module.exports = { exportFeature, toCucumberExpression, FEATURE_EXPORT_FRAMEWORKS: FRAMEWORKS };
@@ -0,0 +1,354 @@
+/**
+ * @fileoverview A lightweight Gherkin parser and validator for acceptance criteria.
+ * Understands Scenario / Scenario Outline blocks, Given/When/Then/And/But steps,
+ * Examples tables, and the single-line "Given ..., when ..., then ..." style that
+ * teams often type straight into the AC box. Keywords are read in the language of a
+ * locale pack (see locales.js), or of a `# language: xx` header in the text.
+ */
+
+const { getGherkinKeywords, formatMessage, isKnownLocale, AUTO_LOCALE, DEFAULT_LANGUAGE } = require('./locales');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+// Language-independent patterns. The keyword patterns are built per language (see dialectFor).
+const PATTERNS = {
+    LANGUAGE_HEADER: /^#\s*language\s*:\s*([\w-]+)\s*$/i,
+    TABLE_ROW: /^\|.*\|$/,
+    DOC_STRING: /^("""|```)/,
+    COMMENT: /^#/,
+    TAG: /^@\S+(\s+@\S+)*$/,
+    BULLET: /^([-*•]|\d+[.)])\s+/,
+    PLACEHOLDER: /<([^<>]+)>/g,
+};
+
+const RULES = {
+    MISSING_THEN: "missing-then",
+    MISSING_WHEN: "missing-when",
+    MULTIPLE_WHEN: "multiple-when",
+    VAGUE_THEN: "then-without-outcome",
+    UNDEFINED_PLACEHOLDER: "undefined-placeholder",
+    MISSING_EXAMPLES: "missing-examples",
+};
+
+// =================================================================
+// DIALECTS
+// =================================================================
+
+const dialects = new Map();
+
+/**
+ * Escapes characters with a special meaning in regular expressions.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a regular expression alternative for keywords. A keyword must be followed by
+ * whitespace unless it ends in an apostrophe, as in the French "Lorsqu'".
+ * @param {string[]} keywords
+ * @returns {string}
+ */
+function keywordAlternatives(keywords) {
+    return [...keywords]
+        .sort((a, b) => b.length - a.length)
+        .map(keyword => `${escapeRegex(keyword)}${keyword.endsWith("'") ? '' : '(?=\\s)'}`)
+        .join('|');
+}
+
+/**
+ * Returns the keyword patterns and step types of a language, building them on first use.
+ * @param {string} language - A locale pack ID.
+ * @returns {{patterns: object, stepTypes: Map<string, string>, keywords: object}}
+ */
+function dialectFor(language) {
+    if (dialects.has(language)) return dialects.get(language);
+    const keywords = getGherkinKeywords(language);
+    const header = list => new RegExp(`^(${list.map(escapeRegex).join('|')}):\\s*(.*)$`, 'i');
+    const given = keywordAlternatives(keywords.GIVEN);
+    const when = keywordAlternatives(keywords.WHEN);
+    const then = keywordAlternatives(keywords.THEN);
+    const dialect = {
+        keywords,
+        patterns: {
+            FEATURE: header(keywords.FEATURE),
+            BACKGROUND: header(keywords.BACKGROUND),
+            SCENARIO: header(keywords.SCENARIO),
+            OUTLINE: header(keywords.OUTLINE),
+            EXAMPLES: header(keywords.EXAMPLES),
+            STEP: new RegExp(`^(${keywordAlternatives([...keywords.GIVEN, ...keywords.WHEN, ...keywords.THEN, ...keywords.AND, ...keywords.BUT])}|\\*)\\s*(.*)$`, 'i'),
+            INLINE_GIVEN_WHEN_THEN: new RegExp(`^(?:${given})\\s*(.+?)[,;]?\\s+(?:${when})\\s*(.+?)[,;]?\\s+(?:${then})\\s*(.+)$`, 'i'),
+            INLINE_WHEN_THEN: new RegExp(`^(?:${when})\\s*(.+?)[,;]?\\s+(?:${then})\\s*(.+)$`, 'i'),
+            INLINE_GIVEN_THEN: new RegExp(`^(?:${given})\\s*(.+?)[,;]?\\s+(?:${then})\\s*(.+)$`, 'i'),
+        },
+        // Lower-cased keyword -> step type. And/But continue the previous step's type.
+        stepTypes: new Map([
+            ...keywords.GIVEN.map(k => [k.toLowerCase(), 'given']),
+            ...keywords.WHEN.map(k => [k.toLowerCase(), 'when']),
+            ...keywords.THEN.map(k => [k.toLowerCase(), 'then']),
+            ...[...keywords.AND, ...keywords.BUT, '*'].map(k => [k.toLowerCase(), null]),
+        ]),
+    };
+    dialects.set(language, dialect);
+    return dialect;
+}
+
+/**
+ * Reads the language of a `# language: xx` header on the first non-empty line.
+ * @param {string} text
+ * @returns {string|null} The pack ID, or null without a header for a known language.
+ */
+function headerLanguage(text) {
+    const firstLine = (text || '').split('\n').find(line => line.trim() !== '');
+    const match = firstLine && firstLine.trim().match(PATTERNS.LANGUAGE_HEADER);
+    const language = match && match[1].toLowerCase();
+    return language && language !== AUTO_LOCALE && isKnownLocale(language) ? language : null;
+}
+
+// =================================================================
+// PARSING
+// =================================================================
+
+/**
+ * Splits a Gherkin table row into trimmed cells.
+ * @param {string} line - A line such as "| name | age |".
+ * @returns {string[]}
+ */
+function parseTableRow(line) {
+    return line.slice(1, -1).split('|').map(cell => cell.trim());
+}
+
+/**
+ * Creates a step, resolving And/But/* to the keyword they continue.
+ * @param {string} keyword - The keyword as written.
+ * @param {string} text - The step text.
+ * @param {number} line - 1-based line number in the AC text.
+ * @param {object|undefined} previous - The previous step in the same scenario.
+ * @param {object} dialect - The dialect the keyword is in (see dialectFor).
+ * @returns {{keyword: string, type: string, text: string, line: number}}
+ */
+function createStep(keyword, text, line, previous, dialect) {
+    const stepType = dialect.stepTypes.get(keyword.toLowerCase());
+    const type = stepType || (previous ? previous.type : 'given');
+    return { keyword: keyword.charAt(0).toUpperCase() + keyword.slice(1).toLowerCase(), type, text: text.trim(), line };
+}
+
+/**
+ * Turns a single-line "Given ..., when ..., then ..." criterion into steps.
+ * @param {string} text - The criterion without bullet markers.
+ * @param {number} line - 1-based line number.
+ * @param {object} dialect - The dialect to read the keywords in.
+ * @returns {object[]|null} The steps, or null if the line is not inline Gherkin.
+ */
+function parseInlineSteps(text, line, dialect) {
+    const { patterns, keywords } = dialect;
+    const step = (type, stepText) => createStep(keywords[type][0], stepText, line, undefined, dialect);
+    let match = text.match(patterns.INLINE_GIVEN_WHEN_THEN);
+    if (match) {
+        return [step('GIVEN', match[1]), step('WHEN', match[2]), step('THEN', match[3])];
+    }
+    match = text.match(patterns.INLINE_WHEN_THEN);
+    if (match) {
+        return [step('WHEN', match[1]), step('THEN', match[2])];
+    }
+    match = text.match(patterns.INLINE_GIVEN_THEN);
+    if (match) {
+        return [step('GIVEN', match[1]), step('THEN', match[2])];
+    }
+    return null;
+}
+
+/**
+ * Parses acceptance criteria text into scenarios and plain (non-Gherkin) criteria.
+ * Scenarios can be explicit (`Scenario:` / `Scenario Outline:` blocks), implicit
+ * (consecutive step lines with no header) or inline (a single line).
+ * @param {string} text - The acceptance criteria text.
+ * @param {{language?: string}} [options] - The language of the keywords. A `# language: xx`
+ *   header in the text takes precedence.
+ * @returns {{scenarios: object[], plainCriteria: {text: string, line: number}[]}}
+ */
+function parseGherkin(text, { language = DEFAULT_LANGUAGE } = {}) {
+    const dialect = dialectFor(headerLanguage(text) || language);
+    const { patterns } = dialect;
+    const scenarios = [];
+    const plainCriteria = [];
+    let background = [];
+    let current = null; // The scenario (or background) steps are added to.
+    let inExamples = false;
+    let inDocString = null;
+    let inFeatureNarrative = false;
+
+    const startScenario = (type, name, line, implicit = false) => {
+        current = { name, type, line, implicit, steps: [], examples: [] };
+        scenarios.push(current);
+        inExamples = false;
+        inFeatureNarrative = false;
+    };
+
+    (text || '').split('\n').forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+
+        if (inDocString) {
+            if (line.startsWith(inDocString)) inDocString = null;
+            return;
+        }
+        if (line === '' || PATTERNS.COMMENT.test(line) || PATTERNS.TAG.test(line)) return;
+
+        if (PATTERNS.DOC_STRING.test(line)) {
+            inDocString = line.slice(0, 3);
+            return;
+        }
+        if (patterns.FEATURE.test(line)) {
+            current = null;
+            inFeatureNarrative = true;
+            return;
+        }
+        if (patterns.BACKGROUND.test(line)) {
+            current = { name: 'Background', type: 'background', line: lineNumber, steps: background, examples: [] };
+            inExamples = false;
+            inFeatureNarrative = false;
+            return;
+        }
+
+        let match = line.match(patterns.OUTLINE);
+        if (match) {
+            startScenario('outline', match[2].trim(), lineNumber);
+            return;
+        }
+        match = line.match(patterns.SCENARIO);
+        if (match) {
+            startScenario('scenario', match[2].trim(), lineNumber);
+            return;
+        }
+        if (patterns.EXAMPLES.test(line) && current) {
+            current.examples.push({ line: lineNumber, headers: null, rows: [] });
+            inExamples = true;
+            return;
+        }
+
+        if (PATTERNS.TABLE_ROW.test(line) && current) {
+            if (inExamples) {
+                const table = current.examples[current.examples.length - 1];
+                if (!table.headers) table.headers = parseTableRow(line);
+                else table.rows.push(parseTableRow(line));
+            } else if (current.steps.length > 0) {
+                const step = current.steps[current.steps.length - 1];
+                (step.table = step.table || []).push(parseTableRow(line));
+            }
+            return;
+        }
+
+        const content = line.replace(PATTERNS.BULLET, '');
+        match = content.match(patterns.STEP);
+        if (match) {
+            // A complete single-line scenario always stands on its own.
+            const inline = parseInlineSteps(content, lineNumber, dialect);
+            if (inline) {
+                startScenario('scenario', content, lineNumber, true);
+                current.steps.push(...inline);
+                current = null;
+                return;
+            }
+            const isGiven = dialect.stepTypes.get(match[1].toLowerCase()) === 'given';
+            // Outside a Scenario block, a Given after a When/Then starts the next implicit scenario.
+            const needsImplicitScenario = !current || (current.implicit && isGiven
+                && current.steps.some(step => step.type !== 'given'));
+            if (needsImplicitScenario) {
+                startScenario('scenario', content, lineNumber, true);
+            }
+            if (inExamples) inExamples = false;
+            const previous = current.steps[current.steps.length - 1];
+            current.steps.push(createStep(match[1], match[2], lineNumber, previous, dialect));
+            return;
+        }
+
+        // Anything else is a plain criterion (e.g. "Verify that ..."), which also ends the current scenario.
+        // Free text under a Feature, or between a Scenario header and its first step, is narrative and is skipped.
+        const isNarrative = inFeatureNarrative || (current && !current.implicit && current.steps.length === 0);
+        if (!isNarrative) {
+            plainCriteria.push({ text: content, line: lineNumber });
+            current = null;
+        }
+    });
+
+    // Background steps give every scenario its context.
+    if (background.length > 0) {
+        scenarios.forEach(scenario => {
+            scenario.steps = [...background, ...scenario.steps];
+        });
+    }
+
+    return { scenarios, plainCriteria };
+}
+
+// =================================================================
+// VALIDATION
+// =================================================================
+
+/**
+ * Checks whether a Then step describes something that can be observed and asserted.
+ * @param {string} text - The Then step text.
+ * @param {string[]} vagueOutcomes - Phrases that do not describe an observable outcome.
+ * @returns {boolean}
+ */
+function hasObservableOutcome(text, vagueOutcomes) {
+    const lower = text.toLowerCase().replace(/[.!]+$/, '');
+    if (lower.split(/\s+/).length < 3) return false;
+    return !vagueOutcomes.some(phrase => lower.includes(phrase));
+}
+
+/**
+ * Validates the structure of one scenario.
+ * @param {object} scenario - A scenario from parseGherkin.
+ * @param {{vagueOutcomes?: string[], language?: string}} [options] - `language` is the language
+ *   of the messages.
+ * @returns {{rule: string, message: string, line: number}[]} Structural findings, empty when the scenario is sound.
+ */
+function validateScenario(scenario, { vagueOutcomes = [], language = DEFAULT_LANGUAGE } = {}) {
+    const findings = [];
+    const add = (rule, key, params = {}, line = scenario.line) => findings.push({ rule, message: formatMessage(language, key, params), line });
+
+    const whens = scenario.steps.filter(step => step.type === 'when');
+    const thens = scenario.steps.filter(step => step.type === 'then');
+
+    if (thens.length === 0) {
+        add(RULES.MISSING_THEN, "gherkin.missingThen");
+    }
+    if (whens.length === 0) {
+        add(RULES.MISSING_WHEN, "gherkin.missingWhen");
+    }
+    if (whens.length > 1) {
+        add(RULES.MULTIPLE_WHEN, "gherkin.multipleWhen", { count: whens.length }, whens[1].line);
+    }
+    thens.forEach(step => {
+        if (!hasObservableOutcome(step.text, vagueOutcomes)) {
+            add(RULES.VAGUE_THEN, "gherkin.thenWithoutOutcome", { step: `${step.keyword} ${step.text}` }, step.line);
+        }
+    });
+
+    if (scenario.type === 'outline') {
+        const tables = scenario.examples.filter(table => table.headers);
+        if (tables.length === 0) {
+            add(RULES.MISSING_EXAMPLES, "gherkin.missingExamples");
+        } else {
+            const columns = new Set(tables.flatMap(table => table.headers));
+            const reported = new Set();
+            scenario.steps.forEach(step => {
+                for (const [, placeholder] of step.text.matchAll(PATTERNS.PLACEHOLDER)) {
+                    if (!columns.has(placeholder) && !reported.has(placeholder)) {
+                        reported.add(placeholder);
+                        add(RULES.UNDEFINED_PLACEHOLDER, "gherkin.undefinedPlaceholder", { placeholder }, step.line);
+                    }
+                }
+            });
+        }
+    }
+
+    return findings;
+}
+
+module.exports = { parseGherkin, validateScenario, GHERKIN_RULES: RULES };
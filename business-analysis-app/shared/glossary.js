@@ -0,0 +1,203 @@
+/**
+ * @fileoverview The domain glossary: the business terms a team has agreed on, with their
+ * definitions, the synonyms that should be replaced by the canonical term ("purchase" for
+ * "Order") and the aliases that must not be used at all. The glossary is `GLOSSARY.TERMS` in
+ * the rule profile, plus the terms managed through the Express backend's /api/glossary. The
+ * Netlify functions have no store to keep managed terms in, so they use the profile's only.
+ * Stories and acceptance criteria are checked against it in textFindings.js.
+ */
+
+const { parseCsv } = require('./backlogImport');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+// A glossary entry is { term, definition, synonyms, forbidden }. Terms are matched as whole
+// words, ignoring case.
+
+const GLOSSARY_STATUS = {
+    CANONICAL: "canonical",
+    SYNONYM: "synonym",
+    FORBIDDEN: "forbidden",
+};
+
+// CSV header names for each field. List fields hold several values separated by ';' or '|'.
+const CSV_COLUMNS = {
+    term: ["term", "name", "canonical term"],
+    definition: ["definition", "description", "meaning"],
+    synonyms: ["synonyms", "synonym", "aliases"],
+    forbidden: ["forbidden", "forbidden aliases", "forbidden terms", "avoid"],
+};
+const CSV_LIST_SEPARATOR = /[;|]/;
+
+// German capitalizes every noun, so only acronyms stand out as domain terms there.
+const ACRONYMS_ONLY_LANGUAGES = ["de"];
+// A run of capitalized words, e.g. "Loyalty Points" or "SKU".
+const PROPER_TERM_REGEX = /(?<![\p{L}\p{N}_])\p{Lu}[\p{L}\p{N}'-]*(?: \p{Lu}[\p{L}\p{N}'-]*)*(?![\p{L}\p{N}_])/gu;
+const ACRONYM_REGEX = /^[\p{Lu}\p{N}]*\p{Lu}[\p{Lu}\p{N}]*s?$/u;
+// Text before a word that starts a sentence, a line, a list item or a quote.
+const SENTENCE_START_REGEX = /(?:^|[.!?:;\n"“(]|(?:^|\n)\s*(?:[-*•]|\d+[.)]))\s*$/;
+
+// =================================================================
+// GLOSSARY
+// =================================================================
+
+/**
+ * Normalizes a term for matching, e.g. "  Purchase  Order " -> "purchase order".
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeTerm(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validates one glossary entry.
+ * @param {*} entry
+ * @param {string} [path="term"] - Used in error messages.
+ * @returns {string[]} Validation errors, empty when the entry is valid.
+ */
+function validateGlossaryTerm(entry, path = "term") {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return [`${path} must be an object.`];
+    const errors = [];
+    const isStringList = value => Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() !== '');
+    if (typeof entry.term !== 'string' || normalizeTerm(entry.term) === '') errors.push(`${path}.term must be a non-empty string.`);
+    if (entry.definition !== undefined && typeof entry.definition !== 'string') errors.push(`${path}.definition must be a string.`);
+    ['synonyms', 'forbidden'].forEach(field => {
+        if (entry[field] !== undefined && !isStringList(entry[field])) errors.push(`${path}.${field} must be an array of non-empty strings.`);
+    });
+    if (errors.length === 0) {
+        const variants = [entry.term, ...(entry.synonyms || []), ...(entry.forbidden || [])].map(normalizeTerm);
+        const repeated = variants.find((variant, i) => variants.indexOf(variant) !== i);
+        if (repeated) errors.push(`${path} lists '${repeated}' more than once in its term, synonyms and forbidden aliases.`);
+    }
+    return errors;
+}
+
+/**
+ * Merges glossaries. An entry in a later glossary replaces one with the same term.
+ * @param {...object[]} glossaries
+ * @returns {Array<{term: string, definition: string, synonyms: string[], forbidden: string[]}>}
+ */
+function mergeGlossaries(...glossaries) {
+    const byTerm = new Map();
+    glossaries.flat().forEach(({ term, definition = "", synonyms = [], forbidden = [] }) => {
+        byTerm.set(normalizeTerm(term), { term: term.trim(), definition, synonyms, forbidden });
+    });
+    return [...byTerm.values()];
+}
+
+/**
+ * Returns the rules with extra glossary terms added to the profile's, e.g. the ones managed
+ * through the API.
+ * @param {object} rules - The resolved rule profile.
+ * @param {object[]} terms
+ * @returns {object} A copy of the rules.
+ */
+function withGlossary(rules, terms) {
+    return { ...rules, GLOSSARY: { ...rules.GLOSSARY, TERMS: mergeGlossaries(rules.GLOSSARY.TERMS, terms) } };
+}
+
+/**
+ * Lists every spelling the glossary knows: each term, synonym and forbidden alias with the
+ * entry it belongs to.
+ * @param {object} rules - The resolved rule profile.
+ * @returns {Array<{variant: string, status: 'canonical'|'synonym'|'forbidden', entry: object}>}
+ */
+function listGlossaryVariants(rules) {
+    return rules.GLOSSARY.TERMS.flatMap(entry => [
+        { variant: entry.term, status: GLOSSARY_STATUS.CANONICAL, entry },
+        ...entry.synonyms.map(variant => ({ variant, status: GLOSSARY_STATUS.SYNONYM, entry })),
+        ...entry.forbidden.map(variant => ({ variant, status: GLOSSARY_STATUS.FORBIDDEN, entry })),
+    ]);
+}
+
+// =================================================================
+// UNDEFINED TERMS
+// =================================================================
+
+/**
+ * Finds the words that look like domain terms: runs of capitalized words and acronyms that
+ * do not just start a sentence. The first word of a sentence is skipped, so "Loyalty Points"
+ * at the start of a line is found as "Points". A single capitalized word is often a UI label
+ * ("Checkout") or emphasis, so it only counts when the text uses it that way more than once;
+ * acronyms and runs of several words always count. Single letters ("I") are not terms.
+ * @param {string} text
+ * @param {string} language - The language of the text, e.g. "en".
+ * @returns {Array<{start: number, end: number, text: string}>} Matches in text order.
+ */
+function findProperTerms(text, language) {
+    const terms = [];
+    for (const match of text.matchAll(PROPER_TERM_REGEX)) {
+        let words = [];
+        let offset = match.index;
+        match[0].split(' ').forEach(word => {
+            words.push({ start: offset, end: offset + word.length, text: word });
+            offset += word.length + 1;
+        });
+        if (SENTENCE_START_REGEX.test(text.slice(0, match.index))) words = words.slice(1);
+        if (ACRONYMS_ONLY_LANGUAGES.includes(language)) {
+            terms.push(...words.filter(word => ACRONYM_REGEX.test(word.text)));
+        } else if (words.length > 0) {
+            const start = words[0].start;
+            const end = words[words.length - 1].end;
+            terms.push({ start, end, text: text.slice(start, end) });
+        }
+    }
+    const uses = new Map();
+    terms.forEach(term => uses.set(term.text, (uses.get(term.text) || 0) + 1));
+    return terms
+        .filter(term => term.text.length > 1)
+        .filter(term => term.text.includes(' ') || ACRONYM_REGEX.test(term.text) || uses.get(term.text) > 1);
+}
+
+// =================================================================
+// CSV IMPORT
+// =================================================================
+
+/**
+ * Reads glossary entries from CSV with a header row. List cells (synonyms, forbidden) hold
+ * several values separated by ';' or '|'. Rows without a term are skipped; the entries are
+ * not validated, so callers can report problems with their row numbers (`row`).
+ * @param {string} csvText
+ * @returns {Array<{term: string, definition: string, synonyms: string[], forbidden: string[], row: number}>}
+ * @throws {SyntaxError} If the CSV cannot be parsed or has no term column.
+ */
+function parseGlossaryCsv(csvText) {
+    const [headers, ...rows] = parseCsv(csvText);
+    if (!headers) return [];
+
+    const columns = {};
+    headers.forEach((header, index) => {
+        const normalized = header.trim().toLowerCase().replace(/^\uFEFF/, '');
+        Object.entries(CSV_COLUMNS).forEach(([field, aliases]) => {
+            if (columns[field] === undefined && aliases.includes(normalized)) columns[field] = index;
+        });
+    });
+    if (columns.term === undefined) {
+        throw new SyntaxError("CSV header must include a term column (e.g. 'Term').");
+    }
+
+    const value = (fields, field) => (columns[field] !== undefined && fields[columns[field]] !== undefined ? fields[columns[field]].trim() : "");
+    const list = (fields, field) => value(fields, field).split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    return rows
+        .map((fields, index) => ({
+            term: value(fields, 'term'),
+            definition: value(fields, 'definition'),
+            synonyms: list(fields, 'synonyms'),
+            forbidden: list(fields, 'forbidden'),
+            row: index + 2, // 1-based, after the header row
+        }))
+        .filter(entry => entry.term !== '');
+}
+
+module.exports = {
+    normalizeTerm,
+    validateGlossaryTerm,
+    mergeGlossaries,
+    withGlossary,
+    listGlossaryVariants,
+    findProperTerms,
+    parseGlossaryCsv,
+    GLOSSARY_STATUS,
+};
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Locale packs. A pack (see locales/) holds everything language-specific:
+ * the story template (STORY_FORMAT_REGEX), the keyword lists, the generic personas, the
+ * Gherkin keywords and every feedback and justification text. Rules are localized with
+ * `withLocale`; with the "auto" locale, each story's language is detected from its text.
+ */
+
+const en = require('./locales/en');
+const de = require('./locales/de');
+const fr = require('./locales/fr');
+const es = require('./locales/es');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+const LOCALES = { en, de, fr, es };
+const AUTO_LOCALE = "auto";
+const DEFAULT_LANGUAGE = "en";
+
+// The rule sections a pack localizes, as paths into the rules. A profile's own entries in them
+// are applied over whichever pack the rules are localized to (see withLocale).
+const LOCALIZED_SECTIONS = [
+    ['STORY_FORMAT_REGEX'], ['KEYWORDS'], ['SPLITTING'], ['REWRITE'], ['NFR'], ['FRAMEWORKS', 'SMART'], ['PERSONAS', 'GENERIC'],
+];
+
+// A story written in a pack's template counts as this many detection words.
+const TEMPLATE_MATCH_WEIGHT = 5;
+// The minimum detection score; shorter or mixed texts are left undetected.
+const MIN_DETECTION_SCORE = 2;
+
+const detectionWords = Object.fromEntries(Object.values(LOCALES).map(pack => [pack.id, new Set(pack.DETECTION)]));
+
+// =================================================================
+// LOOKUP
+// =================================================================
+
+/**
+ * Lists the locale packs.
+ * @returns {Array<{id: string, name: string}>}
+ */
+function listLocales() {
+    return Object.values(LOCALES).map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Checks whether a value is a locale the rules accept: a pack ID or "auto".
+ * @param {*} locale
+ * @returns {boolean}
+ */
+function isKnownLocale(locale) {
+    return locale === AUTO_LOCALE || Object.prototype.hasOwnProperty.call(LOCALES, locale);
+}
+
+/**
+ * Returns a pack's Gherkin keywords, or the English ones for an unknown language.
+ * @param {string} language
+ * @returns {object}
+ */
+function getGherkinKeywords(language) {
+    return (LOCALES[language] || LOCALES[DEFAULT_LANGUAGE]).GHERKIN;
+}
+
+/**
+ * Formats a message in a language. Messages a pack does not translate fall back to English.
+ * @param {string} language - A pack ID.
+ * @param {string} key - e.g. "clarity.ambiguous".
+ * @param {object} [params={}] - Replaces the `{name}` placeholders.
+ * @returns {string} The message, or the key itself if no pack defines it.
+ */
+function formatMessage(language, key, params = {}) {
+    const pack = LOCALES[language] || LOCALES[DEFAULT_LANGUAGE];
+    const template = pack.MESSAGES[key] !== undefined ? pack.MESSAGES[key] : LOCALES[DEFAULT_LANGUAGE].MESSAGES[key];
+    if (template === undefined) return key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+// =================================================================
+// DETECTION
+// =================================================================
+
+/**
+ * Detects the language of a story. A text written in a pack's story template scores
+ * TEMPLATE_MATCH_WEIGHT for that pack, and every word in a pack's DETECTION list scores one.
+ * @param {string} text - The story, optionally with its acceptance criteria.
+ * @returns {string|null} The pack ID with the highest score, or null when no pack reaches
+ *   MIN_DETECTION_SCORE or two packs tie.
+ */
+function detectLocale(text) {
+    const words = String(text || '').toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+    const scores = Object.values(LOCALES).map(pack => ({
+        id: pack.id,
+        score: (pack.RULES.STORY_FORMAT_REGEX.test(text) ? TEMPLATE_MATCH_WEIGHT : 0)
+            + words.filter(word => detectionWords[pack.id].has(word)).length,
+    })).sort((a, b) => b.score - a.score);
+    const [best, runnerUp] = scores;
+    return best.score >= MIN_DETECTION_SCORE && best.score > runnerUp.score ? best.id : null;
+}
+
+// =================================================================
+// LOCALIZED RULES
+// =================================================================
+
+/**
+ * Merges a pack's rule sections over the rules. Plain objects are merged; lists, regular
+ * expressions and other values replace the rules' value.
+ * @param {object} rules
+ * @param {object} sections
+ * @returns {object} A new object.
+ */
+function mergeSections(rules, sections) {
+    const merged = { ...rules };
+    Object.entries(sections).forEach(([key, value]) => {
+        const isPlainObject = value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+        merged[key] = isPlainObject && rules[key] ? mergeSections(rules[key], value) : value;
+    });
+    return merged;
+}
+
+/**
+ * Copies the entries of rule overrides that fall in the sections a pack localizes.
+ * @param {object} overrides - e.g. the `rules` of a profile file.
+ * @returns {object} A new object holding only those sections.
+ */
+function pickLocalizedSections(overrides) {
+    const picked = {};
+    LOCALIZED_SECTIONS.forEach(([section, child]) => {
+        const value = overrides[section];
+        if (value === undefined) return;
+        if (!child) picked[section] = value;
+        else if (value[child] !== undefined) picked[section] = { ...picked[section], [child]: value[child] };
+    });
+    return picked;
+}
+
+/**
+ * Returns the rules in another language: the pack's template, keywords and generic personas,
+ * and readiness categories labelled in the pack's language. The profile's own entries in those
+ * sections (LOCALIZED_OVERRIDES) are applied over the pack's defaults. Only the packs' own labels
+ * and summaries are translated; ones a profile customized are kept as written.
+ * @param {object} rules - The resolved rule profile.
+ * @param {string} locale - A pack ID, or "auto" to detect each story's language.
+ * @returns {object} A copy of the rules. `LANGUAGE` is the language the texts are written in
+ *   and `LOCALE` the requested locale.
+ * @throws {RangeError} If the locale is unknown.
+ */
+function withLocale(rules, locale) {
+    if (!isKnownLocale(locale)) {
+        throw new RangeError(`Unknown locale '${locale}'. Use any of: ${[AUTO_LOCALE, ...Object.keys(LOCALES)].join(', ')}.`);
+    }
+    if (locale === AUTO_LOCALE || rules.LANGUAGE === locale) return { ...rules, LOCALE: locale };
+
+    const pack = LOCALES[locale];
+    const translate = (category, field) => {
+        const key = `category.${category.id}.${field}`;
+        const isPackText = Object.values(LOCALES).some(other => other.MESSAGES[key] === category[field]);
+        return isPackText && pack.MESSAGES[key] !== undefined ? pack.MESSAGES[key] : category[field];
+    };
+    return {
+        ...mergeSections(mergeSections(rules, pack.RULES), rules.LOCALIZED_OVERRIDES || {}),
+        READINESS_CATEGORIES: rules.READINESS_CATEGORIES.map(category => ({
+            ...category,
+            label: translate(category, 'label'),
+            summary: translate(category, 'summary'),
+        })),
+        LANGUAGE: pack.id,
+        LOCALE: locale,
+    };
+}
+
+/**
+ * Localizes the rules for one story. With the "auto" locale the story's language is
+ * detected; a story in no recognizable language keeps the rules' language.
+ * @param {object} rules - The resolved rule profile.
+ * @param {string} text - The story and its acceptance criteria.
+ * @returns {object} Rules whose `LANGUAGE` is the story's language.
+ */
+function localizeForText(rules, text) {
+    if (rules.LOCALE !== AUTO_LOCALE) return rules;
+    return withLocale(rules, detectLocale(text) || rules.LANGUAGE);
+}
+
+module.exports = {
+    listLocales,
+    isKnownLocale,
+    getGherkinKeywords,
+    formatMessage,
+    detectLocale,
+    withLocale,
+    localizeForText,
+    pickLocalizedSections,
+    AUTO_LOCALE,
+    DEFAULT_LANGUAGE,
+};
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview German locale pack ("Als [Rolle] möchte ich [Ziel], damit [Nutzen]").
+ */
+
+module.exports = {
+    id: "de",
+    name: "Deutsch",
+    DETECTION: ["ich", "und", "der", "die", "das", "nicht", "ist", "mit", "möchte", "damit", "eine", "ein", "wenn", "dann", "auf", "für", "zu", "den", "wird", "werden", "kann", "angenommen", "meine", "mein", "sollte"],
+    GHERKIN: {
+        FEATURE: ["Funktionalität", "Funktion"],
+        BACKGROUND: ["Grundlage", "Hintergrund", "Voraussetzungen", "Vorbedingungen"],
+        SCENARIO: ["Szenario", "Beispiel"],
+        OUTLINE: ["Szenariogrundriss", "Szenarien"],
+        EXAMPLES: ["Beispiele"],
+        GIVEN: ["Angenommen", "Gegeben seien", "Gegeben sei"],
+        WHEN: ["Wenn"],
+        THEN: ["Dann"],
+        AND: ["Und"],
+        BUT: ["Aber"],
+    },
+    RULES: {
+        STORY_FORMAT_REGEX: /Als (?:(?:ein|eine|einer) )?(.*?),? (?:möchte|will|muss) ich (.*?),? (?:damit|um) (.*)/i,
+        KEYWORDS: {
+            AMBIGUOUS: ["sollte", "sollten", "könnte", "könnten", "eventuell", "möglicherweise", "usw.", "etc.", "und/oder", "ggf."],
+            DEPENDENCIES: ["abhängig von", "nach", "nachdem", "sobald", "im anschluss an"],
+            TECHNICAL: ["datenbank", "api-endpunkt", "api endpoint", "react-komponente", "algorithmus", "sql"],
+            TESTABLE_AC: ["prüfen, dass", "sicherstellen, dass", "bestätigen, dass", "angenommen", "wenn", "dann"],
+            NEGATIONS: ["nicht", "kein", "keine", "keinen", "nie", "niemals", "ohne", "kann nicht"],
+            VAGUE_OUTCOMES: ["es funktioniert", "funktioniert wie erwartet", "wie erwartet", "erwartetes ergebnis", "funktioniert korrekt", "verhält sich korrekt", "wird behandelt", "ordnungsgemäß", "keine probleme"],
+        },
+        // Keyword lists for the story-splitting patterns (see storySplitting.js).
+        SPLITTING: {
+            WORKFLOW_VERBS: ["suchen", "durchsuchen", "finden", "auswählen", "wählen", "vergleichen", "prüfen", "hinzufügen", "anlegen", "erstellen", "bearbeiten", "ändern", "aktualisieren", "entfernen", "löschen", "speichern", "teilen", "senden", "absenden", "bestätigen", "genehmigen", "ablehnen", "bezahlen", "buchen", "bestellen", "stornieren", "hochladen", "herunterladen", "importieren", "exportieren", "drucken", "verfolgen", "planen", "zuweisen", "filtern", "sortieren", "ansehen", "unterschreiben", "anmelden", "registrieren", "erhalten", "benachrichtigen"],
+            CRUD_TRIGGERS: ["verwalten", "pflegen", "administrieren", "crud"],
+            CRUD_OPERATIONS: {
+                create: ["hinzufügen", "anlegen", "erstellen", "neu", "registrieren"],
+                read: ["ansehen", "anzeigen", "auflisten", "sehen", "suchen"],
+                update: ["bearbeiten", "ändern", "aktualisieren", "umbenennen"],
+                delete: ["löschen", "entfernen", "archivieren"],
+            },
+            BUSINESS_RULE: ["falls", "sofern", "nur wenn", "nur falls", "berechtigt", "regel", "limit", "grenze", "überschreitet", "mindestens", "höchstens", "maximal", "minimal", "mehr als", "weniger als"],
+            DATA_VARIANTS: ["csv", "pdf", "excel", "xml", "json", "kreditkarte", "debitkarte", "paypal", "überweisung", "lastschrift", "währung", "währungen", "sprache"],
+            PLATFORMS: ["web", "webseite", "website", "mobil", "ios", "android", "desktop", "tablet", "e-mail", "sms", "kiosk"],
+            ERROR_PATH: ["fehler", "ungültig", "schlägt fehl", "fehlgeschlagen", "abgelehnt", "ausnahme", "zeitüberschreitung", "timeout", "nicht gefunden", "nicht autorisiert", "unberechtigt", "verweigert", "falsch"],
+            PERFORMANCE: ["leistung", "performance", "antwortzeit", "ladezeit", "gleichzeitig", "durchsatz", "unter last", "latenz", "skalier"],
+        },
+        REWRITE: {
+            AMBIGUOUS_REPLACEMENTS: { "sollte": "muss", "sollten": "müssen", "könnte": "kann", "könnten": "können", "eventuell": "", "möglicherweise": "", "usw.": "", "etc.": "", "und/oder": "und", "ggf.": "" },
+            // A technical detail is moved out of the story together with the preposition that introduces it.
+            TECHNICAL_PREPOSITIONS: ["mit", "über", "per", "via", "in", "im", "durch", "aus", "von", "vom", "auf", "gegen"],
+        },
+        FRAMEWORKS: {
+            SMART: {
+                MEASURABLE: ["sekunde", "minute", "stunde", "prozent", "%", "mindestens", "höchstens", "maximal", "minimal", "bis zu", "genau", "angezeigt", "erhält", "liefert", "zurückgegeben"],
+                UNACHIEVABLE: ["immer", "nie ausfallen", "100%", "sofort", "ohne ausfallzeit", "jede mögliche", "unbegrenzt", "beliebig viele"],
+                TIME_BOUND: ["innerhalb", "vor", "nach", "wenn", "sobald", "bis", "täglich", "wöchentlich", "monatlich", "sofort", "sekunde", "minute", "stunde"],
+            },
+        },
+        PERSONAS: {
+            GENERIC: ["benutzer", "nutzer", "anwender", "endnutzer", "endbenutzer", "admin", "administrator", "person", "personen", "jemand", "stakeholder", "system"],
+        },
+        NFR: {
+            PERFORMANCE: {
+                STATED: ["performance", "leistung", "antwortzeit", "ladezeit", "latenz", "durchsatz", "sekunden", "millisekunden", "gleichzeitige nutzer", "unter last"],
+                IMPLIED: ["dashboard", "massenimport", "stapelverarbeitung", "echtzeit", "spitzenlast", "tausende", "große dateien"],
+            },
+            SECURITY: {
+                STATED: ["sicherheit", "authentifiziert", "authentifizierung", "autorisiert", "autorisierung", "berechtigung", "berechtigungen", "verschlüsselt", "verschlüsselung", "zwei-faktor", "2fa", "mfa"],
+                IMPLIED: ["zahlung", "bezahlen", "bezahlung", "kasse", "kreditkarte", "kartendaten", "passwort", "kennwort", "anmelden", "anmeldung", "login", "bankkonto", "überweisung"],
+            },
+            PRIVACY: {
+                STATED: ["datenschutz", "dsgvo", "gdpr", "einwilligung", "anonymisiert", "pseudonymisiert", "aufbewahrungsfrist", "löschfrist", "maskiert", "geschwärzt"],
+                IMPLIED: ["personenbezogene daten", "persönliche daten", "e-mail-adresse", "telefonnummer", "wohnadresse", "geburtsdatum", "gesundheitsdaten", "patientendaten", "standortdaten", "kundendaten"],
+            },
+            ACCESSIBILITY: {
+                STATED: ["barrierefreiheit", "barrierefrei", "wcag", "bitv", "screenreader", "tastatur", "kontrast", "alternativtext", "aria"],
+                IMPLIED: ["diagramm", "grafik", "video", "audio", "captcha", "drag and drop", "drag & drop", "farblich markiert", "farbcodiert"],
+            },
+            AUDITABILITY: {
+                STATED: ["audit", "audit-trail", "audit-log", "revisionssicher", "nachvollziehbar", "protokolliert", "änderungshistorie"],
+                IMPLIED: ["genehmigen", "genehmigung", "freigabe", "freigeben", "erstattung", "rechnung", "überschreiben", "ausbuchen"],
+            },
+            AVAILABILITY: {
+                STATED: ["verfügbarkeit", "uptime", "ausfallzeit", "sla", "failover", "ausfall", "offline", "24/7"],
+                IMPLIED: ["kasse", "buchung", "notfall", "geschäftskritisch", "rund um die uhr"],
+            },
+        },
+    },
+    MESSAGES: {
+        "category.excellent.label": "✅ Ausgezeichnet – bereit für die Entwicklung",
+        "category.excellent.summary": "Die Story ist gut formuliert, klar und erfüllt alle INVEST-Kriterien.",
+        "category.at-standard.label": "⚠️ Erwarteter Standard – kleinere Nacharbeit nötig",
+        "category.at-standard.summary": "Weitgehend bereit, mit kleinen Lücken, die sich schnell schließen lassen.",
+        "category.requires-improvement.label": "❗ Verbesserung nötig – muss verfeinert werden",
+        "category.requires-improvement.summary": "Mehrere Probleme. Ohne Überarbeitung nicht bereit für die Entwicklung.",
+        "category.not-ready.label": "🚫 Nicht bereit – grundlegend unvollständig",
+        "category.not-ready.summary": "Wesentliche Bestandteile fehlen. Eine grundlegende Überarbeitung ist nötig.",
+
+        "format.matched": "Die Story folgt dem Standardformat 'Als [Rolle] möchte ich [Ziel], damit [Nutzen]'.",
+        "format.notMatched": "Die Story folgt nicht dem Format 'Als [Rolle] möchte ich [Ziel], damit [Nutzen]'. Das Format stellt sicher, dass Rolle, Handlung und Nutzen klar sind.",
+        "clarity.short": "Die Story ist sehr kurz. Stellen Sie sicher, dass sie ausreichend detailliert ist.",
+        "clarity.ambiguous": "Vermeiden Sie mehrdeutige Begriffe wie {terms}. Seien Sie konkret.",
+        "clarity.clear": "Die Formulierung ist weitgehend klar.",
+        "ac.missing": "Es fehlen Akzeptanzkriterien. Klare, testbare Kriterien sind unverzichtbar. Verwenden Sie zum Beispiel das Format 'Angenommen/Wenn/Dann'.",
+        "ac.provided": "Akzeptanzkriterien vorhanden ({count} Kriterien gefunden). Stellen Sie sicher, dass sie konkret und testbar sind.",
+        "ac.notTestable": "Einige Kriterien sind möglicherweise schwer zu testen; formulieren Sie sie zum Beispiel mit 'Prüfen, dass ...'.",
+        "ac.structuralIssues": "{count} strukturelle(s) Problem(e) in den Gherkin-Szenarien gefunden.",
+        "ac.empty": "Der Abschnitt für Akzeptanzkriterien ist vorhanden, aber leer. Bitte definieren Sie klare, testbare Akzeptanzkriterien.",
+        "ac.scenarioFinding": "Szenario \"{name}\" (Zeile {line}): {message}",
+
+        "invest.independent": "Unabhängig",
+        "invest.negotiable": "Verhandelbar",
+        "invest.valuable": "Wertvoll",
+        "invest.estimable": "Schätzbar",
+        "invest.small": "Klein",
+        "invest.testable": "Testbar",
+        "invest.status.meets": "✅ Erfüllt",
+        "invest.status.partiallyMeets": "⚠️ Teilweise erfüllt",
+        "invest.status.doesNotMeet": "❌ Nicht erfüllt",
+        "independent.dependencyWording": "Die Formulierung deutet auf Abhängigkeiten hin ({terms}). Klären Sie, ob die Story ohne externe Blocker umgesetzt werden kann.",
+        "independent.assumed": "Die Story scheint unabhängig umsetzbar zu sein. Prüfen Sie trotzdem mit dem Team, ob es versteckte Abhängigkeiten gibt.",
+        "negotiable.technical": "Die Story gibt möglicherweise zu viele technische Details vor ({terms}). Konzentrieren Sie sich auf den Bedarf der Nutzer und überlassen Sie das 'Wie' dem Team.",
+        "negotiable.open": "Die Story beschreibt das 'Was' und nicht das 'Wie'. Das lässt Raum, die beste Umsetzung gemeinsam zu finden.",
+        "valuable.clear": "Der Nutzen scheint klar: '{value}'.",
+        "valuable.unclear": "Der Teil 'damit [Nutzen]' fehlt oder ist unklar. Der Nutzen für die Anwender oder das Unternehmen muss genannt werden, um den Aufwand zu rechtfertigen.",
+        "valuable.unclearPersona": "Außerdem ist unklar, wer profitiert: {message}",
+        "estimable.yes": "Mit einem klaren Ziel und Akzeptanzkriterien sollte das Team die Story schätzen können.",
+        "estimable.no": "Die Story oder ihre Akzeptanzkriterien sind möglicherweise zu vage oder fehlen, was das Schätzen erschwert. Mehr Details helfen.",
+        "small.large": "Die Story oder die Zahl ihrer Akzeptanzkriterien scheint groß. Möglicherweise ist es ein 'Epic', das in kleinere, wertvolle Teile zerlegt werden sollte, die in einen Sprint passen.",
+        "small.ok": "Die Story hat eine angemessene Größe und sollte in einem Sprint umsetzbar sein.",
+        "testable.noCriteria": "Ohne klare Akzeptanzkriterien lässt sich die Testbarkeit nicht beurteilen. Eine Story ist nicht 'fertig', wenn sie nicht getestet werden kann.",
+        "testable.provided": "Akzeptanzkriterien sind vorhanden. Um gut testbar zu sein, müssen sie eindeutig sein und ein klares Bestanden/Nicht bestanden erlauben.",
+        "testable.unclearCount": "{count} Kriterium/Kriterien könnte(n) klarer sein; 'Prüfen, dass ...' oder 'Angenommen/Wenn/Dann' helfen.",
+
+        "backlog.cycle": "Teil einer zirkulären Abhängigkeit zwischen {ids}. Lösen Sie den Zyklus auf, bevor diese Stories eingeplant werden.",
+        "backlog.dependsOn": "Hängt von {ids} ab; diese müssen zuerst geliefert werden.",
+        "backlog.duplicate": "Fast ein Duplikat von {id} ({similarity}% ähnliches Ziel und ähnlicher Nutzen). Führen Sie die Stories zusammen oder machen Sie den Unterschied deutlich.",
+        "backlog.conflict": "Die Akzeptanzkriterien widersprechen {id}: \"{criterion}\" gegenüber \"{otherCriterion}\".",
+        "backlog.noReferencesButWording": "Es wurden keine Verweise auf die {count} anderen Stories im Backlog gefunden, aber die Formulierung deutet auf eine Abhängigkeit hin ({terms}). Klären Sie, ob sie durch Arbeit außerhalb dieses Backlogs blockiert wird.",
+        "backlog.noRelations": "Es wurden keine Verweise auf, Duplikate von oder Widersprüche zu den {count} anderen Stories im Backlog gefunden.",
+
+        "inferred.happyPath": "Angenommen der Nutzer ist auf der entsprechenden Seite, wenn er versucht, {goal}, dann tritt das erwartete Ergebnis ein.",
+        "inferred.invalidInput": "Angenommen der Nutzer macht ungültige Eingaben für '{goal}', wenn er absendet, dann wird eine klare Fehlermeldung angezeigt.",
+        "inferred.logged": "Prüfen, dass die Aktion '{goal}' für Auswertungen protokolliert wird.",
+        "decomposition.generic": "Zerlegen Sie die Story zum Beispiel nach einzelnen Akzeptanzkriterien oder nach Schritten im Arbeitsablauf. Jede neue Story sollte weiterhin einen Nutzen liefern.",
+        "improvement.format": "Formulieren Sie die Story im Standardformat: \"Als [Rolle] möchte ich [Ziel], damit [Nutzen]\". So sind alle wesentlichen Bestandteile enthalten.",
+        "improvement.persona": "Schreiben Sie die Story für die Katalog-Persona '{suggestion}' statt für '{persona}'.",
+        "improvement.glossary": "Verwenden Sie den Glossarbegriff '{canonical}' statt '{term}'.",
+        "improvement.testable": "Einige Akzeptanzkriterien könnten konkreter sein. Formate wie 'Angenommen/Wenn/Dann' oder 'Prüfen, dass ...' machen sie leichter testbar.",
+        "query.acMissing": "Es fehlen Akzeptanzkriterien. Welche konkreten Bedingungen müssen erfüllt sein, damit die Story als fertig gilt?",
+        "query.value": "Welchen konkreten Nutzen liefert diese Story der Persona oder dem Unternehmen? Ein klarer Nutzen hilft bei der Priorisierung.",
+        "query.persona": "Wer genau ist '{persona}'? Mit einer konkreten Persona lassen sich Nutzen und Akzeptanzkriterien besser beurteilen.",
+        "query.glossaryUndefined": "Das Glossar definiert {terms} nicht. Ergänzen Sie eine Definition, damit das Team dieselbe Bedeutung verwendet.",
+        "query.large": "Die Story scheint groß. Lässt sie sich in kleinere Teile zerlegen, die jeweils in einem Sprint fertig werden?",
+
+        "persona.catalogued": "Die Persona '{name}' ist im Persona-Katalog.",
+        "persona.alias": "'{persona}' ist ein Alias der Katalog-Persona '{name}'. Verwenden Sie den kanonischen Namen, damit das Backlog einheitlich bleibt.",
+        "persona.generic": "'{persona}' ist eine generische Persona. Nennen Sie die konkrete Rolle oder Nutzergruppe, die profitiert.",
+        "persona.unknown": "'{persona}' ist nicht im Persona-Katalog. Verwenden Sie eine Katalog-Persona oder nehmen Sie diese in den Katalog auf.",
+        "persona.suggestion": "Meinten Sie '{suggestion}'?",
+        "persona.uncatalogued": "Die Story ist für '{persona}' geschrieben.",
+
+        "finding.ambiguousStory": "'{term}' ist mehrdeutig. Geben Sie genau an, was gefordert ist.",
+        "finding.technical": "'{term}' schreibt vor, wie die Story umzusetzen ist. Beschreiben Sie den Bedarf der Nutzer und überlassen Sie die Umsetzung dem Team.",
+        "finding.dependency": "'{term}' deutet auf eine Abhängigkeit hin. Prüfen Sie, ob die Story für sich allein geliefert werden kann.",
+        "finding.ambiguousCriterion": "'{term}' ist mehrdeutig. Ein Akzeptanzkriterium muss ohne Interpretation bestanden oder nicht bestanden sein.",
+        "finding.vagueOutcome": "'{term}' ist kein beobachtbares Ergebnis. Geben Sie an, was der Nutzer sieht oder was das System festhält.",
+        "finding.untestableCriterion": "Dieses Kriterium hat keine klare Bestanden/Nicht-bestanden-Bedingung. Formulieren Sie es als 'Prüfen, dass ...' oder 'Angenommen/Wenn/Dann'.",
+        "finding.glossarySynonym": "'{term}' ist ein Synonym des Glossarbegriffs '{canonical}'. Verwenden Sie '{canonical}', damit das Backlog einheitlich bleibt.",
+        "finding.glossaryForbidden": "'{term}' soll nicht verwendet werden. Der Glossarbegriff ist '{canonical}'.",
+        "finding.glossaryUndefined": "'{term}' sieht wie ein Fachbegriff aus, steht aber nicht im Glossar. Definieren Sie ihn oder verwenden Sie einen Glossarbegriff.",
+
+        "gherkin.missingThen": "Das Szenario hat keinen Dann-Schritt und damit kein erwartetes Ergebnis, das geprüft werden kann.",
+        "gherkin.missingWhen": "Das Szenario hat keinen Wenn-Schritt, der die getestete Aktion beschreibt.",
+        "gherkin.multipleWhen": "Das Szenario hat {count} Wenn-Schritte. Testen Sie ein Verhalten pro Szenario und verschieben Sie den Rest in eigene Szenarien.",
+        "gherkin.thenWithoutOutcome": "\"{step}\" beschreibt kein beobachtbares Ergebnis. Geben Sie an, was der Nutzer sieht oder was das System festhält.",
+        "gherkin.missingExamples": "Der Szenariogrundriss hat keine Beispiele-Tabelle.",
+        "gherkin.undefinedPlaceholder": "Der Platzhalter <{placeholder}> ist keine Spalte der Beispiele-Tabelle.",
+
+        "framework.noCriteria": "Keine Akzeptanzkriterien zu bewerten.",
+        "smart.specific": "Spezifisch",
+        "smart.specific.passed": "Alle {count} Kriterien nennen ein konkretes Verhalten.",
+        "smart.specific.failed": "{failed} von {count} Kriterien sind zu kurz oder mehrdeutig, z. B. \"{example}\".",
+        "smart.measurable": "Messbar",
+        "smart.measurable.passed": "Alle {count} Kriterien haben ein beobachtbares oder quantifiziertes Ergebnis.",
+        "smart.measurable.failed": "{failed} von {count} Kriterien haben kein beobachtbares oder quantifiziertes Ergebnis, z. B. \"{example}\".",
+        "smart.achievable": "Erreichbar",
+        "smart.achievable.passed": "Alle {count} Kriterien vermeiden absolute Versprechen.",
+        "smart.achievable.failed": "{failed} von {count} Kriterien versprechen Absolutes, das nicht garantiert werden kann (z. B. 'immer', '100%'), z. B. \"{example}\".",
+        "smart.relevant": "Relevant",
+        "smart.relevant.passed": "Alle {count} Kriterien beziehen sich auf das Ziel der Story.",
+        "smart.relevant.failed": "{failed} von {count} Kriterien erwähnen nichts aus Ziel oder Nutzen der Story, z. B. \"{example}\".",
+        "smart.time-bound": "Terminiert",
+        "smart.time-bound.passed": "Alle {count} Kriterien sagen, wann oder wie schnell das Ergebnis eintritt.",
+        "smart.time-bound.failed": "{failed} von {count} Kriterien sagen nicht, wann oder wie schnell das Ergebnis eintritt, z. B. \"{example}\".",
+        "threeCs.card": "Karte",
+        "threeCs.card.format": "Die Story nennt Rolle, Ziel und Nutzen",
+        "threeCs.card.noFormat": "Die Story folgt nicht dem Format 'Als ... möchte ich ..., damit ...'",
+        "threeCs.card.concise": " und ist kurz genug für eine Karte.",
+        "threeCs.card.long": ", und mit {length} Zeichen ist sie zu lang für eine Karte.",
+        "threeCs.conversation": "Gespräch",
+        "threeCs.conversation.open": "Die Story lässt das 'Wie' für die Diskussion im Team offen.",
+        "threeCs.conversation.prescriptive": "Die Story gibt technische Details vor und verkürzt damit das Gespräch.",
+        "threeCs.conversation.clear": "Ihre Formulierung gibt dem Gespräch einen klaren Ausgangspunkt.",
+        "threeCs.conversation.unclear": "Mehrdeutige oder vage Formulierungen müssen zuerst im Gespräch geklärt werden.",
+        "threeCs.confirmation": "Bestätigung",
+        "threeCs.confirmation.none": "Es gibt keine Akzeptanzkriterien, die bestätigen, dass die Story fertig ist.",
+        "threeCs.confirmation.testable": "Testbare Akzeptanzkriterien bestätigen, wann die Story fertig ist.",
+        "threeCs.confirmation.notTestable": "Akzeptanzkriterien sind vorhanden, aber nicht alle testbar.",
+        "dor.found": "In der Story oder ihren Akzeptanzkriterien gefunden.",
+        "dor.notFound": "Nicht gefunden. Erwähnen Sie es in der Story oder ihren Akzeptanzkriterien (z. B. '{keyword}').",
+        "nfr.performance": "Performance",
+        "nfr.performance.criterion": "Prüfen, dass die Antwortzeit bei der erwarteten Spitzenlast für 95 % der Anfragen unter 2 Sekunden liegt.",
+        "nfr.security": "Sicherheit",
+        "nfr.security.criterion": "Prüfen, dass nur authentifizierte Nutzer mit der nötigen Berechtigung die Aktion ausführen können und alle anderen mit einer Meldung „Zugriff verweigert“ abgewiesen werden.",
+        "nfr.privacy": "Datenschutz",
+        "nfr.privacy.criterion": "Prüfen, dass personenbezogene Daten nur mit Einwilligung des Nutzers verarbeitet und nach der vereinbarten Aufbewahrungsfrist gelöscht oder anonymisiert werden.",
+        "nfr.accessibility": "Barrierefreiheit",
+        "nfr.accessibility.criterion": "Prüfen, dass die Funktion mit Tastatur und Screenreader bedienbar ist und WCAG 2.1 Stufe AA erfüllt.",
+        "nfr.auditability": "Nachvollziehbarkeit",
+        "nfr.auditability.criterion": "Prüfen, dass jede Änderung mit Nutzer, Zeitpunkt sowie altem und neuem Wert im Audit-Log protokolliert wird.",
+        "nfr.availability": "Verfügbarkeit",
+        "nfr.availability.criterion": "Prüfen, dass die Funktion monatlich zu 99,9 % verfügbar ist und Nutzer bei einem Ausfall eine verständliche Meldung sehen und es erneut versuchen können.",
+        "nfr.query.stated": "{label}: Die Story erwähnt {terms}, aber kein Akzeptanzkriterium macht es messbar. Was ist der Zielwert?",
+        "nfr.query.implied": "{label}: Kein Akzeptanzkriterium deckt die Anforderungen ab, die sich aus {terms} ergeben. Was wird erwartet?",
+
+        "rewrite.withPersona": "Als {persona} möchte ich {goal}",
+        "rewrite.withoutPersona": "Ich möchte {goal}",
+        "rewrite.withValue": "{story}, damit {value}",
+        "rewrite.personaPlaceholder": "[Rolle]",
+        "rewrite.valuePlaceholder": "[Nutzen beschreiben]",
+        "rewrite.testablePrefix": "Prüfen, dass",
+        "rewrite.change.format": "Die Story wurde in das Format 'Als [Rolle] möchte ich [Ziel], damit [Nutzen]' gebracht.",
+        "rewrite.change.formatUnparsed": "Die Story folgt nicht dem Format 'Als [Rolle] möchte ich [Ziel], damit [Nutzen]' und konnte nicht automatisch umgestellt werden. Formulieren Sie sie in diesem Format.",
+        "rewrite.change.personaPlaceholder": "Platzhalter {placeholder} hinzugefügt. Nennen Sie die Nutzer, die von der Story profitieren.",
+        "rewrite.change.personaAlias": "'{persona}' durch den Katalognamen '{canonical}' ersetzt.",
+        "rewrite.change.valuePlaceholder": "Platzhalter \"damit {placeholder}\" hinzugefügt. Nennen Sie, warum die Persona das braucht.",
+        "rewrite.change.ambiguous": "Mehrdeutige Begriffe ersetzt oder entfernt: {terms}.",
+        "rewrite.change.technicalMoved": "Technische Details aus der Story in die technischen Hinweise verschoben, damit das Team über die Umsetzung entscheiden kann.",
+        "rewrite.change.technicalUnresolved": "Die Story nennt weiterhin {terms}. Formulieren Sie sie danach, was die Nutzer brauchen.",
+        "rewrite.change.acInferred": "Abgeleitete Akzeptanzkriterien als Ausgangspunkt hinzugefügt. Bestätigen und verfeinern Sie sie mit dem Team.",
+        "rewrite.change.acReworded": "Kriterien als \"{prefix} ...\" umformuliert, damit sie testbar sind: {count}.",
+        "rewrite.change.acAmbiguous": "Mehrdeutige Begriffe in den Akzeptanzkriterien ersetzt oder entfernt: {terms}.",
+        "feature.narrativePersona": "Als {persona}",
+        "feature.narrativeGoal": "möchte ich {goal}",
+        "feature.narrativeValue": "damit {value}",
+        "feature.inferredNote": "Diese Szenarien wurden aus der Story abgeleitet. Prüfen Sie sie, bevor Sie sich darauf verlassen.",
+        "feature.todoSteps": "Die Angenommen/Wenn-Schritte ergänzen, die zu diesem Ergebnis führen.",
+        "report.title": "Bericht zur Verfeinerung der User Story",
+        "report.generated": "Erstellt am {timestamp} mit dem Regelprofil '{profile}'.",
+        "report.halted": "### 🚫 Analyse abgebrochen\n**Die User Story scheint zu fehlen.**\nBitte geben Sie die Story ein, die analysiert werden soll. Eine gute Story sieht zum Beispiel so aus:\n*\"Als [Art von Nutzer] möchte ich [eine Aktion ausführen], damit [ich ein Ziel erreiche].\"*",
+        "report.overallScore": "Gesamtbewertung der Umsetzungsreife: {score}/100",
+        "report.story": "Story",
+        "report.acceptanceCriteria": "Akzeptanzkriterien",
+        "report.overallReadiness": "Umsetzungsreife",
+        "report.readinessRating": "Bewertung",
+        "report.section": "Bereich",
+        "report.score": "Punkte",
+        "report.analysisEngine": "Analyseverfahren",
+        "report.llmSkipped": "{engine}; das LLM wurde übersprungen: {reason}",
+        "report.clarity": "Klarheit und Anforderungen",
+        "report.clarityTotal": "Klarheit & Anforderungen",
+        "report.formatCheck": "Formatprüfung",
+        "report.clarityAmbiguity": "Klarheit & Mehrdeutigkeit",
+        "report.check": "Prüfung",
+        "report.feedback": "Rückmeldung",
+        "report.invest": "Bewertung nach INVEST",
+        "report.criterion": "Kriterium",
+        "report.status": "Status",
+        "report.justification": "Begründung",
+        "report.queries": "Offene Fragen & Widersprüche",
+        "report.noQueries": "Keine wesentlichen offenen Fragen oder Widersprüche.",
+        "report.noQueriesPraise": "Keine wesentlichen offenen Fragen oder Widersprüche. Gut gemacht!",
+        "report.recommendations": "Empfehlungen",
+        "report.improvements": "Verbesserungsvorschläge",
+        "report.noImprovements": "Die Story ist in gutem Zustand. Keine wesentlichen Verbesserungen nötig.",
+        "report.inferredCriteria": "Abgeleitete Akzeptanzkriterien (zur Bestätigung)",
+        "report.inferredCriteriaIntro": "Als Ausgangspunkt hier einige mögliche Akzeptanzkriterien. Bitte prüfen und verfeinern Sie sie",
+        "report.decomposition": "Vorschläge zur Zerlegung der Story",
+        "report.decompositionIntro": "Die Story scheint etwas groß. Zerlegen Sie sie nach einem dieser Muster:",
+        "report.sharedCriteria": "Kriterien für jede Teil-Story",
+        "report.frameworks": "Qualitäts-Frameworks",
+        "report.met": "Erfüllt",
+        "report.nfr": "Nicht-funktionale Anforderungen",
+        "report.nfrMissing": "Diese nicht-funktionalen Anforderungen ergeben sich aus der Story, werden aber von keinem Akzeptanzkriterium abgedeckt:",
+        "report.nfrStated": "Erwähnt als {terms}.",
+        "report.nfrImplied": "Impliziert durch {terms}.",
+        "report.nfrCovered": "Von den Akzeptanzkriterien abgedeckt: {labels}.",
+        "report.suggestedCriterion": "Vorgeschlagenes Kriterium",
+        "report.coaching": "Coaching",
+        "report.rewrittenStory": "Überarbeitete Story",
+        "report.rewrittenCriteria": "Überarbeitete Akzeptanzkriterien",
+    },
+};
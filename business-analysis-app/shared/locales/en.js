@@ -0,0 +1,316 @@
+/**
+ * @fileoverview English locale pack. English is the default language of the rules, and
+ * its messages are the fallback for any message another pack does not translate.
+ */
+
+module.exports = {
+    id: "en",
+    name: "English",
+    // Frequent words that tell the language apart from the other packs (see detectLocale).
+    DETECTION: ["the", "and", "i", "want", "that", "to", "of", "is", "with", "my", "be", "can", "when", "then", "given", "should", "it", "are", "for", "this"],
+    // Gherkin keywords, as in the official Gherkin dialects (see gherkinParser.js).
+    GHERKIN: {
+        FEATURE: ["Feature", "Business Need", "Ability"],
+        BACKGROUND: ["Background"],
+        SCENARIO: ["Scenario", "Example"],
+        OUTLINE: ["Scenario Outline", "Scenario Template"],
+        EXAMPLES: ["Examples", "Scenarios"],
+        GIVEN: ["Given"],
+        WHEN: ["When"],
+        THEN: ["Then"],
+        AND: ["And"],
+        BUT: ["But"],
+    },
+    // The language-specific rules, with the CONFIG key names.
+    RULES: {
+        STORY_FORMAT_REGEX: /As an? (.*), I want (.*), so that (.*)/i,
+        KEYWORDS: {
+            AMBIGUOUS: ["should", "could", "might", "etc.", "and/or"],
+            DEPENDENCIES: ["dependent on", "after", "following", "once"],
+            TECHNICAL: ["database", "api endpoint", "react component", "algorithm", "sql"],
+            TESTABLE_AC: ["verify that", "ensure that", "given", "when", "then", "confirm that"],
+            NEGATIONS: ["not", "no", "never", "cannot", "can't", "won't", "without", "unable"],
+            VAGUE_OUTCOMES: ["it works", "works as expected", "as expected", "expected outcome", "works correctly", "behaves correctly", "is handled", "properly", "no issues"],
+        },
+        // Keyword lists for the story-splitting patterns (see storySplitting.js).
+        SPLITTING: {
+            WORKFLOW_VERBS: ["search", "browse", "find", "select", "choose", "compare", "review", "add", "create", "edit", "update", "remove", "delete", "save", "share", "send", "submit", "confirm", "approve", "reject", "pay", "checkout", "book", "order", "cancel", "upload", "download", "import", "export", "print", "track", "schedule", "assign", "filter", "sort", "view", "sign", "log", "register", "receive", "notify"],
+            CRUD_TRIGGERS: ["manage", "maintain", "administer", "administrate", "crud"],
+            CRUD_OPERATIONS: {
+                create: ["add", "create", "new", "register"],
+                read: ["view", "list", "see", "display", "search"],
+                update: ["edit", "update", "change", "modify", "rename"],
+                delete: ["delete", "remove", "archive"],
+            },
+            BUSINESS_RULE: ["if ", "unless", "only if", "only when", "eligible", "rule", "limit", "exceeds", "at least", "at most", "maximum", "minimum", "more than", "less than"],
+            DATA_VARIANTS: ["csv", "pdf", "excel", "xml", "json", "credit card", "debit card", "paypal", "bank transfer", "currency", "currencies", "language"],
+            PLATFORMS: ["web", "website", "mobile", "ios", "android", "desktop", "tablet", "email", "sms", "kiosk"],
+            ERROR_PATH: ["error", "invalid", "fail", "reject", "declined", "exception", "timeout", "not found", "unauthori", "denied", "incorrect"],
+            PERFORMANCE: ["performance", "response time", "load time", "concurrent", "throughput", "under load", "latency", "scalab"],
+        },
+        REWRITE: {
+            AMBIGUOUS_REPLACEMENTS: { "should": "must", "could": "can", "might": "will", "etc.": "", "and/or": "and" },
+            // A technical detail is moved out of the story together with the preposition that introduces it.
+            TECHNICAL_PREPOSITIONS: ["using", "via", "with", "in", "into", "through", "on", "from", "by", "against"],
+        },
+        FRAMEWORKS: {
+            SMART: {
+                MEASURABLE: ["second", "minute", "hour", "percent", "%", "at least", "at most", "maximum", "minimum", "up to", "exactly", "displayed", "shown", "receives", "returns"],
+                UNACHIEVABLE: ["always", "never fail", "100%", "instantly", "zero downtime", "every possible", "unlimited", "any amount"],
+                TIME_BOUND: ["within", "before", "after", "when", "once", "until", "by the", "daily", "weekly", "monthly", "immediately", "second", "minute", "hour"],
+            },
+        },
+        PERSONAS: {
+            GENERIC: ["user", "users", "end user", "admin", "administrator", "person", "people", "someone", "somebody", "stakeholder", "system"],
+        },
+        NFR: {
+            PERFORMANCE: {
+                STATED: ["performance", "response time", "load time", "latency", "throughput", "seconds", "milliseconds", "concurrent users", "under load"],
+                IMPLIED: ["dashboard", "bulk", "real-time", "real time", "peak", "thousands of", "millions of", "large files"],
+            },
+            SECURITY: {
+                STATED: ["security", "secure", "securely", "authenticated", "authentication", "authorized", "authorization", "permission", "permissions", "encrypted", "encryption", "two-factor", "2fa", "mfa"],
+                IMPLIED: ["payment", "checkout", "credit card", "card details", "password", "login", "log in", "sign in", "bank account", "transfer money"],
+            },
+            PRIVACY: {
+                STATED: ["privacy", "gdpr", "consent", "anonymized", "anonymised", "pseudonymized", "retention", "right to be forgotten", "masked", "redacted"],
+                IMPLIED: ["personal data", "personal details", "personal information", "email address", "phone number", "home address", "date of birth", "health data", "health record", "medical", "current location", "customer data"],
+            },
+            ACCESSIBILITY: {
+                STATED: ["accessibility", "accessible", "wcag", "screen reader", "keyboard", "contrast", "alt text", "aria"],
+                IMPLIED: ["chart", "graph", "video", "audio", "captcha", "drag and drop", "drag-and-drop", "colour-coded", "color-coded"],
+            },
+            AUDITABILITY: {
+                STATED: ["audit", "audit trail", "audit log", "auditable", "traceable", "change history"],
+                IMPLIED: ["approve", "approval", "refund", "invoice", "override", "write off", "write-off", "sign off", "sign-off"],
+            },
+            AVAILABILITY: {
+                STATED: ["availability", "uptime", "downtime", "sla", "failover", "outage", "offline", "24/7"],
+                IMPLIED: ["checkout", "booking", "emergency", "mission-critical", "business-critical", "around the clock"],
+            },
+        },
+    },
+    // Analysis texts. `{name}` is replaced with the named parameter.
+    MESSAGES: {
+        // Readiness categories, by category ID.
+        "category.excellent.label": "✅ Excellent – Ready for Development",
+        "category.excellent.summary": "Story is well-formed, clear, and meets all INVEST criteria.",
+        "category.at-standard.label": "⚠️ At Standard Expected – Minor Refinement Needed",
+        "category.at-standard.summary": "Mostly ready with small gaps that can be addressed quickly.",
+        "category.requires-improvement.label": "❗ Requires Improvement – Needs Refinement",
+        "category.requires-improvement.summary": "Multiple issues present. Not ready for development without rework.",
+        "category.not-ready.label": "🚫 Not Ready – Fundamentally Incomplete",
+        "category.not-ready.summary": "Lacks essential components. Requires major revision.",
+
+        // Clarity & requirement analysis
+        "format.matched": "Story follows the standard 'As a [persona], I want [goal], so that [value]' format.",
+        "format.notMatched": "Story does not strictly follow the 'As a [persona], I want [goal], so that [value]' format. This helps ensure role, action, and benefit are clear.",
+        "clarity.short": "Story seems very short, ensure it's sufficiently detailed.",
+        "clarity.ambiguous": "Avoid ambiguous terms like {terms}. Be specific.",
+        "clarity.clear": "Language appears reasonably clear.",
+        "ac.missing": "Acceptance criteria are missing. Clear, testable ACs are essential. Consider using the 'Given/When/Then' format.",
+        "ac.provided": "Acceptance criteria provided ({count} criteria found). Ensure they are specific and testable.",
+        "ac.notTestable": "Some ACs may not be easily testable; consider phrasing with keywords like 'Verify that...'.",
+        "ac.structuralIssues": "{count} structural issue(s) found in the Gherkin scenarios.",
+        "ac.empty": "Acceptance criteria section is present but empty. Please define clear, testable acceptance criteria.",
+        "ac.scenarioFinding": "Scenario \"{name}\" (line {line}): {message}",
+
+        // INVEST
+        "invest.independent": "Independent",
+        "invest.negotiable": "Negotiable",
+        "invest.valuable": "Valuable",
+        "invest.estimable": "Estimable",
+        "invest.small": "Small",
+        "invest.testable": "Testable",
+        "invest.status.meets": "✅ Meets",
+        "invest.status.partiallyMeets": "⚠️ Partially Meets",
+        "invest.status.doesNotMeet": "❌ Does Not Meet",
+        "independent.dependencyWording": "Story may have dependencies based on its wording ({terms}). Clarify if it can be worked on without external blockers.",
+        "independent.assumed": "Assumed to be developable independently. It's good practice to review for hidden dependencies with the team.",
+        "negotiable.technical": "Story might be too prescriptive with technical details ({terms}). It's better to focus on user needs and let the team decide on the 'how'.",
+        "negotiable.open": "Story seems to describe 'what' not 'how', which is great. This allows for discussion on the best implementation.",
+        "valuable.clear": "Value proposition seems clear: '{value}'.",
+        "valuable.unclear": "The 'so that [value]' part of the story is missing or unclear. It's crucial to state the benefit to the user or business to justify the work.",
+        "valuable.unclearPersona": "It is also unclear who benefits: {message}",
+        "estimable.yes": "With a clear goal and acceptance criteria, the team should be able to estimate this story.",
+        "estimable.no": "The story or its acceptance criteria may be too vague or missing, which makes estimation difficult. Providing more detail will help.",
+        "small.large": "The story or its number of acceptance criteria seems large. This might be an 'epic' that should be broken down into smaller, valuable pieces to fit within a sprint.",
+        "small.ok": "Story appears to be a reasonable size and should be completable within a single sprint.",
+        "testable.noCriteria": "Testability cannot be assessed without clear acceptance criteria. A story isn't 'done' if it can't be tested.",
+        "testable.provided": "Acceptance criteria are provided. To be highly testable, they should be unambiguous and allow for clear pass/fail conditions.",
+        "testable.unclearCount": "{count} AC(s) could be clearer; using 'Verify that...' or 'Given/When/Then' helps.",
+
+        // Backlog relations (the Independent criterion across a backlog)
+        "backlog.cycle": "Part of a circular dependency between {ids}. Break the cycle before these stories can be planned.",
+        "backlog.dependsOn": "Depends on {ids}, which must be delivered first.",
+        "backlog.duplicate": "Near-duplicate of {id} ({similarity}% similar goal and value). Merge the stories or make the difference explicit.",
+        "backlog.conflict": "Acceptance criteria conflict with {id}: \"{criterion}\" vs. \"{otherCriterion}\".",
+        "backlog.noReferencesButWording": "No references to the other {count} stories in the backlog were found, but the wording suggests a dependency ({terms}). Clarify whether it is blocked by work outside this backlog.",
+        "backlog.noRelations": "No references to, duplicates of or conflicts with the other {count} stories in the backlog were found.",
+
+        // Queries and recommendations
+        "inferred.happyPath": "Given the user is on the relevant page, when they attempt to {action}, then the expected outcome occurs.",
+        "inferred.invalidInput": "Given the user provides invalid input for '{goal}', when they submit, then a clear error message is displayed.",
+        "inferred.logged": "Verify that the action to {action} is logged for analytics.",
+        "decomposition.generic": "Consider splitting the story by individual acceptance criteria or steps in the user workflow. Each new story should still provide value.",
+        "improvement.format": "Rephrase the story to fit the standard format: \"As a [persona], I want [goal], so that [value]\". This structure ensures all key components are present.",
+        "improvement.persona": "Write the story for the catalogue persona '{suggestion}' instead of '{persona}'.",
+        "improvement.glossary": "Use the glossary term '{canonical}' instead of '{term}'.",
+        "improvement.testable": "Some acceptance criteria could be more specific. Using formats like 'Given/When/Then' or 'Verify that...' can make them easier to test.",
+        "query.acMissing": "The acceptance criteria are missing. Could you define the specific conditions that must be met for this story to be considered complete?",
+        "query.value": "What is the specific value or benefit this story delivers to the persona or the business? A clear value statement helps prioritize the work.",
+        "query.persona": "Who exactly is '{persona}'? Naming the specific persona makes the value and the acceptance criteria easier to judge.",
+        "query.glossaryUndefined": "The glossary does not define {terms}. Add a definition so the team uses the same meaning.",
+        "query.large": "This story seems large. Is it possible to split it into smaller pieces that can be completed in a single sprint?",
+
+        // Personas
+        "persona.catalogued": "The persona '{name}' is in the persona catalogue.",
+        "persona.alias": "'{persona}' is an alias of the catalogue persona '{name}'. Use the canonical name so the backlog stays consistent.",
+        "persona.generic": "'{persona}' is a generic persona. Name the specific role or user group that benefits.",
+        "persona.unknown": "'{persona}' is not in the persona catalogue. Use a catalogue persona or add this one to the catalogue.",
+        "persona.suggestion": "Did you mean '{suggestion}'?",
+        "persona.uncatalogued": "The story is written for '{persona}'.",
+
+        // Text findings
+        "finding.ambiguousStory": "'{term}' is ambiguous. State exactly what is required.",
+        "finding.technical": "'{term}' prescribes how to build the story. Describe the user need and leave the implementation to the team.",
+        "finding.dependency": "'{term}' suggests a dependency. Check whether the story can be delivered on its own.",
+        "finding.ambiguousCriterion": "'{term}' is ambiguous. An acceptance criterion must pass or fail without interpretation.",
+        "finding.vagueOutcome": "'{term}' is not an observable outcome. State what the user sees or what the system records.",
+        "finding.untestableCriterion": "This criterion has no clear pass/fail condition. Phrase it as 'Verify that...' or 'Given/When/Then'.",
+        "finding.glossarySynonym": "'{term}' is a synonym of the glossary term '{canonical}'. Use '{canonical}' so the backlog stays consistent.",
+        "finding.glossaryForbidden": "'{term}' must not be used. The glossary term is '{canonical}'.",
+        "finding.glossaryUndefined": "'{term}' looks like a domain term but is not in the glossary. Define it or use a glossary term.",
+
+        // Gherkin structure
+        "gherkin.missingThen": "Scenario has no Then step, so there is no expected outcome to verify.",
+        "gherkin.missingWhen": "Scenario has no When step describing the action under test.",
+        "gherkin.multipleWhen": "Scenario has {count} When steps. Test one behaviour per scenario and split the rest into their own scenarios.",
+        "gherkin.thenWithoutOutcome": "\"{step}\" does not describe an observable outcome. State what the user sees or what the system records.",
+        "gherkin.missingExamples": "Scenario Outline has no Examples table.",
+        "gherkin.undefinedPlaceholder": "Placeholder <{placeholder}> is not a column in the Examples table.",
+
+        // Quality frameworks
+        "framework.noCriteria": "No acceptance criteria to assess.",
+        "smart.specific": "Specific",
+        "smart.specific.passed": "All {count} criteria name a concrete behavior.",
+        "smart.specific.failed": "{failed} of {count} criteria are too short or use ambiguous terms, e.g. \"{example}\".",
+        "smart.measurable": "Measurable",
+        "smart.measurable.passed": "All {count} criteria have an observable or quantified outcome.",
+        "smart.measurable.failed": "{failed} of {count} criteria have no observable or quantified outcome, e.g. \"{example}\".",
+        "smart.achievable": "Achievable",
+        "smart.achievable.passed": "All {count} criteria avoid absolute promises.",
+        "smart.achievable.failed": "{failed} of {count} criteria promise absolutes that cannot be guaranteed (e.g. 'always', '100%'), e.g. \"{example}\".",
+        "smart.relevant": "Relevant",
+        "smart.relevant.passed": "All {count} criteria relate to the story's goal.",
+        "smart.relevant.failed": "{failed} of {count} criteria do not mention anything from the story's goal or value, e.g. \"{example}\".",
+        "smart.time-bound": "Time-bound",
+        "smart.time-bound.passed": "All {count} criteria say when or how fast the outcome happens.",
+        "smart.time-bound.failed": "{failed} of {count} criteria do not say when or how fast the outcome happens, e.g. \"{example}\".",
+        "threeCs.card": "Card",
+        "threeCs.card.format": "The story names the persona, goal and value",
+        "threeCs.card.noFormat": "The story does not follow the 'As a ..., I want ..., so that ...' format",
+        "threeCs.card.concise": " and is short enough for a card.",
+        "threeCs.card.long": ", and at {length} characters it is too long for a card.",
+        "threeCs.conversation": "Conversation",
+        "threeCs.conversation.open": "The story leaves the 'how' open for the team to discuss.",
+        "threeCs.conversation.prescriptive": "The story prescribes technical details, which cuts the conversation short.",
+        "threeCs.conversation.clear": "Its wording gives the conversation a clear starting point.",
+        "threeCs.conversation.unclear": "Ambiguous or vague wording needs to be resolved in conversation first.",
+        "threeCs.confirmation": "Confirmation",
+        "threeCs.confirmation.none": "There are no acceptance criteria to confirm the story is done.",
+        "threeCs.confirmation.testable": "Testable acceptance criteria confirm when the story is done.",
+        "threeCs.confirmation.notTestable": "Acceptance criteria exist but are not all testable.",
+        "dor.found": "Found in the story or its acceptance criteria.",
+        "dor.notFound": "Not found. Mention it in the story or its acceptance criteria (e.g. '{keyword}').",
+
+        // Non-functional requirements, by category ID
+        "nfr.performance": "Performance",
+        "nfr.performance.criterion": "Verify that the response time is under 2 seconds for 95% of requests at the expected peak load.",
+        "nfr.security": "Security",
+        "nfr.security.criterion": "Verify that only authenticated users with the required permission can perform the action, and that everyone else is refused with an access denied message.",
+        "nfr.privacy": "Privacy",
+        "nfr.privacy.criterion": "Verify that personal data is only processed with the user's consent and is deleted or anonymized after the agreed retention period.",
+        "nfr.accessibility": "Accessibility",
+        "nfr.accessibility.criterion": "Verify that the feature can be used with a keyboard and a screen reader and meets WCAG 2.1 level AA.",
+        "nfr.auditability": "Auditability",
+        "nfr.auditability.criterion": "Verify that every change is recorded in the audit log with the user, the time and the values before and after.",
+        "nfr.availability": "Availability",
+        "nfr.availability.criterion": "Verify that the feature is available 99.9% of the time each month, and that users see a clear message and can retry when it is not.",
+        "nfr.query.stated": "{label}: the story mentions {terms}, but no acceptance criterion makes it measurable. What is the target?",
+        "nfr.query.implied": "{label}: no acceptance criterion covers the requirements implied by {terms}. What is expected?",
+
+        // Story rewrite
+        "rewrite.withPersona": "As {persona}, I want {goal}",
+        "rewrite.withoutPersona": "I want {goal}",
+        "rewrite.withValue": "{story}, so that {value}",
+        "rewrite.personaPlaceholder": "[persona]",
+        "rewrite.valuePlaceholder": "[describe the benefit]",
+        "rewrite.testablePrefix": "Verify that",
+        "rewrite.change.format": "Restructured the story into the 'As a [persona], I want [goal], so that [value]' format.",
+        "rewrite.change.formatUnparsed": "The story does not follow the 'As a [persona], I want [goal], so that [value]' format and could not be restructured automatically. Rephrase it in that format.",
+        "rewrite.change.personaPlaceholder": "Added a {placeholder} placeholder. Name the user who benefits from the story.",
+        "rewrite.change.personaAlias": "Replaced '{persona}' with its catalogue name '{canonical}'.",
+        "rewrite.change.valuePlaceholder": "Added a \"so that {placeholder}\" placeholder. State why the persona needs this.",
+        "rewrite.change.ambiguous": "Replaced or removed ambiguous terms: {terms}.",
+        "rewrite.change.technicalMoved": "Moved technical details out of the story and into the technical notes, so the team can decide how to build it.",
+        "rewrite.change.technicalUnresolved": "The story still names {terms}. Rephrase it in terms of what the user needs.",
+        "rewrite.change.acInferred": "Added inferred acceptance criteria as a starting point. Confirm and refine them with the team.",
+        "rewrite.change.acReworded": "Reworded {count} criteria as \"{prefix} ...\" so they can be tested.",
+        "rewrite.change.acAmbiguous": "Replaced or removed ambiguous terms in the acceptance criteria: {terms}.",
+
+        // .feature export
+        "feature.narrativePersona": "As {persona}",
+        "feature.narrativeGoal": "I want {goal}",
+        "feature.narrativeValue": "So that {value}",
+        "feature.inferredNote": "These scenarios were inferred from the story. Review them before relying on them.",
+        "feature.todoSteps": "Add the Given/When steps that lead to this outcome.",
+
+        // Reports
+        "report.title": "User Story Refinement Report",
+        "report.generated": "Generated {timestamp} with the '{profile}' rule profile.",
+        "report.halted": "### 🚫 Analysis Halted\n**It looks like the user story is missing.**\nPlease provide the story you'd like me to analyze. A great story usually looks like this:\n*\"As a [type of user], I want [to perform some action], so that [I can achieve some goal].\"*",
+        "report.overallScore": "Overall Readiness Score: {score}/100",
+        "report.story": "Story",
+        "report.acceptanceCriteria": "Acceptance Criteria",
+        "report.overallReadiness": "Overall Readiness",
+        "report.readinessRating": "Readiness Rating",
+        "report.section": "Section",
+        "report.score": "Score",
+        "report.analysisEngine": "Analysis Engine",
+        "report.llmSkipped": "{engine}; the LLM was skipped: {reason}",
+        "report.clarity": "Clarity and Requirement Analysis",
+        "report.clarityTotal": "Clarity & Requirement Analysis",
+        "report.formatCheck": "Format Check",
+        "report.clarityAmbiguity": "Clarity & Ambiguity",
+        "report.check": "Check",
+        "report.feedback": "Feedback",
+        "report.invest": "INVEST Criteria Assessment",
+        "report.criterion": "Criterion",
+        "report.status": "Status",
+        "report.justification": "Justification",
+        "report.queries": "Outstanding Queries & Conflicts",
+        "report.noQueries": "No major queries or conflicts identified.",
+        "report.noQueriesPraise": "No major queries or conflicts identified. Great job!",
+        "report.recommendations": "Actionable Recommendations",
+        "report.improvements": "Suggested Improvements",
+        "report.noImprovements": "The story is in good shape. No major improvements suggested.",
+        "report.inferredCriteria": "Inferred Acceptance Criteria (for confirmation)",
+        // Without final punctuation: the Markdown report ends it with a colon.
+        "report.inferredCriteriaIntro": "As a starting point, here are some potential acceptance criteria. Please review and refine them",
+        "report.decomposition": "Story Decomposition Suggestions",
+        "report.decompositionIntro": "This story seems a bit large. Consider splitting it with one of these patterns:",
+        "report.sharedCriteria": "AC for every child",
+        "report.frameworks": "Quality Frameworks",
+        "report.met": "Met",
+        "report.nfr": "Non-Functional Requirements",
+        "report.nfrMissing": "These non-functional requirements are raised by the story but no acceptance criterion covers them:",
+        "report.nfrStated": "Mentioned as {terms}.",
+        "report.nfrImplied": "Implied by {terms}.",
+        "report.nfrCovered": "Covered by the acceptance criteria: {labels}.",
+        "report.suggestedCriterion": "Suggested AC",
+        "report.coaching": "Coaching",
+        "report.rewrittenStory": "Rewritten Story",
+        "report.rewrittenCriteria": "Rewritten Acceptance Criteria",
+    },
+};
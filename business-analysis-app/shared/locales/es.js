@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Spanish locale pack ("Como [rol], quiero [objetivo], para [beneficio]").
+ */
+
+module.exports = {
+    id: "es",
+    name: "Español",
+    DETECTION: ["yo", "y", "el", "los", "las", "para", "con", "mi", "mis", "quiero", "cuando", "entonces", "dado", "del", "por", "como", "está", "puedo", "debe", "pueda", "al", "su", "sus", "lo", "usuario"],
+    GHERKIN: {
+        FEATURE: ["Característica", "Necesidad del negocio", "Requisito"],
+        BACKGROUND: ["Antecedentes"],
+        SCENARIO: ["Escenario", "Ejemplo"],
+        OUTLINE: ["Esquema del escenario"],
+        EXAMPLES: ["Ejemplos"],
+        GIVEN: ["Dado", "Dada", "Dados", "Dadas"],
+        WHEN: ["Cuando"],
+        THEN: ["Entonces"],
+        AND: ["Y", "E"],
+        BUT: ["Pero"],
+    },
+    RULES: {
+        STORY_FORMAT_REGEX: /Como (?:(?:un|una) )?(.*?), (?:quiero|deseo|necesito|me gustaría) (.*?),? (?:para que|para|de modo que|con el fin de) (.*)/i,
+        KEYWORDS: {
+            AMBIGUOUS: ["debería", "deberían", "podría", "podrían", "quizás", "tal vez", "posiblemente", "etc.", "y/o"],
+            DEPENDENCIES: ["depende de", "dependiente de", "después de", "tras", "una vez que"],
+            TECHNICAL: ["base de datos", "endpoint", "punto de acceso de la api", "componente react", "algoritmo", "sql"],
+            TESTABLE_AC: ["verificar que", "asegurar que", "comprobar que", "confirmar que", "dado", "dada", "cuando", "entonces"],
+            NEGATIONS: ["no", "nunca", "jamás", "ningún", "ninguna", "sin", "imposible"],
+            VAGUE_OUTCOMES: ["funciona como se espera", "como se espera", "resultado esperado", "funciona correctamente", "se comporta correctamente", "se gestiona", "correctamente", "sin problemas"],
+        },
+        // Keyword lists for the story-splitting patterns (see storySplitting.js).
+        SPLITTING: {
+            WORKFLOW_VERBS: ["buscar", "explorar", "encontrar", "seleccionar", "elegir", "comparar", "revisar", "añadir", "agregar", "crear", "editar", "actualizar", "quitar", "eliminar", "borrar", "guardar", "compartir", "enviar", "confirmar", "aprobar", "rechazar", "pagar", "reservar", "pedir", "cancelar", "subir", "descargar", "importar", "exportar", "imprimir", "seguir", "programar", "asignar", "filtrar", "ordenar", "ver", "firmar", "registrar", "recibir", "notificar"],
+            CRUD_TRIGGERS: ["gestionar", "administrar", "mantener", "crud"],
+            CRUD_OPERATIONS: {
+                create: ["añadir", "crear", "nuevo", "nueva", "registrar"],
+                read: ["ver", "listar", "mostrar", "consultar", "buscar"],
+                update: ["editar", "actualizar", "cambiar", "modificar", "renombrar"],
+                delete: ["eliminar", "borrar", "quitar", "archivar"],
+            },
+            BUSINESS_RULE: ["si ", "a menos que", "solo si", "solo cuando", "elegible", "regla", "límite", "supera", "excede", "al menos", "como máximo", "máximo", "mínimo", "más de", "menos de"],
+            DATA_VARIANTS: ["csv", "pdf", "excel", "xml", "json", "tarjeta de crédito", "tarjeta de débito", "paypal", "transferencia", "moneda", "monedas", "idioma"],
+            PLATFORMS: ["web", "sitio", "móvil", "ios", "android", "escritorio", "tableta", "correo", "email", "sms", "quiosco"],
+            ERROR_PATH: ["error", "inválid", "falla", "fallo", "rechaza", "denegad", "excepción", "tiempo de espera", "no encontrad", "no autorizad", "incorrect"],
+            PERFORMANCE: ["rendimiento", "tiempo de respuesta", "tiempo de carga", "concurrent", "simultáne", "bajo carga", "latencia", "escalab"],
+        },
+        REWRITE: {
+            AMBIGUOUS_REPLACEMENTS: { "debería": "debe", "deberían": "deben", "podría": "puede", "podrían": "pueden", "quizás": "", "tal vez": "", "posiblemente": "", "etc.": "", "y/o": "y" },
+            // A technical detail is moved out of the story together with the preposition that introduces it.
+            TECHNICAL_PREPOSITIONS: ["con", "mediante", "usando", "vía", "via", "en", "por", "desde", "a través de", "contra"],
+        },
+        FRAMEWORKS: {
+            SMART: {
+                MEASURABLE: ["segundo", "minuto", "hora", "por ciento", "%", "al menos", "como máximo", "máximo", "mínimo", "hasta", "exactamente", "se muestra", "muestra", "recibe", "devuelve"],
+                UNACHIEVABLE: ["siempre", "nunca falla", "100%", "instantáneamente", "sin tiempo de inactividad", "todos los casos posibles", "ilimitado", "cualquier cantidad"],
+                TIME_BOUND: ["en menos de", "dentro de", "antes", "después", "cuando", "una vez", "hasta", "diario", "diariamente", "semanal", "mensual", "inmediatamente", "segundo", "minuto", "hora"],
+            },
+        },
+        PERSONAS: {
+            GENERIC: ["usuario", "usuaria", "usuarios", "usuario final", "admin", "administrador", "administradora", "persona", "personas", "alguien", "parte interesada", "sistema"],
+        },
+        NFR: {
+            PERFORMANCE: {
+                STATED: ["rendimiento", "tiempo de respuesta", "tiempo de carga", "latencia", "throughput", "segundos", "milisegundos", "usuarios concurrentes", "bajo carga"],
+                IMPLIED: ["panel de control", "masivo", "masiva", "tiempo real", "pico de carga", "miles de", "archivos grandes"],
+            },
+            SECURITY: {
+                STATED: ["seguridad", "autenticado", "autenticación", "autorizado", "autorización", "permiso", "permisos", "cifrado", "cifrados", "doble factor", "2fa", "mfa"],
+                IMPLIED: ["pago", "pagar", "checkout", "tarjeta de crédito", "datos de la tarjeta", "contraseña", "iniciar sesión", "inicio de sesión", "cuenta bancaria", "transferencia"],
+            },
+            PRIVACY: {
+                STATED: ["privacidad", "rgpd", "gdpr", "consentimiento", "anonimizado", "anonimizados", "seudonimizado", "conservación", "derecho al olvido", "enmascarado", "ocultado"],
+                IMPLIED: ["datos personales", "correo electrónico", "número de teléfono", "dirección postal", "fecha de nacimiento", "datos de salud", "médico", "médicos", "ubicación actual", "datos de clientes"],
+            },
+            ACCESSIBILITY: {
+                STATED: ["accesibilidad", "accesible", "wcag", "lector de pantalla", "teclado", "contraste", "texto alternativo", "aria"],
+                IMPLIED: ["gráfico", "vídeo", "audio", "captcha", "arrastrar y soltar", "código de colores"],
+            },
+            AUDITABILITY: {
+                STATED: ["auditoría", "registro de auditoría", "auditable", "trazable", "trazabilidad", "historial de cambios"],
+                IMPLIED: ["aprobar", "aprobación", "reembolso", "factura", "anular"],
+            },
+            AVAILABILITY: {
+                STATED: ["disponibilidad", "uptime", "tiempo de inactividad", "sla", "conmutación por error", "caída", "sin conexión", "24/7"],
+                IMPLIED: ["checkout", "reserva", "emergencia", "crítico para el negocio", "24 horas"],
+            },
+        },
+    },
+    MESSAGES: {
+        "category.excellent.label": "✅ Excelente – lista para desarrollo",
+        "category.excellent.summary": "La historia está bien formulada, es clara y cumple todos los criterios INVEST.",
+        "category.at-standard.label": "⚠️ Nivel esperado – requiere pequeños ajustes",
+        "category.at-standard.summary": "Casi lista, con pequeñas carencias que se pueden resolver rápidamente.",
+        "category.requires-improvement.label": "❗ Necesita mejoras – requiere refinamiento",
+        "category.requires-improvement.summary": "Hay varios problemas. No está lista para desarrollo sin reelaborarla.",
+        "category.not-ready.label": "🚫 No lista – fundamentalmente incompleta",
+        "category.not-ready.summary": "Faltan componentes esenciales. Requiere una revisión profunda.",
+
+        "format.matched": "La historia sigue el formato estándar 'Como [rol], quiero [objetivo], para [beneficio]'.",
+        "format.notMatched": "La historia no sigue el formato 'Como [rol], quiero [objetivo], para [beneficio]'. Este formato asegura que el rol, la acción y el beneficio queden claros.",
+        "clarity.short": "La historia es muy corta; asegúrate de que tenga suficiente detalle.",
+        "clarity.ambiguous": "Evita términos ambiguos como {terms}. Sé específico.",
+        "clarity.clear": "La redacción parece razonablemente clara.",
+        "ac.missing": "Faltan los criterios de aceptación. Son imprescindibles criterios claros y comprobables. Considera usar el formato 'Dado/Cuando/Entonces'.",
+        "ac.provided": "Criterios de aceptación presentes ({count} criterios encontrados). Asegúrate de que sean específicos y comprobables.",
+        "ac.notTestable": "Algunos criterios pueden ser difíciles de probar; formúlalos por ejemplo con 'Verificar que...'.",
+        "ac.structuralIssues": "{count} problema(s) de estructura en los escenarios Gherkin.",
+        "ac.empty": "La sección de criterios de aceptación existe pero está vacía. Define criterios de aceptación claros y comprobables.",
+        "ac.scenarioFinding": "Escenario \"{name}\" (línea {line}): {message}",
+
+        "invest.independent": "Independiente",
+        "invest.negotiable": "Negociable",
+        "invest.valuable": "Valiosa",
+        "invest.estimable": "Estimable",
+        "invest.small": "Pequeña",
+        "invest.testable": "Comprobable",
+        "invest.status.meets": "✅ Cumple",
+        "invest.status.partiallyMeets": "⚠️ Cumple parcialmente",
+        "invest.status.doesNotMeet": "❌ No cumple",
+        "independent.dependencyWording": "La redacción sugiere dependencias ({terms}). Aclara si puede desarrollarse sin bloqueos externos.",
+        "independent.assumed": "Parece que puede desarrollarse de forma independiente. Conviene revisar con el equipo si hay dependencias ocultas.",
+        "negotiable.technical": "La historia puede imponer demasiados detalles técnicos ({terms}). Céntrate en la necesidad del usuario y deja que el equipo decida el 'cómo'.",
+        "negotiable.open": "La historia describe el 'qué' y no el 'cómo'. Eso deja espacio para acordar la mejor implementación.",
+        "valuable.clear": "El beneficio parece claro: '{value}'.",
+        "valuable.unclear": "Falta la parte 'para [beneficio]' o no está clara. Es esencial indicar el beneficio para el usuario o el negocio para justificar el trabajo.",
+        "valuable.unclearPersona": "Tampoco está claro quién se beneficia: {message}",
+        "estimable.yes": "Con un objetivo claro y criterios de aceptación, el equipo debería poder estimar esta historia.",
+        "estimable.no": "La historia o sus criterios de aceptación pueden ser demasiado vagos o faltar, lo que dificulta la estimación. Más detalle ayudará.",
+        "small.large": "La historia o su número de criterios de aceptación parece grande. Puede ser una 'épica' que conviene dividir en partes más pequeñas y valiosas que quepan en un sprint.",
+        "small.ok": "La historia tiene un tamaño razonable y debería poder completarse en un sprint.",
+        "testable.noCriteria": "No se puede evaluar si es comprobable sin criterios de aceptación claros. Una historia no está 'terminada' si no se puede probar.",
+        "testable.provided": "Hay criterios de aceptación. Para ser bien comprobables deben ser inequívocos y permitir un resultado claro de éxito o fallo.",
+        "testable.unclearCount": "{count} criterio(s) podría(n) ser más claro(s); 'Verificar que...' o 'Dado/Cuando/Entonces' ayudan.",
+
+        "backlog.cycle": "Forma parte de una dependencia circular entre {ids}. Rompe el ciclo antes de planificar estas historias.",
+        "backlog.dependsOn": "Depende de {ids}, que deben entregarse primero.",
+        "backlog.duplicate": "Casi un duplicado de {id} (objetivo y beneficio {similarity}% similares). Une las historias o explica la diferencia.",
+        "backlog.conflict": "Los criterios de aceptación contradicen a {id}: \"{criterion}\" frente a \"{otherCriterion}\".",
+        "backlog.noReferencesButWording": "No se encontraron referencias a las otras {count} historias del backlog, pero la redacción sugiere una dependencia ({terms}). Aclara si está bloqueada por trabajo fuera de este backlog.",
+        "backlog.noRelations": "No se encontraron referencias, duplicados ni contradicciones con las otras {count} historias del backlog.",
+
+        "inferred.happyPath": "Dado que el usuario está en la página correspondiente, cuando intenta {goal}, entonces se produce el resultado esperado.",
+        "inferred.invalidInput": "Dado que el usuario introduce datos no válidos para '{goal}', cuando los envía, entonces se muestra un mensaje de error claro.",
+        "inferred.logged": "Verificar que la acción '{goal}' se registra para analítica.",
+        "decomposition.generic": "Considera dividir la historia por criterios de aceptación individuales o por pasos del flujo del usuario. Cada nueva historia debe seguir aportando valor.",
+        "improvement.format": "Reformula la historia con el formato estándar: \"Como [rol], quiero [objetivo], para [beneficio]\". Esta estructura asegura que estén todos los componentes clave.",
+        "improvement.persona": "Escribe la historia para la persona del catálogo '{suggestion}' en lugar de '{persona}'.",
+        "improvement.glossary": "Usa el término del glosario '{canonical}' en lugar de '{term}'.",
+        "improvement.testable": "Algunos criterios de aceptación podrían ser más específicos. Formatos como 'Dado/Cuando/Entonces' o 'Verificar que...' los hacen más fáciles de probar.",
+        "query.acMissing": "Faltan los criterios de aceptación. ¿Puedes definir las condiciones concretas que deben cumplirse para dar esta historia por terminada?",
+        "query.value": "¿Qué valor o beneficio concreto aporta esta historia a la persona o al negocio? Un beneficio claro ayuda a priorizar el trabajo.",
+        "query.persona": "¿Quién es exactamente '{persona}'? Nombrar la persona concreta facilita juzgar el valor y los criterios de aceptación.",
+        "query.glossaryUndefined": "El glosario no define {terms}. Añade una definición para que el equipo use el mismo significado.",
+        "query.large": "Esta historia parece grande. ¿Se puede dividir en partes más pequeñas que se completen en un solo sprint?",
+
+        "persona.catalogued": "La persona '{name}' está en el catálogo de personas.",
+        "persona.alias": "'{persona}' es un alias de la persona del catálogo '{name}'. Usa el nombre canónico para que el backlog sea coherente.",
+        "persona.generic": "'{persona}' es una persona genérica. Nombra el rol o grupo de usuarios concreto que se beneficia.",
+        "persona.unknown": "'{persona}' no está en el catálogo de personas. Usa una persona del catálogo o añade esta al catálogo.",
+        "persona.suggestion": "¿Quisiste decir '{suggestion}'?",
+        "persona.uncatalogued": "La historia está escrita para '{persona}'.",
+
+        "finding.ambiguousStory": "'{term}' es ambiguo. Indica exactamente qué se requiere.",
+        "finding.technical": "'{term}' impone cómo construir la historia. Describe la necesidad del usuario y deja la implementación al equipo.",
+        "finding.dependency": "'{term}' sugiere una dependencia. Comprueba si la historia puede entregarse por sí sola.",
+        "finding.ambiguousCriterion": "'{term}' es ambiguo. Un criterio de aceptación debe cumplirse o no sin interpretación.",
+        "finding.vagueOutcome": "'{term}' no es un resultado observable. Indica qué ve el usuario o qué registra el sistema.",
+        "finding.untestableCriterion": "Este criterio no tiene una condición clara de éxito o fallo. Formúlalo como 'Verificar que...' o 'Dado/Cuando/Entonces'.",
+        "finding.glossarySynonym": "'{term}' es un sinónimo del término del glosario '{canonical}'. Usa '{canonical}' para que el backlog sea coherente.",
+        "finding.glossaryForbidden": "'{term}' no debe usarse. El término del glosario es '{canonical}'.",
+        "finding.glossaryUndefined": "'{term}' parece un término del dominio pero no está en el glosario. Defínelo o usa un término del glosario.",
+
+        "gherkin.missingThen": "El escenario no tiene un paso Entonces, así que no hay un resultado esperado que verificar.",
+        "gherkin.missingWhen": "El escenario no tiene un paso Cuando que describa la acción probada.",
+        "gherkin.multipleWhen": "El escenario tiene {count} pasos Cuando. Prueba un solo comportamiento por escenario y pasa el resto a escenarios propios.",
+        "gherkin.thenWithoutOutcome": "\"{step}\" no describe un resultado observable. Indica qué ve el usuario o qué registra el sistema.",
+        "gherkin.missingExamples": "El esquema del escenario no tiene tabla de ejemplos.",
+        "gherkin.undefinedPlaceholder": "El marcador <{placeholder}> no es una columna de la tabla de ejemplos.",
+
+        "framework.noCriteria": "No hay criterios de aceptación que evaluar.",
+        "smart.specific": "Específico",
+        "smart.specific.passed": "Los {count} criterios nombran un comportamiento concreto.",
+        "smart.specific.failed": "{failed} de {count} criterios son demasiado cortos o ambiguos, p. ej. \"{example}\".",
+        "smart.measurable": "Medible",
+        "smart.measurable.passed": "Los {count} criterios tienen un resultado observable o cuantificado.",
+        "smart.measurable.failed": "{failed} de {count} criterios no tienen un resultado observable o cuantificado, p. ej. \"{example}\".",
+        "smart.achievable": "Alcanzable",
+        "smart.achievable.passed": "Los {count} criterios evitan promesas absolutas.",
+        "smart.achievable.failed": "{failed} de {count} criterios prometen absolutos que no se pueden garantizar (p. ej. 'siempre', '100%'), p. ej. \"{example}\".",
+        "smart.relevant": "Relevante",
+        "smart.relevant.passed": "Los {count} criterios se relacionan con el objetivo de la historia.",
+        "smart.relevant.failed": "{failed} de {count} criterios no mencionan nada del objetivo o el beneficio de la historia, p. ej. \"{example}\".",
+        "smart.time-bound": "Acotado en el tiempo",
+        "smart.time-bound.passed": "Los {count} criterios indican cuándo o con qué rapidez ocurre el resultado.",
+        "smart.time-bound.failed": "{failed} de {count} criterios no indican cuándo o con qué rapidez ocurre el resultado, p. ej. \"{example}\".",
+        "threeCs.card": "Tarjeta",
+        "threeCs.card.format": "La historia nombra el rol, el objetivo y el beneficio",
+        "threeCs.card.noFormat": "La historia no sigue el formato 'Como ..., quiero ..., para ...'",
+        "threeCs.card.concise": " y es lo bastante corta para una tarjeta.",
+        "threeCs.card.long": ", y con {length} caracteres es demasiado larga para una tarjeta.",
+        "threeCs.conversation": "Conversación",
+        "threeCs.conversation.open": "La historia deja el 'cómo' abierto para que el equipo lo discuta.",
+        "threeCs.conversation.prescriptive": "La historia impone detalles técnicos, lo que corta la conversación.",
+        "threeCs.conversation.clear": "Su redacción da a la conversación un punto de partida claro.",
+        "threeCs.conversation.unclear": "La redacción ambigua o vaga debe aclararse primero en la conversación.",
+        "threeCs.confirmation": "Confirmación",
+        "threeCs.confirmation.none": "No hay criterios de aceptación que confirmen que la historia está terminada.",
+        "threeCs.confirmation.testable": "Criterios de aceptación comprobables confirman cuándo está terminada la historia.",
+        "threeCs.confirmation.notTestable": "Hay criterios de aceptación, pero no todos son comprobables.",
+        "dor.found": "Encontrado en la historia o en sus criterios de aceptación.",
+        "dor.notFound": "No encontrado. Menciónalo en la historia o en sus criterios de aceptación (p. ej. '{keyword}').",
+        "nfr.performance": "Rendimiento",
+        "nfr.performance.criterion": "Verificar que el tiempo de respuesta es inferior a 2 segundos para el 95 % de las peticiones en el pico de carga previsto.",
+        "nfr.security": "Seguridad",
+        "nfr.security.criterion": "Verificar que solo los usuarios autenticados con el permiso necesario pueden realizar la acción, y que al resto se le deniega con un mensaje de acceso denegado.",
+        "nfr.privacy": "Privacidad",
+        "nfr.privacy.criterion": "Verificar que los datos personales solo se tratan con el consentimiento del usuario y se eliminan o anonimizan tras el plazo de conservación acordado.",
+        "nfr.accessibility": "Accesibilidad",
+        "nfr.accessibility.criterion": "Verificar que la funcionalidad se puede usar con teclado y lector de pantalla y cumple el nivel AA de WCAG 2.1.",
+        "nfr.auditability": "Auditabilidad",
+        "nfr.auditability.criterion": "Verificar que cada cambio queda en el registro de auditoría con el usuario, la hora y los valores anteriores y posteriores.",
+        "nfr.availability": "Disponibilidad",
+        "nfr.availability.criterion": "Verificar que la funcionalidad está disponible el 99,9 % del tiempo cada mes, y que, si no lo está, los usuarios ven un mensaje claro y pueden reintentarlo.",
+        "nfr.query.stated": "{label}: la historia menciona {terms}, pero ningún criterio de aceptación lo hace medible. ¿Cuál es el objetivo?",
+        "nfr.query.implied": "{label}: ningún criterio de aceptación cubre los requisitos implícitos en {terms}. ¿Qué se espera?",
+
+        "rewrite.withPersona": "Como {persona}, quiero {goal}",
+        "rewrite.withoutPersona": "Quiero {goal}",
+        "rewrite.withValue": "{story}, para {value}",
+        "rewrite.personaPlaceholder": "[rol]",
+        "rewrite.valuePlaceholder": "[describir el beneficio]",
+        "rewrite.testablePrefix": "Verificar que",
+        "rewrite.change.format": "Se reestructuró la historia con el formato 'Como [rol], quiero [objetivo], para [beneficio]'.",
+        "rewrite.change.formatUnparsed": "La historia no sigue el formato 'Como [rol], quiero [objetivo], para [beneficio]' y no se pudo reestructurar automáticamente. Reformúlala con ese formato.",
+        "rewrite.change.personaPlaceholder": "Se añadió el marcador {placeholder}. Nombra al usuario que se beneficia de la historia.",
+        "rewrite.change.personaAlias": "Se reemplazó '{persona}' por su nombre del catálogo '{canonical}'.",
+        "rewrite.change.valuePlaceholder": "Se añadió el marcador \"para {placeholder}\". Indica por qué la persona lo necesita.",
+        "rewrite.change.ambiguous": "Se reemplazaron o eliminaron términos ambiguos: {terms}.",
+        "rewrite.change.technicalMoved": "Se movieron los detalles técnicos de la historia a las notas técnicas, para que el equipo decida cómo construirla.",
+        "rewrite.change.technicalUnresolved": "La historia aún menciona {terms}. Reformúlala según lo que necesita el usuario.",
+        "rewrite.change.acInferred": "Se añadieron criterios de aceptación deducidos como punto de partida. Confírmalos y refínalos con el equipo.",
+        "rewrite.change.acReworded": "Se reformularon {count} criterio(s) como \"{prefix} ...\" para que se puedan probar.",
+        "rewrite.change.acAmbiguous": "Se reemplazaron o eliminaron términos ambiguos en los criterios de aceptación: {terms}.",
+        "feature.narrativePersona": "Como {persona}",
+        "feature.narrativeGoal": "quiero {goal}",
+        "feature.narrativeValue": "para {value}",
+        "feature.inferredNote": "Estos escenarios se dedujeron de la historia. Revísalos antes de confiar en ellos.",
+        "feature.todoSteps": "Añadir los pasos Dado/Cuando que llevan a este resultado.",
+        "report.title": "Informe de refinamiento de la historia de usuario",
+        "report.generated": "Generado el {timestamp} con el perfil de reglas '{profile}'.",
+        "report.halted": "### 🚫 Análisis detenido\n**Parece que falta la historia de usuario.**\nIndica la historia que quieres analizar. Una buena historia suele tener este aspecto:\n*\"Como [tipo de usuario], quiero [realizar una acción], para [lograr un objetivo].\"*",
+        "report.overallScore": "Puntuación global de preparación: {score}/100",
+        "report.story": "Historia",
+        "report.acceptanceCriteria": "Criterios de aceptación",
+        "report.overallReadiness": "Preparación global",
+        "report.readinessRating": "Puntuación de preparación",
+        "report.section": "Sección",
+        "report.score": "Puntuación",
+        "report.analysisEngine": "Motor de análisis",
+        "report.llmSkipped": "{engine}; se omitió el LLM: {reason}",
+        "report.clarity": "Análisis de claridad y requisitos",
+        "report.clarityTotal": "Claridad y requisitos",
+        "report.formatCheck": "Comprobación de formato",
+        "report.clarityAmbiguity": "Claridad y ambigüedad",
+        "report.check": "Comprobación",
+        "report.feedback": "Comentario",
+        "report.invest": "Evaluación de criterios INVEST",
+        "report.criterion": "Criterio",
+        "report.status": "Estado",
+        "report.justification": "Justificación",
+        "report.queries": "Preguntas abiertas y contradicciones",
+        "report.noQueries": "No hay preguntas abiertas ni contradicciones importantes.",
+        "report.noQueriesPraise": "No hay preguntas abiertas ni contradicciones importantes. ¡Buen trabajo!",
+        "report.recommendations": "Recomendaciones",
+        "report.improvements": "Mejoras sugeridas",
+        "report.noImprovements": "La historia está en buen estado. No se sugieren mejoras importantes.",
+        "report.inferredCriteria": "Criterios de aceptación deducidos (para confirmar)",
+        "report.inferredCriteriaIntro": "Como punto de partida, aquí hay algunos posibles criterios de aceptación. Revísalos y refínalos",
+        "report.decomposition": "Sugerencias para dividir la historia",
+        "report.decompositionIntro": "Esta historia parece algo grande. Considera dividirla con uno de estos patrones:",
+        "report.sharedCriteria": "Criterios para cada historia hija",
+        "report.frameworks": "Marcos de calidad",
+        "report.met": "Cumplido",
+        "report.nfr": "Requisitos no funcionales",
+        "report.nfrMissing": "Estos requisitos no funcionales se derivan de la historia, pero ningún criterio de aceptación los cubre:",
+        "report.nfrStated": "Mencionado como {terms}.",
+        "report.nfrImplied": "Implícito en {terms}.",
+        "report.nfrCovered": "Cubiertos por los criterios de aceptación: {labels}.",
+        "report.suggestedCriterion": "Criterio sugerido",
+        "report.coaching": "Coaching",
+        "report.rewrittenStory": "Historia reescrita",
+        "report.rewrittenCriteria": "Criterios de aceptación reescritos",
+    },
+};
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview French locale pack ("En tant que [rôle], je veux [objectif], afin de [bénéfice]").
+ */
+
+module.exports = {
+    id: "fr",
+    name: "Français",
+    DETECTION: ["je", "et", "le", "les", "des", "pour", "est", "dans", "avec", "mon", "ma", "mes", "afin", "veux", "quand", "alors", "soit", "pas", "du", "sur", "tant", "qu", "être", "doit", "lorsque"],
+    GHERKIN: {
+        FEATURE: ["Fonctionnalité"],
+        BACKGROUND: ["Contexte"],
+        SCENARIO: ["Scénario", "Exemple"],
+        OUTLINE: ["Plan du scénario", "Plan du Scénario"],
+        EXAMPLES: ["Exemples"],
+        GIVEN: ["Étant donné que", "Étant donné qu'", "Étant donnés", "Étant données", "Étant donnée", "Étant donné", "Etant donné que", "Etant donné qu'", "Etant donnés", "Etant données", "Etant donnée", "Etant donné", "Sachant que", "Sachant qu'", "Sachant", "Soit"],
+        WHEN: ["Quand", "Lorsque", "Lorsqu'"],
+        THEN: ["Alors", "Donc"],
+        AND: ["Et que", "Et qu'", "Et"],
+        BUT: ["Mais que", "Mais qu'", "Mais"],
+    },
+    RULES: {
+        STORY_FORMAT_REGEX: /En tant qu['’e]\s*(?:(?:un|une) )?(.*?), je (?:veux|souhaite|voudrais|dois) (.*?),? (?:afin de|afin que|pour que|pour|de sorte que) (.*)/i,
+        KEYWORDS: {
+            AMBIGUOUS: ["devrait", "devraient", "pourrait", "pourraient", "éventuellement", "peut-être", "etc.", "et/ou", "le cas échéant"],
+            DEPENDENCIES: ["dépend de", "dépendant de", "après", "suite à", "une fois que"],
+            TECHNICAL: ["base de données", "point de terminaison", "endpoint", "composant react", "algorithme", "sql"],
+            TESTABLE_AC: ["vérifier que", "s'assurer que", "confirmer que", "étant donné", "soit", "quand", "lorsque", "alors"],
+            NEGATIONS: ["ne", "pas", "jamais", "aucun", "aucune", "sans", "impossible"],
+            VAGUE_OUTCOMES: ["ça marche", "cela fonctionne", "fonctionne comme prévu", "comme prévu", "résultat attendu", "fonctionne correctement", "se comporte correctement", "est géré", "correctement", "aucun problème"],
+        },
+        // Keyword lists for the story-splitting patterns (see storySplitting.js).
+        SPLITTING: {
+            WORKFLOW_VERBS: ["rechercher", "chercher", "parcourir", "trouver", "sélectionner", "choisir", "comparer", "consulter", "ajouter", "créer", "modifier", "supprimer", "retirer", "enregistrer", "sauvegarder", "partager", "envoyer", "soumettre", "confirmer", "approuver", "rejeter", "payer", "réserver", "commander", "annuler", "téléverser", "télécharger", "importer", "exporter", "imprimer", "suivre", "planifier", "assigner", "filtrer", "trier", "voir", "afficher", "signer", "recevoir", "notifier"],
+            CRUD_TRIGGERS: ["gérer", "administrer", "maintenir", "crud"],
+            CRUD_OPERATIONS: {
+                create: ["ajouter", "créer", "nouveau", "nouvelle"],
+                read: ["voir", "consulter", "lister", "afficher", "rechercher"],
+                update: ["modifier", "mettre à jour", "changer", "renommer"],
+                delete: ["supprimer", "retirer", "archiver"],
+            },
+            BUSINESS_RULE: ["si ", "sauf si", "seulement si", "uniquement si", "éligible", "règle", "limite", "dépasse", "au moins", "au plus", "maximum", "minimum", "plus de", "moins de"],
+            DATA_VARIANTS: ["csv", "pdf", "excel", "xml", "json", "carte de crédit", "carte bancaire", "carte de débit", "paypal", "virement", "devise", "devises", "langue"],
+            PLATFORMS: ["web", "site", "mobile", "ios", "android", "ordinateur", "tablette", "e-mail", "courriel", "sms", "borne"],
+            ERROR_PATH: ["erreur", "invalide", "échec", "échoue", "rejeté", "refusé", "exception", "délai dépassé", "introuvable", "non trouvé", "non autoris", "incorrect"],
+            PERFORMANCE: ["performance", "temps de réponse", "temps de chargement", "simultané", "débit", "sous charge", "latence", "montée en charge", "scalab"],
+        },
+        REWRITE: {
+            AMBIGUOUS_REPLACEMENTS: { "devrait": "doit", "devraient": "doivent", "pourrait": "peut", "pourraient": "peuvent", "éventuellement": "", "peut-être": "", "etc.": "", "et/ou": "et", "le cas échéant": "" },
+            // A technical detail is moved out of the story together with the preposition that introduces it.
+            TECHNICAL_PREPOSITIONS: ["avec", "via", "par", "dans", "en", "sur", "depuis", "à travers", "contre"],
+        },
+        FRAMEWORKS: {
+            SMART: {
+                MEASURABLE: ["seconde", "minute", "heure", "pour cent", "%", "au moins", "au plus", "maximum", "minimum", "jusqu'à", "exactement", "affiché", "affichée", "reçoit", "renvoie"],
+                UNACHIEVABLE: ["toujours", "jamais en panne", "100%", "instantanément", "zéro interruption", "tous les cas possibles", "illimité", "n'importe quelle quantité"],
+                TIME_BOUND: ["dans les", "en moins de", "avant", "après", "quand", "lorsque", "dès que", "jusqu'à", "chaque jour", "quotidien", "hebdomadaire", "mensuel", "immédiatement", "seconde", "minute", "heure"],
+            },
+        },
+        PERSONAS: {
+            GENERIC: ["utilisateur", "utilisatrice", "utilisateurs", "utilisateur final", "admin", "administrateur", "administratrice", "personne", "gens", "quelqu'un", "partie prenante", "système"],
+        },
+        NFR: {
+            PERFORMANCE: {
+                STATED: ["performance", "performances", "temps de réponse", "temps de chargement", "latence", "débit", "secondes", "millisecondes", "utilisateurs simultanés", "en charge"],
+                IMPLIED: ["tableau de bord", "en masse", "temps réel", "pic de charge", "milliers de", "gros fichiers"],
+            },
+            SECURITY: {
+                STATED: ["sécurité", "sécurisé", "sécurisée", "authentifié", "authentification", "autorisé", "autorisation", "permission", "permissions", "droits", "chiffré", "chiffrement", "double authentification", "2fa", "mfa"],
+                IMPLIED: ["paiement", "payer", "carte bancaire", "carte de crédit", "mot de passe", "connexion", "se connecter", "compte bancaire", "virement"],
+            },
+            PRIVACY: {
+                STATED: ["confidentialité", "vie privée", "rgpd", "gdpr", "consentement", "anonymisé", "anonymisées", "pseudonymisé", "conservation", "droit à l'oubli", "masqué", "caviardé"],
+                IMPLIED: ["données personnelles", "données à caractère personnel", "adresse e-mail", "adresse email", "numéro de téléphone", "adresse postale", "date de naissance", "données de santé", "médical", "médicales", "géolocalisation", "données client"],
+            },
+            ACCESSIBILITY: {
+                STATED: ["accessibilité", "accessible", "wcag", "rgaa", "lecteur d'écran", "clavier", "contraste", "texte alternatif", "aria"],
+                IMPLIED: ["graphique", "vidéo", "audio", "captcha", "glisser-déposer", "code couleur"],
+            },
+            AUDITABILITY: {
+                STATED: ["audit", "piste d'audit", "journal d'audit", "traçable", "traçabilité", "journalisé", "historique des modifications"],
+                IMPLIED: ["approuver", "approbation", "remboursement", "facture", "forcer", "passer en perte"],
+            },
+            AVAILABILITY: {
+                STATED: ["disponibilité", "uptime", "indisponibilité", "sla", "bascule", "panne", "hors ligne", "24/7", "24h/24"],
+                IMPLIED: ["passer commande", "réservation", "urgence", "critique pour l'activité"],
+            },
+        },
+    },
+    MESSAGES: {
+        "category.excellent.label": "✅ Excellent – prêt pour le développement",
+        "category.excellent.summary": "La story est bien formée, claire et respecte tous les critères INVEST.",
+        "category.at-standard.label": "⚠️ Niveau attendu – quelques ajustements nécessaires",
+        "category.at-standard.summary": "Presque prête, avec de petites lacunes faciles à combler.",
+        "category.requires-improvement.label": "❗ À améliorer – doit être affinée",
+        "category.requires-improvement.summary": "Plusieurs problèmes. Pas prête pour le développement sans reprise.",
+        "category.not-ready.label": "🚫 Pas prête – fondamentalement incomplète",
+        "category.not-ready.summary": "Des éléments essentiels manquent. Une révision majeure est nécessaire.",
+
+        "format.matched": "La story suit le format standard 'En tant que [rôle], je veux [objectif], afin de [bénéfice]'.",
+        "format.notMatched": "La story ne suit pas le format 'En tant que [rôle], je veux [objectif], afin de [bénéfice]'. Ce format garantit que le rôle, l'action et le bénéfice sont clairs.",
+        "clarity.short": "La story est très courte ; assurez-vous qu'elle est suffisamment détaillée.",
+        "clarity.ambiguous": "Évitez les termes ambigus comme {terms}. Soyez précis.",
+        "clarity.clear": "La formulation semble assez claire.",
+        "ac.missing": "Les critères d'acceptation manquent. Des critères clairs et testables sont indispensables. Utilisez par exemple le format 'Étant donné/Quand/Alors'.",
+        "ac.provided": "Critères d'acceptation fournis ({count} critères trouvés). Assurez-vous qu'ils sont précis et testables.",
+        "ac.notTestable": "Certains critères sont peut-être difficiles à tester ; formulez-les par exemple avec 'Vérifier que...'.",
+        "ac.structuralIssues": "{count} problème(s) de structure trouvé(s) dans les scénarios Gherkin.",
+        "ac.empty": "La section des critères d'acceptation est présente mais vide. Définissez des critères d'acceptation clairs et testables.",
+        "ac.scenarioFinding": "Scénario \"{name}\" (ligne {line}) : {message}",
+
+        "invest.independent": "Indépendante",
+        "invest.negotiable": "Négociable",
+        "invest.valuable": "Apporte de la valeur",
+        "invest.estimable": "Estimable",
+        "invest.small": "Petite",
+        "invest.testable": "Testable",
+        "invest.status.meets": "✅ Respecté",
+        "invest.status.partiallyMeets": "⚠️ Partiellement respecté",
+        "invest.status.doesNotMeet": "❌ Non respecté",
+        "independent.dependencyWording": "La formulation suggère des dépendances ({terms}). Précisez si la story peut être réalisée sans blocage externe.",
+        "independent.assumed": "La story semble réalisable de façon indépendante. Vérifiez tout de même avec l'équipe qu'il n'y a pas de dépendances cachées.",
+        "negotiable.technical": "La story impose peut-être trop de détails techniques ({terms}). Concentrez-vous sur le besoin des utilisateurs et laissez l'équipe décider du 'comment'.",
+        "negotiable.open": "La story décrit le 'quoi' et non le 'comment'. Cela laisse place à la discussion sur la meilleure réalisation.",
+        "valuable.clear": "Le bénéfice semble clair : '{value}'.",
+        "valuable.unclear": "La partie 'afin de [bénéfice]' manque ou n'est pas claire. Il faut indiquer le bénéfice pour l'utilisateur ou l'entreprise afin de justifier le travail.",
+        "valuable.unclearPersona": "On ne sait pas non plus qui en bénéficie : {message}",
+        "estimable.yes": "Avec un objectif clair et des critères d'acceptation, l'équipe devrait pouvoir estimer cette story.",
+        "estimable.no": "La story ou ses critères d'acceptation sont peut-être trop vagues ou absents, ce qui rend l'estimation difficile. Plus de détails aideront.",
+        "small.large": "La story ou son nombre de critères d'acceptation semble important. Il s'agit peut-être d'un 'epic' à découper en morceaux plus petits, chacun porteur de valeur, qui tiennent dans un sprint.",
+        "small.ok": "La story semble de taille raisonnable et devrait pouvoir être terminée en un sprint.",
+        "testable.noCriteria": "La testabilité ne peut pas être évaluée sans critères d'acceptation clairs. Une story n'est pas 'terminée' si elle ne peut pas être testée.",
+        "testable.provided": "Des critères d'acceptation sont fournis. Pour être bien testables, ils doivent être sans ambiguïté et permettre un résultat réussi/échoué clair.",
+        "testable.unclearCount": "{count} critère(s) pourrai(en)t être plus clair(s) ; 'Vérifier que...' ou 'Étant donné/Quand/Alors' aident.",
+
+        "backlog.cycle": "Fait partie d'une dépendance circulaire entre {ids}. Rompez le cycle avant de planifier ces stories.",
+        "backlog.dependsOn": "Dépend de {ids}, qui doivent être livrées d'abord.",
+        "backlog.duplicate": "Quasi-doublon de {id} (objectif et bénéfice similaires à {similarity}%). Fusionnez les stories ou explicitez la différence.",
+        "backlog.conflict": "Les critères d'acceptation contredisent {id} : \"{criterion}\" contre \"{otherCriterion}\".",
+        "backlog.noReferencesButWording": "Aucune référence aux {count} autres stories du backlog n'a été trouvée, mais la formulation suggère une dépendance ({terms}). Précisez si elle est bloquée par du travail hors de ce backlog.",
+        "backlog.noRelations": "Aucune référence, aucun doublon ni aucune contradiction avec les {count} autres stories du backlog n'a été trouvé.",
+
+        "inferred.happyPath": "Étant donné que l'utilisateur est sur la page concernée, quand il essaie de {goal}, alors le résultat attendu se produit.",
+        "inferred.invalidInput": "Étant donné que l'utilisateur saisit des données invalides pour '{goal}', quand il valide, alors un message d'erreur clair s'affiche.",
+        "inferred.logged": "Vérifier que l'action '{goal}' est journalisée pour les statistiques.",
+        "decomposition.generic": "Envisagez de découper la story par critère d'acceptation ou par étape du parcours utilisateur. Chaque nouvelle story doit encore apporter de la valeur.",
+        "improvement.format": "Reformulez la story selon le format standard : \"En tant que [rôle], je veux [objectif], afin de [bénéfice]\". Cette structure garantit que tous les éléments clés sont présents.",
+        "improvement.persona": "Écrivez la story pour la persona du catalogue '{suggestion}' au lieu de '{persona}'.",
+        "improvement.glossary": "Utilisez le terme du glossaire '{canonical}' au lieu de '{term}'.",
+        "improvement.testable": "Certains critères d'acceptation pourraient être plus précis. Des formats comme 'Étant donné/Quand/Alors' ou 'Vérifier que...' les rendent plus faciles à tester.",
+        "query.acMissing": "Les critères d'acceptation manquent. Pouvez-vous définir les conditions précises à remplir pour que cette story soit considérée comme terminée ?",
+        "query.value": "Quel bénéfice précis cette story apporte-t-elle à la persona ou à l'entreprise ? Un bénéfice clair aide à prioriser le travail.",
+        "query.persona": "Qui est exactement '{persona}' ? Nommer la persona précise permet de mieux juger le bénéfice et les critères d'acceptation.",
+        "query.glossaryUndefined": "Le glossaire ne définit pas {terms}. Ajoutez une définition pour que l'équipe partage le même sens.",
+        "query.large": "Cette story semble grande. Peut-elle être découpée en morceaux plus petits, réalisables chacun en un sprint ?",
+
+        "persona.catalogued": "La persona '{name}' figure dans le catalogue des personas.",
+        "persona.alias": "'{persona}' est un alias de la persona du catalogue '{name}'. Utilisez le nom canonique pour que le backlog reste cohérent.",
+        "persona.generic": "'{persona}' est une persona générique. Nommez le rôle ou le groupe d'utilisateurs précis qui en bénéficie.",
+        "persona.unknown": "'{persona}' ne figure pas dans le catalogue des personas. Utilisez une persona du catalogue ou ajoutez celle-ci au catalogue.",
+        "persona.suggestion": "Vouliez-vous dire '{suggestion}' ?",
+        "persona.uncatalogued": "La story est écrite pour '{persona}'.",
+
+        "finding.ambiguousStory": "'{term}' est ambigu. Indiquez exactement ce qui est demandé.",
+        "finding.technical": "'{term}' impose la façon de réaliser la story. Décrivez le besoin de l'utilisateur et laissez la réalisation à l'équipe.",
+        "finding.dependency": "'{term}' suggère une dépendance. Vérifiez que la story peut être livrée seule.",
+        "finding.ambiguousCriterion": "'{term}' est ambigu. Un critère d'acceptation doit réussir ou échouer sans interprétation.",
+        "finding.vagueOutcome": "'{term}' n'est pas un résultat observable. Indiquez ce que l'utilisateur voit ou ce que le système enregistre.",
+        "finding.untestableCriterion": "Ce critère n'a pas de condition claire de réussite ou d'échec. Formulez-le avec 'Vérifier que...' ou 'Étant donné/Quand/Alors'.",
+        "finding.glossarySynonym": "'{term}' est un synonyme du terme du glossaire '{canonical}'. Utilisez '{canonical}' pour que le backlog reste cohérent.",
+        "finding.glossaryForbidden": "'{term}' ne doit pas être utilisé. Le terme du glossaire est '{canonical}'.",
+        "finding.glossaryUndefined": "'{term}' ressemble à un terme métier mais ne figure pas dans le glossaire. Définissez-le ou utilisez un terme du glossaire.",
+
+        "gherkin.missingThen": "Le scénario n'a pas d'étape Alors : il n'y a aucun résultat attendu à vérifier.",
+        "gherkin.missingWhen": "Le scénario n'a pas d'étape Quand décrivant l'action testée.",
+        "gherkin.multipleWhen": "Le scénario a {count} étapes Quand. Testez un seul comportement par scénario et déplacez le reste dans des scénarios séparés.",
+        "gherkin.thenWithoutOutcome": "\"{step}\" ne décrit pas de résultat observable. Indiquez ce que l'utilisateur voit ou ce que le système enregistre.",
+        "gherkin.missingExamples": "Le plan du scénario n'a pas de tableau d'exemples.",
+        "gherkin.undefinedPlaceholder": "La variable <{placeholder}> n'est pas une colonne du tableau d'exemples.",
+
+        "framework.noCriteria": "Aucun critère d'acceptation à évaluer.",
+        "smart.specific": "Spécifique",
+        "smart.specific.passed": "Les {count} critères décrivent tous un comportement concret.",
+        "smart.specific.failed": "{failed} critère(s) sur {count} sont trop courts ou ambigus, p. ex. \"{example}\".",
+        "smart.measurable": "Mesurable",
+        "smart.measurable.passed": "Les {count} critères ont tous un résultat observable ou chiffré.",
+        "smart.measurable.failed": "{failed} critère(s) sur {count} n'ont pas de résultat observable ou chiffré, p. ex. \"{example}\".",
+        "smart.achievable": "Atteignable",
+        "smart.achievable.passed": "Les {count} critères évitent tous les promesses absolues.",
+        "smart.achievable.failed": "{failed} critère(s) sur {count} promettent des absolus impossibles à garantir (p. ex. 'toujours', '100%'), p. ex. \"{example}\".",
+        "smart.relevant": "Pertinent",
+        "smart.relevant.passed": "Les {count} critères se rapportent tous à l'objectif de la story.",
+        "smart.relevant.failed": "{failed} critère(s) sur {count} ne mentionnent rien de l'objectif ou du bénéfice de la story, p. ex. \"{example}\".",
+        "smart.time-bound": "Temporellement défini",
+        "smart.time-bound.passed": "Les {count} critères indiquent tous quand ou à quelle vitesse le résultat se produit.",
+        "smart.time-bound.failed": "{failed} critère(s) sur {count} n'indiquent pas quand ou à quelle vitesse le résultat se produit, p. ex. \"{example}\".",
+        "threeCs.card": "Carte",
+        "threeCs.card.format": "La story nomme le rôle, l'objectif et le bénéfice",
+        "threeCs.card.noFormat": "La story ne suit pas le format 'En tant que ..., je veux ..., afin de ...'",
+        "threeCs.card.concise": " et est assez courte pour une carte.",
+        "threeCs.card.long": ", et avec {length} caractères elle est trop longue pour une carte.",
+        "threeCs.conversation": "Conversation",
+        "threeCs.conversation.open": "La story laisse le 'comment' ouvert à la discussion de l'équipe.",
+        "threeCs.conversation.prescriptive": "La story impose des détails techniques, ce qui écourte la conversation.",
+        "threeCs.conversation.clear": "Sa formulation donne à la conversation un point de départ clair.",
+        "threeCs.conversation.unclear": "Les formulations ambiguës ou vagues doivent d'abord être clarifiées en conversation.",
+        "threeCs.confirmation": "Confirmation",
+        "threeCs.confirmation.none": "Il n'y a pas de critères d'acceptation pour confirmer que la story est terminée.",
+        "threeCs.confirmation.testable": "Des critères d'acceptation testables confirment quand la story est terminée.",
+        "threeCs.confirmation.notTestable": "Des critères d'acceptation existent, mais ne sont pas tous testables.",
+        "dor.found": "Trouvé dans la story ou ses critères d'acceptation.",
+        "dor.notFound": "Introuvable. Mentionnez-le dans la story ou ses critères d'acceptation (p. ex. '{keyword}').",
+        "nfr.performance": "Performance",
+        "nfr.performance.criterion": "Vérifier que le temps de réponse est inférieur à 2 secondes pour 95 % des requêtes au pic de charge attendu.",
+        "nfr.security": "Sécurité",
+        "nfr.security.criterion": "Vérifier que seuls les utilisateurs authentifiés disposant de la permission requise peuvent effectuer l'action, et que les autres sont refusés avec un message d'accès refusé.",
+        "nfr.privacy": "Confidentialité",
+        "nfr.privacy.criterion": "Vérifier que les données personnelles ne sont traitées qu'avec le consentement de l'utilisateur et sont supprimées ou anonymisées après la durée de conservation convenue.",
+        "nfr.accessibility": "Accessibilité",
+        "nfr.accessibility.criterion": "Vérifier que la fonctionnalité est utilisable au clavier et avec un lecteur d'écran et respecte le niveau AA des WCAG 2.1.",
+        "nfr.auditability": "Traçabilité",
+        "nfr.auditability.criterion": "Vérifier que chaque modification est enregistrée dans le journal d'audit avec l'utilisateur, l'heure et les valeurs avant et après.",
+        "nfr.availability": "Disponibilité",
+        "nfr.availability.criterion": "Vérifier que la fonctionnalité est disponible 99,9 % du temps chaque mois, et qu'en cas d'indisponibilité les utilisateurs voient un message clair et peuvent réessayer.",
+        "nfr.query.stated": "{label} : la story mentionne {terms}, mais aucun critère d'acceptation ne le rend mesurable. Quelle est la cible ?",
+        "nfr.query.implied": "{label} : aucun critère d'acceptation ne couvre les exigences impliquées par {terms}. Qu'est-ce qui est attendu ?",
+
+        "rewrite.withPersona": "En tant que {persona}, je veux {goal}",
+        "rewrite.withoutPersona": "Je veux {goal}",
+        "rewrite.withValue": "{story}, afin de {value}",
+        "rewrite.personaPlaceholder": "[rôle]",
+        "rewrite.valuePlaceholder": "[décrire le bénéfice]",
+        "rewrite.testablePrefix": "Vérifier que",
+        "rewrite.change.format": "La story a été restructurée au format 'En tant que [rôle], je veux [objectif], afin de [bénéfice]'.",
+        "rewrite.change.formatUnparsed": "La story ne suit pas le format 'En tant que [rôle], je veux [objectif], afin de [bénéfice]' et n'a pas pu être restructurée automatiquement. Reformulez-la selon ce format.",
+        "rewrite.change.personaPlaceholder": "Espace réservé {placeholder} ajouté. Nommez l'utilisateur qui bénéficie de la story.",
+        "rewrite.change.personaAlias": "'{persona}' remplacé par son nom du catalogue '{canonical}'.",
+        "rewrite.change.valuePlaceholder": "Espace réservé \"afin de {placeholder}\" ajouté. Indiquez pourquoi la persona en a besoin.",
+        "rewrite.change.ambiguous": "Termes ambigus remplacés ou supprimés : {terms}.",
+        "rewrite.change.technicalMoved": "Les détails techniques ont été déplacés de la story vers les notes techniques, pour que l'équipe décide de la mise en œuvre.",
+        "rewrite.change.technicalUnresolved": "La story mentionne encore {terms}. Reformulez-la selon le besoin de l'utilisateur.",
+        "rewrite.change.acInferred": "Critères d'acceptation déduits ajoutés comme point de départ. Confirmez-les et affinez-les avec l'équipe.",
+        "rewrite.change.acReworded": "{count} critère(s) reformulé(s) en \"{prefix} ...\" pour qu'ils soient testables.",
+        "rewrite.change.acAmbiguous": "Termes ambigus remplacés ou supprimés dans les critères d'acceptation : {terms}.",
+        "feature.narrativePersona": "En tant que {persona}",
+        "feature.narrativeGoal": "je veux {goal}",
+        "feature.narrativeValue": "afin de {value}",
+        "feature.inferredNote": "Ces scénarios ont été déduits de la story. Vérifiez-les avant de vous y fier.",
+        "feature.todoSteps": "Ajouter les étapes Étant donné/Quand qui mènent à ce résultat.",
+        "report.title": "Rapport d'affinage de la user story",
+        "report.generated": "Généré le {timestamp} avec le profil de règles '{profile}'.",
+        "report.halted": "### 🚫 Analyse interrompue\n**La user story semble manquer.**\nIndiquez la story à analyser. Une bonne story ressemble par exemple à ceci :\n*\"En tant que [type d'utilisateur], je veux [effectuer une action], afin de [atteindre un objectif].\"*",
+        "report.overallScore": "Score global de préparation : {score}/100",
+        "report.story": "Story",
+        "report.acceptanceCriteria": "Critères d'acceptation",
+        "report.overallReadiness": "Préparation globale",
+        "report.readinessRating": "Score de préparation",
+        "report.section": "Section",
+        "report.score": "Score",
+        "report.analysisEngine": "Moteur d'analyse",
+        "report.llmSkipped": "{engine} ; le LLM a été ignoré : {reason}",
+        "report.clarity": "Analyse de la clarté et des exigences",
+        "report.clarityTotal": "Clarté & exigences",
+        "report.formatCheck": "Vérification du format",
+        "report.clarityAmbiguity": "Clarté & ambiguïté",
+        "report.check": "Vérification",
+        "report.feedback": "Commentaire",
+        "report.invest": "Évaluation des critères INVEST",
+        "report.criterion": "Critère",
+        "report.status": "Statut",
+        "report.justification": "Justification",
+        "report.queries": "Questions ouvertes & contradictions",
+        "report.noQueries": "Aucune question ouverte ni contradiction majeure.",
+        "report.noQueriesPraise": "Aucune question ouverte ni contradiction majeure. Bravo !",
+        "report.recommendations": "Recommandations",
+        "report.improvements": "Améliorations suggérées",
+        "report.noImprovements": "La story est en bon état. Aucune amélioration majeure suggérée.",
+        "report.inferredCriteria": "Critères d'acceptation déduits (à confirmer)",
+        "report.inferredCriteriaIntro": "Pour commencer, voici quelques critères d'acceptation possibles. Relisez-les et affinez-les",
+        "report.decomposition": "Suggestions de découpage de la story",
+        "report.decompositionIntro": "Cette story semble un peu grande. Envisagez de la découper selon l'un de ces modèles :",
+        "report.sharedCriteria": "Critères pour chaque sous-story",
+        "report.frameworks": "Cadres de qualité",
+        "report.met": "Atteint",
+        "report.nfr": "Exigences non fonctionnelles",
+        "report.nfrMissing": "Ces exigences non fonctionnelles découlent de la story, mais aucun critère d'acceptation ne les couvre :",
+        "report.nfrStated": "Mentionnée via {terms}.",
+        "report.nfrImplied": "Impliquée par {terms}.",
+        "report.nfrCovered": "Couvertes par les critères d'acceptation : {labels}.",
+        "report.suggestedCriterion": "Critère suggéré",
+        "report.coaching": "Coaching",
+        "report.rewrittenStory": "Story réécrite",
+        "report.rewrittenCriteria": "Critères d'acceptation réécrits",
+    },
+};
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Detects the non-functional requirements (NFRs) a story raises: performance,
+ * security, privacy, accessibility, auditability and availability. A concern is raised when
+ * the story states it ("must be secure") or implies it ("payment", "personal data", "export"),
+ * and counts as covered when an acceptance criterion addresses it. Uncovered concerns get a
+ * measurable acceptance criterion to start from.
+ */
+
+const { findTerms, distinctTerms } = require('./textFindings');
+const { parseGherkin } = require('./gherkinParser');
+const { formatMessage } = require('./locales');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+// The keyword lists are `NFR.<CATEGORY>` in the rule profile, as { STATED, IMPLIED }: STATED
+// keywords name the requirement itself and IMPLIED ones are features that usually come with
+// it. Labels and suggested criteria are the `nfr.<id>` messages of the rules' language.
+
+/**
+ * Lists the NFR categories of the rules, with their IDs.
+ * @param {object} rules - The resolved rule profile.
+ * @returns {Array<{id: string, stated: string[], implied: string[]}>}
+ */
+function listNfrCategories(rules) {
+    return Object.entries(rules.NFR).map(([key, keywords]) => ({
+        id: key.toLowerCase(),
+        stated: keywords.STATED,
+        implied: keywords.IMPLIED,
+    }));
+}
+
+/**
+ * Returns the acceptance criteria that can cover an NFR: plain criteria and the When and Then
+ * steps. Given steps only set the scene, so "Given I am logged in" does not cover auditability.
+ * @param {string} acceptanceCriteriaText
+ * @param {object} rules - The resolved rule profile.
+ * @returns {string} The criteria, one per line.
+ */
+function coveringCriteria(acceptanceCriteriaText, rules) {
+    const { scenarios, plainCriteria } = parseGherkin(acceptanceCriteriaText, { language: rules.LANGUAGE });
+    return [
+        ...scenarios.flatMap(scenario => scenario.steps.filter(step => step.type !== 'given').map(step => step.text)),
+        ...plainCriteria.map(criterion => criterion.text),
+    ].join('\n');
+}
+
+// =================================================================
+// MAIN EXPORTED FUNCTION
+// =================================================================
+
+/**
+ * Detects the NFRs a story raises and whether its acceptance criteria cover them. A criterion
+ * covers a category when it mentions one of its STATED keywords outside a Given step.
+ * @param {string} story
+ * @param {string} acceptanceCriteriaText
+ * @param {object} rules - The resolved rule profile.
+ * @returns {Array<{id: string, label: string, status: 'covered'|'missing', stated: boolean, terms: string[], suggestedAcceptanceCriterion: string}>}
+ *   One entry per category the story raises, in the order of `NFR`. A `covered` entry's terms
+ *   are the ones its acceptance criteria mention; a `missing` entry's terms are the ones that
+ *   raised it, and `stated` tells whether the story names the requirement or only implies it.
+ */
+function detectNonFunctionalRequirements(story, acceptanceCriteriaText, rules) {
+    const criteria = acceptanceCriteriaText || "";
+    const text = `${story}\n${criteria}`;
+    const coverable = coveringCriteria(criteria, rules);
+    return listNfrCategories(rules).flatMap(category => {
+        const statedTerms = distinctTerms(findTerms(text, category.stated));
+        const impliedTerms = distinctTerms(findTerms(text, category.implied));
+        if (statedTerms.length === 0 && impliedTerms.length === 0) return [];
+
+        const coveringTerms = distinctTerms(findTerms(coverable, category.stated));
+        const covered = coveringTerms.length > 0;
+        return [{
+            id: category.id,
+            label: formatMessage(rules.LANGUAGE, `nfr.${category.id}`),
+            status: covered ? 'covered' : 'missing',
+            stated: statedTerms.length > 0,
+            terms: covered ? coveringTerms : [...new Set([...statedTerms, ...impliedTerms])],
+            suggestedAcceptanceCriterion: formatMessage(rules.LANGUAGE, `nfr.${category.id}.criterion`),
+        }];
+    });
+}
+
+module.exports = { detectNonFunctionalRequirements };
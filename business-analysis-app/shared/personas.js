@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Persona checks. The persona a story is written for (the first group of
+ * STORY_FORMAT_REGEX) is compared with the team's persona catalogue: `PERSONAS.CATALOGUE`
+ * in the rule profile, plus the personas managed through the Express backend's
+ * /api/personas. Generic personas ("user", "admin"), aliases that should use the catalogue
+ * name and personas the catalogue does not know are flagged, and across a backlog, stories
+ * that name one persona in different ways are reported as alias drift.
+ */
+
+const { formatMessage } = require('./locales');
+
+// =================================================================
+// CATALOGUE
+// =================================================================
+// A persona is { name, aliases, description, goals }. Names and aliases are matched
+// ignoring case, articles and surrounding whitespace.
+
+const MAX_SUGGESTION_DISTANCE = 2;
+
+/**
+ * Normalizes a persona name for matching, e.g. "the  Returning Customer," -> "returning customer".
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizePersona(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s'-]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^(?:the|a|an) /, '');
+}
+
+/**
+ * Validates one catalogue entry.
+ * @param {*} persona
+ * @param {string} [path="persona"] - Used in error messages.
+ * @returns {string[]} Validation errors, empty when the persona is valid.
+ */
+function validatePersona(persona, path = "persona") {
+    if (!persona || typeof persona !== 'object' || Array.isArray(persona)) return [`${path} must be an object.`];
+    const errors = [];
+    const isStringList = value => Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() !== '');
+    if (typeof persona.name !== 'string' || normalizePersona(persona.name) === '') errors.push(`${path}.name must be a non-empty string.`);
+    if (persona.aliases !== undefined && !isStringList(persona.aliases)) errors.push(`${path}.aliases must be an array of non-empty strings.`);
+    if (persona.goals !== undefined && !isStringList(persona.goals)) errors.push(`${path}.goals must be an array of non-empty strings.`);
+    if (persona.description !== undefined && typeof persona.description !== 'string') errors.push(`${path}.description must be a string.`);
+    return errors;
+}
+
+/**
+ * Merges persona catalogues. A persona in a later catalogue replaces one with the same name.
+ * @param {...object[]} catalogues
+ * @returns {Array<{name: string, aliases: string[], description: string, goals: string[]}>}
+ */
+function mergeCatalogues(...catalogues) {
+    const byName = new Map();
+    catalogues.flat().forEach(({ name, aliases = [], description = "", goals = [] }) => {
+        byName.set(normalizePersona(name), { name: name.trim(), aliases, description, goals });
+    });
+    return [...byName.values()];
+}
+
+/**
+ * Returns the rules with extra personas added to the profile's catalogue, e.g. the ones
+ * managed through the API.
+ * @param {object} rules - The resolved rule profile.
+ * @param {object[]} personas
+ * @returns {object} A copy of the rules.
+ */
+function withPersonaCatalogue(rules, personas) {
+    return { ...rules, PERSONAS: { ...rules.PERSONAS, CATALOGUE: mergeCatalogues(rules.PERSONAS.CATALOGUE, personas) } };
+}
+
+// =================================================================
+// CHECKS
+// =================================================================
+
+/**
+ * Computes the Levenshtein distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Finds the catalogue persona an unknown persona most likely means: one whose name or alias
+ * is a near-miss spelling, or shares a word with it (e.g. "returning customer" -> "Customer").
+ * @param {string} normalized - The normalized persona.
+ * @param {object[]} catalogue
+ * @returns {string|null} The catalogue name.
+ */
+function suggestPersona(normalized, catalogue) {
+    const words = new Set(normalized.split(' '));
+    let best = null;
+    catalogue.forEach(entry => {
+        [entry.name, ...entry.aliases].map(normalizePersona).forEach(candidate => {
+            const distance = editDistance(normalized, candidate);
+            const sharesWord = candidate.split(' ').some(word => word.length > 2 && words.has(word));
+            const rank = distance <= MAX_SUGGESTION_DISTANCE ? distance : sharesWord ? MAX_SUGGESTION_DISTANCE + 1 : null;
+            if (rank !== null && (!best || rank < best.rank)) best = { rank, name: entry.name };
+        });
+    });
+    return best ? best.name : null;
+}
+
+/**
+ * Checks a story's persona against the catalogue and the generic personas.
+ * @param {string} persona - The persona as written in the story.
+ * @param {object} rules - The resolved rule profile.
+ * @returns {{persona: string, status: 'catalogued'|'alias'|'generic'|'unknown'|'uncatalogued', canonical: string|null, suggestion: string|null, message: string}}
+ *   `canonical` is the catalogue name the persona resolves to; `suggestion` is the name to
+ *   use instead, when there is one. With an empty catalogue, a persona that is not generic is
+ *   `uncatalogued`.
+ */
+function checkPersona(persona, rules) {
+    const written = persona.trim();
+    const normalized = normalizePersona(written);
+    const catalogue = rules.PERSONAS.CATALOGUE;
+    const message = (key, params) => formatMessage(rules.LANGUAGE, key, { persona: written, ...params });
+    const result = (status, canonical, suggestion, text) => ({ persona: written, status, canonical, suggestion, message: text });
+
+    const byName = catalogue.find(entry => normalizePersona(entry.name) === normalized);
+    if (byName) {
+        return result('catalogued', byName.name, null, message("persona.catalogued", { name: byName.name }));
+    }
+    const byAlias = catalogue.find(entry => entry.aliases.some(alias => normalizePersona(alias) === normalized));
+    if (byAlias) {
+        return result('alias', byAlias.name, byAlias.name, message("persona.alias", { name: byAlias.name }));
+    }
+
+    const suggestion = catalogue.length > 0 ? suggestPersona(normalized, catalogue) : null;
+    const instead = suggestion ? ` ${message("persona.suggestion", { suggestion })}` : '';
+    if (rules.PERSONAS.GENERIC.some(generic => normalizePersona(generic) === normalized)) {
+        return result('generic', null, suggestion, `${message("persona.generic")}${instead}`);
+    }
+    if (catalogue.length > 0) {
+        return result('unknown', null, suggestion, `${message("persona.unknown")}${instead}`);
+    }
+    return result('uncatalogued', null, null, message("persona.uncatalogued"));
+}
+
+/**
+ * Finds catalogue personas that a backlog names in more than one way, e.g. "Customer" in
+ * one story and its alias "client" in another.
+ * @param {Array<{id: string, persona: {persona: string, canonical: string|null}|null}>} stories
+ *   Each story's ID and its `persona` check.
+ * @returns {Array<{canonical: string, variants: Array<{persona: string, ids: string[]}>}>}
+ */
+function findPersonaDrift(stories) {
+    const byCanonical = new Map();
+    stories.forEach(({ id, persona }) => {
+        if (!persona || !persona.canonical) return;
+        const variants = byCanonical.get(persona.canonical) || new Map();
+        const key = normalizePersona(persona.persona);
+        const variant = variants.get(key) || { persona: persona.persona, ids: [] };
+        variant.ids.push(id);
+        variants.set(key, variant);
+        byCanonical.set(persona.canonical, variants);
+    });
+    return [...byCanonical.entries()]
+        .filter(([, variants]) => variants.size > 1)
+        .map(([canonical, variants]) => ({ canonical, variants: [...variants.values()] }));
+}
+
+module.exports = {
+    normalizePersona,
+    validatePersona,
+    mergeCatalogues,
+    withPersonaCatalogue,
+    checkPersona,
+    findPersonaDrift,
+};
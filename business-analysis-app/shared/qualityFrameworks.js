@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Quality frameworks assessed on top of the clarity and INVEST analysis.
+ * Each framework is a plugin in a registry; the enabled ones (`FRAMEWORKS.ENABLED` in the
+ * rule profile, or per request) add their own checks and score to the analysis, and the
+ * readiness rating is normalized across everything that was assessed.
+ *
+ * Built-in frameworks: SMART acceptance criteria, the 3 C's (Card, Conversation,
+ * Confirmation) and a configurable team Definition of Ready checklist.
+ */
+
+const { listCriteria, stems } = require('./storySplitting');
+const { formatMessage } = require('./locales');
+
+// =================================================================
+// REGISTRY
+// =================================================================
+// A framework is { id, name, description, defaultWeight, assess(input, rules) }, where
+// `assess` returns the framework's checks: [{ id, label, score, justification }], with
+// `score` from 0 (not met) to 1 (fully met). The framework's score is the average check
+// score scaled to its weight (`FRAMEWORKS.WEIGHTS[id]`, or `defaultWeight`).
+
+const registry = new Map();
+
+/**
+ * Registers a quality framework, or replaces the one with the same ID.
+ * @param {{id: string, name: string, description?: string, defaultWeight: number, assess: Function}} framework
+ */
+function registerQualityFramework(framework) {
+    if (!framework || typeof framework.id !== 'string' || !/^[a-z0-9-]+$/.test(framework.id)) {
+        throw new TypeError("A quality framework needs an 'id' of lower-case letters, digits and '-'.");
+    }
+    if (typeof framework.name !== 'string' || typeof framework.assess !== 'function') {
+        throw new TypeError(`Quality framework '${framework.id}' needs a 'name' and an 'assess' function.`);
+    }
+    if (typeof framework.defaultWeight !== 'number' || framework.defaultWeight < 0) {
+        throw new TypeError(`Quality framework '${framework.id}' needs a non-negative 'defaultWeight'.`);
+    }
+    registry.set(framework.id, framework);
+}
+
+/**
+ * Lists the registered frameworks.
+ * @returns {Array<{id: string, name: string, description: string}>}
+ */
+function listQualityFrameworks() {
+    return [...registry.values()].map(({ id, name, description = "" }) => ({ id, name, description }));
+}
+
+/**
+ * Returns the rules with a different set of enabled frameworks, e.g. for one request.
+ * @param {object} rules - The resolved rule profile.
+ * @param {string[]} frameworkIds
+ * @returns {object} A copy of the rules.
+ * @throws {RangeError} If a framework is not registered.
+ */
+function withEnabledFrameworks(rules, frameworkIds) {
+    const unknown = frameworkIds.filter(id => !registry.has(id));
+    if (unknown.length > 0) {
+        throw new RangeError(`Unknown quality framework '${unknown[0]}'. Use any of: ${[...registry.keys()].join(', ')}.`);
+    }
+    return { ...rules, FRAMEWORKS: { ...rules.FRAMEWORKS, ENABLED: [...new Set(frameworkIds)] } };
+}
+
+// =================================================================
+// HELPERS
+// =================================================================
+
+/**
+ * Checks whether a text contains any of the keywords, ignoring case.
+ * @param {string} text
+ * @param {string[]} keywords
+ * @returns {boolean}
+ */
+function containsAny(text, keywords) {
+    const lower = text.toLowerCase();
+    return keywords.some(keyword => lower.includes(keyword.toLowerCase()));
+}
+
+/**
+ * Builds a SMART check that applies a test to every acceptance criterion. The score is the
+ * share of criteria that pass; the justification quotes the first one that does not. The
+ * label and texts are the `smart.<id>` messages of the rules' language.
+ * @param {string} id
+ * @param {string[]} criteria
+ * @param {function(string): boolean} test
+ * @param {object} rules
+ * @returns {{id: string, label: string, score: number, justification: string}}
+ */
+function criteriaCheck(id, criteria, test, rules) {
+    const label = formatMessage(rules.LANGUAGE, `smart.${id}`);
+    if (criteria.length === 0) {
+        return { id, label, score: 0, justification: formatMessage(rules.LANGUAGE, "framework.noCriteria") };
+    }
+    const failing = criteria.filter(criterion => !test(criterion));
+    const score = (criteria.length - failing.length) / criteria.length;
+    const justification = failing.length === 0
+        ? formatMessage(rules.LANGUAGE, `smart.${id}.passed`, { count: criteria.length })
+        : formatMessage(rules.LANGUAGE, `smart.${id}.failed`, { failed: failing.length, count: criteria.length, example: failing[0] });
+    return { id, label, score, justification };
+}
+
+// =================================================================
+// BUILT-IN FRAMEWORKS
+// =================================================================
+
+registerQualityFramework({
+    id: "smart",
+    name: "SMART Acceptance Criteria",
+    description: "Checks that each acceptance criterion is Specific, Measurable, Achievable, Relevant and Time-bound.",
+    defaultWeight: 20,
+    assess({ story, criteria, formatMatch }, rules) {
+        const smart = rules.FRAMEWORKS.SMART;
+        const storyStems = stems(formatMatch ? `${formatMatch[2]} ${formatMatch[3]}` : story);
+        const isVague = criterion => containsAny(criterion, rules.KEYWORDS.VAGUE_OUTCOMES);
+        return [
+            criteriaCheck("specific", criteria,
+                criterion => criterion.split(/\s+/).length >= 4 && !containsAny(criterion, rules.KEYWORDS.AMBIGUOUS), rules),
+            criteriaCheck("measurable", criteria,
+                criterion => !isVague(criterion) && (/\d/.test(criterion) || containsAny(criterion, [...smart.MEASURABLE, ...rules.KEYWORDS.TESTABLE_AC])), rules),
+            criteriaCheck("achievable", criteria,
+                criterion => !containsAny(criterion, smart.UNACHIEVABLE), rules),
+            criteriaCheck("relevant", criteria,
+                criterion => [...stems(criterion)].some(stem => storyStems.has(stem)), rules),
+            criteriaCheck("time-bound", criteria,
+                criterion => containsAny(criterion, smart.TIME_BOUND), rules),
+        ];
+    },
+});
+
+registerQualityFramework({
+    id: "three-cs",
+    name: "3 C's (Card, Conversation, Confirmation)",
+    description: "Checks that the story fits on a card, leaves room for conversation and has confirmation criteria.",
+    defaultWeight: 15,
+    assess({ story, formatMatch, clarity, invest }, rules) {
+        const message = (key, params) => formatMessage(rules.LANGUAGE, key, params);
+        const isConcise = story.length <= rules.THRESHOLDS.LONG_STORY_LENGTH;
+        const card = {
+            id: "card",
+            label: message("threeCs.card"),
+            score: (formatMatch ? 0.5 : 0) + (isConcise ? 0.5 : 0),
+            justification: `${message(formatMatch ? "threeCs.card.format" : "threeCs.card.noFormat")}${isConcise ? message("threeCs.card.concise") : message("threeCs.card.long", { length: story.length })}`,
+        };
+
+        const isOpen = invest.negotiable.score >= rules.SCORING.INVEST_MEETS;
+        const isClear = clarity.clarityAmbiguity.score >= rules.SCORING.CLARITY_MAX;
+        const conversation = {
+            id: "conversation",
+            label: message("threeCs.conversation"),
+            score: (isOpen ? 0.5 : 0) + (isClear ? 0.5 : 0),
+            justification: [
+                message(isOpen ? "threeCs.conversation.open" : "threeCs.conversation.prescriptive"),
+                message(isClear ? "threeCs.conversation.clear" : "threeCs.conversation.unclear"),
+            ].join(' '),
+        };
+
+        const hasCriteria = clarity.acceptanceCriteria.score > rules.SCORING.AC_MISSING;
+        const isTestable = invest.testable.score >= rules.SCORING.INVEST_MEETS;
+        const confirmation = {
+            id: "confirmation",
+            label: message("threeCs.confirmation"),
+            score: hasCriteria ? (isTestable ? 1 : 0.5) : 0,
+            justification: message(!hasCriteria
+                ? "threeCs.confirmation.none"
+                : isTestable ? "threeCs.confirmation.testable" : "threeCs.confirmation.notTestable"),
+        };
+        return [card, conversation, confirmation];
+    },
+});
+
+registerQualityFramework({
+    id: "definition-of-ready",
+    name: "Definition of Ready",
+    description: "Checks the team's Definition of Ready checklist (FRAMEWORKS.DEFINITION_OF_READY in the rule profile).",
+    defaultWeight: 20,
+    assess({ story, acceptanceCriteriaText }, rules) {
+        const text = `${story}\n${acceptanceCriteriaText}`;
+        return rules.FRAMEWORKS.DEFINITION_OF_READY.map(item => {
+            const met = containsAny(text, item.keywords);
+            return {
+                id: item.id,
+                label: item.label,
+                score: met ? 1 : 0,
+                justification: met ? formatMessage(rules.LANGUAGE, "dor.found") : formatMessage(rules.LANGUAGE, "dor.notFound", { keyword: item.keywords[0] }),
+            };
+        });
+    },
+});
+
+// =================================================================
+// MAIN EXPORTED FUNCTION
+// =================================================================
+
+/**
+ * Runs the frameworks enabled in the rules.
+ * @param {object} input
+ * @param {string} input.story
+ * @param {string} input.acceptanceCriteriaText
+ * @param {string[]|null} input.formatMatch - The story matched against STORY_FORMAT_REGEX.
+ * @param {object} input.clarity - The clarity sections of the analysis.
+ * @param {object} input.invest - The INVEST criteria of the analysis.
+ * @param {object} rules - The resolved rule profile.
+ * @returns {object} Per framework ID: `{ name, score, maxScore, checks }`.
+ * @throws {RangeError} If an enabled framework is not registered.
+ */
+function assessQualityFrameworks(input, rules) {
+    const criteria = listCriteria(input.acceptanceCriteriaText, rules.LANGUAGE);
+    return Object.fromEntries(rules.FRAMEWORKS.ENABLED.map(id => {
+        const framework = registry.get(id);
+        if (!framework) throw new RangeError(`Unknown quality framework '${id}'.`);
+        const checks = framework.assess({ ...input, criteria }, rules)
+            .map(check => ({ ...check, score: Math.round(Math.max(0, Math.min(1, check.score)) * 100) / 100 }));
+        const maxScore = rules.FRAMEWORKS.WEIGHTS[id] !== undefined ? rules.FRAMEWORKS.WEIGHTS[id] : framework.defaultWeight;
+        const average = checks.length > 0 ? checks.reduce((sum, check) => sum + check.score, 0) / checks.length : 0;
+        return [id, { name: framework.name, score: Math.round(average * maxScore), maxScore, checks }];
+    }));
+}
+
+module.exports = { registerQualityFramework, listQualityFrameworks, withEnabledFrameworks, assessQualityFrameworks };
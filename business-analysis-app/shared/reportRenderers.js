@@ -0,0 +1,533 @@
+/**
+ * @fileoverview Renders analysis reports for stakeholders in several formats: Markdown,
+ * standalone HTML, print-optimized HTML (for "Save as PDF"), Word (.docx) and plain text
+ * for chat tools. A report is first built as format-neutral blocks (headings, paragraphs,
+ * lists, quotes, tables and page breaks); each renderer in the registry turns the blocks
+ * into its format. Backlog runs render as one combined report with a summary table.
+ */
+
+const { formatAnalysisAsMarkdown, describeScenarioFindings, getInvestStatus, DEFAULT_RULES } = require('./userStoryAgent');
+const { createDocx } = require('./docxDocument');
+const { formatMessage, withLocale } = require('./locales');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+const BACKLOG_REPORT_TITLE = "Backlog Refinement Report";
+const MAX_FILE_SLUG_LENGTH = 50;
+
+// Clarity sections and the message keys of their labels.
+const CLARITY_CHECKS = [
+    ['formatCheck', 'report.formatCheck'],
+    ['clarityAmbiguity', 'report.clarityAmbiguity'],
+    ['acceptanceCriteria', 'report.acceptanceCriteria'],
+];
+const INVEST_CRITERIA = ['independent', 'negotiable', 'valuable', 'estimable', 'small', 'testable'];
+
+// =================================================================
+// REPORT BLOCKS
+// =================================================================
+
+const heading = (level, text) => ({ type: 'heading', level, text });
+const paragraph = (text, options = {}) => ({ type: 'paragraph', text, ...options });
+const quote = text => ({ type: 'quote', text });
+const list = items => ({ type: 'list', items: items.map(item => (typeof item === 'string' ? { text: item } : item)) });
+const table = (columns, rows) => ({ type: 'table', columns, rows });
+const PAGE_BREAK = { type: 'pageBreak' };
+
+/**
+ * Capitalizes the first letter.
+ * @param {string} text
+ * @returns {string}
+ */
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Builds a file-name-safe slug.
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, MAX_FILE_SLUG_LENGTH).replace(/-+$/, '');
+}
+
+/**
+ * Describes when and with which rule profile a report was generated.
+ * @param {Date} generatedAt
+ * @param {string} profile
+ * @param {string} language - A locale pack ID.
+ * @returns {object}
+ */
+function generatedLine(generatedAt, profile, language) {
+    const timestamp = `${generatedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+    return paragraph(formatMessage(language, 'report.generated', { timestamp, profile }), { emphasis: true });
+}
+
+/**
+ * Returns the rules in the language an analysis was written in.
+ * @param {object} analysis
+ * @param {object} rules - The resolved rule profile.
+ * @returns {object}
+ */
+function analysisRules(analysis, rules) {
+    return analysis.locale ? withLocale(rules, analysis.locale) : rules;
+}
+
+/**
+ * Builds the sections of one story's analysis, in the language of the analysis.
+ * @param {object} analysis - The analysis object.
+ * @param {object} rules - The resolved rule profile.
+ * @param {{story?: string, acceptanceCriteria?: string}} input - The analyzed text, shown when given.
+ * @param {number} level - The heading level of the sections; subsections are one level lower.
+ * @returns {object[]} Report blocks.
+ */
+function buildAnalysisBlocks(analysis, rules, { story, acceptanceCriteria }, level) {
+    rules = analysisRules(analysis, rules);
+    const t = (key, params) => formatMessage(rules.LANGUAGE, key, params);
+    const {
+        overallReadinessScore: overall,
+        clarityAndRequirementAnalysis: clarity,
+        investCriteriaAssessment: invest,
+        outstandingQueriesAndConflicts: queries,
+        actionableRecommendations: recs,
+        coaching,
+        analysisSource,
+    } = analysis;
+    const frameworks = Object.values(analysis.frameworkAssessments || {});
+    const blocks = [];
+
+    if (story) {
+        blocks.push(heading(level, t('report.story')), quote(story));
+        const criteria = (acceptanceCriteria || "").split('\n').map(line => line.trim()).filter(Boolean);
+        if (criteria.length > 0) blocks.push(heading(level + 1, t('report.acceptanceCriteria')), list(criteria));
+    }
+
+    blocks.push(
+        heading(level, t('report.overallReadiness')),
+        paragraph(`${overall.readinessRating}/100 – ${overall.readinessCategory}`, { label: t('report.readinessRating') }),
+        paragraph(overall.summary, { emphasis: true }),
+        table([t('report.section'), t('report.score')], [
+            [t('report.clarityTotal'), `${overall.scoreBreakdown.clarityRequirementAnalysis} / ${rules.MAX_SCORES.CLARITY_AND_REQUIREMENT}`],
+            [t('report.invest'), `${overall.scoreBreakdown.investCriteriaAssessment} / ${rules.MAX_SCORES.INVEST}`],
+            ...frameworks.map(framework => [framework.name, `${framework.score} / ${framework.maxScore}`]),
+        ]),
+    );
+    if (analysisSource) {
+        const engine = analysisSource.model ? `${analysisSource.provider} (${analysisSource.model})` : analysisSource.provider;
+        blocks.push(paragraph(analysisSource.fallbackReason ? t('report.llmSkipped', { engine, reason: analysisSource.fallbackReason }) : engine, { label: t('report.analysisEngine') }));
+    }
+
+    blocks.push(
+        heading(level, `1. ${t('report.clarity')}`),
+        table([t('report.check'), t('report.score'), t('report.feedback')], CLARITY_CHECKS.map(([key, labelKey]) => [t(labelKey), String(clarity[key].score), clarity[key].feedback])),
+    );
+    const scenarioFindings = describeScenarioFindings(clarity.acceptanceCriteria.scenarios || [], rules);
+    if (scenarioFindings.length > 0) blocks.push(list(scenarioFindings));
+
+    blocks.push(
+        heading(level, `2. ${t('report.invest')}`),
+        table([t('report.criterion'), t('report.score'), t('report.status'), t('report.justification')], INVEST_CRITERIA.map(key => [
+            t(`invest.${key}`),
+            `${invest[key].score} / ${rules.SCORING.INVEST_MAX}`,
+            getInvestStatus(invest[key].score, rules),
+            invest[key].justification,
+        ])),
+        heading(level, `3. ${t('report.queries')}`),
+        queries.length > 0 ? list(queries) : paragraph(t('report.noQueries')),
+        heading(level, `4. ${t('report.recommendations')}`),
+        heading(level + 1, t('report.improvements')),
+        recs.suggestedImprovements.length > 0 ? list(recs.suggestedImprovements) : paragraph(t('report.noImprovements')),
+    );
+    if (recs.inferredAcceptanceCriteria.length > 0) {
+        blocks.push(
+            heading(level + 1, t('report.inferredCriteria')),
+            paragraph(`${t('report.inferredCriteriaIntro')}.`, { emphasis: true }),
+            list(recs.inferredAcceptanceCriteria),
+        );
+    }
+    if (recs.decompositionSplits.length > 0) {
+        blocks.push(heading(level + 1, t('report.decomposition')), list(recs.decompositionSplits.map(split => ({
+            label: split.label,
+            text: split.rationale,
+            items: [
+                ...split.children.map(child => ({
+                    text: child.acceptanceCriteria.length > 0 ? `${child.story} (AC: ${child.acceptanceCriteria.join('; ')})` : child.story,
+                })),
+                ...(split.sharedAcceptanceCriteria.length > 0 ? [{ label: t('report.sharedCriteria'), text: split.sharedAcceptanceCriteria.join('; ') }] : []),
+            ],
+        }))));
+    } else if (recs.storyDecomposition.length > 0) {
+        blocks.push(heading(level + 1, t('report.decomposition')), list(recs.storyDecomposition));
+    }
+
+    // Sections 1-4 are always present; the optional ones are numbered on from there.
+    let section = 4;
+    if (frameworks.length > 0) {
+        blocks.push(heading(level, `${++section}. ${t('report.frameworks')}`));
+        frameworks.forEach(framework => blocks.push(
+            heading(level + 1, `${framework.name} (${framework.score} / ${framework.maxScore})`),
+            table([t('report.check'), t('report.met'), t('report.justification')], framework.checks.map(check => [check.label, `${Math.round(check.score * 100)}%`, check.justification])),
+        ));
+    }
+
+    const nfrs = analysis.nonFunctionalRequirements || [];
+    if (nfrs.length > 0) {
+        const missing = nfrs.filter(nfr => nfr.status === 'missing');
+        const covered = nfrs.filter(nfr => nfr.status === 'covered');
+        blocks.push(heading(level, `${++section}. ${t('report.nfr')}`));
+        if (missing.length > 0) {
+            blocks.push(
+                paragraph(t('report.nfrMissing'), { emphasis: true }),
+                list(missing.map(nfr => ({
+                    label: nfr.label,
+                    text: t(nfr.stated ? 'report.nfrStated' : 'report.nfrImplied', { terms: nfr.terms.map(term => `'${term}'`).join(', ') }),
+                    items: [{ label: t('report.suggestedCriterion'), text: nfr.suggestedAcceptanceCriterion }],
+                }))),
+            );
+        }
+        if (covered.length > 0) {
+            blocks.push(paragraph(t('report.nfrCovered', { labels: covered.map(nfr => nfr.label).join(', ') })));
+        }
+    }
+
+    if (coaching) {
+        blocks.push(
+            heading(level, `${++section}. ${t('report.coaching')}`),
+            paragraph(coaching.summary, { emphasis: true }),
+            heading(level + 1, t('report.rewrittenStory')),
+            quote(coaching.rewrittenStory),
+        );
+        if (coaching.rewrittenAcceptanceCriteria.length > 0) {
+            blocks.push(heading(level + 1, t('report.rewrittenCriteria')), list(coaching.rewrittenAcceptanceCriteria));
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Describes the cross-story findings of a backlog run, one line each.
+ * @param {object} dependencyGraph - The `dependencyGraph` of analyzeBacklog.
+ * @returns {string[]}
+ */
+function describeDependencies({ edges, cycles }) {
+    return [
+        ...cycles.map(cycle => `Circular dependency: ${[...cycle, cycle[0]].join(' → ')}`),
+        ...edges.map(edge => {
+            if (edge.type === 'duplicate') return `${edge.from} and ${edge.to} may be duplicates (${Math.round(edge.similarity * 100)}% similar).`;
+            if (edge.type === 'conflict') return `${edge.from} and ${edge.to} have conflicting acceptance criteria: "${edge.criterion}" vs. "${edge.otherCriterion}".`;
+            return `${edge.from} depends on ${edge.to}.`;
+        }),
+    ];
+}
+
+/**
+ * Builds the report for one story, in the language of its analysis.
+ * @returns {{title: string, language: string, blocks: object[]}}
+ */
+function buildStoryReport(analysis, rules, { story, acceptanceCriteria, title, generatedAt }) {
+    const { LANGUAGE: language } = analysisRules(analysis, rules);
+    const storyReportTitle = formatMessage(language, 'report.title');
+    const reportTitle = title ? `${storyReportTitle}: ${title}` : storyReportTitle;
+    return {
+        title: reportTitle,
+        language,
+        blocks: [
+            heading(1, reportTitle),
+            generatedLine(generatedAt, analysis.profile, language),
+            ...buildAnalysisBlocks(analysis, rules, { story, acceptanceCriteria }, 2),
+        ],
+    };
+}
+
+/**
+ * Builds the combined report for a backlog run: a summary with one table row per story,
+ * the cross-story findings, then each story's analysis on its own page. The summary is in
+ * the language of the rules; each story's analysis is in its own language.
+ * @returns {{title: string, language: string, blocks: object[]}}
+ */
+function buildBacklogReport(backlog, rules, { items = [], generatedAt }) {
+    const { results, summary, dependencyGraph } = backlog;
+    const investGaps = analysis => INVEST_CRITERIA
+        .filter(key => analysis.investCriteriaAssessment[key].score < rules.SCORING.INVEST_MEETS)
+        .map(capitalize)
+        .join(', ') || "–";
+
+    const blocks = [
+        heading(1, BACKLOG_REPORT_TITLE),
+        generatedLine(generatedAt, rules.PROFILE_NAME, rules.LANGUAGE),
+        heading(2, "Summary"),
+        paragraph(`${summary.totalCount} (${summary.analyzedCount} analyzed, ${summary.errorCount} with errors)`, { label: "Stories" }),
+        paragraph(summary.averageReadiness === null ? "–" : `${summary.averageReadiness}/100`, { label: "Average Readiness" }),
+        table(["ID", "Title", "Readiness", "Category", "INVEST Gaps"], results.map(row => (row.status === 'ok'
+            ? [row.id, row.title, `${row.analysis.overallReadinessScore.readinessRating}/100`, row.analysis.overallReadinessScore.readinessCategory, investGaps(row.analysis)]
+            : [row.id, row.title, "–", `Not analyzed: ${row.error}`, "–"]))),
+        heading(3, "Readiness Distribution"),
+        table(["Category", "Stories"], summary.categoryDistribution.map(category => [category.label, String(category.count)])),
+    ];
+    if (summary.investFailures.length > 0) {
+        blocks.push(heading(3, "Most Frequent INVEST Gaps"), list(summary.investFailures.map(f => `${capitalize(f.criterion)}: ${f.count} ${f.count === 1 ? 'story' : 'stories'}`)));
+    }
+    const dependencies = dependencyGraph ? describeDependencies(dependencyGraph) : [];
+    if (dependencies.length > 0) blocks.push(heading(3, "Dependencies, Duplicates & Conflicts"), list(dependencies));
+    if (summary.personaDrift && summary.personaDrift.length > 0) {
+        blocks.push(heading(3, "Persona Drift"), list(summary.personaDrift.map(drift => ({
+            text: `'${drift.canonical}' is written in ${drift.variants.length} ways. Use the catalogue name throughout.`,
+            items: drift.variants.map(variant => ({ label: variant.persona, text: variant.ids.join(', ') })),
+        }))));
+    }
+
+    results.filter(row => row.status === 'ok').forEach(row => {
+        const item = items[row.index] || {};
+        blocks.push(
+            PAGE_BREAK,
+            heading(2, row.title ? `${row.id}: ${row.title}` : row.id),
+            ...buildAnalysisBlocks(row.analysis, rules, { story: item.story, acceptanceCriteria: item.acceptanceCriteria }, 3),
+        );
+    });
+    return { title: BACKLOG_REPORT_TITLE, language: rules.LANGUAGE, blocks };
+}
+
+// =================================================================
+// RENDERERS
+// =================================================================
+
+/**
+ * Renders blocks as Markdown.
+ * @param {object[]} blocks
+ * @returns {string}
+ */
+function blocksToMarkdown(blocks) {
+    const inline = item => `${item.label ? `**${item.label}:** ` : ''}${item.emphasis ? `*${item.text}*` : item.text}`;
+    const listLines = (items, depth) => items.flatMap(item => [
+        `${'    '.repeat(depth)}* ${inline(item)}`,
+        ...(item.items ? listLines(item.items, depth + 1) : []),
+    ]);
+    const cell = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'heading': return `${'#'.repeat(block.level)} ${block.text}`;
+            case 'paragraph': return inline(block);
+            case 'quote': return block.text.split('\n').map(line => `> ${line}`).join('\n');
+            case 'list': return listLines(block.items, 0).join('\n');
+            case 'table': return [
+                `| ${block.columns.map(cell).join(' | ')} |`,
+                `| ${block.columns.map(() => '---').join(' | ')} |`,
+                ...block.rows.map(row => `| ${row.map(cell).join(' | ')} |`),
+            ].join('\n');
+            case 'pageBreak': return '---';
+            default: return '';
+        }
+    }).join('\n\n') + '\n';
+}
+
+/**
+ * Renders blocks as plain text for chat tools.
+ * @param {object[]} blocks
+ * @returns {string}
+ */
+function blocksToText(blocks) {
+    const inline = item => `${item.label ? `${item.label}: ` : ''}${item.text}`;
+    const listLines = (items, depth) => items.flatMap(item => [
+        `${'  '.repeat(depth)}- ${inline(item)}`,
+        ...(item.items ? listLines(item.items, depth + 1) : []),
+    ]);
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                if (block.level === 1) return `${block.text}\n${'='.repeat(block.text.length)}`;
+                if (block.level === 2) return `${block.text}\n${'-'.repeat(block.text.length)}`;
+                return block.text.toUpperCase();
+            case 'paragraph': return inline(block);
+            case 'quote': return block.text.split('\n').map(line => `> ${line}`).join('\n');
+            case 'list': return listLines(block.items, 0).join('\n');
+            // Chat tools use proportional fonts, so table rows become list items.
+            case 'table': return block.rows.map(row => `- ${row[0]}: ${row.slice(1).filter(text => text !== '').join(' | ')}`).join('\n');
+            case 'pageBreak': return '* * *';
+            default: return '';
+        }
+    }).join('\n\n') + '\n';
+}
+
+/**
+ * Escapes text for HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders blocks as the body of an HTML document.
+ * @param {object[]} blocks
+ * @returns {string}
+ */
+function blocksToHtml(blocks) {
+    const inline = item => `${item.label ? `<strong>${escapeHtml(item.label)}:</strong> ` : ''}${item.emphasis ? `<em>${escapeHtml(item.text)}</em>` : escapeHtml(item.text)}`;
+    const listHtml = items => `<ul>${items.map(item => `<li>${inline(item)}${item.items ? listHtml(item.items) : ''}</li>`).join('')}</ul>`;
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'heading': return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+            case 'paragraph': return `<p>${inline(block)}</p>`;
+            case 'quote': return `<blockquote>${escapeHtml(block.text).replace(/\n/g, '<br>')}</blockquote>`;
+            case 'list': return listHtml(block.items);
+            case 'table': return `<table><thead><tr>${block.columns.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr></thead>`
+                + `<tbody>${block.rows.map(row => `<tr>${row.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+            case 'pageBreak': return '<hr class="page-break">';
+            default: return '';
+        }
+    }).join('\n');
+}
+
+const BASE_CSS = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.5; color: #222; }
+h1, h2, h3, h4 { line-height: 1.25; }
+table { border-collapse: collapse; width: 100%; margin: 0.75em 0; }
+th, td { border: 1px solid #ccc; padding: 0.4em 0.6em; text-align: left; vertical-align: top; }
+th { background: #f2f4f7; }
+blockquote { margin: 0.75em 0; padding: 0.5em 1em; border-left: 4px solid #8aa4c8; background: #f6f8fb; }`;
+
+const SCREEN_CSS = `${BASE_CSS}
+body { max-width: 960px; margin: 2em auto; padding: 0 1.5em; }
+h1 { border-bottom: 2px solid #282c34; padding-bottom: 0.3em; }
+hr.page-break { border: none; border-top: 1px solid #ddd; margin: 2.5em 0; }`;
+
+// Print layout for the browser's "Save as PDF": A4 pages, no screen-only decoration,
+// headings kept with their content and each backlog story on a new page.
+const PRINT_CSS = `${BASE_CSS}
+@page { size: A4; margin: 18mm 16mm; }
+body { font-size: 10.5pt; margin: 0; }
+h1 { font-size: 18pt; } h2 { font-size: 14pt; } h3 { font-size: 12pt; } h4 { font-size: 11pt; }
+h1, h2, h3, h4 { break-after: avoid; page-break-after: avoid; }
+tr, li, blockquote { break-inside: avoid; page-break-inside: avoid; }
+thead { display: table-header-group; }
+th, blockquote { background: none; }
+hr.page-break { border: none; margin: 0; break-before: page; page-break-before: always; }`;
+
+/**
+ * Wraps rendered blocks in a standalone HTML document.
+ * @param {{title: string, language: string, blocks: object[]}} report
+ * @param {string} css
+ * @returns {string}
+ */
+function htmlDocument(report, css) {
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(report.language)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.title)}</title>
+<style>${css}
+</style>
+</head>
+<body>
+${blocksToHtml(report.blocks)}
+</body>
+</html>
+`;
+}
+
+// The renderer registry. `render` receives the built report: `{ kind, title, language,
+// blocks, analysis, rules }`, where `analysis` is only set for single-story reports.
+const RENDERERS = {
+    markdown: {
+        label: "Markdown",
+        extension: "md",
+        contentType: "text/markdown; charset=utf-8",
+        // Single stories keep the established Markdown report.
+        render: report => (report.kind === 'story' ? formatAnalysisAsMarkdown(report.analysis, report.rules) : blocksToMarkdown(report.blocks)),
+    },
+    html: {
+        label: "HTML",
+        extension: "html",
+        contentType: "text/html; charset=utf-8",
+        render: report => htmlDocument(report, SCREEN_CSS),
+    },
+    'print-html': {
+        label: "PDF-ready HTML",
+        extension: "print.html",
+        contentType: "text/html; charset=utf-8",
+        render: report => htmlDocument(report, PRINT_CSS),
+    },
+    docx: {
+        label: "Word (.docx)",
+        extension: "docx",
+        contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        render: report => createDocx(report.blocks, { title: report.title }),
+    },
+    text: {
+        label: "Plain text",
+        extension: "txt",
+        contentType: "text/plain; charset=utf-8",
+        render: report => blocksToText(report.blocks),
+    },
+};
+
+/**
+ * Looks up a renderer.
+ * @param {string} format
+ * @returns {object}
+ */
+function getRenderer(format) {
+    if (!Object.prototype.hasOwnProperty.call(RENDERERS, format)) {
+        throw new RangeError(`Unsupported report format '${format}'. Use one of: ${Object.keys(RENDERERS).join(', ')}.`);
+    }
+    return RENDERERS[format];
+}
+
+// =================================================================
+// MAIN EXPORTED FUNCTIONS
+// =================================================================
+
+/**
+ * Renders the report for one analyzed story.
+ * @param {object} analysis - The analysis object.
+ * @param {string} format - A key of REPORT_FORMATS.
+ * @param {object} [options]
+ * @param {object} [options.rules] - The resolved rule profile the story was analyzed with.
+ * @param {string} [options.story] - The story text, shown in the report.
+ * @param {string} [options.acceptanceCriteria] - The acceptance criteria, shown in the report.
+ * @param {string} [options.title] - A title for the report and the file name.
+ * @param {Date} [options.generatedAt] - Defaults to now.
+ * @returns {{format: string, fileName: string, contentType: string, content: string|Uint8Array}}
+ *   `content` is a Uint8Array for binary formats (docx) and a string otherwise.
+ */
+function renderStoryReport(analysis, format, { rules = DEFAULT_RULES, story, acceptanceCriteria, title, generatedAt = new Date() } = {}) {
+    const renderer = getRenderer(format);
+    const report = { kind: 'story', analysis, rules, ...buildStoryReport(analysis, rules, { story, acceptanceCriteria, title, generatedAt }) };
+    return {
+        format,
+        fileName: `${slugify(title || '') || 'story'}-report.${renderer.extension}`,
+        contentType: renderer.contentType,
+        content: renderer.render(report),
+    };
+}
+
+/**
+ * Renders one combined report for a backlog run.
+ * @param {object} backlog - The result of analyzeBacklog.
+ * @param {string} format - A key of REPORT_FORMATS.
+ * @param {object} [options]
+ * @param {object} [options.rules] - The resolved rule profile the backlog was analyzed with.
+ * @param {object[]} [options.items] - The analyzed items, so the report can show each story's text.
+ * @param {Date} [options.generatedAt] - Defaults to now.
+ * @returns {{format: string, fileName: string, contentType: string, content: string|Uint8Array}}
+ */
+function renderBacklogReport(backlog, format, { rules = DEFAULT_RULES, items, generatedAt = new Date() } = {}) {
+    const renderer = getRenderer(format);
+    const report = { kind: 'backlog', rules, ...buildBacklogReport(backlog, rules, { items, generatedAt }) };
+    return {
+        format,
+        fileName: `backlog-report.${renderer.extension}`,
+        contentType: renderer.contentType,
+        content: renderer.render(report),
+    };
+}
+
+module.exports = {
+    renderStoryReport,
+    renderBacklogReport,
+    REPORT_FORMATS: Object.fromEntries(Object.entries(RENDERERS).map(([format, renderer]) => [format, { label: renderer.label, extension: renderer.extension, contentType: renderer.contentType }])),
+};
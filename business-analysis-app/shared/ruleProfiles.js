@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Loads named team rule profiles from JSON or YAML files. Each profile file
+ * holds a description and partial `rules` that are validated and deep-merged over the
+ * default CONFIG by `resolveRules`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { resolveRules, RuleProfileError, DEFAULT_RULES } = require('./userStoryAgent');
+const { listQualityFrameworks } = require('./qualityFrameworks');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+const DEFAULT_PROFILES_DIR = path.join(__dirname, 'profiles');
+const DEFAULT_PROFILE_NAME = DEFAULT_RULES.PROFILE_NAME;
+const PROFILE_NAME_REGEX = /^[a-z0-9][a-z0-9_-]*$/i;
+// Parsers by file extension. Every caller reads the same profile formats.
+const PROFILE_PARSERS = { '.json': JSON.parse, '.yaml': yaml.load, '.yml': yaml.load };
+
+// =================================================================
+// PROFILE STORE
+// =================================================================
+
+/**
+ * Creates a profile store over a directory of profile files. The file name
+ * (without extension) is the profile name.
+ * @param {object} [options]
+ * @param {string} [options.directory] - Where profile files live. Defaults to shared/profiles.
+ * @param {Object<string, function(string): object>} [options.parsers] - Extra parsers by file
+ *   extension. JSON and YAML (`.yaml`, `.yml`) are always supported.
+ * @returns {{list: function(): object[], get: function(string=): object}}
+ */
+function createProfileStore({ directory = DEFAULT_PROFILES_DIR, parsers = {} } = {}) {
+    const allParsers = { ...PROFILE_PARSERS, ...parsers };
+    const cache = new Map(); // name -> { mtimeMs, rules, overrides, description }
+
+    const isProfileFile = f => Boolean(allParsers[path.extname(f)]);
+
+    const findProfileFile = name => {
+        if (!fs.existsSync(directory)) return null;
+        const file = fs.readdirSync(directory).find(f => path.basename(f, path.extname(f)) === name && isProfileFile(f));
+        return file ? path.join(directory, file) : null;
+    };
+
+    const loadProfile = name => {
+        const filePath = findProfileFile(name);
+        if (!filePath) {
+            throw new RuleProfileError(`Unknown rule profile '${name}'.`);
+        }
+
+        const { mtimeMs } = fs.statSync(filePath);
+        const cached = cache.get(name);
+        if (cached && cached.mtimeMs === mtimeMs) return cached;
+
+        let content;
+        try {
+            content = allParsers[path.extname(filePath)](fs.readFileSync(filePath, 'utf8')) || {};
+        } catch (error) {
+            throw new RuleProfileError(`Rule profile '${name}' could not be parsed.`, [error.message]);
+        }
+        const rules = resolveRules(content.rules || {}, name);
+        // Checked here rather than on first analysis, where an unknown framework would fail every request.
+        const knownFrameworks = listQualityFrameworks().map(framework => framework.id);
+        const unknownFrameworks = rules.FRAMEWORKS.ENABLED.filter(id => !knownFrameworks.includes(id));
+        if (unknownFrameworks.length > 0) {
+            throw new RuleProfileError(`Rule profile '${name}' enables unknown quality frameworks.`,
+                unknownFrameworks.map(id => `Unknown quality framework '${id}'. Use any of: ${knownFrameworks.join(', ')}.`));
+        }
+        const entry = {
+            mtimeMs,
+            description: content.description || "",
+            rules,
+            overrides: content.rules || {},
+        };
+        cache.set(name, entry);
+        return entry;
+    };
+
+    return {
+        /**
+         * Lists the default profile and every readable profile in the directory.
+         * Profiles that fail validation are listed with their errors so they can be fixed.
+         * Valid profiles include their `rules` as written in the file, so clients that bundle
+         * the analyzer (e.g. the frontend's live analysis) can resolve them with `resolveRules`.
+         */
+        list() {
+            const names = fs.existsSync(directory)
+                ? fs.readdirSync(directory)
+                    .filter(isProfileFile)
+                    .map(f => path.basename(f, path.extname(f)))
+                    .filter(name => PROFILE_NAME_REGEX.test(name) && name !== DEFAULT_PROFILE_NAME)
+                : [];
+
+            const profiles = [...new Set(names)].sort().map(name => {
+                try {
+                    const { description, overrides } = loadProfile(name);
+                    return { name, description, valid: true, rules: overrides };
+                } catch (error) {
+                    return { name, description: "", valid: false, errors: error.details && error.details.length > 0 ? error.details : [error.message] };
+                }
+            });
+            return [{ name: DEFAULT_PROFILE_NAME, description: "Built-in rules.", valid: true, rules: {} }, ...profiles];
+        },
+
+        /**
+         * Gets the resolved rules for a profile.
+         * @param {string} [name="default"]
+         * @returns {object} Rules usable with analyzeUserStory and friends.
+         * @throws {RuleProfileError} If the profile does not exist or is invalid.
+         */
+        get(name = DEFAULT_PROFILE_NAME) {
+            if (name === DEFAULT_PROFILE_NAME) return DEFAULT_RULES;
+            if (typeof name !== 'string' || !PROFILE_NAME_REGEX.test(name)) {
+                throw new RuleProfileError(`Invalid rule profile name '${name}'.`);
+            }
+            return loadProfile(name).rules;
+        },
+    };
+}
+
+module.exports = { createProfileStore, DEFAULT_PROFILES_DIR, DEFAULT_PROFILE_NAME };
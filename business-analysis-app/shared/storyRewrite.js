@@ -0,0 +1,398 @@
+/**
+ * @fileoverview Suggests an improved version of a story and its acceptance criteria that
+ * addresses the analysis findings: the standard format, persona aliases, ambiguous terms, a
+ * missing value clause and technical details. The rewrite is analyzed as well, so callers can show how
+ * the readiness score changes, and a word-level diff is included for display. The rewrite is
+ * written in the story's language, with that language's template and wording.
+ */
+
+const { getUserStoryAnalysis, inferAcceptanceCriteria, DEFAULT_RULES } = require('./userStoryAgent');
+const { parseGherkin } = require('./gherkinParser');
+const { withArticle } = require('./storySplitting');
+const { checkPersona } = require('./personas');
+const { formatMessage, localizeForText, DEFAULT_LANGUAGE } = require('./locales');
+const { diffWords } = require('./textDiff');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+
+// Looser versions of the English standard format, for stories that are close but do not match
+// STORY_FORMAT_REGEX (missing commas, "I need", no "so that" clause, ...).
+const LOOSE_STORY_PATTERNS = {
+    FULL: /^as\s+(?:an?\s+|the\s+)?(.+?)\s*,?\s+I\s+(?:want|need|would like|wish)\s+(.+?)(?:\s*,?\s+so\s+that\s+(.+?))?\s*[.!]?$/i,
+    NO_PERSONA: /^(?:as\s+)?I\s+(?:want|need|would like|wish)\s+(.+?)(?:\s*,?\s+so\s+that\s+(.+?))?\s*[.!]?$/i,
+    // "Customers can save their cart" names the persona as the subject.
+    SUBJECT_FIRST: /^(?:the\s+)?(\w+(?:\s+\w+)?)\s+(?:can|could|should|must|will|might|needs?\s+to|wants?\s+to)\s+(.+?)(?:\s*,?\s+so\s+that\s+(.+?))?\s*[.!]?$/i,
+    FREE_TEXT: /^(.+?)(?:\s*,?\s+so\s+that\s+(.+?))?\s*[.!]?$/i,
+};
+
+// Subjects and articles that do not name a persona ("As I want to ...", "As an, I want ...").
+const NON_PERSONA_REGEX = /^(?:as\s+)?(?:(?:an?|the)\s*)?(?:i|we|you|me)?$/i;
+
+// =================================================================
+// TEXT HELPERS
+// =================================================================
+
+/**
+ * Escapes a string for use inside a regular expression.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Lower-cases the first letter unless the word looks like an acronym ("API").
+ * @param {string} text
+ * @returns {string}
+ */
+function lowerFirst(text) {
+    return /^[A-Z][A-Z]/.test(text) ? text : text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+/**
+ * Collapses the double spaces and stray " ," left behind after removing words.
+ * @param {string} text
+ * @returns {string}
+ */
+function tidy(text) {
+    return text.replace(/[ \t]{2,}/g, ' ').replace(/ +([,.;])/g, '$1').replace(/,{2,}/g, ',').trim();
+}
+
+/**
+ * Strips trailing sentence punctuation from a story part.
+ * @param {string} text
+ * @returns {string}
+ */
+function trimPart(text) {
+    return (text || '').trim().replace(/[.;,!]+$/, '');
+}
+
+/**
+ * Replaces or removes ambiguous terms, keeping the capitalization of the original word.
+ * @param {string} text
+ * @param {object} rules - The resolved rule profile.
+ * @returns {{text: string, terms: string[]}} The new text and the terms that were found.
+ */
+function replaceAmbiguousTerms(text, rules) {
+    const replacements = rules.REWRITE.AMBIGUOUS_REPLACEMENTS;
+    const terms = [];
+    let result = text;
+    rules.KEYWORDS.AMBIGUOUS.forEach(term => {
+        const replacement = Object.prototype.hasOwnProperty.call(replacements, term) ? replacements[term] : "";
+        // A removed list ending ("apples, pears, etc.") takes its comma with it.
+        const pattern = new RegExp(`${replacement === "" ? '(,\\s*)?' : ''}(?<![\\p{L}\\p{N}_])${escapeRegex(term)}${/[\p{L}\p{N}_]$/u.test(term) ? '(?![\\p{L}\\p{N}_])' : ''}`, 'giu');
+        result = result.replace(pattern, (match, comma) => {
+            if (!terms.includes(term)) terms.push(term);
+            const word = comma ? match.slice(comma.length) : match;
+            return /^[A-Z]/.test(word) ? replacement.charAt(0).toUpperCase() + replacement.slice(1) : replacement;
+        });
+    });
+    return { text: terms.length > 0 ? tidy(result) : text, terms };
+}
+
+/**
+ * Moves technical details out of a story part. A detail is removed together with the
+ * preposition that introduces it ("store orders in the SQL database" becomes "store orders"),
+ * from the language's `REWRITE.TECHNICAL_PREPOSITIONS`.
+ * @param {string} text
+ * @param {object} rules - The resolved rule profile.
+ * @returns {{text: string, notes: string[], unresolved: string[]}} The new text, the removed
+ *   phrases, and the technical terms that could not be isolated.
+ */
+function extractTechnicalDetails(text, rules) {
+    const prepositions = rules.REWRITE.TECHNICAL_PREPOSITIONS.map(escapeRegex).join('|');
+    const technicalTerms = rules.KEYWORDS.TECHNICAL.map(escapeRegex).join('|');
+    const notes = [];
+    const unresolved = [];
+    let result = text;
+    rules.KEYWORDS.TECHNICAL.forEach(term => {
+        if (!result.toLowerCase().includes(term)) return;
+        // The phrase starts at the last preposition before the term and runs to the end of its
+        // word, and of any technical terms right after it ("in the database api endpoint").
+        const pattern = new RegExp(`\\s(?:${prepositions})\\s(?:(?!\\s(?:${prepositions})\\s)[^,;])*?${escapeRegex(term)}[\\p{L}\\p{N}_-]*(?:\\s+(?:${technicalTerms})[\\p{L}\\p{N}_-]*)*`, 'iu');
+        const match = result.match(pattern);
+        if (match) {
+            notes.push(match[0].trim());
+            result = tidy(result.replace(match[0], ''));
+        } else {
+            unresolved.push(term);
+        }
+    });
+    return { text: result, notes, unresolved };
+}
+
+/**
+ * Reads a persona found by a loose pattern, or null if the words do not name one.
+ * @param {string} text
+ * @returns {string|null}
+ */
+function loosePersona(text) {
+    const persona = trimPart(text);
+    return NON_PERSONA_REGEX.test(persona) ? null : persona;
+}
+
+/**
+ * Matches the story template, with the start and end of each part.
+ * @param {string} text
+ * @param {RegExp} regex - The rules' STORY_FORMAT_REGEX.
+ * @returns {{parts: string[], spans: number[][]}|null} The persona, goal and value, and where
+ *   each one is in the text, or null if the text does not follow the template.
+ */
+function matchTemplate(text, regex) {
+    const match = new RegExp(regex.source, `${regex.flags.replace(/[dg]/g, '')}d`).exec(text);
+    if (!match) return null;
+    const parts = [1, 2, 3].map(group => trimPart(match[group]));
+    const spans = [1, 2, 3].map((group, i) => {
+        const start = match.indices[group][0] + match[group].length - match[group].trimStart().length;
+        return [start, start + parts[i].length];
+    });
+    return { parts, spans };
+}
+
+/**
+ * Splits a story into persona, goal and value, accepting English stories that only roughly
+ * follow the standard format. Missing parts are null.
+ * @param {string} story
+ * @param {object} rules - The resolved rule profile.
+ * @returns {{persona: string|null, goal: string, value: string|null, isStandard: boolean, spans?: number[][]}|null}
+ *   `spans` locate the parts of a story that follows the template. Null for a story in another
+ *   language that does not follow its template, since only the English one has looser variants.
+ */
+function parseStoryParts(story, rules) {
+    const text = story.replace(/\s+/g, ' ').trim();
+    const strict = matchTemplate(text, rules.STORY_FORMAT_REGEX);
+    if (strict) {
+        const [persona, goal, value] = strict.parts;
+        return { persona, goal, value, isStandard: true, spans: strict.spans };
+    }
+    if (rules.LANGUAGE !== DEFAULT_LANGUAGE) return null;
+
+    let match = text.match(LOOSE_STORY_PATTERNS.FULL);
+    if (match) return { persona: loosePersona(match[1]), goal: trimPart(match[2]), value: match[3] ? trimPart(match[3]) : null, isStandard: false };
+    match = text.match(LOOSE_STORY_PATTERNS.NO_PERSONA);
+    if (match) return { persona: null, goal: trimPart(match[1]), value: match[2] ? trimPart(match[2]) : null, isStandard: false };
+
+    match = text.match(LOOSE_STORY_PATTERNS.SUBJECT_FIRST);
+    if (match) {
+        const subject = loosePersona(match[1]);
+        const persona = subject ? lowerFirst(subject).replace(/([^s])s$/, '$1') : null;
+        return { persona, goal: `to ${trimPart(match[2])}`, value: match[3] ? trimPart(match[3]) : null, isStandard: false };
+    }
+
+    // Free text ("Add CSV export to the reports page") becomes the goal.
+    match = text.match(LOOSE_STORY_PATTERNS.FREE_TEXT);
+    const goal = trimPart(match[1]);
+    return {
+        persona: null,
+        goal: /^to\s/i.test(goal) ? goal : `to ${lowerFirst(goal)}`,
+        value: match[2] ? trimPart(match[2]) : null,
+        isStandard: false,
+    };
+}
+
+// =================================================================
+// REWRITE STEPS
+// =================================================================
+
+/**
+ * Builds the story text from its parts with the language's template. Without placeholders, a
+ * missing persona or value is left out rather than filled in, so the story can be scored for
+ * what it actually says.
+ * @param {{persona: string, goal: string, value: string}} parts
+ * @param {object} rules
+ * @param {{withPlaceholders?: boolean}} [options]
+ * @returns {string}
+ */
+function composeStory(parts, rules, { withPlaceholders = true } = {}) {
+    const message = (key, params) => formatMessage(rules.LANGUAGE, key, params);
+    const keep = (part, placeholderKey) => withPlaceholders || part !== message(placeholderKey);
+    // Only the English template puts an article before the persona ("As an admin").
+    const persona = rules.LANGUAGE === DEFAULT_LANGUAGE ? withArticle(parts.persona) : parts.persona;
+    const story = keep(parts.persona, 'rewrite.personaPlaceholder')
+        ? message('rewrite.withPersona', { persona, goal: parts.goal })
+        : message('rewrite.withoutPersona', { goal: parts.goal });
+    return `${keep(parts.value, 'rewrite.valuePlaceholder') ? message('rewrite.withValue', { story, value: parts.value }) : story}.`;
+}
+
+/**
+ * Replaces the parts of a story in place, keeping the rest of its wording.
+ * @param {string} text - The story the spans were found in.
+ * @param {number[][]} spans - Where the persona, goal and value are (see matchTemplate).
+ * @param {string[]} parts - The new persona, goal and value.
+ * @returns {string}
+ */
+function replaceParts(text, spans, parts) {
+    return tidy(spans.reduceRight((result, [start, end], i) => `${result.slice(0, start)}${parts[i]}${result.slice(end)}`, text));
+}
+
+/**
+ * Rewrites the story text. English stories are rebuilt from the template, which also gives a
+ * replaced persona the right article. A story in another language keeps its own wording ("um
+ * ... zu", "will ich") and only has its parts replaced; if it does not follow the template at
+ * all, only its ambiguous terms and technical details are fixed.
+ * @param {string} story
+ * @param {object} rules - Rules in the story's language.
+ * @returns {{story: string, scoredStory: string, parts: object|null, changes: object[], technicalNotes: string[]}}
+ *   `scoredStory` is the rewrite without its placeholders.
+ */
+function rewriteStoryText(story, rules) {
+    const message = (key, params) => formatMessage(rules.LANGUAGE, key, params);
+    const quoteTerms = terms => terms.map(t => `'${t}'`).join(', ');
+    // Ambiguous terms are replaced before the story is split into parts, which strips the
+    // trailing punctuation a term such as "etc." ends with.
+    const { text: clearStory, terms: ambiguousTerms } = replaceAmbiguousTerms(story.replace(/\s+/g, ' ').trim(), rules);
+    const parts = parseStoryParts(clearStory, rules);
+    const changes = [];
+    const technicalNotes = [];
+    const unresolvedTerms = [];
+    const moveTechnicalDetails = text => {
+        const { text: rest, notes, unresolved } = extractTechnicalDetails(text, rules);
+        technicalNotes.push(...notes);
+        unresolvedTerms.push(...unresolved);
+        return rest;
+    };
+    const inPlace = parts && parts.isStandard && rules.LANGUAGE !== DEFAULT_LANGUAGE && parts.persona && parts.value;
+
+    if (!parts) {
+        changes.push({ finding: "format", description: message('rewrite.change.formatUnparsed') });
+    } else {
+        if (!parts.isStandard) {
+            changes.push({ finding: "format", description: message('rewrite.change.format') });
+        }
+        if (!parts.persona) {
+            parts.persona = message('rewrite.personaPlaceholder');
+            changes.push({ finding: "persona", description: message('rewrite.change.personaPlaceholder', { placeholder: parts.persona }) });
+        } else {
+            const personaCheck = checkPersona(parts.persona, rules);
+            if (personaCheck.status === 'alias') {
+                parts.persona = personaCheck.canonical;
+                changes.push({ finding: "persona", description: message('rewrite.change.personaAlias', { persona: personaCheck.persona, canonical: personaCheck.canonical }) });
+            }
+        }
+        if (!parts.value) {
+            parts.value = message('rewrite.valuePlaceholder');
+            changes.push({ finding: "value", description: message('rewrite.change.valuePlaceholder', { placeholder: parts.value }) });
+        }
+    }
+
+    if (ambiguousTerms.length > 0) {
+        changes.push({ finding: "ambiguous-terms", description: message('rewrite.change.ambiguous', { terms: quoteTerms(ambiguousTerms) }) });
+    }
+
+    const unparsedStory = parts ? null : moveTechnicalDetails(clearStory);
+    if (parts) {
+        parts.goal = moveTechnicalDetails(parts.goal);
+        parts.value = moveTechnicalDetails(parts.value);
+    }
+    if (technicalNotes.length > 0) {
+        changes.push({ finding: "technical-terms", description: message('rewrite.change.technicalMoved') });
+    }
+    if (unresolvedTerms.length > 0) {
+        changes.push({ finding: "technical-terms", description: message('rewrite.change.technicalUnresolved', { terms: quoteTerms(unresolvedTerms) }) });
+    }
+
+    if (changes.length === 0) return { story, scoredStory: story, parts, changes, technicalNotes };
+    if (!parts) return { story: unparsedStory, scoredStory: unparsedStory, parts, changes, technicalNotes };
+    if (inPlace) {
+        const rewritten = replaceParts(clearStory, parts.spans, [parts.persona, parts.goal, parts.value]);
+        return { story: rewritten, scoredStory: rewritten, parts, changes, technicalNotes };
+    }
+    return { story: composeStory(parts, rules), scoredStory: composeStory(parts, rules, { withPlaceholders: false }), parts, changes, technicalNotes };
+}
+
+/**
+ * Rewrites the acceptance criteria: missing AC are inferred, ambiguous terms are replaced,
+ * and plain criteria without a testable phrase are reworded as "Verify that ...", in the
+ * language of the rules.
+ * @param {string} acceptanceCriteriaText
+ * @param {object|null} parts - The rewritten story parts, or null if the story could not be split.
+ * @param {object} rules
+ * @returns {{acceptanceCriteria: string, changes: object[]}}
+ */
+function rewriteAcceptanceCriteria(acceptanceCriteriaText, parts, rules) {
+    const message = (key, params) => formatMessage(rules.LANGUAGE, key, params);
+    if (!acceptanceCriteriaText || acceptanceCriteriaText.trim() === '') {
+        const inferred = inferAcceptanceCriteria(parts && [null, parts.persona, parts.goal, parts.value], rules);
+        return {
+            acceptanceCriteria: inferred.join('\n'),
+            changes: inferred.length > 0
+                ? [{ finding: "acceptance-criteria", description: message('rewrite.change.acInferred') }]
+                : [],
+        };
+    }
+
+    const changes = [];
+    const lines = acceptanceCriteriaText.split('\n');
+    const testablePrefix = message('rewrite.testablePrefix');
+
+    const { plainCriteria } = parseGherkin(acceptanceCriteriaText, { language: rules.LANGUAGE });
+    let rewordedCount = 0;
+    plainCriteria.forEach(({ text, line }) => {
+        if (rules.KEYWORDS.TESTABLE_AC.some(kw => text.toLowerCase().includes(kw))) return;
+        const original = lines[line - 1];
+        const prefix = original.slice(0, original.indexOf(text));
+        lines[line - 1] = `${prefix}${testablePrefix} ${lowerFirst(text)}`;
+        rewordedCount++;
+    });
+    if (rewordedCount > 0) {
+        changes.push({ finding: "acceptance-criteria", description: message('rewrite.change.acReworded', { count: rewordedCount, prefix: testablePrefix }) });
+    }
+
+    const ambiguousTerms = [];
+    const rewritten = lines.map(line => {
+        const { text, terms } = replaceAmbiguousTerms(line, rules);
+        terms.forEach(term => { if (!ambiguousTerms.includes(term)) ambiguousTerms.push(term); });
+        // tidy() trims the line, so put the original indentation back.
+        return terms.length > 0 ? `${line.match(/^\s*/)[0]}${text}` : line;
+    });
+    if (ambiguousTerms.length > 0) {
+        changes.push({ finding: "ambiguous-terms", description: message('rewrite.change.acAmbiguous', { terms: ambiguousTerms.map(t => `'${t}'`).join(', ') }) });
+    }
+
+    return { acceptanceCriteria: changes.length > 0 ? rewritten.join('\n') : acceptanceCriteriaText, changes };
+}
+
+// =================================================================
+// MAIN EXPORTED FUNCTION
+// =================================================================
+
+/**
+ * Suggests a rewritten story and acceptance criteria that address the analysis findings, in
+ * the language of the story (see localizeForText).
+ * @param {string} story - The user story text.
+ * @param {string} [acceptanceCriteriaText=""] - The acceptance criteria text.
+ * @param {object} [rules=DEFAULT_RULES] - The resolved rule profile.
+ * @returns {object|null} `{ story, acceptanceCriteria, changes, technicalNotes, diff, analysis, scoreChange }`,
+ *   or null if the story is missing. The `analysis` and the score after the rewrite are of the
+ *   rewrite without its placeholders, which do not count as a persona or value.
+ */
+function rewriteStory(story, acceptanceCriteriaText = "", rules = DEFAULT_RULES) {
+    rules = localizeForText(rules, `${story}\n${acceptanceCriteriaText}`);
+    const originalAnalysis = getUserStoryAnalysis(story, acceptanceCriteriaText, rules);
+    if (!originalAnalysis) return null;
+
+    const storyRewrite = rewriteStoryText(story, rules);
+    const acRewrite = rewriteAcceptanceCriteria(acceptanceCriteriaText, storyRewrite.parts, rules);
+    const analysis = getUserStoryAnalysis(storyRewrite.scoredStory, acRewrite.acceptanceCriteria, rules);
+
+    return {
+        story: storyRewrite.story,
+        acceptanceCriteria: acRewrite.acceptanceCriteria,
+        changes: [...storyRewrite.changes, ...acRewrite.changes],
+        technicalNotes: storyRewrite.technicalNotes,
+        diff: {
+            story: diffWords(story, storyRewrite.story),
+            acceptanceCriteria: diffWords(acceptanceCriteriaText, acRewrite.acceptanceCriteria),
+        },
+        analysis,
+        scoreChange: {
+            before: originalAnalysis.overallReadinessScore.readinessRating,
+            after: analysis.overallReadinessScore.readinessRating,
+        },
+    };
+}
+
+module.exports = { rewriteStory };
@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Suggests how to split a large story using the standard
+ * story-splitting patterns. Each pattern that applies returns a set of child
+ * stories, and each child carries over the acceptance criteria that relate to it.
+ */
+
+const { parseGherkin } = require('./gherkinParser');
+
+// =================================================================
+// CONFIGURATION
+// =================================================================
+const PATTERNS = {
+    WORKFLOW: { id: "workflow-steps", label: "Workflow steps" },
+    CRUD: { id: "crud-operations", label: "CRUD operations" },
+    BUSINESS_RULES: { id: "business-rule-variations", label: "Business rule variations" },
+    DATA: { id: "data-variations", label: "Data variations" },
+    PLATFORM: { id: "interface-platform", label: "Interface / platform" },
+    PATHS: { id: "happy-vs-error-paths", label: "Happy path vs. error paths" },
+    PERFORMANCE: { id: "deferred-performance", label: "Defer performance" },
+};
+
+const STOP_WORDS = new Set(["that", "this", "with", "from", "their", "they", "them", "have", "will", "when", "then", "given", "into", "able", "should", "user", "users", "want", "there", "which", "what", "page", "verify", "ensure", "confirm"]);
+const WORKFLOW_SEPARATOR = /(\s*,\s*(?:and\s+)?(?:then\s+)?|\s+and\s+then\s+|\s+then\s+|\s+and\s+)/i;
+const DATA_ALTERNATIVE_SEPARATOR = /\s*,\s*(?:or\s+)?|\s+or\s+|\s*\/\s*/i;
+const TIME_TARGET = /\b\d+(\.\d+)?\s*(ms|milliseconds?|secs?|seconds?)\b/i;
+
+// =================================================================
+// TEXT HELPERS
+// =================================================================
+
+/**
+ * Checks whether text contains a term at a word start ("ios" does not match "scenarios").
+ * @param {string} text
+ * @param {string} term
+ * @returns {boolean}
+ */
+function containsTerm(text, term) {
+    const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}`, 'i').test(text);
+}
+
+/**
+ * Extracts crude word stems for overlap matching between a goal clause and AC. Words are
+ * letters and digits of any script, so accented words are not cut apart.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function stems(text) {
+    return new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 3 && !STOP_WORDS.has(word))
+        .map(word => word.slice(0, 5)));
+}
+
+/**
+ * Checks whether two texts share at least one meaningful word stem.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+    const bStems = stems(b);
+    return [...stems(a)].some(stem => bStems.has(stem));
+}
+
+/**
+ * Strips a leading "to" so goal fragments can be re-used after "I want to".
+ * @param {string} goal
+ * @returns {string}
+ */
+function bareGoal(goal) {
+    return goal.trim().replace(/^to\s+/i, '').replace(/[.;,]+$/, '');
+}
+
+/**
+ * Shortens a criterion for use inside a child story ("Verify that X." becomes "X").
+ * @param {string} criterion
+ * @returns {string}
+ */
+function summarizeCriterion(criterion) {
+    return criterion.replace(/^(verify|ensure|confirm|check)\s+that\s+/i, '').replace(/[.;]+$/, '');
+}
+
+/**
+ * Puts the English indefinite article before a persona. The format regex drops it.
+ * @param {string} persona
+ * @returns {string}
+ */
+function withArticle(persona) {
+    const name = persona.trim();
+    // "an admin", "an underwriter", but "a user" and "a unit manager".
+    return `${/^(?:[aeio]|u(?!s|ni|ti))/i.test(name) ? 'an' : 'a'} ${name}`;
+}
+
+/**
+ * Builds the "As a/an [persona]" opening.
+ * @param {string} persona
+ * @returns {string}
+ */
+function personaPhrase(persona) {
+    return `As ${withArticle(persona)}`;
+}
+
+/**
+ * Lists the acceptance criteria as one string each. Gherkin scenarios are
+ * flattened to a single "Given ..., when ..., then ..." line.
+ * @param {string} acceptanceCriteriaText
+ * @param {string} [language] - The Gherkin dialect (a locale pack ID); English by default.
+ * @returns {string[]}
+ */
+function listCriteria(acceptanceCriteriaText, language) {
+    const { scenarios, plainCriteria } = parseGherkin(acceptanceCriteriaText || "", { language });
+    const items = [
+        ...scenarios.map(sc => ({
+            line: sc.line,
+            text: sc.steps.map((step, i) => `${i === 0 ? step.keyword : step.keyword.toLowerCase()} ${step.text.replace(/[.;,]+$/, '')}`).join(', '),
+        })),
+        ...plainCriteria,
+    ];
+    return items.sort((a, b) => a.line - b.line).map(item => item.text);
+}
+
+// =================================================================
+// SPLITTING PATTERNS
+// =================================================================
+// Each pattern receives the parsed story and returns its child stories, or null
+// if it does not apply. A child is { focus, acceptanceCriteria }; `focus` is the
+// goal of the child story. AC that relate to no child are reported as shared.
+
+/**
+ * Workflow steps: a goal such as "search flights, compare fares and book a seat".
+ * A new step only starts at a known action verb, so a list of nouns ("contractors,
+ * auditors and partners") stays inside the step it belongs to.
+ */
+function splitByWorkflow({ goal, criteria }, splitting) {
+    const [first, ...rest] = bareGoal(goal).split(WORKFLOW_SEPARATOR);
+    const steps = [first];
+    for (let i = 0; i < rest.length; i += 2) {
+        const [separator, clause] = [rest[i], rest[i + 1]];
+        if (splitting.WORKFLOW_VERBS.includes(clause.trim().split(/\s+/)[0].toLowerCase())) {
+            steps.push(clause.trim());
+        } else {
+            steps[steps.length - 1] += `${separator}${clause}`;
+        }
+    }
+    if (steps.length < 2) return null;
+    return steps.map(step => ({ focus: step, acceptanceCriteria: criteria.filter(c => overlaps(step, c)) }));
+}
+
+/**
+ * CRUD operations: a goal such as "manage my saved addresses".
+ */
+function splitByCrud({ goal, criteria }, splitting) {
+    const words = bareGoal(goal).split(/\s+/);
+    const triggerIndex = words.findIndex(word => splitting.CRUD_TRIGGERS.includes(word.toLowerCase()));
+    if (triggerIndex === -1) return null;
+
+    const object = words.slice(triggerIndex + 1).join(' ') || 'items';
+    return Object.entries(splitting.CRUD_OPERATIONS).map(([operation, verbs]) => ({
+        focus: `${verbs[0]} ${object}`,
+        operation,
+        acceptanceCriteria: criteria.filter(c => verbs.some(verb => containsTerm(c, verb))),
+    }));
+}
+
+/**
+ * Business rule variations: AC that each describe a separate rule or condition.
+ */
+function splitByBusinessRules({ goal, criteria }, splitting) {
+    const ruleCriteria = criteria.filter(c => splitting.BUSINESS_RULE.some(term => containsTerm(c, term)));
+    if (ruleCriteria.length < 2) return null;
+    const base = bareGoal(goal);
+    return [
+        { focus: `${base} (simplest rule only)`, acceptanceCriteria: criteria.filter(c => !ruleCriteria.includes(c)) },
+        ...ruleCriteria.map(rule => ({ focus: `${base} (rule: ${summarizeCriterion(rule)})`, acceptanceCriteria: [rule] })),
+    ];
+}
+
+/**
+ * Data variations: alternatives in the goal ("pay by card or PayPal") or AC that
+ * name different data types or formats.
+ */
+function splitByDataVariations({ goal, criteria }, splitting) {
+    const base = bareGoal(goal);
+    const orMatch = base.match(/^(.*?\b(?:by|via|as|in|with|using|from|to)\s+)(.+\bor\b.+)$/i);
+    if (orMatch) {
+        const variants = orMatch[2].split(DATA_ALTERNATIVE_SEPARATOR).map(v => v.trim()).filter(Boolean);
+        if (variants.length >= 2) {
+            return variants.map(variant => ({
+                focus: `${orMatch[1]}${variant}`,
+                acceptanceCriteria: criteria.filter(c => containsTerm(c, variant)),
+            }));
+        }
+    }
+
+    const variants = splitting.DATA_VARIANTS.filter(term => criteria.some(c => containsTerm(c, term)));
+    if (variants.length < 2) return null;
+    return variants.map(variant => ({
+        focus: `${base} (${variant})`,
+        acceptanceCriteria: criteria.filter(c => containsTerm(c, variant)),
+    }));
+}
+
+/**
+ * Interface / platform: the story or AC name more than one platform or channel.
+ */
+function splitByPlatform({ story, goal, criteria }, splitting) {
+    const platforms = splitting.PLATFORMS.filter(p => containsTerm(story, p) || criteria.some(c => containsTerm(c, p)));
+    if (platforms.length < 2) return null;
+    return platforms.map(platform => ({
+        focus: `${bareGoal(goal)} (${platform} only)`,
+        acceptanceCriteria: criteria.filter(c => containsTerm(c, platform)),
+    }));
+}
+
+/**
+ * Happy path vs. error paths: deliver the main flow first, then the error handling.
+ */
+function splitByPaths({ goal, criteria }, splitting) {
+    const errorCriteria = criteria.filter(c => splitting.ERROR_PATH.some(term => containsTerm(c, term)));
+    const happyCriteria = criteria.filter(c => !errorCriteria.includes(c));
+    if (errorCriteria.length === 0 || happyCriteria.length === 0) return null;
+    const base = bareGoal(goal);
+    return [
+        { focus: `${base} (happy path)`, acceptanceCriteria: happyCriteria },
+        { focus: `handle errors when I ${base}`, acceptanceCriteria: errorCriteria },
+    ];
+}
+
+/**
+ * Defer performance: make it work first, then make it fast.
+ */
+function splitByPerformance({ story, goal, criteria }, splitting) {
+    const isPerformance = text => TIME_TARGET.test(text) || splitting.PERFORMANCE.some(term => containsTerm(text, term));
+    const performanceCriteria = criteria.filter(isPerformance);
+    if (performanceCriteria.length === 0 && !isPerformance(story)) return null;
+    const base = bareGoal(goal);
+    return [
+        { focus: `${base} (functionality first, without performance targets)`, acceptanceCriteria: criteria.filter(c => !performanceCriteria.includes(c)) },
+        { focus: `${base} within the agreed performance targets`, acceptanceCriteria: performanceCriteria },
+    ];
+}
+
+const SPLITTERS = [
+    [PATTERNS.WORKFLOW, splitByWorkflow, "The goal describes several steps of a workflow; each step can be delivered on its own."],
+    [PATTERNS.CRUD, splitByCrud, "The goal bundles several operations on the same data; each operation is a separate story."],
+    [PATTERNS.BUSINESS_RULES, splitByBusinessRules, "Several AC describe different business rules; deliver the simplest rule first and add the others one at a time."],
+    [PATTERNS.DATA, splitByDataVariations, "The story covers several kinds of data; start with one and add the others later."],
+    [PATTERNS.PLATFORM, splitByPlatform, "The story spans several platforms or channels; deliver one platform at a time."],
+    [PATTERNS.PATHS, splitByPaths, "Deliver the happy path first and handle the error cases in a follow-up story."],
+    [PATTERNS.PERFORMANCE, splitByPerformance, "Make it work first, then make it fast: move the performance targets to a follow-up story."],
+];
+
+// =================================================================
+// MAIN EXPORTED FUNCTION
+// =================================================================
+
+/**
+ * Suggests splits for a story using every splitting pattern that applies.
+ * @param {string[]} formatMatch - The result of matching the story against STORY_FORMAT_REGEX.
+ * @param {string} acceptanceCriteriaText - The acceptance criteria text.
+ * @param {object} splitting - The SPLITTING keyword lists from the rule profile.
+ * @returns {Array<{pattern: string, label: string, rationale: string, children: {story: string, acceptanceCriteria: string[]}[], sharedAcceptanceCriteria: string[]}>}
+ */
+function suggestStorySplits(formatMatch, acceptanceCriteriaText, splitting) {
+    if (!formatMatch) return [];
+    const [story, persona, goal, value] = formatMatch;
+    const parsed = { story, goal, criteria: listCriteria(acceptanceCriteriaText) };
+    const toStory = focus => `${personaPhrase(persona)}, I want to ${focus}, so that ${value.trim().replace(/[.;]+$/, '')}.`;
+
+    return SPLITTERS.flatMap(([pattern, split, rationale]) => {
+        const children = split(parsed, splitting);
+        if (!children) return [];
+        const assigned = new Set(children.flatMap(child => child.acceptanceCriteria));
+        return [{
+            pattern: pattern.id,
+            label: pattern.label,
+            rationale,
+            children: children.map(child => ({ story: toStory(child.focus), acceptanceCriteria: child.acceptanceCriteria })),
+            sharedAcceptanceCriteria: parsed.criteria.filter(c => !assigned.has(c)),
+        }];
+    });
+}
+
+module.exports = { suggestStorySplits, listCriteria, withArticle, stems, SPLITTING_PATTERNS: PATTERNS };
@@ -0,0 +1,93 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeWithProvider, createOpenAICompatibleProvider } = require('../analysisProviders');
+const { pickSchema, ANALYSIS_OBJECT_SCHEMA } = require('../analysisSchema');
+const { getUserStoryAnalysis } = require('../userStoryAgent');
+
+const STORY = 'As a shopper, I want to save my cart, so that I can buy the items later.';
+const AC = 'Given a cart with items\nWhen I save it\nThen it is listed under saved carts';
+
+/** Returns an LLM reply built from the heuristic analysis, changed by `edit`. */
+function llmReply(edit = () => {}) {
+    const analysis = pickSchema(getUserStoryAnalysis(STORY, AC), ANALYSIS_OBJECT_SCHEMA);
+    edit(analysis);
+    return analysis;
+}
+
+/** A fetch stub that answers every call with `body` (serialized unless it is a string). */
+function fakeFetch(body, { status = 200 } = {}) {
+    return async () => ({
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => JSON.parse(typeof body === 'string' ? body : JSON.stringify({
+            choices: [{ message: { content: JSON.stringify(body) } }],
+        })),
+    });
+}
+
+const analyze = (fetchImpl) => analyzeWithProvider(STORY, AC, {
+    provider: createOpenAICompatibleProvider({ baseUrl: 'http://llm.test/v1', model: 'test', fetchImpl }),
+});
+
+describe('LLM provider', () => {
+    test('recomputes the totals and the rating from the section scores', async () => {
+        const result = await analyze(fakeFetch(llmReply((analysis) => {
+            analysis.clarityAndRequirementAnalysis.clarityAmbiguity.score = 5;
+            analysis.clarityAndRequirementAnalysis.totalScore = 40;
+            analysis.investCriteriaAssessment.small.score = 2;
+            analysis.investCriteriaAssessment.totalScore = 60;
+            analysis.overallReadinessScore.readinessRating = 100;
+        })));
+
+        assert.equal(result.analysisSource.provider, 'llm');
+        const clarity = result.clarityAndRequirementAnalysis;
+        const invest = result.investCriteriaAssessment;
+        const expectedClarity = clarity.formatCheck.score + 5 + clarity.acceptanceCriteria.score;
+        const expectedInvest = ['independent', 'negotiable', 'valuable', 'estimable', 'small', 'testable']
+            .reduce((sum, key) => sum + invest[key].score, 0);
+        assert.equal(clarity.totalScore, expectedClarity);
+        assert.equal(invest.totalScore, expectedInvest);
+        assert.deepEqual(result.overallReadinessScore.scoreBreakdown, {
+            clarityRequirementAnalysis: expectedClarity,
+            investCriteriaAssessment: expectedInvest,
+        });
+        assert.equal(result.overallReadinessScore.readinessRating, Math.round(((expectedClarity + expectedInvest) / 100) * 100));
+    });
+
+    test("adds the rule-generated queries after the LLM's own", async () => {
+        const story = 'As a patient, I want to share my personal data with my doctor, so that I get better care.';
+        const baseline = getUserStoryAnalysis(story, AC);
+        assert.ok(baseline.outstandingQueriesAndConflicts.some(query => /Privacy/.test(query)));
+        const reply = { ...pickSchema(baseline, ANALYSIS_OBJECT_SCHEMA), outstandingQueriesAndConflicts: ['Who is the doctor?'] };
+
+        const result = await analyzeWithProvider(story, AC, {
+            provider: createOpenAICompatibleProvider({ baseUrl: 'http://llm.test/v1', model: 'test', fetchImpl: fakeFetch(reply) }),
+        });
+        assert.deepEqual(result.outstandingQueriesAndConflicts, ['Who is the doctor?', ...baseline.outstandingQueriesAndConflicts]);
+    });
+
+    test('falls back when a section score is above what the profile awards', async () => {
+        const result = await analyze(fakeFetch(llmReply((analysis) => {
+            analysis.clarityAndRequirementAnalysis.formatCheck.score = 90;
+        })));
+
+        assert.equal(result.analysisSource.provider, 'heuristic');
+        assert.match(result.analysisSource.fallbackReason, /formatCheck\.score must be a number between 0 and 10/);
+    });
+
+    test('reports a response body that is not JSON as an invalid response', async () => {
+        const result = await analyze(fakeFetch('<html>Bad gateway</html>'));
+        assert.match(result.analysisSource.fallbackReason, /invalid response/);
+        assert.doesNotMatch(result.analysisSource.fallbackReason, /could not be reached/);
+    });
+
+    test('reports a network failure as unreachable', async () => {
+        const result = await analyze(async () => { throw new TypeError('fetch failed'); });
+        assert.match(result.analysisSource.fallbackReason, /could not be reached: fetch failed/);
+    });
+
+    test('reports an error status', async () => {
+        const result = await analyze(fakeFetch({}, { status: 503 }));
+        assert.match(result.analysisSource.fallbackReason, /responded with 503/);
+    });
+});
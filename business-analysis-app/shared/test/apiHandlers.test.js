@@ -0,0 +1,217 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApiHandlers, toNetlifyHandler } = require('../apiHandlers');
+const { createProfileStore } = require('../ruleProfiles');
+
+const STORY = 'As a shopper, I want to save my cart, so that I can buy the items later.';
+
+// Calls a route the way the Netlify adapter does, with a JSON body.
+function post(route, body) {
+    return toNetlifyHandler(route)({
+        httpMethod: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body),
+    }).then(response => ({ ...response, json: response.body ? JSON.parse(response.body) : null }));
+}
+
+describe('analyze-story', () => {
+    const api = createApiHandlers({ profileStore: createProfileStore() });
+
+    test('returns the analysis object for format "json"', async () => {
+        const response = await post(api.analyzeStory, { story: STORY, acceptanceCriteria: 'Verify that the cart is saved.', format: 'json' });
+        assert.equal(response.statusCode, 200);
+        assert.equal(typeof response.json.overallReadinessScore.readinessRating, 'number');
+        assert.ok(response.json.schemaVersion);
+    });
+
+    test('returns the Markdown report as a JSON string by default', async () => {
+        const response = await post(api.analyzeStory, { story: STORY });
+        assert.equal(response.statusCode, 200);
+        assert.equal(typeof response.json, 'string');
+    });
+
+    for (const format of ['json', 'markdown']) {
+        test(`rejects non-string acceptance criteria with a 400 (${format})`, async () => {
+            for (const acceptanceCriteria of [5, ['Given a cart'], { text: 'Given a cart' }, true]) {
+                const response = await post(api.analyzeStory, { story: STORY, acceptanceCriteria, format });
+                assert.equal(response.statusCode, 400);
+                assert.equal(response.json.error, "'acceptanceCriteria' must be a string.");
+            }
+        });
+    }
+
+    test('rejects a body that is not a JSON object with a 400', async () => {
+        for (const body of [null, 'As a shopper', 5, [STORY]]) {
+            const response = await post(api.analyzeStory, body);
+            assert.equal(response.statusCode, 400);
+            assert.equal(response.json.code, 'invalid-body');
+            assert.equal(response.json.error, 'Request body must be a JSON object.');
+        }
+    });
+
+    test('rejects unsupported formats', async () => {
+        const response = await post(api.analyzeStory, { story: STORY, format: 'xml' });
+        assert.equal(response.statusCode, 400);
+    });
+
+    test('only accepts POST', async () => {
+        const response = await toNetlifyHandler(api.analyzeStory)({ httpMethod: 'GET', headers: {} });
+        assert.equal(response.statusCode, 405);
+    });
+});
+
+describe('analyze-story with a history store', () => {
+    const versions = [];
+    const history = {
+        async addVersion(entry) {
+            versions.push(entry);
+            return { version: versions.filter(v => v.storyId === entry.storyId).length, createdAt: '2026-01-01T00:00:00.000Z' };
+        },
+    };
+    const api = createApiHandlers({ profileStore: createProfileStore(), history });
+
+    test('answers 201 with the stored version and the analysis, in JSON by default', async () => {
+        const response = await post(api.analyzeStory, { storyId: 'SHOP-1', story: STORY });
+        assert.equal(response.statusCode, 201);
+        assert.deepEqual(Object.keys(response.json), ['storyId', 'version', 'createdAt', 'analysis']);
+        assert.equal(response.json.storyId, 'SHOP-1');
+        assert.equal(response.json.version, 1);
+        assert.equal(response.json.createdAt, '2026-01-01T00:00:00.000Z');
+        assert.equal(typeof response.json.analysis.overallReadinessScore.readinessRating, 'number');
+    });
+
+    test('generates a story ID when none is given', async () => {
+        const response = await post(api.analyzeStory, { story: STORY, format: 'json' });
+        assert.equal(response.statusCode, 201);
+        assert.match(response.json.storyId, /^[0-9a-f-]{36}$/);
+    });
+
+    test('identifies the version in headers for the Markdown report', async () => {
+        const response = await post(api.analyzeStory, { storyId: 'SHOP-1', story: STORY, format: 'markdown' });
+        assert.equal(response.statusCode, 200);
+        assert.equal(typeof response.json, 'string');
+        assert.equal(response.headers['X-Story-Id'], 'SHOP-1');
+        assert.equal(response.headers['X-Story-Version'], '2');
+    });
+
+    test('does not store the analysis when record is false', async () => {
+        const stored = versions.length;
+        const response = await post(api.analyzeStory, { story: STORY, format: 'markdown', record: false });
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['X-Story-Id'], undefined);
+        assert.equal(versions.length, stored);
+    });
+
+    test('rejects a record flag that is not a boolean', async () => {
+        const response = await post(api.analyzeStory, { story: STORY, record: 'no' });
+        assert.equal(response.statusCode, 400);
+        assert.equal(response.json.code, 'invalid-request');
+        assert.equal(response.json.error, "'record' must be true or false.");
+    });
+});
+
+describe('analyze-story with a profile that enables frameworks', () => {
+    let directory;
+    let api;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ba-profiles-'));
+        fs.writeFileSync(path.join(directory, 'smart-team.json'), JSON.stringify({ rules: { FRAMEWORKS: { ENABLED: ['smart'] } } }));
+        fs.writeFileSync(path.join(directory, 'typo-team.json'), JSON.stringify({ rules: { FRAMEWORKS: { ENABLED: ['smrt'] } } }));
+        api = createApiHandlers({ profileStore: createProfileStore({ directory }) });
+    });
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const frameworkIds = async (body) => {
+        const response = await post(api.analyzeStory, { story: STORY, format: 'json', profile: 'smart-team', ...body });
+        return Object.keys(response.json.frameworkAssessments);
+    };
+
+    test("keeps the profile's frameworks when the request omits them or sends null", async () => {
+        assert.deepEqual(await frameworkIds({}), ['smart']);
+        assert.deepEqual(await frameworkIds({ frameworks: null }), ['smart']);
+    });
+
+    test('replaces them with the frameworks the request lists', async () => {
+        assert.deepEqual(await frameworkIds({ frameworks: [] }), []);
+        assert.deepEqual(await frameworkIds({ frameworks: ['three-cs'] }), ['three-cs']);
+    });
+
+    test('answers 400 for a profile that enables an unknown framework', async () => {
+        const response = await post(api.analyzeStory, { story: STORY, format: 'json', profile: 'typo-team' });
+        assert.equal(response.statusCode, 400);
+        assert.match(response.json.details[0], /Unknown quality framework 'smrt'/);
+    });
+});
+
+describe('analyze-backlog', () => {
+    const api = createApiHandlers({ profileStore: createProfileStore() });
+
+    test('rejects a body that is neither a JSON object nor an array with a 400', async () => {
+        for (const body of [null, 'As a shopper', 5]) {
+            const response = await post(api.analyzeBacklog, body);
+            assert.equal(response.statusCode, 400);
+            assert.equal(response.json.code, 'invalid-body');
+        }
+    });
+
+    test('reports malformed rows on their own row and analyzes the rest', async () => {
+        const response = await post(api.analyzeBacklog, {
+            format: 'json',
+            stories: [
+                { id: 'A', title: 42, story: STORY },
+                { id: 'B', title: { text: 'Save cart' }, story: STORY },
+                { id: 'C', story: ['As a shopper'] },
+                null,
+                { id: 'E', story: 'As a shopper, I want to see my saved cart, so that I can check the items.' },
+            ],
+        });
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.results.map(row => row.status), ['ok', 'error', 'error', 'error', 'ok']);
+        assert.equal(response.json.results[0].title, '42');
+        assert.equal(response.json.results[1].error, "'title' must be a string.");
+        assert.equal(response.json.summary.errorCount, 3);
+    });
+});
+
+describe('export-feature', () => {
+    const api = createApiHandlers({ profileStore: createProfileStore() });
+    const germanStory = 'Als Kunde möchte ich meinen Warenkorb speichern, damit ich später bestellen kann.';
+
+    test("exports a German story's inferred scenarios in German", async () => {
+        const response = await post(api.exportFeature, { story: germanStory });
+        assert.equal(response.statusCode, 200);
+        assert.match(response.json.feature, /^# language: de\nFunktionalität: /);
+        assert.equal(response.json.feature.match(/^ {2}Szenario: /gm).length, 3);
+    });
+
+    test('writes the feature in the requested locale', async () => {
+        const response = await post(api.exportFeature, { story: STORY, locale: 'en' });
+        assert.match(response.json.feature, /^Feature: Save my cart\n {2}As a shopper\n/);
+    });
+
+    test('rejects an unknown locale', async () => {
+        const response = await post(api.exportFeature, { story: germanStory, locale: 'xx' });
+        assert.equal(response.statusCode, 400);
+        assert.equal(response.json.code, 'invalid-request');
+    });
+});
+
+describe('trace-epic', () => {
+    const api = createApiHandlers({ profileStore: createProfileStore() });
+    const epic = { id: 'EPIC-1', description: STORY, acceptanceCriteria: 'Saved carts are listed on the account page' };
+
+    test('rejects child stories that share an id', async () => {
+        const stories = [
+            { id: 'S-1', story: STORY, acceptanceCriteria: 'Saved carts are listed' },
+            { id: 'S-1', story: STORY, acceptanceCriteria: 'Saved carts can be deleted' },
+        ];
+        const response = await post(api.traceEpic, { epic, stories, format: 'json' });
+        assert.equal(response.statusCode, 400);
+        assert.equal(response.json.code, 'invalid-request');
+        assert.match(response.json.error, /Story id 'S-1' is used more than once/);
+    });
+});
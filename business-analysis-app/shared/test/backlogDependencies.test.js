@@ -0,0 +1,85 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeBacklogDependencies, DEPENDENCY_EDGE_TYPES } = require('../backlogDependencies');
+const { DEFAULT_RULES } = require('../userStoryAgent');
+
+const analyze = items => analyzeBacklogDependencies(items, DEFAULT_RULES);
+const edgesOfType = (result, type) => result.graph.edges.filter(edge => edge.type === type);
+
+describe('analyzeBacklogDependencies', () => {
+    test('finds references by ID and by a title of three or more words', () => {
+        const { graph, relations } = analyze([
+            { id: 'SHOP-1', title: 'Save the cart', story: 'As a shopper, I want to save my cart, so that I can buy later.' },
+            { id: 'SHOP-2', title: 'Share', story: 'As a shopper, I want to share a cart, once SHOP-1 is done.' },
+            { id: 'SHOP-3', story: 'As a shopper, I want to restore my cart, after Save the cart ships.' },
+        ]);
+        assert.deepEqual(graph.edges.filter(e => e.type === DEPENDENCY_EDGE_TYPES.DEPENDS_ON).map(e => `${e.from}>${e.to}`), ['SHOP-2>SHOP-1', 'SHOP-3>SHOP-1']);
+        assert.deepEqual(relations.get('SHOP-1').dependedOnBy, ['SHOP-2', 'SHOP-3']);
+    });
+
+    test('ignores a missing or non-string title instead of failing', () => {
+        const items = [
+            { id: 'A-1', title: 42, story: 'As a shopper, I want to save my cart, so that I can buy later.' },
+            { id: 'A-2', title: { text: 'Save the cart' }, story: 'As a shopper, I want to share my wishlist.' },
+            { id: 'A-3', story: 'As a shopper, I want to restore my cart, after A-1 is done.' },
+            { id: 7, title: null, story: 'As an admin, I want to clear old carts.' },
+        ];
+        const { graph } = analyze(items);
+        assert.deepEqual(graph.nodes.map(node => node.title), ['', '', '', '']);
+        assert.deepEqual(graph.edges.map(e => `${e.from}>${e.to}`), ['A-3>A-1']);
+    });
+
+    test('only matches a numeric ID written with a leading #', () => {
+        const { graph } = analyze([
+            { id: '42', story: 'As a shopper, I want to pay by card.' },
+            { id: 'B', story: 'As a shopper, I want to pay in 42 days.' },
+            { id: 'C', story: 'As a shopper, I want a receipt for #42.' },
+        ]);
+        assert.deepEqual(graph.edges.filter(e => e.type === DEPENDENCY_EDGE_TYPES.DEPENDS_ON).map(e => e.from), ['C']);
+    });
+
+    test('flags near-identical goals as duplicates, once per pair', () => {
+        const result = analyze([
+            { id: 'A', story: 'As a shopper, I want to save my cart, so that I can buy the items later.' },
+            { id: 'B', story: 'As a customer, I want to save my cart, so that I can buy the items later.' },
+            { id: 'C', story: 'As a shopper, I want to print an invoice, so that I can file my taxes.' },
+        ]);
+        const duplicates = edgesOfType(result, DEPENDENCY_EDGE_TYPES.DUPLICATE);
+        assert.equal(duplicates.length, 1);
+        assert.deepEqual([duplicates[0].from, duplicates[0].to], ['A', 'B']);
+        assert.equal(duplicates[0].similarity, 1);
+        assert.deepEqual(result.relations.get('B').duplicates, [{ id: 'A', similarity: 1 }]);
+        assert.deepEqual(result.relations.get('C').duplicates, []);
+    });
+
+    test('reports conflicting numbers and negations in similar criteria of the same persona', () => {
+        const result = analyze([
+            { id: 'A', story: 'As a shopper, I want to save my cart, so that I can buy later.', acceptanceCriteria: 'The saved cart is kept for 30 days' },
+            { id: 'B', story: 'As a shopper, I want to save my cart, so that I can buy it later.', acceptanceCriteria: 'The saved cart is kept for 7 days' },
+            { id: 'C', story: 'As a shopper, I want to save my cart, so that I can buy next time.', acceptanceCriteria: 'The saved cart is not kept for 30 days' },
+        ]);
+        const conflicts = edgesOfType(result, DEPENDENCY_EDGE_TYPES.CONFLICT).map(e => `${e.from}-${e.to}`);
+        assert.deepEqual(conflicts, ['A-B', 'A-C', 'B-C']);
+        assert.deepEqual(result.relations.get('B').conflicts[0], { id: 'A', criterion: 'The saved cart is kept for 7 days', otherCriterion: 'The saved cart is kept for 30 days' });
+    });
+
+    test('does not report conflicts between different personas or matching criteria', () => {
+        const result = analyze([
+            { id: 'A', story: 'As a shopper, I want to save my cart, so that I can buy later.', acceptanceCriteria: 'The saved cart is kept for 30 days' },
+            { id: 'B', story: 'As an admin, I want to save my cart, so that I can buy later.', acceptanceCriteria: 'The saved cart is kept for 7 days' },
+            { id: 'C', story: 'As a shopper, I want to save my cart, so that I can buy it later.', acceptanceCriteria: 'The saved cart is kept for 30 days' },
+        ]);
+        assert.deepEqual(edgesOfType(result, DEPENDENCY_EDGE_TYPES.CONFLICT), []);
+    });
+
+    test('finds dependency cycles', () => {
+        const { graph, relations } = analyze([
+            { id: 'A-1', story: 'As a shopper, I want to pay, after A-2.' },
+            { id: 'A-2', story: 'As a shopper, I want to check out, after A-1.' },
+            { id: 'A-3', story: 'As a shopper, I want a receipt, after A-1.' },
+        ]);
+        assert.deepEqual(graph.cycles, [['A-1', 'A-2']]);
+        assert.equal(relations.get('A-3').cycle, null);
+        assert.match(graph.dot, /"A-1" -> "A-2" \[label="depends on", color=red, penwidth=2\]/);
+    });
+});
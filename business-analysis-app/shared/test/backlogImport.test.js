@@ -0,0 +1,71 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBacklogCsv, normalizeBacklogItems } = require('../backlogImport');
+
+const STORY = 'As a shopper, I want to save my cart, so that I can buy the items later.';
+
+describe('normalizeBacklogItems', () => {
+    test('numbers story strings and keeps the fields of story objects', () => {
+        const items = normalizeBacklogItems([STORY, { id: 'SHOP-2', title: 'Save cart', story: STORY, acceptanceCriteria: 'Given a cart', team: ' Web ' }]);
+        assert.deepEqual(items, [
+            { id: 'item-1', title: '', story: STORY, acceptanceCriteria: '', team: '' },
+            { id: 'SHOP-2', title: 'Save cart', story: STORY, acceptanceCriteria: 'Given a cart', team: 'Web' },
+        ]);
+    });
+
+    test('takes numbers as text, as tracker keys often are', () => {
+        const [item] = normalizeBacklogItems([{ id: 42, title: 2026, story: STORY }]);
+        assert.equal(item.id, '42');
+        assert.equal(item.title, '2026');
+        assert.equal(item.parseError, undefined);
+    });
+
+    test('reports invalid fields on the item instead of passing them on', () => {
+        const items = normalizeBacklogItems([
+            { id: 'A', title: { text: 'Save cart' }, story: STORY },
+            { id: 'B', story: STORY, team: ['Web'] },
+            { id: 'C', story: 42 },
+            { id: { key: 'D' }, story: STORY },
+        ]);
+        assert.deepEqual(items.map(item => item.parseError), [
+            "'title' must be a string.",
+            "'team' must be a string.",
+            "'story' must be a string.",
+            "'id' must be a string.",
+        ]);
+        assert.deepEqual(items.map(item => item.id), ['A', 'B', 'C', 'item-4']);
+        items.forEach(item => {
+            assert.equal(typeof item.title, 'string');
+            assert.equal(typeof item.team, 'string');
+        });
+    });
+
+    test('reports items that are neither story objects nor story strings', () => {
+        const items = normalizeBacklogItems([null, 7, ['As a shopper']]);
+        assert.deepEqual(items.map(item => item.id), ['item-1', 'item-2', 'item-3']);
+        items.forEach(item => assert.match(item.parseError, /must be a story object or a story string/));
+    });
+
+    test('keeps a list of acceptance criteria, as epic tracing accepts one', () => {
+        const [item] = normalizeBacklogItems([{ id: 'A', story: STORY, acceptanceCriteria: ['Given a cart', 'Then it is saved'] }]);
+        assert.deepEqual(item.acceptanceCriteria, ['Given a cart', 'Then it is saved']);
+        assert.equal(item.parseError, undefined);
+    });
+});
+
+describe('parseBacklogCsv', () => {
+    test('maps header aliases and numbers rows without an id', () => {
+        const items = parseBacklogCsv('Summary,Description,AC\nSave cart,"As a shopper, I want to save my cart","Given a cart\nThen it is saved"\n');
+        assert.deepEqual(items, [{ id: 'row-2', title: 'Save cart', story: 'As a shopper, I want to save my cart', acceptanceCriteria: 'Given a cart\nThen it is saved', team: '' }]);
+    });
+
+    test('reports a row with the wrong number of columns on that row', () => {
+        const items = parseBacklogCsv(`id,story\nA,"${STORY}"\nB,"${STORY}",extra\n`);
+        assert.equal(items[0].parseError, undefined);
+        assert.equal(items[1].parseError, 'Row 3 has 3 columns, expected 2.');
+    });
+
+    test('requires a story column', () => {
+        assert.throws(() => parseBacklogCsv('id,title\nA,Save cart\n'), SyntaxError);
+    });
+});
@@ -0,0 +1,68 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { calibrateRules, validateReview, CalibrationError, MIN_CALIBRATION_REVIEWS } = require('../calibration');
+const { getUserStoryAnalysis, DEFAULT_RULES } = require('../userStoryAgent');
+
+const GOALS = ['export my orders', 'print my invoices', 'save my cart', 'rate a product', 'track a parcel',
+    'change my address', 'cancel an order', 'reorder an item', 'download a receipt', 'share a wishlist'];
+const AC = 'Verify that the confirmation lists every item';
+
+/**
+ * Builds reviews of generic-persona stories that agree with the analysis's category, with the
+ * given verdict on each persona finding.
+ */
+function personaReviews(agree) {
+    return GOALS.map(goal => {
+        const story = `As a user, I want to ${goal}, so that I can keep track of my spending.`;
+        const analysis = getUserStoryAnalysis(story, AC);
+        return {
+            story,
+            acceptanceCriteria: AC,
+            readinessCategoryId: analysis.overallReadinessScore.readinessCategoryId,
+            findings: [{ ruleId: 'persona/generic', agree }],
+        };
+    });
+}
+
+describe('calibrateRules', () => {
+    test('leaves the weights alone when the reviewers agree with the analysis', () => {
+        const result = calibrateRules(personaReviews(true), DEFAULT_RULES, { maxRounds: 1 });
+        assert.equal(result.before.exactAgreement, 100);
+        assert.deepEqual(result.changes, []);
+        assert.deepEqual(result.steering, [{ rule: 'SCORING.PERSONA_DEDUCTION', direction: 'keep', agreed: 10, disagreed: 0 }]);
+    });
+
+    test('lowers the weight of findings the reviewers disagree with, without losing agreement', () => {
+        const result = calibrateRules(personaReviews(false), DEFAULT_RULES, { maxRounds: 1 });
+        const change = result.changes.find(c => c.rule === 'SCORING.PERSONA_DEDUCTION');
+        assert.ok(change, 'PERSONA_DEDUCTION should change');
+        assert.ok(change.to < change.from);
+        assert.equal(result.overrides.SCORING.PERSONA_DEDUCTION, change.to);
+        assert.equal(result.after.exactAgreement, 100);
+        assert.equal(result.steering[0].direction, 'lower');
+        assert.deepEqual(result.findings, [{ ruleId: 'persona/generic', agreed: 0, disagreed: 10, agreement: 0 }]);
+    });
+
+    test('skips reviews with an unknown category and needs enough usable reviews', () => {
+        const reviews = personaReviews(true);
+        reviews[0] = { ...reviews[0], readinessCategoryId: 'legendary' };
+        assert.throws(() => calibrateRules(reviews), error => (
+            error instanceof CalibrationError && new RegExp(`at least ${MIN_CALIBRATION_REVIEWS} reviews`).test(error.message)
+        ));
+    });
+
+    test('rejects invalid reviews with the problems in details', () => {
+        assert.throws(() => calibrateRules([{ story: '', readinessCategoryId: 'ready' }]), error => {
+            assert.ok(error instanceof CalibrationError);
+            assert.deepEqual(error.details, ['reviews[0].story must be a non-empty string.']);
+            return true;
+        });
+    });
+});
+
+describe('validateReview', () => {
+    test('requires a ruleId and a boolean verdict on each finding', () => {
+        const errors = validateReview({ story: 'As a user', readinessCategoryId: 'ready', findings: [{ ruleId: 'persona/generic', agree: 'yes' }] });
+        assert.deepEqual(errors, ["review.findings[0] must have a string ruleId and a boolean 'agree'."]);
+    });
+});
@@ -0,0 +1,191 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDashboard, storiesFromBacklog } = require('../dashboard');
+const { DEFAULT_RULES } = require('../userStoryAgent');
+
+const INVEST = ['independent', 'negotiable', 'valuable', 'estimable', 'small', 'testable'];
+
+// An analysis with just the fields the dashboard reads. INVEST scores default to 10.
+function analysisWith(readinessRating, invest = {}) {
+    const investCriteriaAssessment = Object.fromEntries(INVEST.map(criterion => [criterion, { score: invest[criterion] ?? 10 }]));
+    investCriteriaAssessment.totalScore = INVEST.reduce((sum, criterion) => sum + investCriteriaAssessment[criterion].score, 0);
+    return { overallReadinessScore: { readinessRating }, investCriteriaAssessment };
+}
+
+// A story with one version per [createdAt, rating, invest] entry, numbered in the order given.
+function story(storyId, team, ...versions) {
+    return {
+        storyId,
+        title: `Story ${storyId}`,
+        team,
+        versions: versions.map(([createdAt, rating, invest], index) => ({ version: index + 1, createdAt, analysis: analysisWith(rating, invest) })),
+    };
+}
+
+describe('readiness distribution', () => {
+    const stories = [
+        story('A', 'Checkout', ['2026-10-05T09:00:00.000Z', 95]),
+        story('B', 'Checkout', ['2026-10-05T09:00:00.000Z', 80]),
+        story('C', 'Search', ['2026-10-05T09:00:00.000Z', 71]),
+        story('D', 'Search', ['2026-10-05T09:00:00.000Z', 60]),
+        story('E', '', ['2026-10-05T09:00:00.000Z', 10]),
+        { storyId: 'F', title: 'Never analyzed', team: 'Search', versions: [] },
+    ];
+
+    test('counts the latest rating of every analyzed story per readiness category', () => {
+        const dashboard = buildDashboard(stories);
+
+        assert.equal(dashboard.storyCount, 5);
+        assert.deepEqual(dashboard.categoryDistribution.map(({ id, minScore, count }) => ({ id, minScore, count })), [
+            { id: 'excellent', minScore: 90, count: 1 },
+            { id: 'at-standard', minScore: 71, count: 2 },
+            { id: 'requires-improvement', minScore: 50, count: 1 },
+            { id: 'not-ready', minScore: 0, count: 1 },
+        ]);
+        assert.equal(dashboard.averageReadiness, 63);
+    });
+
+    test("blocks the stories below the 'at-standard' category, or below minReadiness", () => {
+        assert.equal(buildDashboard(stories).minReadiness, 71);
+        assert.deepEqual(buildDashboard(stories).stories.filter(row => row.isBlocking).map(row => row.storyId), ['D', 'E']);
+        assert.equal(buildDashboard(stories, DEFAULT_RULES, { minReadiness: 90 }).blockingCount, 4);
+    });
+
+    test('groups the ratings by the categories of the given rules', () => {
+        const rules = { ...DEFAULT_RULES, READINESS_CATEGORIES: [{ score: 75, id: 'ready', label: 'Ready' }, { score: 0, id: 'draft', label: 'Draft' }] };
+        const dashboard = buildDashboard(stories, rules);
+
+        assert.deepEqual(dashboard.categoryDistribution.map(({ id, count }) => [id, count]), [['ready', 2], ['draft', 3]]);
+        // Without an 'at-standard' category, only stories below the top category block.
+        assert.equal(dashboard.minReadiness, 75);
+    });
+
+    test('lists every team but counts only the selected one', () => {
+        const dashboard = buildDashboard(stories, DEFAULT_RULES, { team: 'Search' });
+
+        assert.deepEqual(dashboard.teams, ['', 'Checkout', 'Search']);
+        assert.deepEqual(dashboard.stories.map(row => row.storyId), ['C', 'D']);
+        assert.equal(buildDashboard(stories, DEFAULT_RULES, { team: '' }).storyCount, 1);
+    });
+
+    test('returns empty aggregates for an empty backlog', () => {
+        const dashboard = buildDashboard([]);
+        assert.equal(dashboard.storyCount, 0);
+        assert.equal(dashboard.averageReadiness, null);
+        assert.deepEqual(dashboard.investDimensions, []);
+        assert.ok(dashboard.categoryDistribution.every(category => category.count === 0));
+    });
+});
+
+describe('INVEST aggregates', () => {
+    test('averages each dimension over the latest versions, weakest first', () => {
+        const dashboard = buildDashboard([
+            // The first version's low scores are replaced by the second's.
+            story('A', '', ['2026-10-05T09:00:00.000Z', 40, { testable: 0, small: 0 }], ['2026-10-06T09:00:00.000Z', 70, { testable: 4, small: 7 }]),
+            story('B', '', ['2026-10-05T09:00:00.000Z', 80, { testable: 5, small: 9, valuable: 7 }]),
+            story('C', '', ['2026-10-05T09:00:00.000Z', 90, { small: 5 }]),
+        ]);
+        const byCriterion = Object.fromEntries(dashboard.investDimensions.map(dimension => [dimension.criterion, dimension]));
+
+        assert.deepEqual(byCriterion.testable, { criterion: 'testable', averageScore: 6.3, maxScore: 10, failingCount: 2 });
+        assert.deepEqual(byCriterion.small, { criterion: 'small', averageScore: 7, maxScore: 10, failingCount: 2 });
+        assert.deepEqual(byCriterion.valuable, { criterion: 'valuable', averageScore: 9, maxScore: 10, failingCount: 1 });
+        assert.deepEqual(dashboard.investDimensions.slice(0, 3).map(dimension => dimension.criterion), ['testable', 'small', 'valuable']);
+        assert.equal(dashboard.investDimensions.length, INVEST.length);
+    });
+
+    test('puts the dimension more stories fail first when the averages tie', () => {
+        const dashboard = buildDashboard([
+            story('A', '', ['2026-10-05T09:00:00.000Z', 70, { estimable: 9, negotiable: 5 }]),
+            story('B', '', ['2026-10-05T09:00:00.000Z', 70, { estimable: 5, negotiable: 9 }]),
+            story('C', '', ['2026-10-05T09:00:00.000Z', 70, { estimable: 7, negotiable: 7 }]),
+        ]);
+        const [first, second] = dashboard.investDimensions;
+        assert.equal(first.averageScore, second.averageScore);
+        assert.deepEqual([first.failingCount, second.failingCount], [2, 2]);
+        assert.ok(dashboard.investDimensions.slice(2).every(dimension => dimension.averageScore === 10 && dimension.failingCount === 0));
+    });
+
+    test("names each story's weakest dimension", () => {
+        const [row] = buildDashboard([story('A', '', ['2026-10-05T09:00:00.000Z', 70, { small: 6, testable: 3 }])]).stories;
+        assert.deepEqual(row.weakestInvest, { criterion: 'testable', score: 3 });
+    });
+});
+
+describe('trends over history versions', () => {
+    // A: 50 on Monday 5 October, 80 on Wednesday 14 October. B: 70 on Sunday 11 October.
+    // The versions are stored out of order, as after a version is deleted and re-added.
+    const stories = [
+        story('A', 'Checkout', ['2026-10-14T12:00:00.000Z', 80, { small: 8 }], ['2026-10-05T08:00:00.000Z', 50, { small: 3 }]),
+        story('B', 'Checkout', ['2026-10-11T23:30:00.000Z', 70]),
+        story('C', 'Search', ['2026-10-13T10:00:00.000Z', 65]),
+    ];
+
+    test("follows each story's versions in time order, from the latest version", () => {
+        const [a, b] = buildDashboard(stories).stories;
+
+        assert.deepEqual(a.trend, [
+            { version: 2, createdAt: '2026-10-05T08:00:00.000Z', readinessRating: 50 },
+            { version: 1, createdAt: '2026-10-14T12:00:00.000Z', readinessRating: 80 },
+        ]);
+        assert.equal(a.version, 1);
+        assert.equal(a.versionCount, 2);
+        assert.equal(a.readinessRating, 80);
+        assert.equal(a.ratingChange, 30);
+        assert.equal(a.updatedAt, '2026-10-14T12:00:00.000Z');
+        assert.equal(b.ratingChange, null);
+    });
+
+    test("averages a team's latest ratings per week, starting on Monday (UTC)", () => {
+        const { teamTrends, interval } = buildDashboard(stories);
+
+        assert.equal(interval, 'week');
+        assert.deepEqual(teamTrends, [
+            {
+                team: 'Checkout',
+                points: [
+                    { period: '2026-10-05', averageReadiness: 60, storyCount: 2 },
+                    { period: '2026-10-12', averageReadiness: 75, storyCount: 2 },
+                ],
+            },
+            { team: 'Search', points: [{ period: '2026-10-12', averageReadiness: 65, storyCount: 1 }] },
+        ]);
+    });
+
+    test('carries each story into later periods with its rating at the time, per day and per month', () => {
+        const daily = buildDashboard(stories, DEFAULT_RULES, { interval: 'day', team: 'Checkout' }).teamTrends[0].points;
+        assert.deepEqual(daily, [
+            { period: '2026-10-05', averageReadiness: 50, storyCount: 1 },
+            { period: '2026-10-11', averageReadiness: 60, storyCount: 2 },
+            { period: '2026-10-14', averageReadiness: 75, storyCount: 2 },
+        ]);
+
+        const monthly = buildDashboard(stories, DEFAULT_RULES, { interval: 'month', team: 'Checkout' }).teamTrends[0].points;
+        assert.deepEqual(monthly, [{ period: '2026-10', averageReadiness: 75, storyCount: 2 }]);
+    });
+
+    test('rejects an unknown interval', () => {
+        assert.throws(() => buildDashboard(stories, DEFAULT_RULES, { interval: 'quarter' }), RangeError);
+    });
+});
+
+describe('storiesFromBacklog', () => {
+    test('turns each analyzed row of a batch run into a story with one version', () => {
+        const backlog = {
+            results: [
+                { id: 'A', title: 'Save cart', team: 'Checkout', status: 'ok', analysis: analysisWith(80) },
+                { id: 'B', title: 'Broken', status: 'error', error: "'story' must be a string." },
+                { id: 'C', title: 'Search', status: 'ok', analysis: analysisWith(40) },
+            ],
+        };
+        const stories = storiesFromBacklog(backlog, '2026-10-05T09:00:00.000Z');
+
+        assert.deepEqual(stories.map(({ storyId, team, versions }) => [storyId, team, versions.length]), [['A', 'Checkout', 1], ['C', '', 1]]);
+        const dashboard = buildDashboard(stories);
+        assert.equal(dashboard.averageReadiness, 60);
+        assert.deepEqual(dashboard.teamTrends.map(trend => trend.points), [
+            [{ period: '2026-10-05', averageReadiness: 40, storyCount: 1 }],
+            [{ period: '2026-10-05', averageReadiness: 80, storyCount: 1 }],
+        ]);
+    });
+});
@@ -0,0 +1,46 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { traceEpic } = require('../epicTraceability');
+const { DEFAULT_RULES } = require('../userStoryAgent');
+
+const EPIC = {
+    id: 'EPIC-1',
+    description: 'As a customer, I want to manage my orders, so that I stay informed.',
+    acceptanceCriteria: 'The customer receives an email confirmation for every order\nThe customer can cancel an order before shipping',
+};
+
+const trace = stories => traceEpic(EPIC, stories);
+
+describe('traceEpic', () => {
+    test('covers an epic criterion when the story shares enough of its words', () => {
+        const result = trace([
+            { id: 'S-1', story: 'As a customer, I want an email, so that I know.', acceptanceCriteria: 'The customer receives an email confirmation once the order is placed' },
+        ]);
+        assert.equal(result.criteria[0].status, 'covered');
+        assert.deepEqual(result.criteria[0].coveredBy.map(cell => cell.storyId), ['S-1']);
+        assert.deepEqual(result.stories[0].covers, [1]);
+    });
+
+    test('does not count a single shared word as coverage', () => {
+        const result = trace([
+            { id: 'S-1', story: 'As a customer, I want a profile, so that I am known.', acceptanceCriteria: 'The customer profile shows the avatar' },
+        ]);
+        assert.deepEqual(result.summary.uncoveredCriteria, [1, 2]);
+        assert.deepEqual(result.summary.untracedStories, ['S-1']);
+    });
+
+    test('lets a one-word criterion be covered by that word', () => {
+        const result = traceEpic({ ...EPIC, acceptanceCriteria: 'Invoices' }, [
+            { id: 'S-1', story: 'As a customer, I want invoices, so that I can pay.', acceptanceCriteria: 'Invoices are sent monthly' },
+        ]);
+        assert.equal(result.criteria[0].status, 'covered');
+    });
+
+    test('honors the TRACE_MIN_TERMS threshold of the rules', () => {
+        const rules = { ...DEFAULT_RULES, THRESHOLDS: { ...DEFAULT_RULES.THRESHOLDS, TRACE_COVERAGE: 0.1, TRACE_MIN_TERMS: 1 } };
+        const result = traceEpic(EPIC, [
+            { id: 'S-1', story: 'As a customer, I want a profile, so that I am known.', acceptanceCriteria: 'The customer profile shows the avatar' },
+        ], rules);
+        assert.equal(result.summary.coveredCount, 2);
+    });
+});
@@ -0,0 +1,95 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { exportFeature, toCucumberExpression } = require('../featureExport');
+
+const STORY = 'As a shopper, I want to save my cart, so that I can buy the items later.';
+
+describe('exportFeature', () => {
+    test('defines a step once when the same text is used under different keywords', () => {
+        const { stepDefinitions } = exportFeature(STORY, [
+            'Scenario: Save',
+            '  Given the cart is saved',
+            '  When I sign out',
+            '  Then the cart is saved',
+            'Scenario: Share',
+            '  Given the cart is saved',
+            '  When I share it',
+            '  Then my friend sees 3 items',
+        ].join('\n'));
+
+        const definitions = stepDefinitions.match(/^(Given|When|Then)\(.*$/gm);
+        assert.deepEqual(definitions.map(line => line.slice(0, line.indexOf(','))), [
+            "Given('the cart is saved'",
+            "When('I sign out'",
+            "When('I share it'",
+            "Then('my friend sees {int} items'",
+        ]);
+    });
+
+    test('exports inferred AC when none are given', () => {
+        const result = exportFeature(STORY, '');
+        assert.equal(result.source, 'inferred');
+        assert.match(result.feature, /^Feature:/m);
+    });
+
+    test('writes a German story with the German keywords and a language header', () => {
+        const result = exportFeature('Als Kunde möchte ich meinen Warenkorb speichern, damit ich später bestellen kann.', '');
+        const lines = result.feature.split('\n');
+        assert.deepEqual(lines.slice(0, 5), [
+            '# language: de',
+            'Funktionalität: Meinen Warenkorb speichern',
+            '  Als Kunde',
+            '  möchte ich meinen Warenkorb speichern',
+            '  damit ich später bestellen kann',
+        ]);
+        assert.equal(result.source, 'inferred');
+        assert.equal(result.featureFileName, 'meinen-warenkorb-speichern.feature');
+        assert.equal(lines.filter(line => /^ {2}Szenario: /.test(line)).length, 3);
+        assert.ok(lines.includes('    Angenommen der Nutzer ist auf der entsprechenden Seite'));
+        assert.ok(lines.includes("    Dann die Aktion 'meinen Warenkorb speichern' für Auswertungen protokolliert wird"));
+        assert.doesNotMatch(result.feature, /Scenario|Given|Then|As a/);
+    });
+
+    test('writes provided French criteria with the French keywords', () => {
+        const criteria = [
+            'Scénario: Enregistrer',
+            '  Soit un panier avec 2 articles',
+            "  Lorsqu'il enregistre le panier",
+            '  Alors le panier est enregistré',
+            '  Et le panier reste disponible',
+            'Vérifier que le panier est conservé 30 jours.',
+        ].join('\n');
+        const result = exportFeature('En tant que client, je veux enregistrer mon panier, afin de commander plus tard.', criteria, { framework: 'jest' });
+        assert.equal(result.source, 'provided');
+        assert.match(result.feature, /^# language: fr\nFonctionnalité: Enregistrer mon panier\n/);
+        assert.match(result.feature, /^ {4}Soit un panier avec 2 articles$/m);
+        assert.match(result.feature, /^ {4}Lorsqu'il enregistre le panier$/m);
+        assert.match(result.feature, /^ {4}Et le panier reste disponible$/m);
+        assert.match(result.feature, /^ {2}Scénario: Vérifier que le panier est conservé 30 jours\n {4}# TODO: Ajouter les étapes/m);
+        assert.match(result.feature, /^ {4}Alors le panier est conservé 30 jours$/m);
+        assert.match(result.stepDefinitions, /then\(\/\^le panier est conservé 30 jours\$\//);
+    });
+
+    test('writes a Spanish story with the Spanish keywords and names implicit scenarios in Spanish', () => {
+        const criteria = 'Dado un carrito guardado, cuando vuelvo, entonces veo el carrito';
+        const result = exportFeature('Como cliente, quiero guardar mi carrito, para comprar más tarde.', criteria);
+        assert.match(result.feature, /^# language: es\nCaracterística: Guardar mi carrito\n {2}Como cliente\n {2}quiero guardar mi carrito\n {2}para comprar más tarde\n/);
+        assert.match(result.feature, /^ {2}Escenario: Cuando vuelvo, entonces veo el carrito$/m);
+        assert.match(result.feature, /^ {4}Dado un carrito guardado\n {4}Cuando vuelvo\n {4}Entonces veo el carrito$/m);
+        assert.equal(result.featureFileName, 'guardar-mi-carrito.feature');
+    });
+
+    test('keeps letters outside ASCII in the file name', () => {
+        const result = exportFeature('Als Kundin möchte ich Größen wählen, damit die Schuhe passen.', 'Prüfen, dass die Größe gespeichert wird.');
+        assert.equal(result.featureFileName, 'größen-wählen.feature');
+    });
+});
+
+describe('toCucumberExpression', () => {
+    test('turns quoted text and numbers into parameters', () => {
+        assert.deepEqual(toCucumberExpression('I add "socks" and 2 hats for 9.99'), {
+            expression: 'I add {string} and {int} hats for {float}',
+            params: ['text', 'count', 'number'],
+        });
+    });
+});
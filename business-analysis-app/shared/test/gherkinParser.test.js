@@ -0,0 +1,146 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGherkin, validateScenario, GHERKIN_RULES } = require('../gherkinParser');
+
+const rulesOf = scenario => validateScenario(scenario).map(f => f.rule);
+
+describe('parseGherkin', () => {
+    test('parses Scenario blocks with And/But steps', () => {
+        const { scenarios, plainCriteria } = parseGherkin([
+            'Scenario: Save the cart',
+            '  Given I have items in my cart',
+            '  And I am signed in',
+            '  When I choose "Save for later"',
+            '  Then the cart is listed under my saved carts',
+            '  But the items are not reserved',
+        ].join('\n'));
+
+        assert.equal(plainCriteria.length, 0);
+        assert.equal(scenarios.length, 1);
+        assert.equal(scenarios[0].name, 'Save the cart');
+        assert.deepEqual(scenarios[0].steps.map(s => s.type), ['given', 'given', 'when', 'then', 'then']);
+        assert.deepEqual(scenarios[0].steps.map(s => s.line), [2, 3, 4, 5, 6]);
+        assert.deepEqual(rulesOf(scenarios[0]), []);
+    });
+
+    test('reads single-line scenarios and plain criteria', () => {
+        const { scenarios, plainCriteria } = parseGherkin([
+            '- Given a saved cart, when I open it, then the items are shown with their prices',
+            '- Verify that saved carts expire after 30 days',
+        ].join('\n'));
+
+        assert.equal(scenarios.length, 1);
+        assert.equal(scenarios[0].implicit, true);
+        assert.deepEqual(scenarios[0].steps.map(s => s.type), ['given', 'when', 'then']);
+        assert.deepEqual(plainCriteria, [{ text: 'Verify that saved carts expire after 30 days', line: 2 }]);
+    });
+
+    test('starts a new implicit scenario at a Given after a Then', () => {
+        const { scenarios } = parseGherkin([
+            'Given a cart',
+            'When I save it',
+            'Then it is listed under my saved carts',
+            'Given a saved cart',
+            'When I delete it',
+            'Then it is removed from my saved carts',
+        ].join('\n'));
+        assert.equal(scenarios.length, 2);
+        assert.equal(scenarios[1].line, 4);
+    });
+
+    test('adds Background steps to every scenario and skips tags, comments and doc strings', () => {
+        const { scenarios } = parseGherkin([
+            'Feature: Saved carts',
+            '  Shoppers keep carts for later.',
+            'Background:',
+            '  Given I am signed in',
+            '@smoke',
+            'Scenario: Save',
+            '  # A comment',
+            '  When I save the cart',
+            '  """',
+            '  Then this is not a step',
+            '  """',
+            '  Then the cart is listed under my saved carts',
+        ].join('\n'));
+        assert.equal(scenarios.length, 1);
+        assert.deepEqual(scenarios[0].steps.map(s => s.text), ['I am signed in', 'I save the cart', 'the cart is listed under my saved carts']);
+    });
+
+    test('parses Scenario Outline examples and step tables', () => {
+        const { scenarios } = parseGherkin([
+            'Scenario Outline: Discounts',
+            '  Given a cart worth <total>',
+            '    | item | price |',
+            '    | hat  | 10    |',
+            '  When I apply <code>',
+            '  Then the total shown is <discounted>',
+            '  Examples:',
+            '    | total | code | discounted |',
+            '    | 100   | TEN  | 90         |',
+        ].join('\n'));
+        const [outline] = scenarios;
+        assert.equal(outline.type, 'outline');
+        assert.deepEqual(outline.steps[0].table, [['item', 'price'], ['hat', '10']]);
+        assert.deepEqual(outline.examples[0].headers, ['total', 'code', 'discounted']);
+        assert.deepEqual(outline.examples[0].rows, [['100', 'TEN', '90']]);
+        assert.deepEqual(rulesOf(outline), []);
+    });
+
+    test('reads keywords in the language of a header', () => {
+        const { scenarios } = parseGherkin([
+            '# language: de',
+            'Szenario: Warenkorb speichern',
+            '  Angenommen ich habe Artikel im Warenkorb',
+            '  Wenn ich den Warenkorb speichere',
+            '  Dann wird er unter meinen gespeicherten Warenkörben angezeigt',
+        ].join('\n'));
+        assert.deepEqual(scenarios[0].steps.map(s => s.type), ['given', 'when', 'then']);
+    });
+});
+
+describe('validateScenario', () => {
+    const scenarioOf = text => parseGherkin(text).scenarios[0];
+
+    test('reports missing Then and When steps', () => {
+        assert.deepEqual(rulesOf(scenarioOf('Scenario: x\n  Given a cart')), [GHERKIN_RULES.MISSING_THEN, GHERKIN_RULES.MISSING_WHEN]);
+    });
+
+    test('reports more than one When step on the second one', () => {
+        const findings = validateScenario(scenarioOf([
+            'Scenario: x',
+            '  Given a cart',
+            '  When I save it',
+            '  And I share it',
+            '  Then my friend sees the saved cart',
+        ].join('\n')));
+        assert.deepEqual(findings.map(f => [f.rule, f.line]), [[GHERKIN_RULES.MULTIPLE_WHEN, 4]]);
+    });
+
+    test('reports Then steps without an observable outcome', () => {
+        const scenario = scenarioOf('Scenario: x\n  Given a cart\n  When I save it\n  Then it works correctly');
+        assert.deepEqual(validateScenario(scenario, { vagueOutcomes: ['works correctly'] }).map(f => f.rule), [GHERKIN_RULES.VAGUE_THEN]);
+        assert.deepEqual(rulesOf(scenarioOf('Scenario: x\n  Given a cart\n  When I save it\n  Then saved')), [GHERKIN_RULES.VAGUE_THEN]);
+    });
+
+    test('reports outlines without examples and undefined placeholders', () => {
+        assert.deepEqual(rulesOf(scenarioOf([
+            'Scenario Outline: x',
+            '  Given a cart worth <total>',
+            '  When I apply a code',
+            '  Then the total shown is reduced by ten percent',
+        ].join('\n'))), [GHERKIN_RULES.MISSING_EXAMPLES]);
+
+        const findings = validateScenario(scenarioOf([
+            'Scenario Outline: x',
+            '  Given a cart worth <total>',
+            '  When I apply <code>',
+            '  Then the total shown is <discounted> and <discounted>',
+            '  Examples:',
+            '    | total | code |',
+            '    | 100   | TEN  |',
+        ].join('\n')));
+        assert.deepEqual(findings.map(f => [f.rule, f.line]), [[GHERKIN_RULES.UNDEFINED_PLACEHOLDER, 4]]);
+        assert.match(findings[0].message, /discounted/);
+    });
+});
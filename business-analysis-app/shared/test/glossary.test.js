@@ -0,0 +1,48 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { findProperTerms, withGlossary } = require('../glossary');
+const { findTextFindings } = require('../textFindings');
+const { DEFAULT_RULES, resolveRules } = require('../userStoryAgent');
+
+const terms = (text, language = 'en') => findProperTerms(text, language).map(term => term.text);
+const RULES = withGlossary(DEFAULT_RULES, [{ term: 'Order', definition: 'A confirmed purchase.', synonyms: [], forbidden: [] }]);
+const undefinedTerms = (story, acceptanceCriteria = '', rules = RULES) => findTextFindings(story, acceptanceCriteria, rules)
+    .filter(finding => finding.ruleId === 'glossary/undefined-term')
+    .map(finding => finding.text);
+
+describe('findProperTerms', () => {
+    test('finds acronyms and runs of capitalized words', () => {
+        assert.deepEqual(terms('As a shopper, I want my VAT shown on the Loyalty Points page.'), ['VAT', 'Loyalty Points']);
+    });
+
+    test('skips a single capitalized word used once, such as a UI label', () => {
+        assert.deepEqual(terms('As a shopper, I want to press Checkout, so that I can pay.'), []);
+    });
+
+    test('finds a single capitalized word the text uses more than once', () => {
+        assert.deepEqual(terms('As a shopper, I want Vouchers applied, so that Vouchers reduce the total.'), ['Vouchers', 'Vouchers']);
+    });
+
+    test('skips the first word of a sentence', () => {
+        assert.deepEqual(terms('Loyalty Points are shown. Shipping is free.'), []);
+    });
+
+    test('only finds acronyms in German', () => {
+        assert.deepEqual(terms('Als Kunde möchte ich die MwSt und den Warenkorb sehen, damit ich die USt kenne.', 'de'), []);
+        assert.deepEqual(terms('Als Kunde möchte ich die SKU im Warenkorb sehen.', 'de'), ['SKU']);
+    });
+});
+
+describe('undefined glossary terms', () => {
+    test('are reported once the glossary has terms', () => {
+        const story = 'As a shopper, I want to redeem Loyalty Points on an Order, so that I save money.';
+        assert.deepEqual(undefinedTerms(story), ['Loyalty Points']);
+        assert.deepEqual(undefinedTerms(story, '', DEFAULT_RULES), []);
+    });
+
+    test('skip words of the keyword lists', () => {
+        const rules = withGlossary(resolveRules({ KEYWORDS: { TECHNICAL: ['Kafka'] } }), RULES.GLOSSARY.TERMS);
+        const acceptanceCriteria = 'Then the event is sent to Kafka\nAnd Kafka keeps it for a week';
+        assert.deepEqual(undefinedTerms('As a shopper, I want my Order confirmed, so that I know it went through.', acceptanceCriteria, rules), []);
+    });
+});
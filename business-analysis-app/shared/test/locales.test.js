@@ -0,0 +1,51 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withLocale, detectLocale } = require('../locales');
+const { resolveRules, getUserStoryAnalysis, DEFAULT_RULES } = require('../userStoryAgent');
+const { suggestStorySplits } = require('../storySplitting');
+
+const GERMAN_STORY = 'Als Kunde möchte ich meinen Warenkorb speichern, damit ich später bestellen kann.';
+
+describe('withLocale', () => {
+    const profile = resolveRules({
+        STORY_FORMAT_REGEX: 'Story: (.*) / (.*) / (.*)',
+        KEYWORDS: { AMBIGUOUS: ['Irgendwie'] },
+        SPLITTING: { PLATFORMS: ['Smartwatch'] },
+        THRESHOLDS: { LONG_STORY_LENGTH: 300 },
+    }, 'team');
+
+    test("keeps the profile's own template and keyword lists over the pack's", () => {
+        const rules = withLocale(profile, 'de');
+        assert.equal(rules.LANGUAGE, 'de');
+        assert.deepEqual(rules.STORY_FORMAT_REGEX.exec('Story: Kunde / speichern / später').slice(1), ['Kunde', 'speichern', 'später']);
+        assert.deepEqual(rules.KEYWORDS.AMBIGUOUS, ['irgendwie']);
+        assert.deepEqual(rules.SPLITTING.PLATFORMS, ['smartwatch']);
+        assert.equal(rules.THRESHOLDS.LONG_STORY_LENGTH, 300);
+    });
+
+    test('uses the pack for the lists the profile does not set', () => {
+        const rules = withLocale(profile, 'de');
+        assert.ok(rules.KEYWORDS.NEGATIONS.includes('nicht'));
+        assert.ok(rules.SPLITTING.CRUD_TRIGGERS.includes('verwalten'));
+    });
+
+    test("applies the profile's keywords to stories detected as another language", () => {
+        const rules = resolveRules({ KEYWORDS: { AMBIGUOUS: ['irgendwie'] } }, 'team');
+        assert.equal(detectLocale(GERMAN_STORY), 'de');
+        const analysis = getUserStoryAnalysis(GERMAN_STORY.replace('speichern', 'irgendwie speichern'), '', rules);
+        assert.equal(analysis.locale, 'de');
+        assert.ok(analysis.findings.some(f => f.ruleId === 'clarity/ambiguous-term' && f.text === 'irgendwie'));
+    });
+});
+
+describe('localized splitting keywords', () => {
+    for (const [locale, platforms] of [['de', ['webseite', 'tablet']], ['fr', ['site', 'tablette']], ['es', ['sitio', 'tableta']]]) {
+        test(`suggests platform splits from the ${locale} keywords`, () => {
+            const rules = withLocale(DEFAULT_RULES, locale);
+            const goal = `save my cart on the ${platforms[0]} and the ${platforms[1]}`;
+            const splits = suggestStorySplits([`As a shopper, I want to ${goal}, so that I can order later.`, 'shopper', goal, 'I can order later.'], '', rules.SPLITTING);
+            const platformSplit = splits.find(split => split.pattern === 'interface-platform');
+            assert.ok(platformSplit, `no platform split in ${JSON.stringify(splits.map(split => split.pattern))}`);
+        });
+    }
+});
@@ -0,0 +1,40 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectNonFunctionalRequirements } = require('../nfrDetection');
+const { withLocale } = require('../locales');
+const { DEFAULT_RULES } = require('../userStoryAgent');
+
+const detect = (story, acceptanceCriteria = '', rules = DEFAULT_RULES) => detectNonFunctionalRequirements(story, acceptanceCriteria, rules);
+
+describe('detectNonFunctionalRequirements', () => {
+    test('does not raise a category for everyday UI words', () => {
+        const story = 'As a shopper, I want a search form with a button to find products, so that I can delete old orders from my report.';
+        assert.deepEqual(detect(story, 'Given I am on the search page\nWhen I press the button\nThen the results are shown'), []);
+    });
+
+    test('does not count a Given step as coverage', () => {
+        const [auditability] = detect(
+            'As a manager, I want to approve refunds, so that customers get their money back.',
+            'Given I am logged in as an auditor\nWhen I approve a refund\nThen the customer is notified',
+        );
+        assert.equal(auditability.id, 'auditability');
+        assert.equal(auditability.status, 'missing');
+        assert.equal(auditability.stated, false);
+    });
+
+    test('counts When and Then steps and plain criteria as coverage', () => {
+        const story = 'As a manager, I want to approve refunds, so that customers get their money back.';
+        assert.equal(detect(story, 'Given a refund request\nWhen I approve it\nThen it is recorded in the audit log')[0].status, 'covered');
+        assert.equal(detect(story, 'Verify that every approval appears in the audit trail.')[0].status, 'covered');
+    });
+
+    test('reads Given steps in the language of the rules', () => {
+        const [security] = detect(
+            'Als Kunde möchte ich mit Kreditkarte bezahlen, damit meine Bestellung versendet wird.',
+            'Angenommen ich bin authentifiziert\nWenn ich bezahle\nDann wird die Bestellung bestätigt',
+            withLocale(DEFAULT_RULES, 'de'),
+        );
+        assert.equal(security.id, 'security');
+        assert.equal(security.status, 'missing');
+    });
+});
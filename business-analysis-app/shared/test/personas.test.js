@@ -0,0 +1,57 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withPersonaCatalogue } = require('../personas');
+const { findTextFindings } = require('../textFindings');
+const { DEFAULT_RULES } = require('../userStoryAgent');
+
+const RULES = withPersonaCatalogue(DEFAULT_RULES, [
+    { name: 'Customer', aliases: ['client', 'buyer'], description: '', goals: [] },
+    { name: 'Store Manager', aliases: [], description: '', goals: [] },
+]);
+const personaFindings = (story, rules = RULES) => findTextFindings(story, '', rules)
+    .filter(finding => finding.ruleId.startsWith('persona/'));
+
+describe('persona findings', () => {
+    test('flags a generic persona as a warning over the persona', () => {
+        const story = 'As a user, I want to save my cart, so that I can buy the items later.';
+        const [finding, ...rest] = personaFindings(story);
+
+        assert.equal(rest.length, 0);
+        assert.equal(finding.ruleId, 'persona/generic');
+        assert.equal(finding.severity, 'warning');
+        assert.equal(finding.field, 'story');
+        assert.equal(finding.text, 'user');
+        assert.equal(story.slice(finding.start, finding.end), 'user');
+    });
+
+    test('flags a persona missing from the catalogue and suggests the closest one', () => {
+        const story = 'As a returning customer, I want to save my cart, so that I can buy the items later.';
+        const [finding] = personaFindings(story);
+
+        assert.equal(finding.ruleId, 'persona/unknown');
+        assert.equal(finding.severity, 'warning');
+        assert.equal(story.slice(finding.start, finding.end), 'returning customer');
+        assert.equal(finding.suggestion, 'Customer');
+    });
+
+    test('reports an alias as info with the catalogue name as the suggestion', () => {
+        const story = 'As a client, I want to save my cart, so that I can buy the items later.';
+        const [finding] = personaFindings(story);
+
+        assert.equal(finding.ruleId, 'persona/alias');
+        assert.equal(finding.severity, 'info');
+        assert.equal(story.slice(finding.start, finding.end), 'client');
+        assert.equal(finding.suggestion, 'Customer');
+        assert.match(finding.message, /alias of the catalogue persona 'Customer'/);
+    });
+
+    test('reports nothing for a catalogue persona, whatever its case', () => {
+        assert.deepEqual(personaFindings('As a store manager, I want to see the daily sales, so that I can plan staff.'), []);
+    });
+
+    test('does not report an uncatalogued persona when the catalogue is empty', () => {
+        const story = 'As a returning customer, I want to save my cart, so that I can buy the items later.';
+        assert.deepEqual(personaFindings(story, DEFAULT_RULES), []);
+        assert.equal(personaFindings('As a user, I want to log in, so that I can see my orders.', DEFAULT_RULES)[0].ruleId, 'persona/generic');
+    });
+});
@@ -0,0 +1,30 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRules, RuleProfileError } = require('../userStoryAgent');
+const { suggestStorySplits } = require('../storySplitting');
+
+describe('resolveRules', () => {
+    test('lower-cases keyword lists, including the SPLITTING lists', () => {
+        const rules = resolveRules({
+            KEYWORDS: { AMBIGUOUS: ['ASAP'] },
+            SPLITTING: { PLATFORMS: ['Smart TV', 'Web'], CRUD_OPERATIONS: { delete: ['Purge'] } },
+        }, 'team');
+        assert.deepEqual(rules.KEYWORDS.AMBIGUOUS, ['asap']);
+        assert.deepEqual(rules.SPLITTING.PLATFORMS, ['smart tv', 'web']);
+        assert.deepEqual(rules.SPLITTING.CRUD_OPERATIONS.delete, ['purge']);
+        assert.equal(rules.PROFILE_NAME, 'team');
+    });
+
+    test('splits by capitalized profile keywords', () => {
+        const rules = resolveRules({ SPLITTING: { PLATFORMS: ['Smart TV', 'Car Display'] } }, 'team');
+        const story = 'As a viewer, I want to resume a show on my smart tv and my car display, so that I can keep watching.';
+        const splits = suggestStorySplits(rules.STORY_FORMAT_REGEX.exec(story), '', rules.SPLITTING);
+        const platformSplit = splits.find(split => split.children.some(child => /smart tv/.test(child.story)));
+        assert.ok(platformSplit);
+        assert.equal(platformSplit.children.length, 2);
+    });
+
+    test('rejects invalid profiles', () => {
+        assert.throws(() => resolveRules({ THRESHOLDS: { LONG_STORY_LENGTH: 'long' } }, 'team'), RuleProfileError);
+    });
+});
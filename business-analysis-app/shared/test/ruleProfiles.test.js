@@ -0,0 +1,62 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProfileStore } = require('../ruleProfiles');
+
+describe('createProfileStore', () => {
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ba-profiles-'));
+        fs.writeFileSync(path.join(directory, 'json-team.json'), JSON.stringify({ description: 'JSON', rules: { THRESHOLDS: { LONG_STORY_LENGTH: 300 } } }));
+        fs.writeFileSync(path.join(directory, 'yaml-team.yaml'), 'description: YAML\nrules:\n  THRESHOLDS:\n    LONG_STORY_LENGTH: 250\n');
+        fs.writeFileSync(path.join(directory, 'yml-team.yml'), 'rules:\n  KEYWORDS:\n    AMBIGUOUS: [Somehow]\n');
+        fs.writeFileSync(path.join(directory, 'broken-team.yaml'), 'rules: [unclosed\n');
+        fs.writeFileSync(path.join(directory, 'smart-team.json'), JSON.stringify({ rules: { FRAMEWORKS: { ENABLED: ['smart'] } } }));
+        fs.writeFileSync(path.join(directory, 'typo-team.json'), JSON.stringify({ rules: { FRAMEWORKS: { ENABLED: ['smart', 'smrt'] } } }));
+    });
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('loads JSON profiles', () => {
+        const rules = createProfileStore({ directory }).get('json-team');
+        assert.equal(rules.PROFILE_NAME, 'json-team');
+        assert.equal(rules.THRESHOLDS.LONG_STORY_LENGTH, 300);
+    });
+
+    test('loads YAML profiles without a parser being registered', () => {
+        const store = createProfileStore({ directory });
+        const yamlProfile = store.list().find(p => p.name === 'yaml-team');
+        assert.equal(yamlProfile.valid, true);
+        assert.equal(yamlProfile.description, 'YAML');
+        assert.equal(store.get('yaml-team').THRESHOLDS.LONG_STORY_LENGTH, 250);
+        assert.deepEqual(store.get('yml-team').KEYWORDS.AMBIGUOUS, ['somehow']);
+    });
+
+    test('lists a YAML profile that cannot be parsed as invalid', () => {
+        const store = createProfileStore({ directory });
+        assert.equal(store.list().find(p => p.name === 'broken-team').valid, false);
+        assert.throws(() => store.get('broken-team'), /could not be parsed/);
+    });
+
+    test('uses a registered parser over the built-in one', () => {
+        const parseYaml = text => ({ description: text.match(/description: (\w+)/)[1].toLowerCase(), rules: {} });
+        const store = createProfileStore({ directory, parsers: { '.yaml': parseYaml } });
+        assert.equal(store.list().find(p => p.name === 'yaml-team').description, 'yaml');
+        assert.equal(store.get('yaml-team').PROFILE_NAME, 'yaml-team');
+    });
+
+    test('rejects profiles that enable unknown quality frameworks when they load', () => {
+        const store = createProfileStore({ directory });
+        assert.deepEqual(store.get('smart-team').FRAMEWORKS.ENABLED, ['smart']);
+        assert.throws(() => store.get('typo-team'), /enables unknown quality frameworks/);
+        const typoProfile = store.list().find(p => p.name === 'typo-team');
+        assert.equal(typoProfile.valid, false);
+        assert.match(typoProfile.errors[0], /Unknown quality framework 'smrt'/);
+    });
+
+    test('rejects unknown profiles', () => {
+        assert.throws(() => createProfileStore({ directory }).get('nope'), /Unknown rule profile 'nope'/);
+    });
+});
@@ -0,0 +1,142 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { rewriteStory } = require('../storyRewrite');
+const { DEFAULT_RULES } = require('../userStoryAgent');
+const { withPersonaCatalogue } = require('../personas');
+const { withLocale } = require('../locales');
+
+const findings = result => result.changes.map(change => change.finding);
+
+describe('rewriteStory', () => {
+    test('leaves a story that needs no changes as it is', () => {
+        const story = 'As a shopper, I want to save my cart, so that I can buy the items later.';
+        const result = rewriteStory(story, 'Verify that the cart is saved.');
+        assert.equal(result.story, story);
+        assert.deepEqual(result.changes, []);
+    });
+
+    test('restructures a story that only roughly follows the format', () => {
+        const result = rewriteStory('As a shopper I need to save my cart so that I can buy the items later', 'Verify that the cart is saved.');
+        assert.equal(result.story, 'As a shopper, I want to save my cart, so that I can buy the items later.');
+        assert.deepEqual(findings(result), ['format']);
+    });
+
+    test('names the subject of a "can" sentence as the persona', () => {
+        const result = rewriteStory('Customers can save their cart, so that they can buy later.', 'Verify that the cart is saved.');
+        assert.equal(result.story, 'As a customer, I want to save their cart, so that they can buy later.');
+    });
+
+    test('adds a persona placeholder instead of reading a pronoun or article as the persona', () => {
+        for (const story of ['As I want to export reports, so that I can audit them.', 'As an I want to export reports, so that I can audit them.', 'I want to export reports, so that I can audit them.']) {
+            const result = rewriteStory(story, 'Verify that the report is exported.');
+            assert.equal(result.story, 'As a [persona], I want to export reports, so that I can audit them.', story);
+            assert.ok(findings(result).includes('persona'));
+        }
+    });
+
+    test('replaces a persona alias with its catalogue name', () => {
+        const rules = withPersonaCatalogue(DEFAULT_RULES, [{ name: 'Store Manager', aliases: ['branch manager'] }]);
+        const result = rewriteStory('As a branch manager, I want to see the daily takings, so that I can plan staffing.', 'Verify that the takings are shown.', rules);
+        assert.equal(result.story, 'As a Store Manager, I want to see the daily takings, so that I can plan staffing.');
+        assert.deepEqual(findings(result), ['persona']);
+    });
+
+    test('does not score the placeholders as a persona or value', () => {
+        const story = 'As a shopper, I want to save my cart';
+        const criteria = 'Verify that the cart is saved.';
+        const result = rewriteStory(story, criteria);
+        assert.equal(result.story, 'As a shopper, I want to save my cart, so that [describe the benefit].');
+        assert.deepEqual(findings(result), ['format', 'value']);
+
+        const withValue = rewriteStory('As a shopper, I want to save my cart, so that I can buy later.', criteria);
+        assert.ok(result.scoreChange.after < withValue.scoreChange.after);
+        assert.ok(result.analysis.clarityAndRequirementAnalysis.formatCheck.score < withValue.analysis.clarityAndRequirementAnalysis.formatCheck.score);
+    });
+
+    test('removes "etc." before the trailing punctuation of the story is stripped', () => {
+        const result = rewriteStory('As a shopper, I want to pay by card, voucher, etc.', 'Verify that the payment is accepted.');
+        assert.equal(result.story, 'As a shopper, I want to pay by card, voucher, so that [describe the benefit].');
+        assert.ok(findings(result).includes('ambiguous-terms'));
+    });
+
+    test('replaces ambiguous terms in the story and the criteria', () => {
+        const result = rewriteStory('As a shopper, I want to save my cart, so that I could buy later.', 'Verify that the cart might be saved.');
+        assert.equal(result.story, 'As a shopper, I want to save my cart, so that I can buy later.');
+        assert.equal(result.acceptanceCriteria, 'Verify that the cart will be saved.');
+        assert.deepEqual(findings(result), ['ambiguous-terms', 'ambiguous-terms']);
+    });
+
+    test('moves a technical phrase and the technical terms right after it to the notes', () => {
+        const result = rewriteStory('As a shopper, I want to save orders in the database api endpoint, so that I can reorder.', 'Verify that the order is saved.');
+        assert.equal(result.story, 'As a shopper, I want to save orders, so that I can reorder.');
+        assert.deepEqual(result.technicalNotes, ['in the database api endpoint']);
+        assert.deepEqual(findings(result), ['technical-terms']);
+    });
+
+    test('reports technical terms it cannot move', () => {
+        const result = rewriteStory('As a shopper, I want to call the api endpoint, so that I can reorder.', 'Verify that the order is saved.');
+        assert.deepEqual(result.technicalNotes, []);
+        assert.match(result.changes[0].description, /still names 'api endpoint'/);
+    });
+
+    test('infers criteria without repeating the "to" of the goal', () => {
+        const result = rewriteStory('As a shopper, I want to pay by card, so that I can check out quickly.');
+        const [happyPath, , logged] = result.acceptanceCriteria.split('\n');
+        assert.equal(happyPath, 'Given the user is on the relevant page, when they attempt to pay by card, then the expected outcome occurs.');
+        assert.equal(logged, 'Verify that the action to pay by card is logged for analytics.');
+        assert.doesNotMatch(result.acceptanceCriteria, /to to/);
+        assert.deepEqual(findings(result), ['acceptance-criteria']);
+    });
+
+    test('rewords plain criteria as testable and keeps Gherkin steps', () => {
+        const criteria = 'The cart is saved\nGiven a saved cart\nWhen the shopper returns\nThen the cart is restored';
+        const result = rewriteStory('As a shopper, I want to save my cart, so that I can buy later.', criteria);
+        assert.equal(result.acceptanceCriteria, 'Verify that the cart is saved\nGiven a saved cart\nWhen the shopper returns\nThen the cart is restored');
+        assert.deepEqual(findings(result), ['acceptance-criteria']);
+    });
+});
+
+describe('rewriteStory in other languages', () => {
+    test('rewrites a German story in place, keeping its own wording', () => {
+        const result = rewriteStory('Als Kunde möchte ich eventuell meine Bestellungen in der Datenbank speichern, um sie später wiederzufinden.', 'Die Bestellung ist gespeichert.');
+        assert.equal(result.story, 'Als Kunde möchte ich meine Bestellungen speichern, um sie später wiederzufinden.');
+        assert.equal(result.acceptanceCriteria, 'Prüfen, dass die Bestellung ist gespeichert.');
+        assert.deepEqual(result.technicalNotes, ['in der Datenbank']);
+        assert.deepEqual(findings(result), ['ambiguous-terms', 'technical-terms', 'acceptance-criteria']);
+        assert.match(result.changes[0].description, /^Mehrdeutige Begriffe ersetzt oder entfernt: 'eventuell'/);
+        assert.equal(result.analysis.locale, 'de');
+    });
+
+    test('does not force a German story that misses the template into the English one', () => {
+        const result = rewriteStory('Ich möchte meine Bestellungen speichern und in der Datenbank ablegen.');
+        assert.equal(result.story, 'Ich möchte meine Bestellungen speichern und ablegen.');
+        assert.doesNotMatch(result.story, /I want|so that|\[persona\]/);
+        assert.equal(result.changes[0].finding, 'format');
+        assert.match(result.changes[0].description, /'Als \[Rolle\] möchte ich \[Ziel\], damit \[Nutzen\]'/);
+        assert.equal(result.acceptanceCriteria, '');
+    });
+
+    test('infers French criteria and replaces a catalogue alias', () => {
+        const rules = withPersonaCatalogue(DEFAULT_RULES, [{ name: 'membre', aliases: ['client'] }]);
+        const result = rewriteStory('En tant que client, je veux enregistrer mon panier, afin de commander plus tard.', '', rules);
+        assert.equal(result.story, 'En tant que membre, je veux enregistrer mon panier, afin de commander plus tard.');
+        assert.match(result.acceptanceCriteria, /^Étant donné que l'utilisateur/);
+        assert.match(result.changes[0].description, /^'client' remplacé par son nom du catalogue 'membre'/);
+        assert.deepEqual(findings(result), ['persona', 'acceptance-criteria']);
+    });
+
+    test('rewords Spanish criteria with the Spanish testable phrase', () => {
+        const result = rewriteStory('Como cliente, quiero guardar mi carrito, para comprar más tarde.', 'El carrito se guarda\nDado un carrito guardado\nCuando vuelvo\nEntonces veo el carrito');
+        assert.equal(result.story, 'Como cliente, quiero guardar mi carrito, para comprar más tarde.');
+        assert.equal(result.acceptanceCriteria, 'Verificar que el carrito se guarda\nDado un carrito guardado\nCuando vuelvo\nEntonces veo el carrito');
+        assert.match(result.changes[0].description, /"Verificar que \.\.\."/);
+    });
+
+    test('uses the template of the requested locale for placeholders', () => {
+        const rules = withLocale(DEFAULT_RULES, 'es');
+        const result = rewriteStory('Quiero exportar informes.', 'Verificar que el informe se exporta.', rules);
+        assert.equal(result.story, 'Quiero exportar informes.');
+        assert.equal(result.changes[0].finding, 'format');
+        assert.match(result.changes[0].description, /'Como \[rol\], quiero \[objetivo\], para \[beneficio\]'/);
+    });
+});
@@ -0,0 +1,137 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { findTextFindings } = require('../textFindings');
+const { DEFAULT_RULES } = require('../userStoryAgent');
+const { withLocale } = require('../locales');
+
+// Every finding must cover exactly the text it reports, at its offsets into its field.
+function assertSpans(findings, story, acceptanceCriteria) {
+    const sources = { story, acceptanceCriteria };
+    findings.forEach(finding => {
+        const source = sources[finding.field];
+        assert.ok(finding.start >= 0 && finding.start < finding.end && finding.end <= source.length, `${finding.ruleId} at ${finding.start}-${finding.end}`);
+        assert.equal(source.slice(finding.start, finding.end), finding.text, finding.ruleId);
+        if (finding.line !== undefined) {
+            assert.equal(source.slice(0, finding.start).split('\n').length, finding.line, `${finding.ruleId} line`);
+        }
+    });
+}
+
+const spans = (findings, ruleId) => findings
+    .filter(finding => finding.ruleId === ruleId)
+    .map(({ start, end, text }) => ({ start, end, text }));
+
+// The span of the first occurrence of a text in the source.
+function spanOf(source, text) {
+    const start = source.indexOf(text);
+    assert.notEqual(start, -1, `'${text}' is not in the source`);
+    return { start, end: start + text.length, text };
+}
+
+describe('story finding spans', () => {
+    test('covers each of several ambiguous terms, in text order', () => {
+        const story = 'As a shopper, I want the cart to be saved and/or shared, so that I could pay later and should not lose items etc.';
+        const findings = findTextFindings(story, '', DEFAULT_RULES);
+
+        assertSpans(findings, story, '');
+        assert.deepEqual(spans(findings, 'clarity/ambiguous-term'), [
+            spanOf(story, 'and/or'),
+            spanOf(story, 'could'),
+            spanOf(story, 'should'),
+            spanOf(story, 'etc.'),
+        ]);
+    });
+
+    test('reports a term used twice at both places, keeping the case it was written in', () => {
+        const story = 'As a shopper, I want Should-have items saved, so that I should not lose them.';
+        const findings = findTextFindings(story, '', DEFAULT_RULES);
+
+        assertSpans(findings, story, '');
+        assert.deepEqual(spans(findings, 'clarity/ambiguous-term'), [spanOf(story, 'Should'), spanOf(story, 'should')]);
+    });
+
+    test('covers multi-word technical terms and dependency phrases', () => {
+        const story = 'As a shopper, I want the cart in the database, dependent on the API endpoint, so that it is kept after logout.';
+        const findings = findTextFindings(story, '', DEFAULT_RULES);
+
+        assertSpans(findings, story, '');
+        assert.deepEqual(spans(findings, 'invest/technical-term'), [spanOf(story, 'database'), spanOf(story, 'API endpoint')]);
+        assert.deepEqual(spans(findings, 'invest/dependency-phrase'), [spanOf(story, 'dependent on'), spanOf(story, 'after')]);
+    });
+
+    test('counts offsets in UTF-16 code units, as JavaScript strings do', () => {
+        const story = 'As a shopper 🛒, I want my Warenkörbe saved, so that I could buy them later.';
+        const findings = findTextFindings(story, '', DEFAULT_RULES);
+
+        assertSpans(findings, story, '');
+        assert.deepEqual(spans(findings, 'clarity/ambiguous-term'), [spanOf(story, 'could')]);
+    });
+
+    test('covers the terms of a story in another language, and only whole words', () => {
+        const story = 'Als Käufer möchte ich den Warenkorb speichern, damit ich später bestellen könnte, nachdem ich bezahlt habe.';
+        const findings = findTextFindings(story, '', withLocale(DEFAULT_RULES, 'de'));
+
+        assertSpans(findings, story, '');
+        assert.deepEqual(spans(findings, 'clarity/ambiguous-term'), [spanOf(story, 'könnte')]);
+        assert.deepEqual(spans(findings, 'invest/dependency-phrase'), [spanOf(story, 'nachdem')]);
+    });
+});
+
+describe('acceptance criteria finding spans', () => {
+    test('offsets terms on later lines into the whole criteria text and numbers their lines', () => {
+        const acceptanceCriteria = [
+            'Verify that the cart is saved.',
+            '  Verify that the cart should be shown etc.',
+            '',
+            'Ensure that checkout works as expected.',
+        ].join('\n');
+        const findings = findTextFindings('', acceptanceCriteria, DEFAULT_RULES);
+
+        assertSpans(findings, '', acceptanceCriteria);
+        assert.deepEqual(spans(findings, 'clarity/ambiguous-term'), [spanOf(acceptanceCriteria, 'should'), spanOf(acceptanceCriteria, 'etc.')]);
+        assert.deepEqual(findings.filter(f => f.ruleId === 'clarity/ambiguous-term').map(f => f.line), [2, 2]);
+        const [vague] = findings.filter(f => f.ruleId === 'ac/vague-outcome');
+        assert.deepEqual({ start: vague.start, end: vague.end, text: vague.text }, spanOf(acceptanceCriteria, 'works as expected'));
+        assert.equal(vague.line, 4);
+    });
+
+    test('covers a whole untestable criterion without its indentation', () => {
+        const acceptanceCriteria = 'Verify that the cart is saved.\n   The cart looks nice.   \nConfirm that the total is shown.';
+        const findings = findTextFindings('', acceptanceCriteria, DEFAULT_RULES);
+
+        assertSpans(findings, '', acceptanceCriteria);
+        assert.deepEqual(spans(findings, 'ac/untestable-criterion'), [spanOf(acceptanceCriteria, 'The cart looks nice.')]);
+    });
+
+    test('covers the line a Gherkin problem is reported on', () => {
+        const acceptanceCriteria = [
+            'Scenario: Save the cart',
+            '  Given a cart with items',
+            '  When I save the cart',
+            '  Then it works',
+            '',
+            'Scenario: Show the cart',
+            '  Given a saved cart',
+            '  Then the cart is listed',
+        ].join('\n');
+        const findings = findTextFindings('', acceptanceCriteria, DEFAULT_RULES);
+
+        assertSpans(findings, '', acceptanceCriteria);
+        assert.deepEqual(spans(findings, 'ac/vague-outcome'), [spanOf(acceptanceCriteria, 'it works')]);
+        assert.deepEqual(spans(findings, 'gherkin/then-without-outcome'), [spanOf(acceptanceCriteria, 'Then it works')]);
+        assert.deepEqual(spans(findings, 'gherkin/missing-when'), [spanOf(acceptanceCriteria, 'Scenario: Show the cart')]);
+    });
+
+    test('keeps story and criteria findings apart, each with offsets into its own field', () => {
+        const story = 'As a shopper, I want the cart saved, so that I could buy later.';
+        const acceptanceCriteria = 'Verify that the cart could be restored.';
+        const findings = findTextFindings(story, acceptanceCriteria, DEFAULT_RULES);
+
+        assertSpans(findings, story, acceptanceCriteria);
+        const ambiguous = findings.filter(f => f.ruleId === 'clarity/ambiguous-term');
+        assert.deepEqual(ambiguous.map(f => [f.field, f.start]), [
+            ['story', story.indexOf('could')],
+            ['acceptanceCriteria', acceptanceCriteria.indexOf('could')],
+        ]);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview A small word-level diff, used to show a suggested rewrite next to the
+ * original text. Whitespace is kept as its own token so the parts join back into the
+ * exact original and rewritten strings.
+ */
+
+// Above this many tokens per side the texts are reported as a single replacement,
+// which keeps the LCS table small.
+const MAX_DIFF_TOKENS = 2000;
+
+/**
+ * Splits text into word and whitespace tokens.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return (text || '').split(/(\s+)/).filter(token => token !== '');
+}
+
+/**
+ * Appends a token to the diff, merging it into the previous part when the type matches.
+ * @param {{type: string, text: string}[]} parts
+ * @param {string} type
+ * @param {string} text
+ */
+function pushPart(parts, type, text) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+}
+
+/**
+ * Computes a word-level diff between two texts.
+ * @param {string} before - The original text.
+ * @param {string} after - The rewritten text.
+ * @returns {{type: 'equal'|'removed'|'added', text: string}[]} Parts in reading order. Joining the
+ *   `equal` and `removed` parts gives `before`; joining the `equal` and `added` parts gives `after`.
+ */
+function diffWords(before, after) {
+    const a = tokenize(before);
+    const b = tokenize(after);
+    const parts = [];
+
+    if (a.length > MAX_DIFF_TOKENS || b.length > MAX_DIFF_TOKENS) {
+        if (before) pushPart(parts, 'removed', before);
+        if (after) pushPart(parts, 'added', after);
+        return parts;
+    }
+
+    // lcs[i][j] is the length of the longest common subsequence of a[i..] and b[j..].
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            pushPart(parts, 'equal', a[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            pushPart(parts, 'removed', a[i++]);
+        } else {
+            pushPart(parts, 'added', b[j++]);
+        }
+    }
+    while (i < a.length) pushPart(parts, 'removed', a[i++]);
+    while (j < b.length) pushPart(parts, 'added', b[j++]);
+    return parts;
+}
+
+module.exports = { diffWords };
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Locates findings in the story and acceptance criteria text, so editors can
+ * underline them the way a linter would. Every finding carries a rule ID, a severity and the
+ * character offsets of the text it is about.
+ */
+
+const { parseGherkin, validateScenario } = require('./gherkinParser');
+const { checkPersona, normalizePersona } = require('./personas');
+const { listGlossaryVariants, findProperTerms, normalizeTerm, GLOSSARY_STATUS } = require('./glossary');
+const { formatMessage } = require('./locales');
+
+// =================================================================
+// RULES
+// =================================================================
+
+// Rule IDs are "<area>/<rule>". Structural Gherkin findings use "gherkin/<rule>" with the
+// rule names of gherkinParser.js.
+const FINDING_RULES = {
+    AMBIGUOUS_TERM: { id: "clarity/ambiguous-term", severity: "warning" },
+    TECHNICAL_TERM: { id: "invest/technical-term", severity: "warning" },
+    DEPENDENCY_PHRASE: { id: "invest/dependency-phrase", severity: "info" },
+    VAGUE_OUTCOME: { id: "ac/vague-outcome", severity: "warning" },
+    UNTESTABLE_CRITERION: { id: "ac/untestable-criterion", severity: "info" },
+    GHERKIN_STRUCTURE: { id: "gherkin", severity: "error" },
+    GENERIC_PERSONA: { id: "persona/generic", severity: "warning" },
+    UNKNOWN_PERSONA: { id: "persona/unknown", severity: "warning" },
+    PERSONA_ALIAS: { id: "persona/alias", severity: "info" },
+    GLOSSARY_SYNONYM: { id: "glossary/synonym", severity: "info" },
+    GLOSSARY_FORBIDDEN: { id: "glossary/forbidden-term", severity: "warning" },
+    GLOSSARY_UNDEFINED: { id: "glossary/undefined-term", severity: "info" },
+};
+
+// Persona check statuses (see personas.js) that are reported as findings.
+const PERSONA_RULES = {
+    generic: FINDING_RULES.GENERIC_PERSONA,
+    unknown: FINDING_RULES.UNKNOWN_PERSONA,
+    alias: FINDING_RULES.PERSONA_ALIAS,
+};
+
+// Glossary statuses (see glossary.js) that are reported as findings, with their message.
+const GLOSSARY_RULES = {
+    [GLOSSARY_STATUS.SYNONYM]: { rule: FINDING_RULES.GLOSSARY_SYNONYM, messageKey: "finding.glossarySynonym" },
+    [GLOSSARY_STATUS.FORBIDDEN]: { rule: FINDING_RULES.GLOSSARY_FORBIDDEN, messageKey: "finding.glossaryForbidden" },
+};
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+// =================================================================
+// MATCHING
+// =================================================================
+
+/**
+ * Escapes characters with a special meaning in regular expressions.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds every occurrence of the terms, ignoring case. Terms match whole words only, so
+ * "once" is not found in "concert" and "sql" is not found in "mysql". Word characters are
+ * letters and digits of any script, so "nach" is not found in "nachdem" either.
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {{term: string, start: number, end: number, text: string}[]} Matches in text order.
+ */
+function findTerms(text, terms) {
+    const matches = [];
+    terms.filter(term => term.trim() !== '').forEach(term => {
+        const startBoundary = /^[\p{L}\p{N}_]/u.test(term) ? '(?<![\\p{L}\\p{N}_])' : '';
+        const endBoundary = /[\p{L}\p{N}_]$/u.test(term) ? '(?![\\p{L}\\p{N}_])' : '';
+        const pattern = new RegExp(`${startBoundary}${escapeRegex(term)}${endBoundary}`, 'giu');
+        for (const match of text.matchAll(pattern)) {
+            matches.push({ term, start: match.index, end: match.index + match[0].length, text: match[0] });
+        }
+    });
+    return matches.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+/**
+ * Lists the distinct terms that were matched, in the order they first appear.
+ * @param {{term: string}[]} matches - Matches from findTerms, or findings with a `term`.
+ * @returns {string[]}
+ */
+function distinctTerms(matches) {
+    return [...new Set(matches.map(match => match.term.toLowerCase()))];
+}
+
+// =================================================================
+// FINDINGS
+// =================================================================
+
+/**
+ * Builds a finding.
+ * @param {{id: string, severity: string}} rule - An entry of FINDING_RULES.
+ * @param {string} field - "story" or "acceptanceCriteria".
+ * @param {{start: number, end: number, text: string}} span
+ * @param {string} message
+ * @param {object} [extra] - e.g. the `term` or the AC `line`.
+ * @returns {object}
+ */
+function createFinding(rule, field, span, message, extra = {}) {
+    return { ruleId: rule.id, severity: rule.severity, message, field, start: span.start, end: span.end, text: span.text, ...extra };
+}
+
+/**
+ * Finds a generic, unknown or aliased persona in the story.
+ * @param {string} story
+ * @param {object} rules - The resolved rule profile.
+ * @returns {object[]} At most one finding, covering the persona. It has the catalogue
+ *   `suggestion` when there is one.
+ */
+function findPersonaFindings(story, rules) {
+    const { source, flags } = rules.STORY_FORMAT_REGEX;
+    // The 'd' flag reports where the persona group starts.
+    const match = new RegExp(source, `${flags.replace(/[dgy]/g, '')}d`).exec(story);
+    if (!match || match[1] === undefined) return [];
+    const check = checkPersona(match[1], rules);
+    const rule = PERSONA_RULES[check.status];
+    if (!rule || check.persona === '') return [];
+    const start = match.indices[1][0] + (match[1].length - match[1].trimStart().length);
+    return [createFinding(rule, "story", { start, end: start + check.persona.length, text: check.persona }, check.message,
+        check.suggestion ? { suggestion: check.suggestion } : {})];
+}
+
+/**
+ * Finds the glossary's terms, synonyms and forbidden aliases in a text. Where matches
+ * overlap, the longest wins, e.g. "purchase order" over "order".
+ * @param {string} text
+ * @param {object} rules - The resolved rule profile.
+ * @returns {Array<{term: string, start: number, end: number, text: string, variant: string, status: string, entry: object}>}
+ */
+function matchGlossaryTerms(text, rules) {
+    const variants = listGlossaryVariants(rules);
+    const byVariant = new Map(variants.map(variant => [normalizeTerm(variant.variant), variant]));
+    let lastEnd = -1;
+    return findTerms(text, variants.map(variant => variant.variant))
+        .filter(match => {
+            if (match.start < lastEnd) return false;
+            lastEnd = match.end;
+            return true;
+        })
+        .map(match => ({ ...match, ...byVariant.get(normalizeTerm(match.term)) }));
+}
+
+/**
+ * The 1-based line an offset is on.
+ * @param {string} text
+ * @param {number} offset
+ * @returns {number}
+ */
+function lineAt(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Finds the glossary synonyms and forbidden aliases in a field, and, when the glossary has
+ * terms, the domain-looking terms it does not define. A term is only reported as undefined
+ * when no other finding covers it and it is neither a catalogue persona nor a word of the
+ * KEYWORDS lists.
+ * @param {string} text
+ * @param {string} field - "story" or "acceptanceCriteria".
+ * @param {object} rules - The resolved rule profile.
+ * @param {object[]} otherFindings - The field's other findings.
+ * @returns {object[]} Findings with the canonical term as their `suggestion`. Acceptance
+ *   criteria findings have their `line`.
+ */
+function findGlossaryFindings(text, field, rules, otherFindings) {
+    if (rules.GLOSSARY.TERMS.length === 0) return [];
+    const extra = (start, more) => (field === "acceptanceCriteria" ? { ...more, line: lineAt(text, start) } : more);
+    const matches = matchGlossaryTerms(text, rules);
+    const findings = matches.filter(match => GLOSSARY_RULES[match.status]).map(match => {
+        const { rule, messageKey } = GLOSSARY_RULES[match.status];
+        return createFinding(rule, field, match, formatMessage(rules.LANGUAGE, messageKey, { term: match.text, canonical: match.entry.term }),
+            extra(match.start, { term: match.term, suggestion: match.entry.term }));
+    });
+
+    const personas = new Set(rules.PERSONAS.CATALOGUE.flatMap(persona => [persona.name, ...persona.aliases]).map(normalizePersona));
+    const keywords = new Set(Object.values(rules.KEYWORDS).flat().map(normalizeTerm));
+    const covered = [...matches, ...otherFindings];
+    findProperTerms(text, rules.LANGUAGE)
+        .filter(candidate => !covered.some(other => other.start < candidate.end && candidate.start < other.end))
+        .filter(candidate => !personas.has(normalizePersona(candidate.text)))
+        .filter(candidate => !keywords.has(normalizeTerm(candidate.text)))
+        .forEach(candidate => {
+            findings.push(createFinding(FINDING_RULES.GLOSSARY_UNDEFINED, field, candidate,
+                formatMessage(rules.LANGUAGE, "finding.glossaryUndefined", { term: candidate.text }), extra(candidate.start, { term: candidate.text })));
+        });
+    return findings;
+}
+
+/**
+ * Finds the persona, ambiguous terms, technical terms, dependency phrases and glossary
+ * findings in the story.
+ * @param {string} story
+ * @param {object} rules - The resolved rule profile.
+ * @returns {object[]} Findings with offsets into the story.
+ */
+function findStoryFindings(story, rules) {
+    const findings = [
+        ...findPersonaFindings(story, rules),
+        ...findTerms(story, rules.KEYWORDS.AMBIGUOUS).map(match => createFinding(FINDING_RULES.AMBIGUOUS_TERM, "story", match,
+            formatMessage(rules.LANGUAGE, "finding.ambiguousStory", { term: match.text }), { term: match.term })),
+        ...findTerms(story, rules.KEYWORDS.TECHNICAL).map(match => createFinding(FINDING_RULES.TECHNICAL_TERM, "story", match,
+            formatMessage(rules.LANGUAGE, "finding.technical", { term: match.text }), { term: match.term })),
+        ...findTerms(story, rules.KEYWORDS.DEPENDENCIES).map(match => createFinding(FINDING_RULES.DEPENDENCY_PHRASE, "story", match,
+            formatMessage(rules.LANGUAGE, "finding.dependency", { term: match.text }), { term: match.term })),
+    ];
+    return [...findings, ...findGlossaryFindings(story, "story", rules, findings)];
+}
+
+/**
+ * Finds ambiguous terms, vague outcomes, untestable criteria, structural Gherkin problems and
+ * glossary findings in the acceptance criteria. Term findings cover the term; criterion and
+ * Gherkin findings cover the whole (trimmed) line they are reported on.
+ * @param {string} acceptanceCriteriaText
+ * @param {object} rules - The resolved rule profile.
+ * @returns {object[]} Findings with offsets into the acceptance criteria text and a 1-based `line`.
+ */
+function findAcceptanceCriteriaFindings(acceptanceCriteriaText, rules) {
+    if (!acceptanceCriteriaText || acceptanceCriteriaText.trim() === '') return [];
+
+    const lines = [];
+    let offset = 0;
+    acceptanceCriteriaText.split('\n').forEach(text => {
+        lines.push({ text, offset });
+        offset += text.length + 1;
+    });
+    const lineSpan = lineNumber => {
+        const { text, offset: lineOffset } = lines[lineNumber - 1];
+        const leading = text.length - text.trimStart().length;
+        const trimmed = text.trim();
+        return { start: lineOffset + leading, end: lineOffset + leading + trimmed.length, text: trimmed };
+    };
+    const termFindings = (rule, terms, messageKey) => lines.flatMap(({ text, offset: lineOffset }, index) => (
+        findTerms(text, terms).map(match => createFinding(rule, "acceptanceCriteria",
+            { start: lineOffset + match.start, end: lineOffset + match.end, text: match.text },
+            formatMessage(rules.LANGUAGE, messageKey, { term: match.text }), { term: match.term, line: index + 1 }))
+    ));
+
+    const findings = [
+        ...termFindings(FINDING_RULES.AMBIGUOUS_TERM, rules.KEYWORDS.AMBIGUOUS, "finding.ambiguousCriterion"),
+        ...termFindings(FINDING_RULES.VAGUE_OUTCOME, rules.KEYWORDS.VAGUE_OUTCOMES, "finding.vagueOutcome"),
+    ];
+
+    const { scenarios, plainCriteria } = parseGherkin(acceptanceCriteriaText, { language: rules.LANGUAGE });
+    scenarios.forEach(scenario => {
+        validateScenario(scenario, { vagueOutcomes: rules.KEYWORDS.VAGUE_OUTCOMES, language: rules.LANGUAGE }).forEach(finding => {
+            findings.push(createFinding({ ...FINDING_RULES.GHERKIN_STRUCTURE, id: `gherkin/${finding.rule}` }, "acceptanceCriteria",
+                lineSpan(finding.line), finding.message, { line: finding.line }));
+        });
+    });
+    plainCriteria
+        .filter(criterion => findTerms(criterion.text, rules.KEYWORDS.TESTABLE_AC).length === 0)
+        .forEach(criterion => {
+            findings.push(createFinding(FINDING_RULES.UNTESTABLE_CRITERION, "acceptanceCriteria", lineSpan(criterion.line),
+                formatMessage(rules.LANGUAGE, "finding.untestableCriterion"), { line: criterion.line }));
+        });
+    return [...findings, ...findGlossaryFindings(acceptanceCriteriaText, "acceptanceCriteria", rules, findings)];
+}
+
+// =================================================================
+// MAIN EXPORTED FUNCTION
+// =================================================================
+
+/**
+ * Finds everything worth underlining in a story and its acceptance criteria.
+ * @param {string} story
+ * @param {string} acceptanceCriteriaText
+ * @param {object} rules - The resolved rule profile.
+ * @returns {Array<{ruleId: string, severity: 'error'|'warning'|'info', message: string, field: 'story'|'acceptanceCriteria', start: number, end: number, text: string, term?: string, line?: number}>}
+ *   Findings ordered by field, then position, then severity. `start`/`end` are offsets into the field's text.
+ */
+function findTextFindings(story, acceptanceCriteriaText, rules) {
+    const order = (a, b) => a.start - b.start || SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || a.end - b.end;
+    return [
+        ...findStoryFindings(story, rules).sort(order),
+        ...findAcceptanceCriteriaFindings(acceptanceCriteriaText, rules).sort(order),
+    ];
+}
+
+/**
+ * Lists where the story and acceptance criteria use glossary terms, synonyms or forbidden
+ * aliases, with the definition of the term each stands for, e.g. for hover hints.
+ * @param {string} story
+ * @param {string} acceptanceCriteriaText
+ * @param {object} rules - The resolved rule profile.
+ * @returns {Array<{term: string, definition: string, status: 'canonical'|'synonym'|'forbidden', field: 'story'|'acceptanceCriteria', start: number, end: number, text: string}>}
+ *   `term` is the canonical term; `start`/`end` are offsets into the field's text.
+ */
+function findGlossaryTerms(story, acceptanceCriteriaText, rules) {
+    return [["story", story], ["acceptanceCriteria", acceptanceCriteriaText || ""]].flatMap(([field, text]) => (
+        matchGlossaryTerms(text, rules).map(match => ({
+            term: match.entry.term,
+            definition: match.entry.definition,
+            status: match.status,
+            field,
+            start: match.start,
+            end: match.end,
+            text: match.text,
+        }))
+    ));
+}
+
+module.exports = { findTextFindings, findGlossaryTerms, findTerms, distinctTerms, FINDING_RULES };
@@ -1,25 +1,99 @@
 /**
  * @fileoverview An AI agent that analyzes user stories, provides coaching feedback,
  * and generates a structured report based on Agile best practices.
+ *
+ * This module and everything it requires are isomorphic: the backends load them with
+ * `require`, and the frontend bundles them for live analysis as the user types. Keep
+ * Node-only modules (fs, path, Buffer) out of them.
  * @version 3.0.0
  */
 
+const { parseGherkin, validateScenario } = require('./gherkinParser');
+const { suggestStorySplits } = require('./storySplitting');
+const { analyzeBacklogDependencies } = require('./backlogDependencies');
+const { assessQualityFrameworks } = require('./qualityFrameworks');
+const { findTextFindings, findGlossaryTerms, findTerms, distinctTerms, FINDING_RULES } = require('./textFindings');
+const { checkPersona, findPersonaDrift, mergeCatalogues, validatePersona } = require('./personas');
+const { mergeGlossaries, validateGlossaryTerm } = require('./glossary');
+const { detectNonFunctionalRequirements } = require('./nfrDetection');
+const { formatMessage, isKnownLocale, withLocale, localizeForText, listLocales, pickLocalizedSections, AUTO_LOCALE, DEFAULT_LANGUAGE } = require('./locales');
+const EN = require('./locales/en');
+
 // =================================================================
 // CONFIGURATION
 // =================================================================
+
+/**
+ * Version of the analysis object returned by `getUserStoryAnalysis`.
+ * Bump the major version whenever a field is removed or renamed.
+ */
+const ANALYSIS_SCHEMA_VERSION = "1.12.0";
+
+// The default rule profile. Team profiles (see ruleProfiles.js) are deep-merged over it.
+// The language-specific entries (the story template, keywords, splitting keywords, rewrite
+// replacements, SMART keywords, generic personas and NFR keywords) come from the English locale
+// pack; see locales.js.
 const CONFIG = {
-    STORY_FORMAT_REGEX: /As an? (.*), I want (.*), so that (.*)/i,
+    PROFILE_NAME: "default",
+    // "auto" detects each story's language; a pack ID ("de") analyzes every story in it.
+    LOCALE: AUTO_LOCALE,
+    // The language the rules below are written in. Set by withLocale, not by profiles.
+    LANGUAGE: DEFAULT_LANGUAGE,
+    // The profile's own entries in the language-specific sections, which withLocale applies over
+    // another pack's defaults. Set by resolveRules, not by profiles.
+    LOCALIZED_OVERRIDES: {},
+    STORY_FORMAT_REGEX: EN.RULES.STORY_FORMAT_REGEX,
     THRESHOLDS: {
         SHORT_STORY_LENGTH: 25,
         LONG_STORY_LENGTH: 200,
         MAX_ACCEPTANCE_CRITERIA: 7,
+        // Backlog-level checks (see backlogDependencies.js); similarities are 0-1.
+        DUPLICATE_SIMILARITY: 0.6,
+        RELATED_STORY_SIMILARITY: 0.3,
+        CONFLICTING_CRITERIA_SIMILARITY: 0.6,
+        // Epic traceability (see epicTraceability.js): the share (0-1) of an epic criterion's
+        // words a story criterion must use to cover it, and how many words they must share
+        // at least (all of them for shorter criteria).
+        TRACE_COVERAGE: 0.5,
+        TRACE_MIN_TERMS: 2,
     },
-    KEYWORDS: {
-        AMBIGUOUS: ["should", "could", "might", "etc.", "and/or"],
-        DEPENDENCIES: ["dependent on", "after", "following", "once"],
-        TECHNICAL: ["database", "api endpoint", "react component", "algorithm", "sql"],
-        TESTABLE_AC: ["verify that", "ensure that", "given", "when", "then", "confirm that"],
+    KEYWORDS: EN.RULES.KEYWORDS,
+    // Keyword lists for the story-splitting patterns (see storySplitting.js).
+    SPLITTING: EN.RULES.SPLITTING,
+    // Replacements used by the story rewrite (see storyRewrite.js). Ambiguous terms
+    // without an entry are removed.
+    REWRITE: EN.RULES.REWRITE,
+    // Quality frameworks assessed on top of clarity and INVEST (see qualityFrameworks.js).
+    // WEIGHTS are each framework's maximum score in the overall rating.
+    FRAMEWORKS: {
+        ENABLED: [],
+        WEIGHTS: { "smart": 20, "three-cs": 15, "definition-of-ready": 20 },
+        SMART: EN.RULES.FRAMEWORKS.SMART,
+        // The team's Definition of Ready. An item is met when the story or AC mention one of its keywords.
+        DEFINITION_OF_READY: [
+            { id: "designs-linked", label: "Designs linked", keywords: ["figma", "mockup", "wireframe", "design:", "prototype"] },
+            { id: "nfrs-stated", label: "Non-functional requirements stated", keywords: ["performance", "response time", "security", "accessibility", "wcag", "availability", "latency", "gdpr"] },
+            { id: "estimate-present", label: "Estimate present", keywords: ["estimate:", "story points", "points:", "t-shirt size", "size:"] },
+            { id: "dependencies-identified", label: "Dependencies identified", keywords: ["depends on", "dependency", "dependencies", "blocked by"] },
+        ],
     },
+    // Persona checks (see personas.js). CATALOGUE holds the team's personas as
+    // { name, aliases, description, goals }; the Express backend adds the ones managed through
+    // /api/personas. GENERIC personas are flagged unless the catalogue names them.
+    PERSONAS: {
+        CATALOGUE: [],
+        GENERIC: EN.RULES.PERSONAS.GENERIC,
+    },
+    // Domain glossary (see glossary.js). TERMS holds the team's terms as
+    // { term, definition, synonyms, forbidden }; the Express backend adds the ones managed through
+    // /api/glossary. Synonyms and forbidden aliases are flagged with the term to use, and with
+    // any terms, capitalized terms and acronyms missing from the glossary are flagged too.
+    GLOSSARY: {
+        TERMS: [],
+    },
+    // Non-functional requirement detection (see nfrDetection.js). Per category, STATED keywords
+    // name the requirement and IMPLIED ones suggest it; an AC mentioning a STATED keyword covers it.
+    NFR: EN.RULES.NFR,
     SCORING: {
         // Clarity & Requirement Analysis (Max: 40)
         FORMAT_SUCCESS: 10,
@@ -27,21 +101,34 @@ const CONFIG = {
         CLARITY_BASE: 10,
         CLARITY_BONUS_CONCISE: 5,
         CLARITY_BONUS_SPECIFIC: 5,
+        CLARITY_MAX: 15,
+        PERSONA_DEDUCTION: 3, // Generic persona, or one missing from the catalogue
+        PERSONA_ALIAS_DEDUCTION: 1, // Persona written as an alias of a catalogue persona
         AC_PROVIDED: 15,
         AC_EMPTY: 5,
         AC_MISSING: 0,
         AC_NON_TESTABLE_DEDUCTION: 5,
+        AC_STRUCTURE_DEDUCTION: 2, // Per structural Gherkin finding
+        AC_STRUCTURE_MAX_DEDUCTION: 6,
         // INVEST Criteria (Max: 60, 10 per category)
         INVEST_DEFAULT_HIGH: 8,
         INVEST_DEFAULT_MEDIUM: 6,
         INVEST_DEFAULT_LOW: 3,
+        INVEST_MAX: 10,
+        // INVEST report status cut-offs (per category)
+        INVEST_MEETS: 8,
+        INVEST_PARTIALLY_MEETS: 5,
     },
     READINESS_CATEGORIES: [
-        { score: 90, label: "✅ Excellent – Ready for Development", summary: "Story is well-formed, clear, and meets all INVEST criteria." },
-        { score: 71, label: "⚠️ At Standard Expected – Minor Refinement Needed", summary: "Mostly ready with small gaps that can be addressed quickly." },
-        { score: 50, label: "❗ Requires Improvement – Needs Refinement", summary: "Multiple issues present. Not ready for development without rework." },
-        { score: 0,  label: "🚫 Not Ready – Fundamentally Incomplete", summary: "Lacks essential components. Requires major revision." },
-    ]
+        { score: 90, id: "excellent", label: "✅ Excellent – Ready for Development", summary: "Story is well-formed, clear, and meets all INVEST criteria." },
+        { score: 71, id: "at-standard", label: "⚠️ At Standard Expected – Minor Refinement Needed", summary: "Mostly ready with small gaps that can be addressed quickly." },
+        { score: 50, id: "requires-improvement", label: "❗ Requires Improvement – Needs Refinement", summary: "Multiple issues present. Not ready for development without rework." },
+        { score: 0,  id: "not-ready", label: "🚫 Not Ready – Fundamentally Incomplete", summary: "Lacks essential components. Requires major revision." },
+    ],
+    MAX_SCORES: {
+        CLARITY_AND_REQUIREMENT: 40,
+        INVEST: 60,
+    }
 };
 
 // =================================================================
@@ -51,66 +138,132 @@ const CONFIG = {
 /**
  * Gets the readiness category based on a percentage score.
  * @param {number} score - The overall percentage score (0-100).
- * @returns {{label: string, summary: string}}
+ * @returns {{id: string, label: string, summary: string}}
  */
-function getReadinessCategory(score) {
-    return CONFIG.READINESS_CATEGORIES.find(cat => score >= cat.score);
+function getReadinessCategory(score, rules = CONFIG) {
+    return rules.READINESS_CATEGORIES.find(cat => score >= cat.score);
 }
 
 /**
- * Analyzes acceptance criteria text.
+ * Gets the report status for a single INVEST category score.
+ * @param {number} score - The category score (0-10).
+ * @returns {string}
+ */
+function getInvestStatus(score, rules = CONFIG) {
+    if (score >= rules.SCORING.INVEST_MEETS) return formatMessage(rules.LANGUAGE, 'invest.status.meets');
+    if (score >= rules.SCORING.INVEST_PARTIALLY_MEETS) return formatMessage(rules.LANGUAGE, 'invest.status.partiallyMeets');
+    return formatMessage(rules.LANGUAGE, 'invest.status.doesNotMeet');
+}
+
+/**
+ * Checks that the story is a non-empty string.
+ * @param {*} story
+ * @returns {boolean}
+ */
+function isValidStory(story) {
+    return typeof story === 'string' && story.trim() !== '';
+}
+
+/**
+ * Analyzes acceptance criteria text. Gherkin scenarios (multi-line blocks or single
+ * "Given/When/Then" lines) count as one criterion each and are checked for structural
+ * problems; any other line is a plain criterion checked for testable keywords.
  * @param {string} acceptanceCriteriaText
- * @returns {{criteria: string[], testableKeywordsFound: boolean, nonTestableCount: number}}
+ * @returns {{criteria: string[], testableKeywordsFound: boolean, nonTestableCount: number, scenarios: object[], structuralFindingCount: number}}
  */
-function analyzeAcceptanceCriteria(acceptanceCriteriaText) {
+function analyzeAcceptanceCriteria(acceptanceCriteriaText, rules = CONFIG) {
     if (!acceptanceCriteriaText || acceptanceCriteriaText.trim() === '') {
-        return { criteria: [], testableKeywordsFound: false, nonTestableCount: 0 };
+        return { criteria: [], testableKeywordsFound: false, nonTestableCount: 0, scenarios: [], structuralFindingCount: 0 };
     }
-    const criteria = acceptanceCriteriaText.split('\n').filter(c => c.trim() !== '');
+    const { scenarios, plainCriteria } = parseGherkin(acceptanceCriteriaText, { language: rules.LANGUAGE });
     let nonTestableCount = 0;
     let testableKeywordsFound = false;
 
-    criteria.forEach(c => {
-        const isTestable = CONFIG.KEYWORDS.TESTABLE_AC.some(kw => c.toLowerCase().includes(kw));
+    const scenarioResults = scenarios.map(scenario => {
+        const findings = validateScenario(scenario, { vagueOutcomes: rules.KEYWORDS.VAGUE_OUTCOMES, language: rules.LANGUAGE });
+        if (findings.length > 0) nonTestableCount++;
+        else testableKeywordsFound = true;
+        return { name: scenario.name, type: scenario.type, line: scenario.line, stepCount: scenario.steps.length, findings };
+    });
+
+    plainCriteria.forEach(c => {
+        const isTestable = findTerms(c.text, rules.KEYWORDS.TESTABLE_AC).length > 0;
         if (!isTestable) nonTestableCount++;
         else testableKeywordsFound = true;
     });
 
-    return { criteria, testableKeywordsFound, nonTestableCount };
+    return {
+        criteria: [...scenarios.map(sc => sc.name), ...plainCriteria.map(c => c.text)],
+        testableKeywordsFound,
+        nonTestableCount,
+        scenarios: scenarioResults,
+        structuralFindingCount: scenarioResults.reduce((sum, sc) => sum + sc.findings.length, 0),
+    };
+}
+
+/**
+ * Lists structural Gherkin findings as short, scenario-prefixed sentences.
+ * @param {object[]} scenarios - The `scenarios` from analyzeAcceptanceCriteria.
+ * @returns {string[]}
+ */
+function describeScenarioFindings(scenarios, rules = CONFIG) {
+    return scenarios.flatMap(sc => sc.findings.map(f => (
+        formatMessage(rules.LANGUAGE, 'ac.scenarioFinding', { name: sc.name, line: f.line, message: f.message })
+    )));
+}
+
+/**
+ * Tells whether a persona check leaves it unclear who the story is for.
+ * @param {object|null} personaCheck - The result of checkPersona.
+ * @returns {boolean}
+ */
+function isPersonaUnclear(personaCheck) {
+    return Boolean(personaCheck) && (personaCheck.status === 'generic' || personaCheck.status === 'unknown');
+}
+
+/**
+ * Quotes terms for feedback text, e.g. "'should', 'might'".
+ * @param {string[]} terms
+ * @returns {string}
+ */
+function quoteTerms(terms) {
+    return terms.map(term => `'${term}'`).join(', ');
 }
 
 /**
  * Infers sample acceptance criteria when none are provided.
  * @param {string[]} formatMatch - The result of matching the story against STORY_FORMAT_REGEX.
+ * @param {object} [rules=CONFIG] - The resolved rule profile, for the language of the criteria.
  * @returns {string[]} An array of inferred acceptance criteria strings.
  */
-function inferAcceptanceCriteria(formatMatch) {
+function inferAcceptanceCriteria(formatMatch, rules = CONFIG) {
     if (!formatMatch || !formatMatch[2]) return [];
-    const goal = formatMatch[2];
-    return [
-        `Given the user is on the relevant page, when they attempt to ${goal}, then the expected outcome occurs.`,
-        `Given the user provides invalid input for '${goal}', when they submit, then a clear error message is displayed.`,
-        `Verify that the action to '${goal}' is logged for analytics.`
-    ];
+    const goal = formatMatch[2].trim();
+    // The goal without its leading "to", for messages that already say it ("attempt to {action}").
+    const action = goal.replace(/^to\s+/i, '');
+    return ['inferred.happyPath', 'inferred.invalidInput', 'inferred.logged']
+        .map(key => formatMessage(rules.LANGUAGE, key, { goal, action }));
 }
 
 /**
- * Suggests how a large story could be decomposed into smaller stories.
+ * Suggests how a large story could be decomposed into smaller stories, using the
+ * story-splitting patterns in storySplitting.js.
  * @param {string[]} formatMatch - The result of matching the story against STORY_FORMAT_REGEX.
- * @returns {string[]} An array of smaller, suggested user story strings.
+ * @param {string} acceptanceCriteriaText - The acceptance criteria text.
+ * @returns {{stories: string[], splits: object[]}} The suggested child stories, and the
+ *   splits (one per pattern that applies) with the AC carried over to each child.
  */
-function suggestDecomposition(formatMatch) {
-    if (!formatMatch) return [];
-    const [_, persona, goal, value] = formatMatch;
-    // This is a simple heuristic. A more advanced agent could use NLP to find sub-goals.
-    if (goal.toLowerCase().includes("manage")) {
-        return [
-            `As a ${persona}, I want to create a new item, so that ${value}.`,
-            `As a ${persona}, I want to edit an existing item, so that ${value}.`,
-            `As a ${persona}, I want to delete an item, so that ${value}.`
-        ];
+function suggestDecomposition(formatMatch, acceptanceCriteriaText, rules = CONFIG) {
+    if (!formatMatch) return { stories: [], splits: [] };
+    const splits = suggestStorySplits(formatMatch, acceptanceCriteriaText, rules.SPLITTING);
+    if (splits.length === 0) {
+        return {
+            stories: [formatMessage(rules.LANGUAGE, 'decomposition.generic')],
+            splits: [],
+        };
     }
-    return ["Consider splitting the story by individual acceptance criteria or steps in the user workflow. Each new story should still provide value."];
+    const stories = [...new Set(splits.flatMap(split => split.children.map(child => child.story)))];
+    return { stories, splits };
 }
 
 
@@ -124,47 +277,61 @@ function suggestDecomposition(formatMatch) {
  * @param {string} acceptanceCriteriaText - The acceptance criteria text.
  * @returns {object} A detailed analysis of clarity and requirements.
  */
-function analyzeClarityAndRequirement(story, acceptanceCriteriaText) {
-    const formatMatch = story.match(CONFIG.STORY_FORMAT_REGEX);
-    const formatScore = formatMatch ? CONFIG.SCORING.FORMAT_SUCCESS : CONFIG.SCORING.FORMAT_FAIL;
-    const formatFeedback = formatMatch ?
-        "Story follows the standard 'As a [persona], I want [goal], so that [value]' format." :
-        "Story does not strictly follow the 'As a [persona], I want [goal], so that [value]' format. This helps ensure role, action, and benefit are clear.";
+function analyzeClarityAndRequirement(story, acceptanceCriteriaText, rules = CONFIG) {
+    const formatMatch = story.match(rules.STORY_FORMAT_REGEX);
+    const formatScore = formatMatch ? rules.SCORING.FORMAT_SUCCESS : rules.SCORING.FORMAT_FAIL;
+    const formatFeedback = formatMessage(rules.LANGUAGE, formatMatch ? 'format.matched' : 'format.notMatched');
 
     // Clarity & Ambiguity
-    let clarityScore = CONFIG.SCORING.CLARITY_BASE;
+    let clarityScore = rules.SCORING.CLARITY_BASE;
     let clarityFeedbackItems = [];
-    if (story.length < CONFIG.THRESHOLDS.SHORT_STORY_LENGTH) {
-        clarityFeedbackItems.push("Story seems very short, ensure it's sufficiently detailed.");
+    if (story.length < rules.THRESHOLDS.SHORT_STORY_LENGTH) {
+        clarityFeedbackItems.push(formatMessage(rules.LANGUAGE, 'clarity.short'));
     } else {
-        clarityScore += CONFIG.SCORING.CLARITY_BONUS_CONCISE;
+        clarityScore += rules.SCORING.CLARITY_BONUS_CONCISE;
     }
 
-    const hasAmbiguousTerms = CONFIG.KEYWORDS.AMBIGUOUS.some(term => story.toLowerCase().includes(term));
-    if (hasAmbiguousTerms) {
-        clarityFeedbackItems.push("Avoid ambiguous terms like 'should', 'could', or 'might'. Be specific.");
+    const ambiguousTerms = distinctTerms(findTerms(story, rules.KEYWORDS.AMBIGUOUS));
+    if (ambiguousTerms.length > 0) {
+        clarityFeedbackItems.push(formatMessage(rules.LANGUAGE, 'clarity.ambiguous', { terms: quoteTerms(ambiguousTerms) }));
     } else {
-        clarityScore += CONFIG.SCORING.CLARITY_BONUS_SPECIFIC;
+        clarityScore += rules.SCORING.CLARITY_BONUS_SPECIFIC;
+    }
+
+    // Persona. The deduction applies after the cap, so it counts even for otherwise clear stories.
+    const personaCheck = formatMatch ? checkPersona(formatMatch[1], rules) : null;
+    let personaDeduction = 0;
+    if (isPersonaUnclear(personaCheck)) {
+        personaDeduction = rules.SCORING.PERSONA_DEDUCTION;
+        clarityFeedbackItems.push(personaCheck.message);
+    } else if (personaCheck && personaCheck.status === 'alias') {
+        personaDeduction = rules.SCORING.PERSONA_ALIAS_DEDUCTION;
+        clarityFeedbackItems.push(personaCheck.message);
     }
-    const clarityFinalScore = Math.min(15, clarityScore); // Cap score at 15
-    const clarityFinalFeedback = clarityFeedbackItems.length > 0 ? clarityFeedbackItems.join(" ") : "Language appears reasonably clear.";
+    const clarityFinalScore = Math.max(0, Math.min(rules.SCORING.CLARITY_MAX, clarityScore) - personaDeduction);
+    const clarityFinalFeedback = clarityFeedbackItems.length > 0 ? clarityFeedbackItems.join(" ") : formatMessage(rules.LANGUAGE, 'clarity.clear');
 
     // Acceptance Criteria
-    const acAnalysis = analyzeAcceptanceCriteria(acceptanceCriteriaText);
-    let acScore = CONFIG.SCORING.AC_MISSING;
-    let acFeedback = "Acceptance criteria are missing. Clear, testable ACs are essential. Consider using the 'Given/When/Then' format.";
+    const acAnalysis = analyzeAcceptanceCriteria(acceptanceCriteriaText, rules);
+    let acScore = rules.SCORING.AC_MISSING;
+    let acFeedback = formatMessage(rules.LANGUAGE, 'ac.missing');
 
     if (acceptanceCriteriaText) {
         if (acAnalysis.criteria.length > 0) {
-            acScore = CONFIG.SCORING.AC_PROVIDED;
-            acFeedback = `Acceptance criteria provided (${acAnalysis.criteria.length} criteria found). Ensure they are specific and testable.`;
+            acScore = rules.SCORING.AC_PROVIDED;
+            acFeedback = formatMessage(rules.LANGUAGE, 'ac.provided', { count: acAnalysis.criteria.length });
             if (acAnalysis.nonTestableCount > acAnalysis.criteria.length / 2) {
-                acScore -= CONFIG.SCORING.AC_NON_TESTABLE_DEDUCTION;
-                acFeedback += " Some ACs may not be easily testable; consider phrasing with keywords like 'Verify that...'.";
+                acScore -= rules.SCORING.AC_NON_TESTABLE_DEDUCTION;
+                acFeedback += ` ${formatMessage(rules.LANGUAGE, 'ac.notTestable')}`;
+            }
+            if (acAnalysis.structuralFindingCount > 0) {
+                acScore -= Math.min(acAnalysis.structuralFindingCount * rules.SCORING.AC_STRUCTURE_DEDUCTION, rules.SCORING.AC_STRUCTURE_MAX_DEDUCTION);
+                acFeedback += ` ${formatMessage(rules.LANGUAGE, 'ac.structuralIssues', { count: acAnalysis.structuralFindingCount })}`;
             }
+            acScore = Math.max(0, acScore);
         } else {
-            acScore = CONFIG.SCORING.AC_EMPTY;
-            acFeedback = "Acceptance criteria section is present but empty. Please define clear, testable acceptance criteria.";
+            acScore = rules.SCORING.AC_EMPTY;
+            acFeedback = formatMessage(rules.LANGUAGE, 'ac.empty');
         }
     }
 
@@ -172,8 +339,9 @@ function analyzeClarityAndRequirement(story, acceptanceCriteriaText) {
         total: formatScore + clarityFinalScore + acScore,
         formatCheck: { score: formatScore, feedback: formatFeedback },
         clarityAmbiguity: { score: clarityFinalScore, feedback: clarityFinalFeedback },
-        acceptanceCriteria: { score: acScore, feedback: acFeedback },
-        formatMatch // Pass the match result for use in other functions
+        acceptanceCriteria: { score: acScore, feedback: acFeedback, scenarios: acAnalysis.scenarios },
+        formatMatch, // Pass the match result for use in other functions
+        personaCheck,
     };
 }
 
@@ -184,46 +352,58 @@ function analyzeClarityAndRequirement(story, acceptanceCriteriaText) {
  * @param {string} acceptanceCriteriaText - The acceptance criteria text.
  * @returns {object} A detailed analysis of each INVEST principle.
  */
-function analyzeINVEST(story, clarityAnalysis, acceptanceCriteriaText) {
-    const acAnalysis = analyzeAcceptanceCriteria(acceptanceCriteriaText);
+function analyzeINVEST(story, clarityAnalysis, acceptanceCriteriaText, rules = CONFIG) {
+    const acAnalysis = analyzeAcceptanceCriteria(acceptanceCriteriaText, rules);
 
-    const hasDependencyKeywords = CONFIG.KEYWORDS.DEPENDENCIES.some(term => story.toLowerCase().includes(term));
+    const message = (key, params) => formatMessage(rules.LANGUAGE, key, params);
+
+    const dependencyPhrases = distinctTerms(findTerms(story, rules.KEYWORDS.DEPENDENCIES));
     const independent = {
-        score: hasDependencyKeywords ? CONFIG.SCORING.INVEST_DEFAULT_LOW : CONFIG.SCORING.INVEST_DEFAULT_MEDIUM,
-        justification: hasDependencyKeywords ? "Story may have dependencies based on keywords ('after', 'dependent on', etc.). Clarify if it can be worked on without external blockers." : "Assumed to be developable independently. It's good practice to review for hidden dependencies with the team."
+        score: dependencyPhrases.length > 0 ? rules.SCORING.INVEST_DEFAULT_LOW : rules.SCORING.INVEST_DEFAULT_MEDIUM,
+        justification: dependencyPhrases.length > 0 ? message('independent.dependencyWording', { terms: quoteTerms(dependencyPhrases) }) : message('independent.assumed')
     };
 
-    const hasTechnicalTerms = CONFIG.KEYWORDS.TECHNICAL.some(term => story.toLowerCase().includes(term));
+    const technicalTerms = distinctTerms(findTerms(story, rules.KEYWORDS.TECHNICAL));
     const negotiable = {
-        score: hasTechnicalTerms ? CONFIG.SCORING.INVEST_DEFAULT_LOW : CONFIG.SCORING.INVEST_DEFAULT_HIGH,
-        justification: hasTechnicalTerms ? "Story might be too prescriptive with technical details (e.g., 'database', 'api endpoint'). It's better to focus on user needs and let the team decide on the 'how'." : "Story seems to describe 'what' not 'how', which is great. This allows for discussion on the best implementation."
+        score: technicalTerms.length > 0 ? rules.SCORING.INVEST_DEFAULT_LOW : rules.SCORING.INVEST_DEFAULT_HIGH,
+        justification: technicalTerms.length > 0 ? message('negotiable.technical', { terms: quoteTerms(technicalTerms) }) : message('negotiable.open')
     };
 
     const hasClearValue = clarityAnalysis.formatMatch && clarityAnalysis.formatMatch[3] && clarityAnalysis.formatMatch[3].trim().length > 5;
     const valuable = {
-        score: hasClearValue ? 10 : CONFIG.SCORING.INVEST_DEFAULT_LOW,
-        justification: hasClearValue ? `Value proposition seems clear: '${clarityAnalysis.formatMatch[3]}'.` : "The 'so that [value]' part of the story is missing or unclear. It's crucial to state the benefit to the user or business to justify the work."
+        score: hasClearValue ? rules.SCORING.INVEST_MAX : rules.SCORING.INVEST_DEFAULT_LOW,
+        justification: hasClearValue ? message('valuable.clear', { value: clarityAnalysis.formatMatch[3] }) : message('valuable.unclear')
     };
+    // Value is only clear when it is clear who receives it.
+    if (isPersonaUnclear(clarityAnalysis.personaCheck)) {
+        valuable.score = Math.min(valuable.score, rules.SCORING.INVEST_DEFAULT_MEDIUM);
+        valuable.justification += ` ${message('valuable.unclearPersona', { message: clarityAnalysis.personaCheck.message })}`;
+    }
 
-    const isEstimable = acAnalysis.criteria.length > 0 && story.length > CONFIG.THRESHOLDS.SHORT_STORY_LENGTH;
+    const isEstimable = acAnalysis.criteria.length > 0 && story.length > rules.THRESHOLDS.SHORT_STORY_LENGTH;
     const estimable = {
-        score: isEstimable ? CONFIG.SCORING.INVEST_DEFAULT_HIGH : CONFIG.SCORING.INVEST_DEFAULT_MEDIUM,
-        justification: isEstimable ? "With a clear goal and acceptance criteria, the team should be able to estimate this story." : "The story or its acceptance criteria may be too vague or missing, which makes estimation difficult. Providing more detail will help."
+        score: isEstimable ? rules.SCORING.INVEST_DEFAULT_HIGH : rules.SCORING.INVEST_DEFAULT_MEDIUM,
+        justification: message(isEstimable ? 'estimable.yes' : 'estimable.no')
     };
 
-    const isLarge = story.length > CONFIG.THRESHOLDS.LONG_STORY_LENGTH || acAnalysis.criteria.length > CONFIG.THRESHOLDS.MAX_ACCEPTANCE_CRITERIA;
+    const isLarge = story.length > rules.THRESHOLDS.LONG_STORY_LENGTH || acAnalysis.criteria.length > rules.THRESHOLDS.MAX_ACCEPTANCE_CRITERIA;
     const small = {
-        score: isLarge ? CONFIG.SCORING.INVEST_DEFAULT_LOW : CONFIG.SCORING.INVEST_DEFAULT_HIGH,
-        justification: isLarge ? "The story or its number of acceptance criteria seems large. This might be an 'epic' that should be broken down into smaller, valuable pieces to fit within a sprint." : "Story appears to be a reasonable size and should be completable within a single sprint."
+        score: isLarge ? rules.SCORING.INVEST_DEFAULT_LOW : rules.SCORING.INVEST_DEFAULT_HIGH,
+        justification: message(isLarge ? 'small.large' : 'small.ok')
     };
 
-    let testableScore = CONFIG.SCORING.INVEST_DEFAULT_LOW;
-    let testableJustification = "Testability cannot be assessed without clear acceptance criteria. A story isn't 'done' if it can't be tested.";
+    let testableScore = rules.SCORING.INVEST_DEFAULT_LOW;
+    let testableJustification = message('testable.noCriteria');
     if (acAnalysis.criteria.length > 0) {
-        testableScore = acAnalysis.testableKeywordsFound ? CONFIG.SCORING.INVEST_DEFAULT_HIGH : CONFIG.SCORING.INVEST_DEFAULT_MEDIUM;
-        testableJustification = "Acceptance criteria are provided. To be highly testable, they should be unambiguous and allow for clear pass/fail conditions.";
+        testableScore = acAnalysis.testableKeywordsFound ? rules.SCORING.INVEST_DEFAULT_HIGH : rules.SCORING.INVEST_DEFAULT_MEDIUM;
+        testableJustification = message('testable.provided');
         if (acAnalysis.nonTestableCount > 0) {
-            testableJustification += ` ${acAnalysis.nonTestableCount} AC(s) could be clearer; using 'Verify that...' or 'Given/When/Then' helps.`;
+            testableJustification += ` ${message('testable.unclearCount', { count: acAnalysis.nonTestableCount })}`;
+        }
+        if (acAnalysis.structuralFindingCount > 0) {
+            // Structurally broken scenarios can't give a clean pass/fail, whatever keywords they use.
+            testableScore = Math.min(testableScore, rules.SCORING.INVEST_DEFAULT_MEDIUM);
+            testableJustification += ` ${describeScenarioFindings(acAnalysis.scenarios, rules).join(' ')}`;
         }
     }
     const testable = { score: testableScore, justification: testableJustification };
@@ -238,11 +418,31 @@ function analyzeINVEST(story, clarityAnalysis, acceptanceCriteriaText) {
 // =================================================================
 
 /**
- * Formats the complete analysis into a human-readable Markdown report.
+ * Formats one story-splitting suggestion as a Markdown list.
+ * @param {object} split - An entry of `decompositionSplits`.
+ * @param {object} rules - The rules in the analysis language.
+ * @returns {string}
+ */
+function formatSplitAsMarkdown(split, rules) {
+    const children = split.children.map(child => {
+        const ac = child.acceptanceCriteria.map(c => `\n        * ${c}`).join('');
+        return `    * \`${child.story}\`${ac}`;
+    }).join('\n');
+    const shared = split.sharedAcceptanceCriteria.length > 0
+        ? `\n    * *${formatMessage(rules.LANGUAGE, 'report.sharedCriteria')}:* ${split.sharedAcceptanceCriteria.join('; ')}`
+        : '';
+    return `* **${split.label}:** ${split.rationale}\n${children}${shared}`;
+}
+
+/**
+ * Formats the complete analysis into a human-readable Markdown report, in the language of
+ * the analysis (its `locale`).
  * @param {object} analysis - The complete analysis object.
  * @returns {string} A formatted Markdown string.
  */
-function formatAnalysisAsMarkdown(analysis) {
+function formatAnalysisAsMarkdown(analysis, rules = CONFIG) {
+    rules = analysis.locale ? withLocale(rules, analysis.locale) : rules;
+    const t = (key, params) => formatMessage(rules.LANGUAGE, key, params);
     const {
         overallReadinessScore: overall,
         clarityAndRequirementAnalysis: clarity,
@@ -254,102 +454,489 @@ function formatAnalysisAsMarkdown(analysis) {
     const investReport = Object.entries(invest)
         .filter(([key]) => key !== 'totalScore')
         .map(([key, value]) => {
-            const status = value.score >= 8 ? '✅ Meets' : value.score >= 5 ? '⚠️ Partially Meets' : '❌ Does Not Meet';
-            return `* **${key.charAt(0).toUpperCase() + key.slice(1)}:** ${status}\n    * *Justification:* ${value.justification}`;
+            const status = getInvestStatus(value.score, rules);
+            return `* **${t(`invest.${key}`)}:** ${status}\n    * *${t('report.justification')}:* ${value.justification}`;
         }).join('\n');
 
+    // Sections 1-4 are always present; the optional ones are numbered on from there.
+    let section = 4;
+    const frameworks = Object.values(analysis.frameworkAssessments || {});
+    const frameworkReport = frameworks.length > 0 ? `
+### ${++section}. ${t('report.frameworks')}
+${frameworks.map(framework => `* **${framework.name}:** ${framework.score}/${framework.maxScore}
+${framework.checks.map(check => `    * ${check.score === 1 ? '✅' : check.score > 0 ? '⚠️' : '❌'} *${check.label}:* ${check.justification}`).join('\n')}`).join('\n')}
+` : '';
+
+    const nfrs = analysis.nonFunctionalRequirements || [];
+    const missingNfrs = nfrs.filter(nfr => nfr.status === 'missing');
+    const coveredNfrs = nfrs.filter(nfr => nfr.status === 'covered');
+    const nfrReport = nfrs.length > 0 ? `
+### ${++section}. ${t('report.nfr')}
+${missingNfrs.length > 0 ? `*${t('report.nfrMissing')}*
+${missingNfrs.map(nfr => `* **${nfr.label}:** ${t(nfr.stated ? 'report.nfrStated' : 'report.nfrImplied', { terms: quoteTerms(nfr.terms) })}
+    * *${t('report.suggestedCriterion')}:* \`${nfr.suggestedAcceptanceCriterion}\``).join('\n')}
+` : ''}${coveredNfrs.length > 0 ? `*${t('report.nfrCovered', { labels: coveredNfrs.map(nfr => nfr.label).join(', ') })}*
+` : ''}` : '';
+
+    const coaching = analysis.coaching ? `
+### ${++section}. ${t('report.coaching')}
+*${analysis.coaching.summary}*
+
+**${t('report.rewrittenStory')}:**
+> ${analysis.coaching.rewrittenStory}
+
+**${t('report.rewrittenCriteria')}:**
+${analysis.coaching.rewrittenAcceptanceCriteria.map(ac => `* \`${ac}\``).join('\n')}
+` : '';
+
     const report = `
-### **Overall Readiness Score: ${overall.readinessRating}/100**
+### **${t('report.overallScore', { score: overall.readinessRating })}**
 **${overall.readinessCategory}**
 *${overall.summary}*
 ---
-### 1. Clarity and Requirement Analysis
-* **Format Check:** ${clarity.formatCheck.feedback}
-* **Clarity & Ambiguity:** ${clarity.clarityAmbiguity.feedback}
-* **Acceptance Criteria:** ${clarity.acceptanceCriteria.feedback}
+### 1. ${t('report.clarity')}
+* **${t('report.formatCheck')}:** ${clarity.formatCheck.feedback}
+* **${t('report.clarityAmbiguity')}:** ${clarity.clarityAmbiguity.feedback}
+* **${t('report.acceptanceCriteria')}:** ${clarity.acceptanceCriteria.feedback}${describeScenarioFindings(clarity.acceptanceCriteria.scenarios, rules).map(f => `\n    * ${f}`).join('')}
 
-### 2. INVEST Criteria Assessment
+### 2. ${t('report.invest')}
 ${investReport}
 
-### 3. Outstanding Queries & Conflicts
-${queries.length > 0 ? queries.map(q => `* ${q}`).join('\n') : '* No major queries or conflicts identified. Great job!*'}
+### 3. ${t('report.queries')}
+${queries.length > 0 ? queries.map(q => `* ${q}`).join('\n') : `* ${t('report.noQueriesPraise')}*`}
 
-### 4. Actionable Recommendations
-**Suggested Improvements:**
-${recs.suggestedImprovements.length > 0 ? recs.suggestedImprovements.map(i => `* ${i}`).join('\n') : '* The story is in good shape. No major improvements suggested.*'}
+### 4. ${t('report.recommendations')}
+**${t('report.improvements')}:**
+${recs.suggestedImprovements.length > 0 ? recs.suggestedImprovements.map(i => `* ${i}`).join('\n') : `* ${t('report.noImprovements')}*`}
 
 ${recs.inferredAcceptanceCriteria.length > 0 ? `
-**Inferred Acceptance Criteria (for confirmation):**
-*As a starting point, here are some potential acceptance criteria. Please review and refine them:*
+**${t('report.inferredCriteria')}:**
+*${t('report.inferredCriteriaIntro')}:*
 ${recs.inferredAcceptanceCriteria.map(ac => `* \`${ac}\``).join('\n')}
 ` : ''}
 
-${recs.storyDecomposition.length > 0 ? `
-**Story Decomposition Suggestions:**
-*This story seems a bit large. Consider splitting it into smaller, valuable stories like these:*
-${recs.storyDecomposition.map(s => `* \`${s}\``).join('\n')}
+${recs.decompositionSplits.length > 0 ? `
+**${t('report.decomposition')}:**
+*${t('report.decompositionIntro')}*
+${recs.decompositionSplits.map(split => formatSplitAsMarkdown(split, rules)).join('\n')}
+` : recs.storyDecomposition.length > 0 ? `
+**${t('report.decomposition')}:**
+${recs.storyDecomposition.map(s => `* ${s}`).join('\n')}
 ` : ''}
+${frameworkReport}
+${nfrReport}
+${coaching}
     `;
     return report.trim();
 }
 
 /**
- * Generates the final analysis object.
+ * Converts the section totals into the overall 0-100 readiness rating, normalized across
+ * clarity, INVEST and the enabled quality frameworks.
+ * @param {number} clarityTotal
+ * @param {number} investTotal
+ * @param {object} [frameworkAssessments={}] - The `frameworkAssessments` of the analysis.
+ * @returns {number}
+ */
+function calculateReadinessRating(clarityTotal, investTotal, rules = CONFIG, frameworkAssessments = {}) {
+    const frameworks = Object.values(frameworkAssessments);
+    const totalScore = clarityTotal + investTotal + frameworks.reduce((sum, f) => sum + f.score, 0);
+    const totalPossibleScore = rules.MAX_SCORES.CLARITY_AND_REQUIREMENT + rules.MAX_SCORES.INVEST
+        + frameworks.reduce((sum, f) => sum + f.maxScore, 0);
+    // Profiles can change the weights, so keep the rating inside 0-100.
+    return Math.max(0, Math.min(100, Math.round((totalScore / totalPossibleScore) * 100)));
+}
+
+/**
+ * Generates the final analysis object. With the "auto" locale, the story is analyzed in
+ * the language it is written in.
  * @param {string} story
  * @param {string} acceptanceCriteriaText
  * @returns {object} The complete analysis object.
  */
-function generateAnalysisObject(story, acceptanceCriteriaText) {
-    const clarityAnalysis = analyzeClarityAndRequirement(story, acceptanceCriteriaText);
-    const investAnalysis = analyzeINVEST(story, clarityAnalysis, acceptanceCriteriaText);
+function generateAnalysisObject(story, acceptanceCriteriaText, rules = CONFIG) {
+    rules = localizeForText(rules, `${story}\n${acceptanceCriteriaText}`);
+    const message = (key, params) => formatMessage(rules.LANGUAGE, key, params);
+    const clarityAnalysis = analyzeClarityAndRequirement(story, acceptanceCriteriaText, rules);
+    const investAnalysis = analyzeINVEST(story, clarityAnalysis, acceptanceCriteriaText, rules);
 
     // Generate Queries and Recommendations
     let queries = [];
     let improvements = [];
     let inferredAC = [];
-    let decomposition = [];
+    let decomposition = { stories: [], splits: [] };
 
-    if (clarityAnalysis.formatCheck.score < CONFIG.SCORING.FORMAT_SUCCESS) {
-        improvements.push(`Rephrase the story to fit the standard format: "As a [persona], I want [goal], so that [value]". This structure ensures all key components are present.`);
+    if (clarityAnalysis.formatCheck.score < rules.SCORING.FORMAT_SUCCESS) {
+        improvements.push(message('improvement.format'));
+    }
+    if (clarityAnalysis.acceptanceCriteria.score === rules.SCORING.AC_MISSING) {
+        queries.push(message('query.acMissing'));
+        inferredAC = inferAcceptanceCriteria(clarityAnalysis.formatMatch, rules);
     }
-    if (clarityAnalysis.acceptanceCriteria.score === CONFIG.SCORING.AC_MISSING) {
-        queries.push("The acceptance criteria are missing. Could you define the specific conditions that must be met for this story to be considered complete?");
-        inferredAC = inferAcceptanceCriteria(clarityAnalysis.formatMatch);
+    // An unclear persona caps Valuable on its own; only ask about the value when it scores lower.
+    const { personaCheck } = clarityAnalysis;
+    const valueCap = isPersonaUnclear(personaCheck) ? rules.SCORING.INVEST_DEFAULT_MEDIUM : rules.SCORING.INVEST_MAX;
+    if (investAnalysis.valuable.score < valueCap) {
+        queries.push(message('query.value'));
     }
-    if (investAnalysis.valuable.score < 10) {
-        queries.push("What is the specific value or benefit this story delivers to the persona or the business? A clear value statement helps prioritize the work.");
+    if (personaCheck && personaCheck.suggestion) {
+        improvements.push(message('improvement.persona', { suggestion: personaCheck.suggestion, persona: personaCheck.persona }));
+    } else if (isPersonaUnclear(personaCheck)) {
+        queries.push(message('query.persona', { persona: personaCheck.persona }));
     }
-    if (investAnalysis.small.score < CONFIG.SCORING.INVEST_DEFAULT_HIGH) {
-        queries.push("This story seems large. Is it possible to split it into smaller pieces that can be completed in a single sprint?");
-        decomposition = suggestDecomposition(clarityAnalysis.formatMatch);
+    if (investAnalysis.small.score < rules.SCORING.INVEST_DEFAULT_HIGH) {
+        queries.push(message('query.large'));
+        decomposition = suggestDecomposition(clarityAnalysis.formatMatch, acceptanceCriteriaText, rules);
     }
-    if (investAnalysis.testable.score < CONFIG.SCORING.INVEST_DEFAULT_HIGH && clarityAnalysis.acceptanceCriteria.score > 0) {
-        improvements.push("Some acceptance criteria could be more specific. Using formats like 'Given/When/Then' or 'Verify that...' can make them easier to test.");
+    if (investAnalysis.testable.score < rules.SCORING.INVEST_DEFAULT_HIGH && clarityAnalysis.acceptanceCriteria.score > 0) {
+        improvements.push(message('improvement.testable'));
     }
+    const nonFunctionalRequirements = detectNonFunctionalRequirements(story, acceptanceCriteriaText, rules);
+    nonFunctionalRequirements.filter(nfr => nfr.status === 'missing').forEach(nfr => {
+        queries.push(message(nfr.stated ? 'nfr.query.stated' : 'nfr.query.implied', { label: nfr.label, terms: quoteTerms(nfr.terms) }));
+    });
+    // Glossary: one improvement per term to replace, and one query for the undefined terms.
+    const findings = findTextFindings(story, acceptanceCriteriaText, rules);
+    const firstByTerm = ruleIds => findings
+        .filter(f => ruleIds.includes(f.ruleId))
+        .filter((f, i, list) => list.findIndex(other => other.term.toLowerCase() === f.term.toLowerCase()) === i);
+    firstByTerm([FINDING_RULES.GLOSSARY_FORBIDDEN.id, FINDING_RULES.GLOSSARY_SYNONYM.id]).forEach(f => {
+        improvements.push(message('improvement.glossary', { term: f.text, canonical: f.suggestion }));
+    });
+    const undefinedTerms = firstByTerm([FINDING_RULES.GLOSSARY_UNDEFINED.id]).map(f => f.text);
+    if (undefinedTerms.length > 0) {
+        queries.push(message('query.glossaryUndefined', { terms: quoteTerms(undefinedTerms) }));
+    }
+
+    const frameworkAssessments = assessQualityFrameworks({
+        story,
+        acceptanceCriteriaText,
+        formatMatch: clarityAnalysis.formatMatch,
+        clarity: clarityAnalysis,
+        invest: investAnalysis,
+    }, rules);
+
+    const percentage = calculateReadinessRating(clarityAnalysis.total, investAnalysis.total, rules, frameworkAssessments);
+    const categoryInfo = getReadinessCategory(percentage, rules);
 
-    const totalPossibleScore = 40 + 60;
-    const actualScore = clarityAnalysis.total + investAnalysis.total;
-    const percentage = Math.round((actualScore / totalPossibleScore) * 100);
-    const categoryInfo = getReadinessCategory(percentage);
+    // Internal fields (the raw regex match and the `total` aliases) are left out
+    // so the object serializes to the same shape on every transport.
+    const { total: clarityTotal, formatMatch, personaCheck: persona, ...claritySections } = clarityAnalysis;
+    const { total: investTotal, ...investSections } = investAnalysis;
 
     return {
+        schemaVersion: ANALYSIS_SCHEMA_VERSION,
+        profile: rules.PROFILE_NAME,
+        locale: rules.LANGUAGE,
         overallReadinessScore: {
             readinessRating: percentage,
             readinessCategory: categoryInfo.label,
+            readinessCategoryId: categoryInfo.id,
             summary: categoryInfo.summary,
+            scoreBreakdown: {
+                clarityRequirementAnalysis: clarityTotal,
+                investCriteriaAssessment: investTotal,
+            },
         },
-        clarityAndRequirementAnalysis: { ...clarityAnalysis, totalScore: clarityAnalysis.total },
-        investCriteriaAssessment: { ...investAnalysis, totalScore: investAnalysis.total },
+        clarityAndRequirementAnalysis: { ...claritySections, totalScore: clarityTotal },
+        investCriteriaAssessment: { ...investSections, totalScore: investTotal },
+        frameworkAssessments,
+        nonFunctionalRequirements,
+        persona,
+        findings,
+        glossaryTerms: findGlossaryTerms(story, acceptanceCriteriaText, rules),
         outstandingQueriesAndConflicts: queries,
         actionableRecommendations: {
             suggestedImprovements: improvements,
             inferredAcceptanceCriteria: inferredAC,
-            storyDecomposition: decomposition
+            storyDecomposition: decomposition.stories,
+            decompositionSplits: decomposition.splits,
         }
     };
 }
 
 
+/**
+ * Aggregates per-story analyses into backlog-level statistics.
+ * @param {object[]} analyses - Analysis objects for the stories that were analyzed successfully.
+ * @returns {object} Average readiness, category distribution and the most frequent INVEST failures.
+ */
+function summarizeBacklog(analyses, rules = CONFIG) {
+    const categoryDistribution = rules.READINESS_CATEGORIES.map(cat => ({
+        id: cat.id,
+        label: cat.label,
+        minScore: cat.score,
+        count: analyses.filter(a => a.overallReadinessScore.readinessCategoryId === cat.id).length,
+    }));
+
+    const failureCounts = {};
+    analyses.forEach(a => {
+        Object.entries(a.investCriteriaAssessment)
+            .filter(([key]) => key !== 'totalScore')
+            .forEach(([key, value]) => {
+                if (value.score < rules.SCORING.INVEST_MEETS) {
+                    failureCounts[key] = (failureCounts[key] || 0) + 1;
+                }
+            });
+    });
+    const investFailures = Object.entries(failureCounts)
+        .map(([criterion, count]) => ({ criterion, count }))
+        .sort((a, b) => b.count - a.count);
+
+    const totalRating = analyses.reduce((sum, a) => sum + a.overallReadinessScore.readinessRating, 0);
+
+    return {
+        analyzedCount: analyses.length,
+        averageReadiness: analyses.length > 0 ? Math.round(totalRating / analyses.length) : null,
+        categoryDistribution,
+        investFailures,
+    };
+}
+
+
+/**
+ * Re-assesses the Independent criterion of an analysis using the relations found across
+ * the backlog, and updates the INVEST total and the readiness rating to match.
+ * @param {object} analysis - The story's analysis object (modified in place).
+ * @param {string} story - The story text.
+ * @param {object} relations - The story's relations from analyzeBacklogDependencies.
+ * @param {number} backlogSize - The number of stories the story was compared with.
+ */
+function applyBacklogRelations(analysis, story, relations, backlogSize, rules = CONFIG) {
+    const { dependsOn, duplicates, conflicts, cycle } = relations;
+    const message = (key, params) => formatMessage(rules.LANGUAGE, key, params);
+    const findings = [];
+    if (cycle) {
+        findings.push(message('backlog.cycle', { ids: cycle.join(', ') }));
+    }
+    if (dependsOn.length > 0) {
+        findings.push(message('backlog.dependsOn', { ids: dependsOn.join(', ') }));
+    }
+    duplicates.forEach(dup => {
+        findings.push(message('backlog.duplicate', { id: dup.id, similarity: Math.round(dup.similarity * 100) }));
+    });
+    conflicts.forEach(conflict => {
+        findings.push(message('backlog.conflict', { id: conflict.id, criterion: conflict.criterion, otherCriterion: conflict.otherCriterion }));
+    });
+
+    const dependencyPhrases = distinctTerms(findTerms(story, rules.KEYWORDS.DEPENDENCIES));
+    let score;
+    if (cycle || dependsOn.length > 0) {
+        score = rules.SCORING.INVEST_DEFAULT_LOW;
+    } else if (duplicates.length > 0 || conflicts.length > 0) {
+        score = Math.min(analysis.investCriteriaAssessment.independent.score, rules.SCORING.INVEST_DEFAULT_MEDIUM);
+    } else {
+        // Nothing found across the backlog; only the story's own wording can still suggest a dependency.
+        score = dependencyPhrases.length > 0 ? rules.SCORING.INVEST_DEFAULT_LOW : rules.SCORING.INVEST_DEFAULT_HIGH;
+        findings.push(dependencyPhrases.length > 0
+            ? message('backlog.noReferencesButWording', { count: backlogSize - 1, terms: quoteTerms(dependencyPhrases) })
+            : message('backlog.noRelations', { count: backlogSize - 1 }));
+    }
+
+    const invest = analysis.investCriteriaAssessment;
+    invest.independent = { score, justification: findings.join(' ') };
+    invest.totalScore = Object.entries(invest)
+        .filter(([key]) => key !== 'totalScore')
+        .reduce((sum, [, value]) => sum + value.score, 0);
+
+    const overall = analysis.overallReadinessScore;
+    overall.scoreBreakdown.investCriteriaAssessment = invest.totalScore;
+    overall.readinessRating = calculateReadinessRating(overall.scoreBreakdown.clarityRequirementAnalysis, invest.totalScore, rules, analysis.frameworkAssessments);
+    const categoryInfo = getReadinessCategory(overall.readinessRating, rules);
+    overall.readinessCategory = categoryInfo.label;
+    overall.readinessCategoryId = categoryInfo.id;
+    overall.summary = categoryInfo.summary;
+}
+
+// =================================================================
+// RULE PROFILES
+// =================================================================
+
+// Expected type of every overridable CONFIG entry. Profiles may only set keys listed here.
+const RULES_SCHEMA = {
+    LOCALE: 'locale',
+    STORY_FORMAT_REGEX: 'regex',
+    THRESHOLDS: Object.fromEntries(Object.keys(CONFIG.THRESHOLDS).map(key => [key, 'number'])),
+    KEYWORDS: Object.fromEntries(Object.keys(CONFIG.KEYWORDS).map(key => [key, 'string[]'])),
+    SCORING: Object.fromEntries(Object.keys(CONFIG.SCORING).map(key => [key, 'number'])),
+    SPLITTING: {
+        WORKFLOW_VERBS: 'string[]',
+        CRUD_TRIGGERS: 'string[]',
+        CRUD_OPERATIONS: { create: 'string[]', read: 'string[]', update: 'string[]', delete: 'string[]' },
+        BUSINESS_RULE: 'string[]',
+        DATA_VARIANTS: 'string[]',
+        PLATFORMS: 'string[]',
+        ERROR_PATH: 'string[]',
+        PERFORMANCE: 'string[]',
+    },
+    REWRITE: { AMBIGUOUS_REPLACEMENTS: 'replacements', TECHNICAL_PREPOSITIONS: 'string[]' },
+    FRAMEWORKS: {
+        ENABLED: 'string[]',
+        WEIGHTS: 'weights',
+        SMART: Object.fromEntries(Object.keys(CONFIG.FRAMEWORKS.SMART).map(key => [key, 'string[]'])),
+        DEFINITION_OF_READY: 'checklist',
+    },
+    PERSONAS: { CATALOGUE: 'personas', GENERIC: 'string[]' },
+    GLOSSARY: { TERMS: 'glossary' },
+    NFR: Object.fromEntries(Object.keys(CONFIG.NFR).map(key => [key, { STATED: 'string[]', IMPLIED: 'string[]' }])),
+    READINESS_CATEGORIES: 'categories',
+    MAX_SCORES: { CLARITY_AND_REQUIREMENT: 'number', INVEST: 'number' },
+};
+
+/**
+ * Raised when a rule profile fails validation. `details` lists each problem.
+ */
+class RuleProfileError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'RuleProfileError';
+        this.details = details;
+    }
+}
+
+/**
+ * Validates a value against one RULES_SCHEMA entry.
+ * @param {*} value
+ * @param {string|object} schema
+ * @param {string} path - Dotted path used in error messages.
+ * @returns {string[]} Validation errors, empty when the value is valid.
+ */
+function validateAgainstSchema(value, schema, path) {
+    if (typeof schema === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${path} must be an object.`];
+        return Object.entries(value).flatMap(([key, v]) => (
+            schema[key] === undefined ? [`${path}.${key} is not a known rule.`] : validateAgainstSchema(v, schema[key], `${path}.${key}`)
+        ));
+    }
+    switch (schema) {
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? [] : [`${path} must be a non-negative number.`];
+        case 'string[]':
+            return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() !== '') ? [] : [`${path} must be an array of non-empty strings.`];
+        case 'replacements':
+            return value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(v => typeof v === 'string')
+                ? [] : [`${path} must map each term to a replacement string.`];
+        case 'weights':
+            return value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(v => typeof v === 'number' && Number.isFinite(v) && v >= 0)
+                ? [] : [`${path} must map each framework ID to a non-negative number.`];
+        case 'checklist':
+            if (!Array.isArray(value)) return [`${path} must be an array.`];
+            return value.flatMap((item, i) => (
+                item && typeof item.id === 'string' && typeof item.label === 'string'
+                    && Array.isArray(item.keywords) && item.keywords.length > 0 && item.keywords.every(k => typeof k === 'string' && k.trim() !== '')
+                    ? [] : [`${path}[${i}] must have a string id and label and a non-empty 'keywords' array.`]
+            ));
+        case 'personas':
+            if (!Array.isArray(value)) return [`${path} must be an array.`];
+            return value.flatMap((persona, i) => validatePersona(persona, `${path}[${i}]`));
+        case 'glossary':
+            if (!Array.isArray(value)) return [`${path} must be an array.`];
+            return value.flatMap((entry, i) => validateGlossaryTerm(entry, `${path}[${i}]`));
+        case 'locale':
+            return isKnownLocale(value) ? [] : [`${path} must be '${AUTO_LOCALE}' or a locale ID (${listLocales().map(locale => locale.id).join(', ')}).`];
+        case 'regex':
+            if (value instanceof RegExp) return [];
+            if (typeof value !== 'string') return [`${path} must be a regular expression string.`];
+            try {
+                const groups = new RegExp(`${value}|`).exec('').length - 1;
+                return groups >= 3 ? [] : [`${path} must capture persona, goal and value as its first three groups.`];
+            } catch (error) {
+                return [`${path} is not a valid regular expression: ${error.message}`];
+            }
+        case 'categories': {
+            if (!Array.isArray(value) || value.length === 0) return [`${path} must be a non-empty array.`];
+            const errors = value.flatMap((cat, i) => (
+                cat && typeof cat.score === 'number' && ['id', 'label', 'summary'].every(f => typeof cat[f] === 'string')
+                    ? [] : [`${path}[${i}] must have a numeric score and string id, label and summary.`]
+            ));
+            const scores = value.map(cat => cat && cat.score);
+            if (scores.some((score, i) => i > 0 && score >= scores[i - 1])) errors.push(`${path} must be ordered by descending score.`);
+            if (scores[scores.length - 1] !== 0) errors.push(`${path} must end with a category at score 0.`);
+            return errors;
+        }
+        default:
+            return [`${path} has an unknown schema type.`];
+    }
+}
+
+/**
+ * Recursively merges plain objects. Arrays and other values in `overrides` replace the base value.
+ * @param {object} base
+ * @param {object} overrides
+ * @returns {object} A new merged object.
+ */
+function deepMerge(base, overrides) {
+    const merged = { ...base };
+    Object.entries(overrides).forEach(([key, value]) => {
+        const isPlainObject = value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+        merged[key] = isPlainObject && base[key] ? deepMerge(base[key], value) : value;
+    });
+    return merged;
+}
+
+/**
+ * Lower-cases every keyword in a section of keyword lists, including nested groups such as
+ * SPLITTING.CRUD_OPERATIONS.
+ * @param {Object<string, string[]|Object>} lists
+ * @returns {Object<string, string[]|Object>}
+ */
+function lowerCaseKeywords(lists) {
+    return Object.fromEntries(Object.entries(lists).map(([key, value]) => [
+        key,
+        Array.isArray(value) ? value.map(keyword => keyword.toLowerCase()) : lowerCaseKeywords(value),
+    ]));
+}
+
+/**
+ * Brings the language-specific sections present in a rules object into the form the analyzer
+ * matches against: the story template as a RegExp, and keywords and replacement terms in lower case.
+ * @param {object} rules - Complete rules, or a subset such as LOCALIZED_OVERRIDES.
+ * @returns {object} A new object.
+ */
+function normalizeLanguageSections(rules) {
+    const normalized = { ...rules };
+    if (typeof normalized.STORY_FORMAT_REGEX === 'string') {
+        normalized.STORY_FORMAT_REGEX = new RegExp(normalized.STORY_FORMAT_REGEX, 'i');
+    }
+    // Keyword matching is done on lower-cased text.
+    if (normalized.KEYWORDS) normalized.KEYWORDS = lowerCaseKeywords(normalized.KEYWORDS);
+    if (normalized.SPLITTING) normalized.SPLITTING = lowerCaseKeywords(normalized.SPLITTING);
+    if (normalized.REWRITE && normalized.REWRITE.AMBIGUOUS_REPLACEMENTS) {
+        normalized.REWRITE = {
+            ...normalized.REWRITE,
+            AMBIGUOUS_REPLACEMENTS: Object.fromEntries(
+                Object.entries(normalized.REWRITE.AMBIGUOUS_REPLACEMENTS).map(([term, replacement]) => [term.toLowerCase(), replacement])
+            ),
+        };
+    }
+    return normalized;
+}
+
+/**
+ * Validates profile overrides and deep-merges them over the default CONFIG. A profile that
+ * sets a LOCALE other than "auto" is merged over the rules in that language, so its own
+ * keyword lists can refine the pack's. Its entries in the language-specific sections are also
+ * kept in LOCALIZED_OVERRIDES, so they still apply when the rules are localized to another pack.
+ * @param {object} [overrides={}] - Partial rules using the CONFIG key names.
+ * @param {string} [profileName="custom"] - Recorded in each analysis as `profile`.
+ * @returns {object} A complete rules object, usable wherever CONFIG is.
+ * @throws {RuleProfileError} If the overrides do not match RULES_SCHEMA.
+ */
+function resolveRules(overrides = {}, profileName = "custom") {
+    const errors = validateAgainstSchema(overrides, RULES_SCHEMA, profileName);
+    if (errors.length > 0) {
+        throw new RuleProfileError(`Invalid rule profile '${profileName}'.`, errors);
+    }
+    const base = overrides.LOCALE && overrides.LOCALE !== AUTO_LOCALE ? withLocale(CONFIG, overrides.LOCALE) : CONFIG;
+    const rules = normalizeLanguageSections(deepMerge(base, overrides));
+    rules.PERSONAS = { ...rules.PERSONAS, CATALOGUE: mergeCatalogues(rules.PERSONAS.CATALOGUE) };
+    rules.GLOSSARY = { ...rules.GLOSSARY, TERMS: mergeGlossaries(rules.GLOSSARY.TERMS) };
+    rules.LOCALIZED_OVERRIDES = normalizeLanguageSections(pickLocalizedSections(overrides));
+    rules.PROFILE_NAME = profileName;
+    return rules;
+}
+
+
 // =================================================================
 // MAIN EXPORTED FUNCTION
 // =================================================================
@@ -358,21 +945,98 @@ function generateAnalysisObject(story, acceptanceCriteriaText) {
  * Analyzes a user story and returns a formatted Markdown report.
  * @param {string} story - The user story text.
  * @param {string} [acceptanceCriteriaText=""] - The acceptance criteria text.
+ * @param {object} [rules=CONFIG] - The resolved rule profile (see `resolveRules`).
  * @returns {string} A formatted Markdown report with analysis and recommendations.
  */
-function analyzeUserStory(story, acceptanceCriteriaText = "") {
-    if (!story || typeof story !== 'string' || story.trim() === '') {
-        return `
-### 🚫 Analysis Halted
-**It looks like the user story is missing.**
-Please provide the story you'd like me to analyze. A great story usually looks like this:
-*"As a [type of user], I want [to perform some action], so that [I can achieve some goal]."*
-`;
+function analyzeUserStory(story, acceptanceCriteriaText = "", rules = CONFIG) {
+    if (!isValidStory(story)) {
+        return `\n${formatMessage(rules.LANGUAGE, 'report.halted')}\n`;
+    }
+
+    const analysisObject = generateAnalysisObject(story, acceptanceCriteriaText, rules);
+    return formatAnalysisAsMarkdown(analysisObject, rules);
+}
+
+/**
+ * Analyzes a user story and returns the structured analysis object.
+ * This is the stable, versioned counterpart of `analyzeUserStory` for API clients.
+ * @param {string} story - The user story text.
+ * @param {string} [acceptanceCriteriaText=""] - The acceptance criteria text.
+ * @param {object} [rules=CONFIG] - The resolved rule profile (see `resolveRules`).
+ * @returns {object|null} The complete analysis object, or null if the story is missing.
+ */
+function getUserStoryAnalysis(story, acceptanceCriteriaText = "", rules = CONFIG) {
+    if (!isValidStory(story)) return null;
+    return generateAnalysisObject(story, acceptanceCriteriaText, rules);
+}
+
+/**
+ * Analyzes a batch of stories. A story that cannot be analyzed is reported as an
+ * error on its own row; the rest of the batch is still analyzed. Stories are also checked
+ * against each other (references, duplicates, conflicting AC, cycles), which updates their
+ * Independent score and produces the backlog's dependency graph.
+ * @param {Array<{id: string, title?: string, story: string, acceptanceCriteria?: string, team?: string, parseError?: string}>} items
+ * @param {object} [rules=CONFIG] - The resolved rule profile (see `resolveRules`).
+ * @returns {{schemaVersion: string, results: object[], dependencyGraph: object, summary: object}}
+ */
+function analyzeBacklog(items, rules = CONFIG) {
+    // Each story is analyzed and compared in its own language.
+    const storyRules = [];
+    const results = items.map((item, index) => {
+        const row = { index, id: item.id, title: item.title || "", team: item.team || "" };
+        if (item.parseError) {
+            return { ...row, status: 'error', error: item.parseError };
+        }
+        if (!isValidStory(item.story)) {
+            return { ...row, status: 'error', error: "Missing story text." };
+        }
+        if (item.acceptanceCriteria && typeof item.acceptanceCriteria !== 'string') {
+            return { ...row, status: 'error', error: "'acceptanceCriteria' must be a string." };
+        }
+        try {
+            storyRules[index] = localizeForText(rules, `${item.story}\n${item.acceptanceCriteria || ""}`);
+            return { ...row, status: 'ok', analysis: generateAnalysisObject(item.story, item.acceptanceCriteria || "", storyRules[index]) };
+        } catch (error) {
+            return { ...row, status: 'error', error: error.message };
+        }
+    });
+
+    // Cross-story checks need unique IDs; a repeated ID keeps its single-story assessment.
+    const analyzed = results.filter(r => r.status === 'ok');
+    const graphRows = analyzed.filter((row, i) => analyzed.findIndex(other => other.id === row.id) === i);
+    const { graph, relations } = analyzeBacklogDependencies(graphRows.map(row => ({ ...items[row.index], rules: storyRules[row.index] })), rules);
+    if (graphRows.length > 1) {
+        graphRows.forEach(row => applyBacklogRelations(row.analysis, items[row.index].story, relations.get(row.id), graphRows.length, storyRules[row.index]));
     }
 
-    const analysisObject = generateAnalysisObject(story, acceptanceCriteriaText);
-    return formatAnalysisAsMarkdown(analysisObject);
+    const analyses = analyzed.map(r => r.analysis);
+    return {
+        schemaVersion: ANALYSIS_SCHEMA_VERSION,
+        results,
+        dependencyGraph: graph,
+        summary: {
+            totalCount: items.length,
+            errorCount: items.length - analyses.length,
+            ...summarizeBacklog(analyses, rules),
+            personaDrift: findPersonaDrift(analyzed.map(row => ({ id: row.id, persona: row.analysis.persona }))),
+        },
+    };
 }
 
-// Make the main function available for export.
-module.exports = { analyzeUserStory };
+// Make the main functions available for export.
+module.exports = {
+    analyzeUserStory,
+    getUserStoryAnalysis,
+    analyzeBacklog,
+    inferAcceptanceCriteria,
+    suggestDecomposition,
+    formatAnalysisAsMarkdown,
+    describeScenarioFindings,
+    getReadinessCategory,
+    getInvestStatus,
+    calculateReadinessRating,
+    resolveRules,
+    RuleProfileError,
+    DEFAULT_RULES: CONFIG,
+    ANALYSIS_SCHEMA_VERSION,
+};